@@ -0,0 +1,231 @@
+// src/components/AddPlayerModal.js
+//
+// Modal for adding a playing partner to a group round, either as a named
+// guest or as another app user invited by their email address. Invites
+// aren't looked up here - the server matches the email when the round is
+// saved and the partner decides whether to add the round to their history.
+
+import React, { useState } from 'react';
+import {
+  Modal,
+  View,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+
+/**
+ * AddPlayerModal Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onAdd - Called with { inviteEmail, guestName, displayName } for the new player
+ * @param {Array<string>} props.existingEmails - Emails already in the group, lower case (can't be added twice)
+ */
+const AddPlayerModal = ({ visible, onClose, onAdd, existingEmails = [] }) => {
+  const [isAppUser, setIsAppUser] = useState(false);
+  const [guestName, setGuestName] = useState("");
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState(null);
+
+  /**
+   * Reset the form and close
+   */
+  const handleClose = () => {
+    setGuestName("");
+    setEmail("");
+    setError(null);
+    onClose();
+  };
+
+  /**
+   * Add a guest by name - works without signal
+   */
+  const handleAddGuest = () => {
+    const name = guestName.trim();
+    if (!name) {
+      setError("Enter the player's name");
+      return;
+    }
+
+    onAdd({ inviteEmail: null, guestName: name, displayName: name });
+    handleClose();
+  };
+
+  /**
+   * Invite an app user by email - works without signal, the invite is
+   * sent when the round is saved
+   */
+  const handleAddAppUser = () => {
+    const address = email.trim().toLowerCase();
+    if (!address.includes("@")) {
+      setError("Enter the email address they use for the app");
+      return;
+    }
+
+    if (existingEmails.includes(address)) {
+      setError("That player is already in your group.");
+      return;
+    }
+
+    const name = guestName.trim();
+    onAdd({ inviteEmail: address, guestName: null, displayName: name || address.split("@")[0] });
+    handleClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={handleClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        style={styles.overlay}
+      >
+        <View style={styles.sheet}>
+          <Typography variant="subtitle" style={styles.title}>
+            Add Player
+          </Typography>
+
+          {/* Guest or app user */}
+          <View style={styles.toggle}>
+            {[false, true].map(appUser => (
+              <TouchableOpacity
+                key={appUser ? "app-user" : "guest"}
+                style={[styles.toggleOption, isAppUser === appUser && styles.toggleOptionActive]}
+                onPress={() => {
+                  setIsAppUser(appUser);
+                  setError(null);
+                }}
+              >
+                <Typography
+                  variant="caption"
+                  weight="semibold"
+                  color={isAppUser === appUser ? "#FFFFFF" : theme.colors.primary}
+                >
+                  {appUser ? "App User" : "Guest"}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {isAppUser ? (
+            <>
+              <TextInput
+                style={styles.input}
+                placeholder="Their email address"
+                value={email}
+                onChangeText={setEmail}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="email-address"
+              />
+              <TextInput
+                style={[styles.input, styles.secondInput]}
+                placeholder="Name on the card (optional)"
+                value={guestName}
+                onChangeText={setGuestName}
+                autoCapitalize="words"
+              />
+              <Typography variant="caption" style={styles.helpText}>
+                If they use the app, they'll be asked to add this round to their history.
+              </Typography>
+            </>
+          ) : (
+            <TextInput
+              style={styles.input}
+              placeholder="Player name"
+              value={guestName}
+              onChangeText={setGuestName}
+              autoCapitalize="words"
+            />
+          )}
+
+          {error && (
+            <Typography variant="caption" style={styles.errorText}>
+              {error}
+            </Typography>
+          )}
+
+          <View style={styles.actions}>
+            <Button variant="text" onPress={handleClose}>
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              onPress={isAppUser ? handleAddAppUser : handleAddGuest}
+            >
+              Add
+            </Button>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: theme.spacing.large,
+  },
+  title: {
+    marginBottom: theme.spacing.medium,
+  },
+  toggle: {
+    flexDirection: 'row',
+    marginBottom: theme.spacing.medium,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  toggleOptionActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    height: 44,
+    fontSize: 16,
+  },
+  secondInput: {
+    marginTop: theme.spacing.small,
+  },
+  helpText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  errorText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.error,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: theme.spacing.large,
+  },
+});
+
+export default AddPlayerModal;
@@ -0,0 +1,112 @@
+// src/components/ClubPickerModal.js
+//
+// Quick club picker shown when a shot is added, so each shot can record the
+// club it was hit with. One tap picks the club and records the shot.
+
+import React from 'react';
+import { Modal, View, TouchableOpacity, StyleSheet } from 'react-native';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import theme from '../ui/theme';
+
+/**
+ * ClubPickerModal Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the picker is shown
+ * @param {Array<string>} props.clubs - Clubs in the player's bag
+ * @param {string} props.shotLabel - Shot being recorded (e.g. "On Target Approach")
+ * @param {string} props.suggestedClub - Club to highlight, if any
+ * @param {Function} props.onSelect - Called with the club name, or null to record the shot without one
+ * @param {Function} props.onClose - Cancel without recording the shot
+ */
+const ClubPickerModal = ({ visible, clubs, shotLabel, suggestedClub = null, onSelect, onClose }) => (
+  <Modal
+    visible={visible}
+    animationType="slide"
+    transparent
+    onRequestClose={onClose}
+  >
+    <View style={styles.overlay}>
+      <View style={styles.sheet}>
+        <Typography variant="subtitle">
+          Which club?
+        </Typography>
+        {shotLabel && (
+          <Typography variant="caption" style={styles.subtitle}>
+            {shotLabel}
+          </Typography>
+        )}
+
+        <View style={styles.clubGrid}>
+          {clubs.map(club => (
+            <TouchableOpacity
+              key={club}
+              style={[styles.club, club === suggestedClub && styles.clubSuggested]}
+              onPress={() => onSelect(club)}
+            >
+              <Typography
+                variant="caption"
+                weight="semibold"
+                color={club === suggestedClub ? "#FFFFFF" : theme.colors.primary}
+              >
+                {club}
+              </Typography>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.actions}>
+          <Button variant="text" onPress={onClose}>
+            Cancel
+          </Button>
+          <Button variant="outline" onPress={() => onSelect(null)}>
+            No Club
+          </Button>
+        </View>
+      </View>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: theme.spacing.large,
+  },
+  subtitle: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+  clubGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.medium,
+  },
+  club: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  clubSuggested: {
+    backgroundColor: theme.colors.primary,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: theme.spacing.medium,
+  },
+});
+
+export default ClubPickerModal;
@@ -0,0 +1,114 @@
+// src/components/DispersionPatterns.js
+//
+// Which way each kind of shot tends to miss and where it finishes, from the
+// miss directions and lies recorded over recent rounds (see
+// dispersionService). Shown on the InsightsScreen.
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+/**
+ * DispersionPatterns Component
+ *
+ * @param {Object} props
+ * @param {Array} props.patterns - Per shot type (see calculateDispersion)
+ * @param {Object} props.style - Additional card styles
+ */
+const DispersionPatterns = ({ patterns, style }) => {
+  if (!patterns || patterns.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card style={[styles.card, style]}>
+      <Typography variant="subtitle" weight="semibold">
+        How You Miss
+      </Typography>
+      <Typography variant="caption" style={styles.subtitle}>
+        From the miss directions and lies you've recorded in recent rounds.
+      </Typography>
+
+      {patterns.map(pattern => (
+        <View key={pattern.type} style={styles.pattern}>
+          <Typography variant="body" weight="semibold">
+            {pattern.summary}
+          </Typography>
+
+          {/* Share of recorded misses in each direction */}
+          {pattern.directions.map(direction => (
+            <View key={direction.key} style={styles.directionRow}>
+              <Typography variant="caption" style={styles.directionLabel}>
+                {direction.label}
+              </Typography>
+              <View style={styles.barTrack}>
+                <View style={[styles.bar, { width: `${direction.percent}%` }]} />
+              </View>
+              <Typography variant="caption" weight="semibold" style={styles.directionValue}>
+                {direction.percent}%
+              </Typography>
+            </View>
+          ))}
+
+          {pattern.lies.length > 0 && (
+            <Typography variant="caption" style={styles.lies}>
+              {`Finishes: ${pattern.lies.map(lie => `${lie.label} ${lie.percent}%`).join(" • ")}`}
+            </Typography>
+          )}
+          <Typography variant="caption" style={styles.sample}>
+            {pattern.misses} recorded misses
+          </Typography>
+        </View>
+      ))}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: theme.spacing.medium,
+    width: "100%",
+  },
+  subtitle: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+  pattern: {
+    marginTop: theme.spacing.medium,
+  },
+  directionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 3,
+  },
+  directionLabel: {
+    width: 50,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 4,
+    overflow: "hidden",
+  },
+  bar: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.primary,
+  },
+  directionValue: {
+    width: 44,
+    textAlign: "right",
+  },
+  lies: {
+    marginTop: 4,
+  },
+  sample: {
+    marginTop: 2,
+    color: theme.colors.secondary,
+  },
+});
+
+export default DispersionPatterns;
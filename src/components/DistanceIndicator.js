@@ -10,11 +10,19 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import Typography from '../ui/components/Typography';
 import theme from '../ui/theme';
+import { calculateDistance, getGreenCoordinates } from '../services/shotDistanceService';
+import { suggestClub } from '../services/clubService';
+import { getHoleFeatureDistances, getTeePosition } from '../services/hazardService';
+
+// Hazards listed before "Show all"
+const HAZARDS_SHOWN = 3;
 
 /**
  * Distance Indicator Component
  * 
- * Shows distances to the green based on GPS or falls back to static hole data.
+ * Shows distances to the green based on GPS or falls back to static hole data,
+ * plus reach/carry distances for the bunkers and hazards ahead and the
+ * 100/150/200 yardage markers (measured from the tee without GPS).
  * This is a premium feature with high visibility in the user experience, making
  * consistent visual presentation critical for perceived value.
  * 
@@ -22,11 +30,19 @@ import theme from '../ui/theme';
  * @param {Object} props.holeData - Current hole data with distance and poi info
  * @param {boolean} props.active - Whether component should actively update location
  * @param {function} props.onPermissionChange - Callback when GPS permission changes
+ * @param {function} props.onLocationUpdate - Called with each GPS reading (used to locate recorded shots)
+ * @param {Object} props.clubDistances - The player's per-club distances, for a club suggestion
+ * @param {Array<string>} props.bag - Clubs in the player's bag
+ * @param {function} props.onSuggestedClubChange - Called with the suggested club name (or null) when it changes
  */
 const DistanceIndicator = ({ 
   holeData, 
   active = true,
-  onPermissionChange = null
+  onPermissionChange = null,
+  onLocationUpdate = null,
+  clubDistances = null,
+  bag = [],
+  onSuggestedClubChange = null
 }) => {
   // State for distance calculations
   const [centerDistance, setCenterDistance] = useState(null);
@@ -38,63 +54,11 @@ const DistanceIndicator = ({
   const [usingGPS, setUsingGPS] = useState(false);
   const [locationError, setLocationError] = useState(null);
   const [locationSubscription, setLocationSubscription] = useState(null);
-  
-  // Calculate distance between two coordinate points using Haversine formula
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    // Radius of the Earth in yards
-    const R = 6371 * 1093.61; // Earth's radius in km converted to yards
-    
-    // Convert degrees to radians
-    const dLat = (lat2 - lat1) * (Math.PI / 180);
-    const dLon = (lon2 - lon1) * (Math.PI / 180);
-    
-    // Haversine formula
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
-    return Math.round(distance); // Round to nearest yard
-  };
+  const [playerPosition, setPlayerPosition] = useState(null);
+  const [showAllHazards, setShowAllHazards] = useState(false);
   
   // Helper to find green POI coordinates
-  const findGreenCoordinates = useCallback(() => {
-    // Default to null values
-    let center = null;
-    let front = null;
-    let back = null;
-    
-    // Check if hole has POI data with green coordinates
-    if (holeData?.poi?.greens && Array.isArray(holeData.poi.greens)) {
-      // Find coordinates for each position
-      holeData.poi.greens.forEach(greenPoi => {
-        if (greenPoi.location === 'center' || greenPoi.location === 'middle') {
-          center = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'front') {
-          front = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'back') {
-          back = { lat: greenPoi.lat, lng: greenPoi.lng };
-        }
-      });
-      
-      // If we only have one coordinate, use it for all positions
-      if (center && !front && !back) {
-        front = center;
-        back = center;
-      } else if (!center && front && back) {
-        // If we have front and back but no center, estimate center
-        center = {
-          lat: (front.lat + back.lat) / 2,
-          lng: (front.lng + back.lng) / 2
-        };
-      }
-    }
-    
-    return { center, front, back };
-  }, [holeData]);
+  const findGreenCoordinates = useCallback(() => getGreenCoordinates(holeData?.poi), [holeData]);
   
   // Request location permissions
   const requestLocationPermission = async () => {
@@ -178,6 +142,12 @@ const DistanceIndicator = ({
     }
     
     const { latitude, longitude } = location.coords;
+    setPlayerPosition({ lat: latitude, lng: longitude });
+    
+    // Share the reading so shots can be pinned to where they were played
+    if (onLocationUpdate) {
+      onLocationUpdate(location);
+    }
     
     // Get green coordinates
     const { center, front, back } = findGreenCoordinates();
@@ -297,6 +267,20 @@ const DistanceIndicator = ({
     checkPermission();
   }, []);
 
+  // Club for the current distance to the center of the green
+  const suggestion = suggestClub(centerDistance || holeData?.distance, clubDistances, bag);
+  
+  useEffect(() => {
+    if (onSuggestedClubChange) {
+      onSuggestedClubChange(suggestion?.club || null);
+    }
+  }, [suggestion?.club]);
+  
+  // Bunkers, hazards and markers ahead, from the player or else the tee
+  const measureFrom = (usingGPS && playerPosition) || getTeePosition(holeData?.poi);
+  const { hazards, markers } = getHoleFeatureDistances(holeData?.poi, measureFrom);
+  const visibleHazards = showAllHazards ? hazards : hazards.slice(0, HAZARDS_SHOWN);
+  
   // Determine what content to show based on our current state
   const renderContent = () => {
     // Loading state while checking permission or starting GPS
@@ -322,45 +306,110 @@ const DistanceIndicator = ({
     
     // Show distances with appropriate indicators
     return (
-      <View style={styles.distancesContainer}>
-        {/* GPS indicator */}
-        <View style={styles.gpsIndicator}>
-          <Ionicons 
-            name={usingGPS ? "locate" : "location-outline"} 
-            size={14} 
-            color={usingGPS ? theme.colors.primary : "#999"} 
-          />
-        </View>
+      <View>
+        <View style={styles.distancesContainer}>
+          {/* GPS indicator */}
+          <View style={styles.gpsIndicator}>
+            <Ionicons 
+              name={usingGPS ? "locate" : "location-outline"} 
+              size={14} 
+              color={usingGPS ? theme.colors.primary : "#999"} 
+            />
+          </View>
         
-        {/* Center distance (most prominent) */}
-        <View style={styles.mainDistanceContainer}>
-          <Typography variant="subtitle" weight="bold" style={styles.mainDistance}>
-            {centerDistance || holeData.distance || '---'}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (C)
-          </Typography>
-        </View>
+          {/* Center distance (most prominent) */}
+          <View style={styles.mainDistanceContainer}>
+            <Typography variant="subtitle" weight="bold" style={styles.mainDistance}>
+              {centerDistance || holeData.distance || '---'}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (C)
+            </Typography>
+          </View>
         
-        {/* Front distance */}
-        <View style={styles.secondaryDistanceContainer}>
-          <Typography variant="body" style={styles.secondaryDistance}>
-            {frontDistance || (holeData.distance ? Math.max(0, holeData.distance - 10) : '---')}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (F)
-          </Typography>
-        </View>
+          {/* Front distance */}
+          <View style={styles.secondaryDistanceContainer}>
+            <Typography variant="body" style={styles.secondaryDistance}>
+              {frontDistance || (holeData.distance ? Math.max(0, holeData.distance - 10) : '---')}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (F)
+            </Typography>
+          </View>
         
-        {/* Back distance */}
-        <View style={styles.secondaryDistanceContainer}>
-          <Typography variant="body" style={styles.secondaryDistance}>
-            {backDistance || (holeData.distance ? holeData.distance + 10 : '---')}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (B)
-          </Typography>
+          {/* Back distance */}
+          <View style={styles.secondaryDistanceContainer}>
+            <Typography variant="body" style={styles.secondaryDistance}>
+              {backDistance || (holeData.distance ? holeData.distance + 10 : '---')}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (B)
+            </Typography>
+          </View>
         </View>
+      
+        {/* Club suggestion from the player's measured distances */}
+        {suggestion && (
+          <View style={styles.suggestionContainer}>
+            <Ionicons name="golf-outline" size={14} color={theme.colors.primary} />
+            <Typography variant="caption" weight="semibold" style={styles.suggestionText}>
+              {suggestion.club}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              (you average {suggestion.average} yd)
+            </Typography>
+          </View>
+        )}
+        
+        {/* Layup markers */}
+        {markers.length > 0 && (
+          <View style={styles.markerRow}>
+            {markers.map(marker => (
+              <View key={marker.distance} style={styles.marker}>
+                <Typography variant="caption" weight="semibold" style={styles.markerLabel}>
+                  {marker.distance}
+                </Typography>
+                <Typography variant="caption" style={styles.distanceLabel}>
+                  {marker.yards} yd
+                </Typography>
+              </View>
+            ))}
+          </View>
+        )}
+        
+        {/* Bunkers and hazards ahead, nearest first */}
+        {visibleHazards.map(hazard => (
+          <View key={hazard.key} style={styles.hazardRow}>
+            <Ionicons
+              name={hazard.type === 'water' ? 'water-outline' : hazard.type === 'trees' ? 'leaf-outline' : 'ellipse-outline'}
+              size={12}
+              color={hazard.type === 'water' ? theme.colors.primary : '#999'}
+            />
+            <Typography variant="caption" style={styles.hazardLabel} numberOfLines={1}>
+              {hazard.label}
+            </Typography>
+            <Typography variant="caption" style={styles.hazardDistance}>
+              {hazard.reach !== null ? `${hazard.reach}` : '-'}
+            </Typography>
+            <Typography variant="caption" style={styles.hazardDistance}>
+              {hazard.carry !== null ? `${hazard.carry}` : '-'}
+            </Typography>
+          </View>
+        ))}
+        {hazards.length > 0 && (
+          <View style={styles.hazardFooter}>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              Reach / carry in yards{!usingGPS ? ' from the tee' : ''}
+            </Typography>
+            {hazards.length > HAZARDS_SHOWN && (
+              <TouchableOpacity onPress={() => setShowAllHazards(!showAllHazards)}>
+                <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                  {showAllHazards ? 'Show fewer' : `Show all (${hazards.length})`}
+                </Typography>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
       </View>
     );
   };
@@ -439,6 +488,56 @@ const styles = StyleSheet.create({
   distanceLabel: {
     color: '#666',
   },
+  markerRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+    paddingLeft: 4,
+  },
+  marker: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    marginRight: 12,
+  },
+  markerLabel: {
+    marginRight: 4,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+    overflow: 'hidden',
+    backgroundColor: '#e8e8e8',
+  },
+  hazardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    paddingLeft: 4,
+  },
+  hazardLabel: {
+    flex: 1,
+    marginLeft: 6,
+    color: '#444',
+  },
+  hazardDistance: {
+    width: 40,
+    textAlign: 'right',
+    color: '#444',
+  },
+  hazardFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+    paddingLeft: 4,
+  },
+  suggestionContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+    paddingLeft: 4,
+  },
+  suggestionText: {
+    marginLeft: 6,
+    marginRight: 4,
+    color: theme.colors.primary,
+  },
   permissionContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,157 @@
+// src/components/GroupScoreEntry.js
+//
+// Stroke entry for playing partners in a group round.
+// The organizer's own score comes from their tracked shots; partners only
+// have a stroke count per hole, entered here from the organizer's phone.
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+
+// Group rounds are limited to a four-ball (the organizer plus three partners)
+export const MAX_GROUP_PARTNERS = 3;
+
+/**
+ * GroupScoreEntry Component
+ *
+ * Lists the organizer's playing partners with a stroke stepper for the current hole.
+ *
+ * @param {Object} props
+ * @param {Array} props.players - Partners, each { position, displayName, inviteEmail, scores: { [hole]: strokes } }
+ * @param {number} props.currentHole - The hole being played
+ * @param {number} props.par - Par of the current hole (first tap on + enters par)
+ * @param {Function} props.onChangeStrokes - Called with (position, strokes) when a score changes
+ * @param {Function} props.onAddPlayer - Called when "Add Player" is pressed
+ * @param {Function} props.onRemovePlayer - Called with position to remove a partner
+ */
+const GroupScoreEntry = ({ players, currentHole, par, onChangeStrokes, onAddPlayer, onRemovePlayer }) => {
+  /**
+   * Step a partner's strokes for the current hole.
+   * An empty hole jumps straight to par, the most common score.
+   */
+  const handleStep = (player, step) => {
+    const current = player.scores?.[currentHole] || 0;
+
+    if (current === 0) {
+      if (step > 0) {
+        onChangeStrokes(player.position, par || 1);
+      }
+      return;
+    }
+
+    onChangeStrokes(player.position, Math.max(0, current + step));
+  };
+
+  /**
+   * Confirm removing a partner from the group
+   */
+  const confirmRemove = (player) => {
+    Alert.alert(
+      "Remove Player?",
+      `${player.displayName}'s scores for this round will be discarded.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Remove", style: "destructive", onPress: () => onRemovePlayer(player.position) }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {players.map(player => {
+        const strokes = player.scores?.[currentHole] || 0;
+
+        return (
+          <View key={`player-${player.position}`} style={styles.playerRow}>
+            <TouchableOpacity
+              style={styles.playerName}
+              onLongPress={() => confirmRemove(player)}
+            >
+              <Typography variant="body" weight="medium" numberOfLines={1}>
+                {player.displayName}
+              </Typography>
+              <Typography variant="caption">
+                {player.inviteEmail ? "Invited" : "Guest"}
+              </Typography>
+            </TouchableOpacity>
+
+            {/* Stroke stepper */}
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => handleStep(player, -1)}
+            >
+              <Ionicons name="remove" size={18} color={theme.colors.primary} />
+            </TouchableOpacity>
+            <Typography variant="body" weight="semibold" style={styles.strokes}>
+              {strokes || "-"}
+            </Typography>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => handleStep(player, 1)}
+            >
+              <Ionicons name="add" size={18} color={theme.colors.primary} />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+
+      {players.length < MAX_GROUP_PARTNERS && (
+        <TouchableOpacity style={styles.addPlayerButton} onPress={onAddPlayer}>
+          <Ionicons name="person-add-outline" size={16} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary} weight="semibold" style={styles.addPlayerText}>
+            {players.length === 0 ? "Add Playing Partners" : "Add Player"}
+          </Typography>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  playerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  playerName: {
+    flex: 1,
+    marginRight: 8,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  strokes: {
+    minWidth: 36,
+    textAlign: 'center',
+    fontSize: 18,
+  },
+  addPlayerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+  },
+  addPlayerText: {
+    marginLeft: 6,
+  },
+});
+
+export default GroupScoreEntry;
@@ -0,0 +1,249 @@
+// src/components/GroupScorecard.js
+//
+// Group card and leaderboard for rounds played with partners.
+// Shown on the ScorecardScreen for everyone in the group.
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import theme from '../ui/theme';
+
+/**
+ * Total strokes and par for the holes a player has a score on
+ */
+const summarizePlayer = (player, holeNumbers, getPar) => {
+  let gross = 0;
+  let par = 0;
+  let holesPlayed = 0;
+
+  holeNumbers.forEach(holeNum => {
+    const strokes = Number(player.scores?.[holeNum]) || 0;
+    if (strokes > 0) {
+      gross += strokes;
+      par += getPar(holeNum) || 0;
+      holesPlayed++;
+    }
+  });
+
+  return { gross, toPar: gross - par, holesPlayed };
+};
+
+/**
+ * Format a score relative to par (E, +3, -1)
+ */
+const formatToPar = (toPar) => {
+  if (toPar === 0) return "E";
+  return toPar > 0 ? `+${toPar}` : `${toPar}`;
+};
+
+/**
+ * GroupScorecard Component
+ *
+ * @param {Object} props
+ * @param {Array} props.players - round_players rows (position, display_name, profile_id, scores)
+ * @param {Array<number>} props.frontHoles - Front nine holes played, in order
+ * @param {Array<number>} props.backHoles - Back nine holes played, in order
+ * @param {Function} props.getPar - Returns the par for a hole number
+ * @param {string} props.currentProfileId - The viewing user, highlighted on the card
+ */
+const GroupScorecard = ({ players, frontHoles, backHoles, getPar, currentProfileId }) => {
+  if (!players || players.length < 2) return null;
+
+  const allHoles = [...frontHoles, ...backHoles];
+
+  // Leaderboard by score to par, then fewest strokes
+  const standings = players
+    .map(player => ({ player, ...summarizePlayer(player, allHoles, getPar) }))
+    .sort((a, b) => (a.toPar - b.toPar) || (a.gross - b.gross));
+
+  const getRank = (entry) => {
+    const rank = standings.findIndex(other => other.toPar === entry.toPar) + 1;
+    const tied = standings.filter(other => other.toPar === entry.toPar).length > 1;
+    return tied ? `T${rank}` : `${rank}`;
+  };
+
+  const isCurrentPlayer = (player) => player.profile_id && player.profile_id === currentProfileId;
+
+  /**
+   * Render a subtotal row (Out / In / Total) across all players
+   */
+  const renderTotalRow = (label, holeNumbers) => (
+    <View style={[styles.row, styles.totalRow]}>
+      <Text style={[styles.holeColumn, styles.boldText]}>{label}</Text>
+      <Text style={[styles.parColumn, styles.boldText]}>
+        {holeNumbers.reduce((total, holeNum) => total + (getPar(holeNum) || 0), 0) || "-"}
+      </Text>
+      {players.map(player => (
+        <Text key={`${label}-${player.position}`} style={[styles.playerColumn, styles.boldText]}>
+          {summarizePlayer(player, holeNumbers, getPar).gross || "-"}
+        </Text>
+      ))}
+    </View>
+  );
+
+  /**
+   * Render one hole across all players
+   */
+  const renderHoleRow = (holeNum) => {
+    const par = getPar(holeNum);
+
+    return (
+      <View key={`group-hole-${holeNum}`} style={styles.row}>
+        <Text style={styles.holeColumn}>{holeNum}</Text>
+        <Text style={styles.parColumn}>{par || "-"}</Text>
+        {players.map(player => {
+          const strokes = Number(player.scores?.[holeNum]) || 0;
+
+          return (
+            <Text
+              key={`hole-${holeNum}-${player.position}`}
+              style={[
+                styles.playerColumn,
+                strokes > 0 && par && strokes < par && styles.underPar,
+                strokes > 0 && par && strokes > par && styles.overPar
+              ]}
+            >
+              {strokes || "-"}
+            </Text>
+          );
+        })}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Leaderboard */}
+      <Text style={styles.sectionTitle}>Leaderboard</Text>
+      {standings.map(entry => (
+        <View
+          key={`standing-${entry.player.position}`}
+          style={[styles.standingRow, isCurrentPlayer(entry.player) && styles.currentPlayerRow]}
+        >
+          <Text style={styles.rankText}>{getRank(entry)}</Text>
+          <Text style={styles.standingName} numberOfLines={1}>{entry.player.display_name}</Text>
+          <Text style={styles.thruText}>
+            {entry.holesPlayed === allHoles.length ? "F" : `Thru ${entry.holesPlayed}`}
+          </Text>
+          <Text style={styles.standingGross}>{entry.gross || "-"}</Text>
+          <Text style={styles.standingToPar}>{entry.holesPlayed > 0 ? formatToPar(entry.toPar) : "-"}</Text>
+        </View>
+      ))}
+
+      {/* Group card */}
+      <Text style={[styles.sectionTitle, styles.cardTitle]}>Group Card</Text>
+      <View style={[styles.row, styles.headerRow]}>
+        <Text style={[styles.holeColumn, styles.boldText]}>Hole</Text>
+        <Text style={[styles.parColumn, styles.boldText]}>Par</Text>
+        {players.map(player => (
+          <Text
+            key={`header-${player.position}`}
+            style={[styles.playerColumn, styles.boldText, isCurrentPlayer(player) && styles.currentPlayerText]}
+            numberOfLines={1}
+          >
+            {player.display_name}
+          </Text>
+        ))}
+      </View>
+
+      {frontHoles.map(renderHoleRow)}
+      {frontHoles.length > 0 && renderTotalRow("Out", frontHoles)}
+      {backHoles.map(renderHoleRow)}
+      {backHoles.length > 0 && renderTotalRow("In", backHoles)}
+      {renderTotalRow("Total", allHoles)}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    marginTop: 8,
+    paddingVertical: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: theme.colors.text,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  cardTitle: {
+    marginTop: 16,
+  },
+  standingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+  },
+  currentPlayerRow: {
+    backgroundColor: "#f0f7f0",
+  },
+  rankText: {
+    width: 32,
+    fontWeight: "bold",
+    color: theme.colors.primary,
+  },
+  standingName: {
+    flex: 1,
+    fontSize: 15,
+  },
+  thruText: {
+    width: 60,
+    fontSize: 12,
+    color: "#666",
+    textAlign: "center",
+  },
+  standingGross: {
+    width: 40,
+    textAlign: "center",
+  },
+  standingToPar: {
+    width: 40,
+    textAlign: "right",
+    fontWeight: "bold",
+  },
+  row: {
+    flexDirection: "row",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#eee",
+  },
+  headerRow: {
+    backgroundColor: "#f5f5f5",
+  },
+  totalRow: {
+    backgroundColor: "#f5f5f5",
+  },
+  holeColumn: {
+    width: 50,
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  parColumn: {
+    width: 40,
+    textAlign: "center",
+  },
+  playerColumn: {
+    flex: 1,
+    textAlign: "center",
+  },
+  boldText: {
+    fontWeight: "bold",
+    fontSize: 12,
+  },
+  currentPlayerText: {
+    color: theme.colors.primary,
+  },
+  underPar: {
+    color: theme.colors.success,
+    fontWeight: "bold",
+  },
+  overPar: {
+    color: theme.colors.error,
+  },
+});
+
+export default GroupScorecard;
@@ -0,0 +1,182 @@
+// src/components/HoleEditModal.js
+//
+// Re-opens one hole of a completed round in the same shot table the tracker
+// uses, so mis-tapped shots can be fixed after the round. Changes stay in
+// the modal until saved.
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, View, StyleSheet, ActivityIndicator } from 'react-native';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import theme from '../ui/theme';
+import ShotTable from './ShotTable';
+import { applyShotDistances, getGreenCoordinates } from '../services/shotDistanceService';
+
+const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+const OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+
+/**
+ * Shot counts by type and outcome, in the shape ShotTable shows
+ */
+const countShots = (shots) => {
+  const counts = {};
+  SHOT_TYPES.forEach(type => {
+    counts[type] = {};
+    OUTCOMES.forEach(outcome => {
+      counts[type][outcome] = shots.filter(shot => shot.type === type && shot.result === outcome).length;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Where an added shot goes in the playing order - after the hole's other
+ * shots of that type, tee shots first and putts last
+ */
+const getInsertIndex = (shots, type) => {
+  const lastOfType = shots.map(shot => shot.type).lastIndexOf(type);
+  if (lastOfType !== -1) return lastOfType + 1;
+  if (type === "Tee Shot") return 0;
+
+  const firstPutt = shots.findIndex(shot => shot.type === "Putts");
+  return type === "Putts" || firstPutt === -1 ? shots.length : firstPutt;
+};
+
+/**
+ * HoleEditModal Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the editor is shown
+ * @param {number} props.holeNumber - Hole being edited
+ * @param {Object} props.holeData - The hole's saved data, or null for a hole with no shots
+ * @param {Object} props.defaults - { par, index, distance } for a hole with no saved data
+ * @param {Array<string>} props.clubs - Clubs in the player's bag
+ * @param {boolean} props.saving - Whether a save is in progress
+ * @param {Function} props.onSave - Called with the hole's new data
+ * @param {Function} props.onClose - Close without saving
+ */
+const HoleEditModal = ({ visible, holeNumber, holeData, defaults = {}, clubs = [], saving = false, onSave, onClose }) => {
+  const [shots, setShots] = useState([]);
+  const [activeColumn, setActiveColumn] = useState(OUTCOMES[0]);
+
+  // Start from the saved shots each time the editor opens
+  useEffect(() => {
+    if (visible) {
+      setShots(holeData?.shots || []);
+      setActiveColumn(OUTCOMES[0]);
+    }
+  }, [visible, holeData]);
+
+  const shotCounts = useMemo(() => countShots(shots), [shots]);
+  const greenCenter = getGreenCoordinates(holeData?.poi).center;
+  const savedShots = holeData?.shots || [];
+  const hasChanges = JSON.stringify(shots) !== JSON.stringify(savedShots);
+
+  const addShot = (type, outcome, club = null) => {
+    const index = getInsertIndex(shots, type);
+    const shot = {
+      type,
+      result: outcome,
+      timestamp: new Date().toISOString(),
+      ...(club ? { club } : {})
+    };
+    setShots(applyShotDistances([...shots.slice(0, index), shot, ...shots.slice(index)], greenCenter));
+  };
+
+  // Remove the last shot of this type and outcome, as the tracker does
+  const removeShot = (type, outcome) => {
+    const index = shots.map(shot => shot.type === type && shot.result === outcome).lastIndexOf(true);
+    if (index === -1) return;
+    setShots(applyShotDistances(shots.filter((_, i) => i !== index), greenCenter));
+  };
+
+  const handleSave = () => {
+    // Edited shots are tracked shots, no longer a quick score
+    const { quickScore, ...savedData } = holeData || {};
+    onSave({
+      par: defaults.par ?? null,
+      index: defaults.index ?? null,
+      distance: defaults.distance ?? null,
+      ...savedData,
+      shots
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Typography variant="subtitle">
+            Edit Hole {holeNumber}
+          </Typography>
+          <Typography variant="caption" style={styles.subtitle}>
+            {`Par ${holeData?.par || defaults.par || "-"} • ${savedShots.length} → ${shots.length} shots`}
+          </Typography>
+
+          <ShotTable
+            shotCounts={shotCounts}
+            activeColumn={activeColumn}
+            setActiveColumn={setActiveColumn}
+            addShot={addShot}
+            removeShot={removeShot}
+            clubs={clubs}
+          />
+
+          {shots.length === 0 && savedShots.length > 0 && (
+            <Typography variant="caption" style={styles.warning}>
+              Saving with no shots clears this hole from the round.
+            </Typography>
+          )}
+
+          <View style={styles.actions}>
+            <Button variant="text" onPress={onClose} disabled={saving}>
+              Cancel
+            </Button>
+            {saving ? (
+              <ActivityIndicator color={theme.colors.primary} />
+            ) : (
+              <Button variant="primary" onPress={handleSave} disabled={!hasChanges}>
+                Save Hole
+              </Button>
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: theme.spacing.large,
+  },
+  subtitle: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+  warning: {
+    color: theme.colors.error,
+    marginTop: theme.spacing.small,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.medium,
+  },
+});
+
+export default HoleEditModal;
@@ -0,0 +1,343 @@
+// src/components/HoleMap.js
+//
+// Schematic map of the current hole drawn from its POI data (tees, green,
+// bunkers, water, trees, yardage markers) with the player's live position.
+// The hole is turned so it plays from the tee at the bottom to the green at
+// the top. Tapping the map measures from the player (or the tee) to that
+// point and on to the green, for planning layups.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableWithoutFeedback, StyleSheet, Dimensions } from "react-native";
+import Svg, { Rect, Circle, Ellipse, Line, Polyline, Text as SvgText } from "react-native-svg";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import { calculateDistance, getGreenCoordinates } from "../services/shotDistanceService";
+import { getTeePosition } from "../services/hazardService";
+
+// Roughly right over the few hundred yards of a golf hole
+const YARDS_PER_DEGREE_LAT = 111320 * 1.09361;
+
+const MAP_PADDING = 20;
+
+// The player is only kept in view when they're near the hole
+const PLAYER_BOUNDS_MARGIN_YARDS = 150;
+
+// Feature sizes in yards, with a minimum on screen
+const FEATURE_RADIUS_YARDS = { bunker: 8, water: 12, trees: 8, green: 12 };
+const MIN_RADIUS_PX = 4;
+
+const COLORS = {
+  rough: "#CFE3C4",
+  fairway: "#A8D08D",
+  green: "#6DBE45",
+  sand: "#EFDFA8",
+  water: "#6FB7E9",
+  trees: "#3F7A3A",
+  tee: "#FFFFFF",
+  marker: "#FFFFFF",
+  measure: "#FF9500",
+};
+
+/**
+ * Flat x/y in yards around an origin point
+ */
+const toLocal = (origin, point) => ({
+  x: (point.lng - origin.lng) * YARDS_PER_DEGREE_LAT * Math.cos(origin.lat * (Math.PI / 180)),
+  y: (point.lat - origin.lat) * YARDS_PER_DEGREE_LAT,
+});
+
+const fromLocal = (origin, local) => ({
+  lat: origin.lat + local.y / YARDS_PER_DEGREE_LAT,
+  lng: origin.lng + local.x / (YARDS_PER_DEGREE_LAT * Math.cos(origin.lat * (Math.PI / 180))),
+});
+
+const rotate = (point, angle) => ({
+  x: point.x * Math.cos(angle) - point.y * Math.sin(angle),
+  y: point.x * Math.sin(angle) + point.y * Math.cos(angle),
+});
+
+/**
+ * Work out how coordinates map onto the map area
+ *
+ * @param {object} poi - Hole POI data
+ * @param {object} playerPosition - { lat, lng } or null
+ * @param {number} width - Map width in px
+ * @param {number} height - Map height in px
+ * @returns {object|null} { toScreen, toLatLng, scale } or null if the hole has no points
+ */
+const buildProjection = (poi, playerPosition, width, height) => {
+  const { center: greenCenter } = getGreenCoordinates(poi);
+  const holePoints = [
+    ...(poi.tees || []),
+    ...(poi.greens || []),
+    ...(poi.bunkers || []),
+    ...(poi.hazards || []),
+  ].filter(point => typeof point.lat === "number" && typeof point.lng === "number");
+
+  const origin = getTeePosition(poi) || holePoints[0];
+  if (!origin) return null;
+
+  // Turn the hole so the green is straight up from the tee
+  const greenLocal = greenCenter ? toLocal(origin, greenCenter) : { x: 0, y: 1 };
+  const angle = Math.atan2(greenLocal.x, greenLocal.y);
+  const project = (point) => rotate(toLocal(origin, point), angle);
+
+  const projected = holePoints.map(project);
+  let minX = Math.min(...projected.map(p => p.x));
+  let maxX = Math.max(...projected.map(p => p.x));
+  let minY = Math.min(...projected.map(p => p.y));
+  let maxY = Math.max(...projected.map(p => p.y));
+
+  if (playerPosition) {
+    const player = project(playerPosition);
+    if (player.x > minX - PLAYER_BOUNDS_MARGIN_YARDS && player.x < maxX + PLAYER_BOUNDS_MARGIN_YARDS &&
+        player.y > minY - PLAYER_BOUNDS_MARGIN_YARDS && player.y < maxY + PLAYER_BOUNDS_MARGIN_YARDS) {
+      minX = Math.min(minX, player.x);
+      maxX = Math.max(maxX, player.x);
+      minY = Math.min(minY, player.y);
+      maxY = Math.max(maxY, player.y);
+    }
+  }
+
+  // Leave room either side of a straight hole
+  const rangeX = Math.max(maxX - minX, 80);
+  const rangeY = Math.max(maxY - minY, 80);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const scale = Math.min((width - MAP_PADDING * 2) / rangeX, (height - MAP_PADDING * 2) / rangeY);
+
+  return {
+    scale,
+    toScreen: (point) => {
+      const p = project(point);
+      return {
+        x: width / 2 + (p.x - centerX) * scale,
+        y: height / 2 - (p.y - centerY) * scale,
+      };
+    },
+    toLatLng: (screen) => {
+      const p = {
+        x: (screen.x - width / 2) / scale + centerX,
+        y: (height / 2 - screen.y) / scale + centerY,
+      };
+      return fromLocal(origin, rotate(p, -angle));
+    },
+  };
+};
+
+/**
+ * HoleMap Component
+ *
+ * @param {Object} props
+ * @param {Object} props.poi - Current hole's POI data ({ greens, bunkers, hazards, tees })
+ * @param {Object} props.playerPosition - Player's { lat, lng }, or null without GPS
+ * @param {number} props.height - Map height in px
+ * @param {Object} props.style - Additional container styles
+ */
+const HoleMap = ({ poi, playerPosition = null, height = 320, style }) => {
+  const [width, setWidth] = useState(Dimensions.get("window").width - 32);
+  const [target, setTarget] = useState(null); // Tapped point { lat, lng }
+
+  // A new hole starts without a measurement
+  useEffect(() => {
+    setTarget(null);
+  }, [poi]);
+
+  const projection = poi ? buildProjection(poi, playerPosition, width, height) : null;
+
+  if (!projection) {
+    return (
+      <View style={[styles.container, styles.emptyContainer, style]}>
+        <Typography variant="caption" style={styles.caption}>
+          No map data for this hole
+        </Typography>
+      </View>
+    );
+  }
+
+  const { toScreen, toLatLng, scale } = projection;
+  const radius = (yards) => Math.max(MIN_RADIUS_PX, yards * scale);
+  const { center: greenCenter } = getGreenCoordinates(poi);
+
+  // Measure from the player when we know where they are, otherwise the tee
+  const measureFrom = playerPosition || getTeePosition(poi);
+  const measurement = target && {
+    fromPlayer: measureFrom ? calculateDistance(measureFrom.lat, measureFrom.lng, target.lat, target.lng) : null,
+    toGreen: greenCenter ? calculateDistance(target.lat, target.lng, greenCenter.lat, greenCenter.lng) : null,
+  };
+
+  const handlePress = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    setTarget(toLatLng({ x: locationX, y: locationY }));
+  };
+
+  // Fairway line from the tee through any dogleg to the green
+  const tee = getTeePosition(poi);
+  const dogleg = (poi.hazards || []).find(hazard => hazard.type === "dogleg");
+  const fairwayPoints = [tee, dogleg, greenCenter].filter(Boolean).map(toScreen);
+
+  const greenRadius = (() => {
+    const front = (poi.greens || []).find(green => green.location === "front");
+    const back = (poi.greens || []).find(green => green.location === "back");
+    return front && back
+      ? Math.max(FEATURE_RADIUS_YARDS.green, calculateDistance(front.lat, front.lng, back.lat, back.lng) / 2)
+      : FEATURE_RADIUS_YARDS.green;
+  })();
+
+  const player = playerPosition && toScreen(playerPosition);
+  const targetPoint = target && toScreen(target);
+  const fromPoint = measureFrom && toScreen(measureFrom);
+  const greenPoint = greenCenter && toScreen(greenCenter);
+
+  return (
+    <View style={[styles.container, style]} onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+      <TouchableWithoutFeedback onPress={handlePress}>
+        <View>
+          <Svg width={width} height={height}>
+            <Rect x={0} y={0} width={width} height={height} fill={COLORS.rough} />
+
+            {fairwayPoints.length > 1 && (
+              <Polyline
+                points={fairwayPoints.map(point => `${point.x},${point.y}`).join(" ")}
+                fill="none"
+                stroke={COLORS.fairway}
+                strokeWidth={Math.max(12, 35 * scale)}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            )}
+
+            {greenPoint && (
+              <Circle cx={greenPoint.x} cy={greenPoint.y} r={radius(greenRadius)} fill={COLORS.green} />
+            )}
+
+            {(poi.bunkers || []).map((bunker, i) => {
+              const point = toScreen(bunker);
+              return (
+                <Ellipse
+                  key={`bunker-${i}`}
+                  cx={point.x}
+                  cy={point.y}
+                  rx={radius(FEATURE_RADIUS_YARDS.bunker)}
+                  ry={radius(FEATURE_RADIUS_YARDS.bunker) * 0.7}
+                  fill={COLORS.sand}
+                />
+              );
+            })}
+
+            {(poi.hazards || []).filter(hazard => hazard.type === "water" || hazard.type === "trees").map((hazard, i) => {
+              const point = toScreen(hazard);
+              return (
+                <Circle
+                  key={`hazard-${i}`}
+                  cx={point.x}
+                  cy={point.y}
+                  r={radius(FEATURE_RADIUS_YARDS[hazard.type])}
+                  fill={COLORS[hazard.type]}
+                  opacity={hazard.type === "trees" ? 0.8 : 1}
+                />
+              );
+            })}
+
+            {(poi.hazards || []).filter(hazard => hazard.type === "distance_marker").map((marker, i) => {
+              const point = toScreen(marker);
+              return (
+                <React.Fragment key={`marker-${i}`}>
+                  <Circle cx={point.x} cy={point.y} r={3} fill={COLORS.marker} />
+                  <SvgText x={point.x + 6} y={point.y + 4} fontSize={10} fill={theme.colors.text}>
+                    {marker.distance}
+                  </SvgText>
+                </React.Fragment>
+              );
+            })}
+
+            {(poi.tees || []).map((teeBox, i) => {
+              const point = toScreen(teeBox);
+              return (
+                <Rect key={`tee-${i}`} x={point.x - 4} y={point.y - 3} width={8} height={6} fill={COLORS.tee} />
+              );
+            })}
+
+            {/* Tap-to-measure lines: from the player or tee to the point, then on to the green */}
+            {targetPoint && fromPoint && (
+              <Line
+                x1={fromPoint.x}
+                y1={fromPoint.y}
+                x2={targetPoint.x}
+                y2={targetPoint.y}
+                stroke={COLORS.measure}
+                strokeWidth={2}
+                strokeDasharray="6,4"
+              />
+            )}
+            {targetPoint && greenPoint && (
+              <Line
+                x1={targetPoint.x}
+                y1={targetPoint.y}
+                x2={greenPoint.x}
+                y2={greenPoint.y}
+                stroke={COLORS.measure}
+                strokeWidth={2}
+                strokeDasharray="6,4"
+              />
+            )}
+            {targetPoint && (
+              <Circle cx={targetPoint.x} cy={targetPoint.y} r={6} fill={COLORS.measure} stroke="#FFFFFF" strokeWidth={2} />
+            )}
+
+            {player && (
+              <Circle cx={player.x} cy={player.y} r={7} fill={theme.colors.primary} stroke="#FFFFFF" strokeWidth={2} />
+            )}
+          </Svg>
+        </View>
+      </TouchableWithoutFeedback>
+
+      {/* Measurement for the tapped point */}
+      <View style={styles.measureBar}>
+        {measurement ? (
+          <>
+            <Typography variant="caption" weight="semibold">
+              {measurement.fromPlayer !== null ? `${measurement.fromPlayer} yd` : "-"}
+              <Typography variant="caption" style={styles.caption}>
+                {playerPosition ? " from you" : " from the tee"}
+              </Typography>
+            </Typography>
+            <Typography variant="caption" weight="semibold">
+              {measurement.toGreen !== null ? `${measurement.toGreen} yd` : "-"}
+              <Typography variant="caption" style={styles.caption}> to green</Typography>
+            </Typography>
+          </>
+        ) : (
+          <Typography variant="caption" style={styles.caption}>
+            Tap the map to measure a layup
+          </Typography>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 8,
+    overflow: "hidden",
+    backgroundColor: "#f8f8f8",
+    marginBottom: 8,
+    marginHorizontal: 8,
+  },
+  emptyContainer: {
+    padding: theme.spacing.medium,
+    alignItems: "center",
+  },
+  measureBar: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingHorizontal: theme.spacing.small,
+    paddingVertical: 6,
+  },
+  caption: {
+    color: theme.colors.secondary,
+  },
+});
+
+export default HoleMap;
@@ -7,11 +7,23 @@ import theme from "../ui/theme";
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * @param {object} props
+ * @param {number} props.currentHole - The hole being played (course numbering)
+ * @param {Function} props.onPreviousHole - Called when the back arrow is pressed
+ * @param {Function} props.onNextHole - Called when the forward arrow is pressed
+ * @param {number} props.totalHoles - Number of holes in the round
+ * @param {Array<number>} props.holeSequence - Holes in playing order, for 9-hole
+ *                                             rounds and shotgun starts (defaults to 1..totalHoles)
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18, holeSequence }) {
+  // Position of the current hole within the round
+  const sequence = holeSequence || Array.from({ length: totalHoles }, (_, i) => i + 1);
+  const position = sequence.indexOf(currentHole) + 1;
+  
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = position <= 1;
+  const isNextDisabled = position >= sequence.length;
 
   return (
     <View style={styles.container}>
@@ -32,7 +44,7 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        <Text style={styles.holeTotalText}>{position} of {sequence.length}</Text>
       </View>
       
       {/* Next hole button */}
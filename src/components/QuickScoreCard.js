@@ -0,0 +1,163 @@
+// src/components/QuickScoreCard.js
+//
+// Quick score entry for one hole: steppers for strokes, putts and penalties
+// with fairway and green toggles, for players who only want a score.
+// The tracker turns what's entered here into stand-in shots.
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import { canToggleGreen, createQuickScore, stepQuickScore } from '../services/quickScoreService';
+
+const COUNTS = [
+  { field: "strokes", label: "Strokes" },
+  { field: "putts", label: "Putts" },
+  { field: "penalties", label: "Penalties" },
+];
+
+/**
+ * QuickScoreCard Component
+ *
+ * @param {Object} props
+ * @param {Object} props.score - Quick score for the hole, or null before it's scored
+ * @param {number} props.par - Par of the hole (an empty hole starts at par)
+ * @param {Function} props.onChange - Called with the updated quick score
+ */
+const QuickScoreCard = ({ score, par, onChange }) => {
+  const holePar = par || 4;
+
+  // The first tap on an empty hole enters par with two putts
+  const handleStep = (field, step) => {
+    if (!score) {
+      if (step > 0) {
+        onChange(createQuickScore(holePar));
+      }
+      return;
+    }
+
+    onChange(stepQuickScore(score, field, step, holePar));
+  };
+
+  const handleToggle = (field) => {
+    onChange({ ...(score || createQuickScore(holePar)), [field]: !score?.[field] });
+  };
+
+  const renderToggle = (field, label, disabled = false) => {
+    const isOn = !!score?.[field];
+
+    return (
+      <TouchableOpacity
+        key={field}
+        style={[styles.toggle, isOn && styles.toggleOn, disabled && styles.toggleDisabled]}
+        disabled={disabled}
+        onPress={() => handleToggle(field)}
+      >
+        <Ionicons
+          name={isOn ? "checkmark-circle" : "ellipse-outline"}
+          size={18}
+          color={isOn ? "#FFFFFF" : theme.colors.primary}
+        />
+        <Typography variant="caption" weight="semibold" color={isOn ? "#FFFFFF" : theme.colors.primary} style={styles.toggleText}>
+          {label}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {COUNTS.map(({ field, label }) => (
+        <View key={field} style={styles.countRow}>
+          <Typography variant="body" weight="medium" style={styles.countLabel}>
+            {label}
+          </Typography>
+          <TouchableOpacity
+            style={styles.stepButton}
+            onPress={() => handleStep(field, -1)}
+          >
+            <Ionicons name="remove" size={18} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <Typography variant="body" weight="semibold" style={styles.count}>
+            {score ? score[field] : "-"}
+          </Typography>
+          <TouchableOpacity
+            style={styles.stepButton}
+            onPress={() => handleStep(field, 1)}
+          >
+            <Ionicons name="add" size={18} color={theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.toggles}>
+        {/* Fairways only count on par 4s and 5s */}
+        {holePar >= 4 && renderToggle("fairwayHit", "Fairway")}
+        {renderToggle("greenInRegulation", "Green in Reg", !!score && !canToggleGreen(score, holePar))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  countRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  countLabel: {
+    flex: 1,
+  },
+  stepButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  count: {
+    minWidth: 44,
+    textAlign: 'center',
+    fontSize: 20,
+  },
+  toggles: {
+    flexDirection: 'row',
+    paddingVertical: 10,
+  },
+  toggle: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    backgroundColor: '#fff',
+    marginHorizontal: 4,
+  },
+  toggleOn: {
+    backgroundColor: theme.colors.primary,
+  },
+  toggleDisabled: {
+    opacity: 0.5,
+  },
+  toggleText: {
+    marginLeft: 6,
+  },
+});
+
+export default QuickScoreCard;
@@ -0,0 +1,145 @@
+// src/components/RoundOptionsModal.js
+//
+// Tidying up a completed round from the round list: archive it, leave it
+// out of the handicap and stats (with the reason), or delete it.
+
+import React from 'react';
+import { Modal, View, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import theme from '../ui/theme';
+import { STATS_EXCLUSIONS } from '../services/roundservice';
+
+/**
+ * RoundOptionsModal Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the options are shown
+ * @param {Object} props.round - Round from the list (courseName, date, isArchived, statsExclusion)
+ * @param {boolean} props.busy - Whether a change is being saved
+ * @param {Function} props.onToggleArchived - Archive the round, or restore an archived one
+ * @param {Function} props.onSetStatsExclusion - Called with a STATS_EXCLUSIONS key, or null to count the round
+ * @param {Function} props.onDelete - Delete the round (the screen confirms first)
+ * @param {Function} props.onClose - Close the options
+ */
+const RoundOptionsModal = ({ visible, round, busy = false, onToggleArchived, onSetStatsExclusion, onDelete, onClose }) => {
+  const exclusionOptions = [{ key: null, label: "Counts" }, ...Object.values(STATS_EXCLUSIONS)];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Typography variant="subtitle">
+            {round?.courseName}
+          </Typography>
+          {round?.date && (
+            <Typography variant="caption" style={styles.subtitle}>
+              {new Date(round.date).toLocaleDateString()}
+            </Typography>
+          )}
+
+          <Typography variant="body" weight="semibold" style={styles.sectionTitle}>
+            Handicap, stats and insights
+          </Typography>
+          <View style={styles.chips}>
+            {exclusionOptions.map(option => {
+              const isActive = (round?.statsExclusion || null) === option.key;
+              return (
+                <TouchableOpacity
+                  key={option.key || "counts"}
+                  style={[styles.chip, isActive && styles.chipActive]}
+                  disabled={busy || isActive}
+                  onPress={() => onSetStatsExclusion(option.key)}
+                >
+                  <Typography variant="caption" weight="semibold" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+                    {option.label}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Typography variant="caption" style={styles.helpText}>
+            Practice rounds, scrambles and rounds played hurt can be left out. They stay in your round list.
+          </Typography>
+
+          {busy ? (
+            <ActivityIndicator color={theme.colors.primary} style={styles.busy} />
+          ) : (
+            <View style={styles.actions}>
+              <Button variant="outline" onPress={onToggleArchived} iconLeft="archive-outline">
+                {round?.isArchived ? "Unarchive" : "Archive"}
+              </Button>
+              <Button variant="text" onPress={onDelete} textStyle={styles.deleteText}>
+                Delete Round
+              </Button>
+            </View>
+          )}
+
+          <Button variant="text" onPress={onClose} disabled={busy}>
+            Close
+          </Button>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: theme.spacing.large,
+  },
+  subtitle: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+  sectionTitle: {
+    marginTop: theme.spacing.medium,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.small,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  helpText: {
+    color: theme.colors.secondary,
+  },
+  busy: {
+    marginVertical: theme.spacing.medium,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.medium,
+  },
+  deleteText: {
+    color: theme.colors.error,
+  },
+});
+
+export default RoundOptionsModal;
@@ -5,9 +5,11 @@
 
 import React from 'react';
 import { TouchableOpacity, View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
+import { STATS_EXCLUSIONS } from '../services/roundservice';
 
 /**
  * RoundSummaryCard Component
@@ -16,11 +18,17 @@ import Card from '../ui/components/Card';
  * and performance metrics. Used across multiple screens for consistent display.
  * 
  * @param {Object} props
- * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots,
+ *                               isPendingSync for rounds still in the offline queue, and isArchived and
+ *                               statsExclusion (STATS_EXCLUSIONS key) for rounds tidied away, and
+ *                               isPendingAcceptance for rounds a partner scored that the player hasn't accepted
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
+ * @param {Function} props.onOptionsPress - Shows a "..." button that calls this, when set
  */
-const RoundSummaryCard = ({ round, onPress }) => {
+const RoundSummaryCard = ({ round, onPress, onOptionsPress }) => {
   if (!round) return null;
+  
+  const exclusion = Object.values(STATS_EXCLUSIONS).find(option => option.key === round.statsExclusion);
 
   return (
     <TouchableOpacity
@@ -40,8 +48,59 @@ const RoundSummaryCard = ({ round, onPress }) => {
           <Typography variant="caption">
             {new Date(round.date).toLocaleDateString()}
           </Typography>
+          {onOptionsPress && (
+            <TouchableOpacity
+              onPress={onOptionsPress}
+              style={styles.optionsButton}
+              hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            >
+              <Ionicons name="ellipsis-horizontal" size={18} color={theme.colors.secondary} />
+            </TouchableOpacity>
+          )}
         </View>
         
+        {/* Archived, or left out of the handicap and stats */}
+        {(round.isArchived || exclusion) && (
+          <View style={styles.pendingSyncRow}>
+            {round.isArchived && (
+              <View style={styles.statusBadge}>
+                <Ionicons name="archive-outline" size={12} color={theme.colors.secondary} />
+                <Typography variant="caption" color={theme.colors.secondary} style={styles.pendingSyncText}>
+                  Archived
+                </Typography>
+              </View>
+            )}
+            {exclusion && (
+              <View style={styles.statusBadge}>
+                <Ionicons name="eye-off-outline" size={12} color={theme.colors.secondary} />
+                <Typography variant="caption" color={theme.colors.secondary} style={styles.pendingSyncText}>
+                  Not in stats • {exclusion.label}
+                </Typography>
+              </View>
+            )}
+          </View>
+        )}
+        
+        {/* Scored by a partner - doesn't count until the player accepts it */}
+        {round.isPendingAcceptance && (
+          <View style={styles.pendingSyncRow}>
+            <Ionicons name="people-outline" size={14} color={theme.colors.accent} />
+            <Typography variant="caption" color={theme.colors.accent} style={styles.pendingSyncText}>
+              Scored by a partner • Not counted until you accept
+            </Typography>
+          </View>
+        )}
+        
+        {/* Pending sync badge - round is saved on the device only */}
+        {round.isPendingSync && (
+          <View style={styles.pendingSyncRow}>
+            <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.accent} />
+            <Typography variant="caption" color={theme.colors.accent} style={styles.pendingSyncText}>
+              Pending sync
+            </Typography>
+          </View>
+        )}
+        
         {/* Stats row - only show for completed rounds */}
         <View style={styles.cardStatsRow}>
           {/* Gross shots (more prominent) */}
@@ -98,6 +157,22 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: "#f0f0f0",
   },
+  pendingSyncRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: theme.spacing.medium,
+  },
+  pendingSyncText: {
+    marginLeft: 4,
+  },
+  optionsButton: {
+    marginLeft: theme.spacing.small,
+  },
+  statusBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: theme.spacing.medium,
+  },
   courseName: {
     flex: 1,
     marginRight: theme.spacing.small,
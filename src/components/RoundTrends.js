@@ -0,0 +1,298 @@
+// src/components/RoundTrends.js
+//
+// Charts of the player's completed rounds for the Rounds tab: score to par,
+// gross score or shot outcome percentages, with a rolling average and the
+// best and worst rounds marked. Tapping a point opens that round.
+
+import React, { useState, useEffect, useContext } from "react";
+import { View, ScrollView, TouchableOpacity, ActivityIndicator, StyleSheet, Dimensions } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getRoundTrends,
+  getTrendSeries,
+  TREND_METRICS,
+  OUTCOME_CATEGORIES,
+  OUTCOME_RESULTS,
+  ROLLING_WINDOW,
+} from "../services/roundTrendService";
+
+const HOLE_COUNT_OPTIONS = [
+  { value: null, label: "All Lengths" },
+  { value: 18, label: "18 Holes" },
+  { value: 9, label: "9 Holes" },
+];
+
+// Horizontal space per round before the chart starts scrolling
+const POINT_SPACING = 36;
+
+/**
+ * Format a chart value for the metric (+2, 84, 65%)
+ */
+const formatValue = (value, metric) => {
+  if (metric === TREND_METRICS.OUTCOMES.key) return `${value}%`;
+  if (metric === TREND_METRICS.SCORE_TO_PAR.key) {
+    return value > 0 ? `+${value}` : value === 0 ? "E" : `${value}`;
+  }
+  return `${value}`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+/**
+ * RoundTrends Component
+ *
+ * @param {Object} props
+ * @param {Function} props.onRoundPress - Called with a round ID when a point or marker is tapped
+ */
+const RoundTrends = ({ onRoundPress }) => {
+  const { user } = useContext(AuthContext);
+
+  const [filters, setFilters] = useState({ courseId: null, teeName: null, holeCount: null });
+  const [metric, setMetric] = useState(TREND_METRICS.SCORE_TO_PAR.key);
+  const [category, setCategory] = useState(OUTCOME_CATEGORIES[0]);
+  const [result, setResult] = useState(OUTCOME_RESULTS[0].key);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchTrends() {
+      if (!user) return;
+
+      setLoading(true);
+      const trends = await getRoundTrends(user.id, filters);
+      setData(trends);
+      setLoading(false);
+    }
+
+    fetchTrends();
+  }, [user, filters]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value,
+      // Tees belong to a course, so a new course starts with all tees
+      ...(key === "courseId" ? { teeName: null } : {}),
+    }));
+  };
+
+  /**
+   * Render a row of chips
+   */
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value ?? "all"}
+          style={[styles.chip, selected === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Typography
+            variant="caption"
+            weight="semibold"
+            color={selected === option.value ? "#FFFFFF" : theme.colors.primary}
+          >
+            {option.label}
+          </Typography>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  /**
+   * Render the best or worst round as a tappable row
+   */
+  const renderMarker = (label, point, color) => (
+    <TouchableOpacity style={styles.markerRow} onPress={() => onRoundPress(point.round.id)}>
+      <View style={[styles.markerDot, { backgroundColor: color }]} />
+      <Typography variant="caption" weight="semibold" style={styles.markerLabel}>
+        {label}
+      </Typography>
+      <Typography variant="caption" style={styles.markerDetail} numberOfLines={1}>
+        {formatValue(point.value, metric)} • {point.round.courseName} • {formatDate(point.round.date)}
+      </Typography>
+    </TouchableOpacity>
+  );
+
+  const courseOptions = [
+    { value: null, label: "All Courses" },
+    ...(data?.courses || []).map(course => ({ value: course.id, label: course.name })),
+  ];
+  const teeOptions = [
+    { value: null, label: "All Tees" },
+    ...(data?.tees || []).map(tee => ({ value: tee, label: tee })),
+  ];
+
+  const series = data ? getTrendSeries(data.rounds, metric, { category, result }) : null;
+  const chartWidth = Dimensions.get("window").width - 64;
+
+  const renderChart = () => {
+    if (loading) {
+      return <ActivityIndicator size="large" color={theme.colors.primary} style={styles.placeholder} />;
+    }
+    if (!data) {
+      return (
+        <Typography variant="caption" style={styles.placeholder}>
+          Couldn't load your rounds. Try again later.
+        </Typography>
+      );
+    }
+    if (series.points.length < 2) {
+      return (
+        <Typography variant="caption" style={styles.placeholder}>
+          {metric === TREND_METRICS.OUTCOMES.key
+            ? `Track ${category.toLowerCase()} results in at least two rounds to see a trend.`
+            : "Complete at least two rounds matching these filters to see a trend."}
+        </Typography>
+      );
+    }
+
+    const { points, rolling, best, worst } = series;
+    const labelEvery = Math.ceil(points.length / 6);
+
+    return (
+      <>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chartScroll}>
+          <LineChart
+            data={{
+              labels: points.map((point, i) => {
+                if (i % labelEvery !== 0) return "";
+                const date = new Date(point.round.date);
+                return `${date.getMonth() + 1}/${date.getDate()}`;
+              }),
+              datasets: [
+                { data: points.map(point => point.value) },
+                {
+                  data: rolling,
+                  color: (opacity = 1) => `rgba(142, 142, 147, ${opacity})`,
+                  strokeWidth: 2,
+                  withDots: false,
+                },
+              ],
+              legend: ["Round", `${ROLLING_WINDOW}-round average`],
+            }}
+            width={Math.max(chartWidth, points.length * POINT_SPACING)}
+            height={220}
+            chartConfig={{
+              backgroundGradientFrom: "#FFFFFF",
+              backgroundGradientTo: "#FFFFFF",
+              decimalPlaces: 0,
+              color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+              labelColor: () => theme.colors.secondary,
+              propsForDots: { r: "4" },
+            }}
+            getDotColor={(value, index) => {
+              if (index === best) return theme.colors.success;
+              if (index === worst) return theme.colors.error;
+              return theme.colors.primary;
+            }}
+            onDataPointClick={({ index, dataset }) => {
+              // Only the round line has points to tap, not the rolling average
+              if (dataset.withDots === false) return;
+              onRoundPress(points[index].round.id);
+            }}
+            style={styles.chart}
+          />
+        </ScrollView>
+
+        {renderMarker("Best", points[best], theme.colors.success)}
+        {best !== worst && renderMarker("Worst", points[worst], theme.colors.error)}
+        <Typography variant="caption" style={styles.hint}>
+          Tap a point to open that round's scorecard.
+        </Typography>
+      </>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      {/* Filters */}
+      {courseOptions.length > 2 && renderChips(courseOptions, filters.courseId, value => updateFilter("courseId", value))}
+      {teeOptions.length > 2 && renderChips(teeOptions, filters.teeName, value => updateFilter("teeName", value))}
+      {renderChips(HOLE_COUNT_OPTIONS, filters.holeCount, value => updateFilter("holeCount", value))}
+
+      <Card style={styles.card}>
+        {/* What to plot */}
+        {renderChips(
+          Object.values(TREND_METRICS).map(option => ({ value: option.key, label: option.label })),
+          metric,
+          setMetric
+        )}
+        {metric === TREND_METRICS.OUTCOMES.key && (
+          <>
+            {renderChips(OUTCOME_CATEGORIES.map(key => ({ value: key, label: key })), category, setCategory)}
+            {renderChips(OUTCOME_RESULTS.map(({ key }) => ({ value: key, label: `% ${key}` })), result, setResult)}
+          </>
+        )}
+
+        {renderChart()}
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingBottom: 24,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  card: {
+    marginTop: theme.spacing.small,
+    width: "100%",
+  },
+  chartScroll: {
+    marginTop: theme.spacing.small,
+    marginLeft: -16,
+    flexGrow: 0,
+  },
+  chart: {
+    borderRadius: 8,
+  },
+  placeholder: {
+    marginVertical: theme.spacing.large,
+    color: theme.colors.secondary,
+    textAlign: "center",
+  },
+  markerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  markerDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  markerLabel: {
+    width: 44,
+  },
+  markerDetail: {
+    flex: 1,
+    color: theme.colors.secondary,
+  },
+  hint: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+});
+
+export default RoundTrends;
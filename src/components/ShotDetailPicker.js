@@ -0,0 +1,82 @@
+// src/components/ShotDetailPicker.js
+//
+// Compact picker for where a shot finished: the way it missed and the lie
+// it ended up in. Both are optional, and tapping the selected chip clears it.
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import { MISS_DIRECTIONS, SHOT_LIES, NO_LIE_TYPES } from '../services/dispersionService';
+
+/**
+ * ShotDetailPicker Component
+ *
+ * @param {Object} props
+ * @param {Object} props.shot - Shot being described ({ type, missDirection?, lie? })
+ * @param {Function} props.onChange - Called with { missDirection } or { lie }; null clears it
+ */
+const ShotDetailPicker = ({ shot, onChange }) => {
+  const renderRow = (label, field, options) => (
+    <View style={styles.row}>
+      <Typography variant="caption" weight="semibold" style={styles.rowLabel}>
+        {label}
+      </Typography>
+      <View style={styles.chips}>
+        {Object.values(options).map(option => {
+          const isActive = shot?.[field] === option.key;
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.chip, isActive && styles.chipActive]}
+              onPress={() => onChange({ [field]: isActive ? null : option.key })}
+            >
+              <Typography variant="caption" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+                {option.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  return (
+    <View>
+      {renderRow("Miss", "missDirection", MISS_DIRECTIONS)}
+      {!NO_LIE_TYPES.includes(shot?.type) && renderRow("Lie", "lie", SHOT_LIES)}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 4,
+  },
+  rowLabel: {
+    width: 36,
+    paddingTop: 4,
+  },
+  chips: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 6,
+    marginBottom: 6,
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+export default ShotDetailPicker;
@@ -7,6 +7,9 @@ import React, { useEffect, useState } from "react";
 import { View, TouchableOpacity, StyleSheet, Dimensions } from "react-native";
 import Typography from "../ui/components/Typography";
 import theme from "../ui/theme";
+import ClubPickerModal from "./ClubPickerModal";
+import ShotDetailPicker from "./ShotDetailPicker";
+import { NO_DETAIL_TYPES } from "../services/dispersionService";
 
 // Get screen dimensions for responsive calculations
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
@@ -29,6 +32,9 @@ const DISPLAY_TO_DATA_MAPPING = {
   "Bad": "Recovery Needed"
 };
 
+// Shots recorded without asking for a club
+const NO_CLUB_TYPES = ["Penalties"];
+
 // Domain-specific utility function for outcome display transformation
 const getDisplayOutcome = (outcome) => OUTCOME_DISPLAY_MAPPING[outcome] || outcome;
 
@@ -46,12 +52,18 @@ const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayO
  * @param {Object} props.shotCounts - Current shot count data
  * @param {string} props.activeColumn - Currently selected outcome column
  * @param {Function} props.setActiveColumn - Function to set active column
- * @param {Function} props.addShot - Function to add a shot
+ * @param {Function} props.addShot - Function to add a shot (type, outcome, club)
  * @param {Function} props.removeShot - Function to remove a shot
+ * @param {Array<string>} props.clubs - Clubs in the player's bag; when set, adding a shot asks for the club
+ * @param {string} props.suggestedClub - Club to highlight in the picker
+ * @param {Object} props.lastShot - Most recent shot on the hole, offered for a miss direction and lie
+ * @param {Function} props.onUpdateLastShot - Called with { missDirection } or { lie } for the last shot
  */
-export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot }) {
+export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot, clubs = [], suggestedClub = null, lastShot = null, onUpdateLastShot }) {
   const [tableWidth, setTableWidth] = useState(SCREEN_WIDTH - theme.spacing.medium * 2);
   const [calculatedStyles, setCalculatedStyles] = useState({});
+  const [pendingShot, setPendingShot] = useState(null); // Shot waiting for its club
+  const [dismissedShot, setDismissedShot] = useState(null); // Timestamp of the last shot whose details were closed
   
   // Ensure activeColumn is always valid by applying defensive programming
   useEffect(() => {
@@ -163,6 +175,27 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
   // Extract outcomes from the first shot type to ensure we maintain data model integrity
   const outcomes = Object.keys(shotCounts[SHOT_TYPES[0]] || {});
 
+  // Ask for the club first when the player has a bag set up
+  const handleAddShot = (type, outcome) => {
+    if (clubs.length === 0 || NO_CLUB_TYPES.includes(type)) {
+      addShot(type, outcome);
+    } else if (type === "Putts" && clubs.includes("Putter")) {
+      addShot(type, outcome, "Putter");
+    } else {
+      setPendingShot({ type, outcome });
+    }
+  };
+
+  const handleSelectClub = (club) => {
+    addShot(pendingShot.type, pendingShot.outcome, club);
+    setPendingShot(null);
+  };
+
+  // Where the last shot finished - optional, so it can be closed unanswered
+  const showShotDetail = !!lastShot && !!onUpdateLastShot &&
+    !NO_DETAIL_TYPES.includes(lastShot.type) &&
+    lastShot.timestamp !== dismissedShot;
+
   return (
     <View 
       style={styles.container} 
@@ -276,7 +309,7 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
                     
                     {/* Increment button */}
                     <TouchableOpacity
-                      onPress={() => addShot(type, outcome)}
+                      onPress={() => handleAddShot(type, outcome)}
                       style={[
                         styles.actionButton,
                         { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
@@ -307,6 +340,34 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
           })}
         </View>
       ))}
+      
+      {showShotDetail && (
+        <View style={styles.shotDetail}>
+          <View style={styles.shotDetailHeader}>
+            <Typography variant="caption" weight="semibold" style={styles.shotDetailTitle}>
+              {`Last shot: ${lastShot.result} ${lastShot.type}`}
+            </Typography>
+            <TouchableOpacity
+              onPress={() => setDismissedShot(lastShot.timestamp)}
+              hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            >
+              <Typography variant="caption" color={theme.colors.primary}>
+                Done
+              </Typography>
+            </TouchableOpacity>
+          </View>
+          <ShotDetailPicker shot={lastShot} onChange={onUpdateLastShot} />
+        </View>
+      )}
+      
+      <ClubPickerModal
+        visible={!!pendingShot}
+        clubs={clubs}
+        shotLabel={pendingShot ? `${pendingShot.outcome} ${pendingShot.type}` : null}
+        suggestedClub={suggestedClub}
+        onSelect={handleSelectClub}
+        onClose={() => setPendingShot(null)}
+      />
     </View>
   );
 }
@@ -377,6 +438,20 @@ const styles = StyleSheet.create({
     paddingHorizontal: theme.spacing.small,
     maxWidth: '100%', // Critical: Ensure buttons stay within container
   },
+  shotDetail: {
+    paddingHorizontal: theme.spacing.small,
+    paddingVertical: 6,
+    backgroundColor: '#f8f8f8',
+  },
+  shotDetailHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  shotDetailTitle: {
+    flex: 1,
+    color: theme.colors.secondary,
+  },
   actionButton: {
     justifyContent: "center",
     alignItems: "center",
@@ -0,0 +1,234 @@
+// src/components/ShotTimeline.js
+//
+// The current hole's shots in the order played. Tapping a shot opens it to
+// change its type, outcome, miss direction or lie, move it, insert a shot
+// after it or delete it, so a mis-tapped sequence can be put right while
+// it's still fresh.
+
+import React, { useEffect, useState } from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import {
+  SHOT_TYPES,
+  SHOT_OUTCOMES,
+  moveShot,
+  insertShot,
+  deleteShot,
+  updateShot
+} from '../services/shotTimelineService';
+import { NO_DETAIL_TYPES, formatShotDetail } from '../services/dispersionService';
+import ShotDetailPicker from './ShotDetailPicker';
+
+// Outcome colours, as on the scorecard
+const OUTCOME_COLORS = {
+  "On Target": "#e6ffe6",
+  "Slightly Off": "#fff9e6",
+  "Recovery Needed": "#ffe6e6"
+};
+
+/**
+ * ShotTimeline Component
+ *
+ * @param {Object} props
+ * @param {Array} props.shots - The hole's shots in the order played
+ * @param {Function} props.onChange - Called with the edited shots
+ */
+const ShotTimeline = ({ shots, onChange }) => {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+
+  // Drop the selection if the shot it pointed at is gone
+  useEffect(() => {
+    if (selectedIndex !== null && selectedIndex >= shots.length) {
+      setSelectedIndex(null);
+    }
+  }, [shots.length, selectedIndex]);
+
+  const handleMove = (index, step) => {
+    onChange(moveShot(shots, index, index + step));
+    setSelectedIndex(index + step);
+  };
+
+  const handleInsert = (index, type) => {
+    onChange(insertShot(shots, index, { type, result: SHOT_OUTCOMES[0] }));
+    setSelectedIndex(index);
+  };
+
+  const handleDelete = (index) => {
+    onChange(deleteShot(shots, index));
+    setSelectedIndex(null);
+  };
+
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles.chips}>
+      {options.map(option => {
+        const isActive = option === selected;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, isActive && styles.chipActive]}
+            disabled={isActive}
+            onPress={() => onSelect(option)}
+          >
+            <Typography variant="caption" weight="semibold" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+              {option}
+            </Typography>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderEditor = (shot, index) => (
+    <View style={styles.editor}>
+      {renderChips(SHOT_TYPES, shot.type, type => onChange(updateShot(shots, index, { type })))}
+      {renderChips(SHOT_OUTCOMES, shot.result, result => onChange(updateShot(shots, index, { result })))}
+      {!NO_DETAIL_TYPES.includes(shot.type) && (
+        <ShotDetailPicker shot={shot} onChange={changes => onChange(updateShot(shots, index, changes))} />
+      )}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.action} disabled={index === 0} onPress={() => handleMove(index, -1)}>
+          <Ionicons name="arrow-up" size={18} color={index === 0 ? theme.colors.border : theme.colors.primary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.action} disabled={index === shots.length - 1} onPress={() => handleMove(index, 1)}>
+          <Ionicons name="arrow-down" size={18} color={index === shots.length - 1 ? theme.colors.border : theme.colors.primary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.action} onPress={() => handleInsert(index + 1, shot.type)}>
+          <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary} style={styles.actionText}>
+            Insert After
+          </Typography>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.action} onPress={() => handleDelete(index)}>
+          <Ionicons name="trash-outline" size={18} color={theme.colors.error} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {shots.length === 0 ? (
+        <TouchableOpacity style={styles.emptyRow} onPress={() => handleInsert(0, SHOT_TYPES[0])}>
+          <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary} style={styles.actionText}>
+            Add the first shot
+          </Typography>
+        </TouchableOpacity>
+      ) : shots.map((shot, index) => {
+        const isSelected = index === selectedIndex;
+        return (
+          <View key={`shot-${index}`}>
+            <TouchableOpacity
+              style={[styles.shotRow, isSelected && styles.shotRowSelected]}
+              onPress={() => setSelectedIndex(isSelected ? null : index)}
+            >
+              <Typography variant="body" weight="semibold" style={styles.shotNumber}>
+                {index + 1}
+              </Typography>
+              <View style={styles.shotType}>
+                <Typography variant="body" numberOfLines={1}>
+                  {shot.type}{shot.club ? ` • ${shot.club}` : ""}
+                </Typography>
+                {formatShotDetail(shot) !== "" && (
+                  <Typography variant="caption" style={styles.shotDetail} numberOfLines={1}>
+                    {formatShotDetail(shot)}
+                  </Typography>
+                )}
+              </View>
+              <View style={[styles.outcome, { backgroundColor: OUTCOME_COLORS[shot.result] || '#f0f0f0' }]}>
+                <Typography variant="caption">
+                  {shot.result === "Recovery Needed" ? "Bad" : shot.result}
+                </Typography>
+              </View>
+              <Ionicons name={isSelected ? "chevron-up" : "chevron-down"} size={16} color={theme.colors.secondary} />
+            </TouchableOpacity>
+            {isSelected && renderEditor(shot, index)}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginTop: 8,
+  },
+  emptyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+  },
+  shotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  shotRowSelected: {
+    borderBottomWidth: 0,
+  },
+  shotNumber: {
+    width: 24,
+  },
+  shotType: {
+    flex: 1,
+    marginRight: 8,
+  },
+  shotDetail: {
+    color: theme.colors.secondary,
+  },
+  outcome: {
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    marginRight: 6,
+  },
+  editor: {
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 6,
+  },
+  actionText: {
+    marginLeft: 4,
+  },
+});
+
+export default ShotTimeline;
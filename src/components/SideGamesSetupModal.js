@@ -0,0 +1,284 @@
+// src/components/SideGamesSetupModal.js
+//
+// Choose the side games a group is playing: which games, gross or net,
+// who plays whom in the head-to-head games, course handicaps and presses.
+
+import React, { useState, useEffect } from 'react';
+import { Modal, View, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import { SIDE_GAMES, SIDE_GAME_LABELS, createSideGameSettings } from '../services/sideGameService';
+
+const PRESS_OPTIONS = [0, 1, 2, 3];
+
+/**
+ * SideGamesSetupModal Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSave - Called with the new side game settings
+ * @param {Array} props.players - Group players with position and displayName
+ * @param {Object|null} props.settings - Current settings, or null for a new setup
+ * @param {Object} props.defaultHandicaps - Course handicaps to start from, keyed by position
+ */
+const SideGamesSetupModal = ({ visible, onClose, onSave, players, settings, defaultHandicaps = {} }) => {
+  const [draft, setDraft] = useState(() => createSideGameSettings(players));
+
+  // Start from the saved settings each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      const base = settings || createSideGameSettings(players);
+      setDraft({ ...base, handicaps: { ...defaultHandicaps, ...base.handicaps } });
+    }
+  }, [visible]);
+
+  const toggleGame = (game) => {
+    setDraft(prev => ({ ...prev, games: { ...prev.games, [game]: !prev.games[game] } }));
+  };
+
+  /**
+   * Tap a player to put them in the head-to-head match.
+   * The most recently chosen two players are kept.
+   */
+  const toggleOpponent = (position) => {
+    setDraft(prev => {
+      if (prev.opponents.includes(position)) {
+        return { ...prev, opponents: prev.opponents.filter(p => p !== position) };
+      }
+      return { ...prev, opponents: [...prev.opponents, position].slice(-2) };
+    });
+  };
+
+  const stepHandicap = (position, step) => {
+    setDraft(prev => {
+      const current = Number(prev.handicaps?.[position]) || 0;
+      return {
+        ...prev,
+        handicaps: { ...prev.handicaps, [position]: Math.max(-10, Math.min(54, current + step)) }
+      };
+    });
+  };
+
+  const needsOpponents = draft.games[SIDE_GAMES.MATCH_PLAY] || draft.games[SIDE_GAMES.NASSAU];
+  const canSave = !needsOpponents || draft.opponents.length === 2;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Typography variant="subtitle" style={styles.title}>
+            Side Games
+          </Typography>
+
+          <ScrollView>
+            {/* Games */}
+            {Object.values(SIDE_GAMES).map(game => (
+              <TouchableOpacity key={game} style={styles.optionRow} onPress={() => toggleGame(game)}>
+                <Typography variant="body">{SIDE_GAME_LABELS[game]}</Typography>
+                <Ionicons
+                  name={draft.games[game] ? "checkbox" : "square-outline"}
+                  size={22}
+                  color={theme.colors.primary}
+                />
+              </TouchableOpacity>
+            ))}
+
+            {/* Gross or net */}
+            <Typography variant="caption" weight="semibold" style={styles.sectionLabel}>
+              Scoring
+            </Typography>
+            <View style={styles.chipRow}>
+              {[false, true].map(net => (
+                <TouchableOpacity
+                  key={net ? "net" : "gross"}
+                  style={[styles.chip, draft.net === net && styles.chipActive]}
+                  onPress={() => setDraft(prev => ({ ...prev, net }))}
+                >
+                  <Typography
+                    variant="caption"
+                    weight="semibold"
+                    color={draft.net === net ? "#FFFFFF" : theme.colors.primary}
+                  >
+                    {net ? "Net" : "Gross"}
+                  </Typography>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Head-to-head players */}
+            {needsOpponents && (
+              <>
+                <Typography variant="caption" weight="semibold" style={styles.sectionLabel}>
+                  Match Play & Nassau (choose two)
+                </Typography>
+                <View style={styles.chipRow}>
+                  {players.map(player => {
+                    const selected = draft.opponents.includes(player.position);
+                    return (
+                      <TouchableOpacity
+                        key={`opponent-${player.position}`}
+                        style={[styles.chip, selected && styles.chipActive]}
+                        onPress={() => toggleOpponent(player.position)}
+                      >
+                        <Typography
+                          variant="caption"
+                          weight="semibold"
+                          color={selected ? "#FFFFFF" : theme.colors.primary}
+                        >
+                          {player.displayName}
+                        </Typography>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+
+            {/* Course handicaps - strokes are given off the lowest */}
+            {draft.net && (
+              <>
+                <Typography variant="caption" weight="semibold" style={styles.sectionLabel}>
+                  Course Handicaps
+                </Typography>
+                {players.map(player => (
+                  <View key={`handicap-${player.position}`} style={styles.optionRow}>
+                    <Typography variant="body" style={styles.playerName} numberOfLines={1}>
+                      {player.displayName}
+                    </Typography>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => stepHandicap(player.position, -1)}>
+                      <Ionicons name="remove" size={18} color={theme.colors.primary} />
+                    </TouchableOpacity>
+                    <Typography variant="body" weight="semibold" style={styles.stepValue}>
+                      {Number(draft.handicaps?.[player.position]) || 0}
+                    </Typography>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => stepHandicap(player.position, 1)}>
+                      <Ionicons name="add" size={18} color={theme.colors.primary} />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </>
+            )}
+
+            {/* Automatic presses */}
+            {draft.games[SIDE_GAMES.NASSAU] && (
+              <>
+                <Typography variant="caption" weight="semibold" style={styles.sectionLabel}>
+                  Automatic Press
+                </Typography>
+                <View style={styles.chipRow}>
+                  {PRESS_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={`press-${option}`}
+                      style={[styles.chip, draft.pressAfter === option && styles.chipActive]}
+                      onPress={() => setDraft(prev => ({ ...prev, pressAfter: option }))}
+                    >
+                      <Typography
+                        variant="caption"
+                        weight="semibold"
+                        color={draft.pressAfter === option ? "#FFFFFF" : theme.colors.primary}
+                      >
+                        {option === 0 ? "Off" : `${option} Down`}
+                      </Typography>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <Button variant="text" onPress={onClose}>
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              onPress={() => onSave(draft)}
+              disabled={!canSave}
+            >
+              Save
+            </Button>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: theme.spacing.large,
+    maxHeight: '85%',
+  },
+  title: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionLabel: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  playerName: {
+    flex: 1,
+    marginRight: 8,
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepValue: {
+    minWidth: 40,
+    textAlign: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: theme.spacing.large,
+  },
+});
+
+export default SideGamesSetupModal;
@@ -0,0 +1,205 @@
+// src/components/SideGamesSummary.js
+//
+// Live standings for a group's side games (match play, skins, Nassau).
+// Used in the tracker during the round and on the scorecard afterwards.
+
+import React from 'react';
+import { View, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import { SIDE_GAME_LABELS, SIDE_GAMES } from '../services/sideGameService';
+
+/**
+ * SideGamesSummary Component
+ *
+ * @param {Object} props
+ * @param {Object|null} props.results - Result of calculateSideGames (null when no games are on)
+ * @param {Array} props.players - Group players with position and displayName
+ * @param {Object|null} props.settings - Side game settings (for the gross/net label)
+ * @param {Function} props.onEdit - Opens the side game setup; omit for a read-only summary
+ * @param {Object} props.style - Additional container styles
+ */
+const SideGamesSummary = ({ results, players, settings, onEdit, style }) => {
+  const getName = (position) =>
+    players.find(player => player.position === position)?.displayName || `Player ${position + 1}`;
+
+  /**
+   * "Alex 2 UP thru 7", "Sam wins 3&2", "All Square thru 4"
+   */
+  const describeMatch = (match) => {
+    if (match.holesPlayed === 0) return match.status;
+    if (match.leader === null || match.leader === undefined) {
+      return match.isFinished ? match.status : `${match.status} thru ${match.holesPlayed}`;
+    }
+
+    const name = getName(match.leader);
+    if (match.isFinished) return `${name} wins ${match.status}`;
+    return `${name} ${match.status} thru ${match.holesPlayed}`;
+  };
+
+  // Nothing set up yet - the tracker offers to set games up, the scorecard shows nothing
+  if (!results) {
+    if (!onEdit) return null;
+
+    return (
+      <TouchableOpacity style={[styles.setupButton, style]} onPress={onEdit}>
+        <Ionicons name="trophy-outline" size={16} color={theme.colors.primary} />
+        <Typography variant="caption" color={theme.colors.primary} weight="semibold" style={styles.setupText}>
+          Set Up Side Games
+        </Typography>
+      </TouchableOpacity>
+    );
+  }
+
+  const { matchPlay, skins, nassau } = results;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.header}>
+        <Typography variant="body" weight="semibold">
+          Side Games {settings?.net ? "(Net)" : "(Gross)"}
+        </Typography>
+        {onEdit && (
+          <TouchableOpacity onPress={onEdit} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <Ionicons name="settings-outline" size={18} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {matchPlay && (
+        <View style={styles.gameRow}>
+          <Typography variant="caption" weight="semibold" style={styles.gameLabel}>
+            {SIDE_GAME_LABELS[SIDE_GAMES.MATCH_PLAY]}
+          </Typography>
+          <View style={styles.gameResult}>
+            <Typography variant="caption" style={styles.matchup}>
+              {getName(matchPlay.players[0])} v {getName(matchPlay.players[1])}
+            </Typography>
+            <Typography variant="body" weight="medium">
+              {describeMatch(matchPlay)}
+            </Typography>
+          </View>
+        </View>
+      )}
+
+      {skins && (
+        <View style={styles.gameRow}>
+          <Typography variant="caption" weight="semibold" style={styles.gameLabel}>
+            {SIDE_GAME_LABELS[SIDE_GAMES.SKINS]}
+          </Typography>
+          <View style={styles.gameResult}>
+            {players.map(player => (
+              <View key={`skins-${player.position}`} style={styles.resultLine}>
+                <Typography variant="body">{player.displayName}</Typography>
+                <Typography variant="body" weight="medium">{skins.totals[player.position] || 0}</Typography>
+              </View>
+            ))}
+            {skins.carryover > 0 && (
+              <Typography variant="caption" style={styles.carryover}>
+                {skins.carryover} {skins.carryover === 1 ? "skin" : "skins"} carried over
+              </Typography>
+            )}
+          </View>
+        </View>
+      )}
+
+      {nassau && (
+        <View style={styles.gameRow}>
+          <Typography variant="caption" weight="semibold" style={styles.gameLabel}>
+            {SIDE_GAME_LABELS[SIDE_GAMES.NASSAU]}
+          </Typography>
+          <View style={styles.gameResult}>
+            <Typography variant="caption" style={styles.matchup}>
+              {getName(nassau.players[0])} v {getName(nassau.players[1])}
+            </Typography>
+            {nassau.segments.map(segment => (
+              <View key={`nassau-${segment.key}`}>
+                {segment.bets.map(bet => (
+                  <View key={`${segment.key}-${bet.label}`} style={styles.resultLine}>
+                    <Typography variant="body" style={bet.label !== "Main" && styles.pressLabel}>
+                      {bet.label === "Main" ? segment.label : `${bet.label} (from ${bet.startHole})`}
+                    </Typography>
+                    <Typography variant="body" weight="medium">
+                      {describeMatch(bet)}
+                    </Typography>
+                  </View>
+                ))}
+              </View>
+            ))}
+            <View style={[styles.resultLine, styles.unitsLine]}>
+              {nassau.players.map(position => {
+                const units = nassau.units[position] || 0;
+                return (
+                  <Typography key={`units-${position}`} variant="caption" weight="semibold">
+                    {getName(position)} {units > 0 ? `+${units}` : units}
+                  </Typography>
+                );
+              })}
+            </View>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  gameRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  gameLabel: {
+    width: 80,
+    paddingTop: 2,
+  },
+  gameResult: {
+    flex: 1,
+  },
+  matchup: {
+    color: theme.colors.secondary,
+  },
+  resultLine: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  pressLabel: {
+    paddingLeft: 12,
+    color: theme.colors.secondary,
+  },
+  unitsLine: {
+    marginTop: 4,
+  },
+  carryover: {
+    marginTop: 2,
+    color: theme.colors.secondary,
+  },
+  setupButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  setupText: {
+    marginLeft: 6,
+  },
+});
+
+export default SideGamesSummary;
@@ -0,0 +1,206 @@
+// src/components/StrokesLostTrend.js
+//
+// Strokes lost per shot category over recent rounds, against the player's
+// handicap bracket (see strokesGainedService). Shown on the InsightsScreen.
+
+import React, { useState } from "react";
+import { View, TouchableOpacity, ScrollView, StyleSheet, Dimensions } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { SHOT_CATEGORIES } from "../services/strokesGainedService";
+
+const TOTAL = "Total";
+
+// Strokes a full-width bar represents, at least (small averages stay small)
+const BAR_SCALE_MIN = 1;
+
+/**
+ * Format strokes lost with a sign (+1.2 lost, -0.4 gained)
+ */
+const formatStrokes = (value) => {
+  const rounded = Math.round(value * 10) / 10 || 0;
+  return rounded > 0 ? `+${rounded.toFixed(1)}` : rounded.toFixed(1);
+};
+
+/**
+ * StrokesLostTrend Component
+ *
+ * @param {Object} props
+ * @param {Array} props.trend - Rounds oldest first, each { roundId, date, strokesLost } (see getStrokesLostTrend)
+ * @param {Object} props.style - Additional card styles
+ */
+const StrokesLostTrend = ({ trend, style }) => {
+  const [category, setCategory] = useState(TOTAL);
+
+  if (!trend || trend.length === 0) {
+    return null;
+  }
+
+  const latest = trend[trend.length - 1].strokesLost;
+  const valueFor = (entry, key) =>
+    key === TOTAL ? entry.strokesLost.total : (entry.strokesLost.categories[key] || 0);
+
+  // Average per round for each category, biggest losses first
+  const averages = SHOT_CATEGORIES
+    .map(key => ({
+      key,
+      value: trend.reduce((total, entry) => total + valueFor(entry, key), 0) / trend.length,
+    }))
+    .sort((a, b) => b.value - a.value);
+  const barScale = Math.max(BAR_SCALE_MIN, ...averages.map(average => Math.abs(average.value)));
+
+  // Label every few rounds so the axis stays readable
+  const labelEvery = Math.ceil(trend.length / 5);
+  const chartData = {
+    labels: trend.map((entry, i) => {
+      if (i % labelEvery !== 0) return "";
+      const date = new Date(entry.date);
+      return `${date.getMonth() + 1}/${date.getDate()}`;
+    }),
+    datasets: [{ data: trend.map(entry => valueFor(entry, category)) }],
+  };
+
+  return (
+    <Card style={[styles.card, style]}>
+      <Typography variant="subtitle" weight="semibold">
+        Where Your Strokes Go
+      </Typography>
+      <Typography variant="caption" style={styles.subtitle}>
+        Strokes lost per round vs a {latest.baselineLabel.toLowerCase()} golfer. Below zero is better.
+      </Typography>
+
+      {/* Category picker */}
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chips}>
+        {[TOTAL, ...SHOT_CATEGORIES].map(key => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, category === key && styles.chipActive]}
+            onPress={() => setCategory(key)}
+          >
+            <Typography
+              variant="caption"
+              weight="semibold"
+              color={category === key ? "#FFFFFF" : theme.colors.primary}
+            >
+              {key}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Trend for the selected category - needs at least two rounds */}
+      {trend.length > 1 ? (
+        <LineChart
+          data={chartData}
+          width={Dimensions.get("window").width - 64}
+          height={180}
+          chartConfig={{
+            backgroundGradientFrom: "#FFFFFF",
+            backgroundGradientTo: "#FFFFFF",
+            decimalPlaces: 1,
+            color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+            labelColor: () => theme.colors.secondary,
+            propsForDots: { r: "3" },
+          }}
+          bezier
+          style={styles.chart}
+        />
+      ) : (
+        <Typography variant="caption" style={styles.chartPlaceholder}>
+          Complete another round to see your trend.
+        </Typography>
+      )}
+
+      {/* Average per round by category */}
+      <Typography variant="body" weight="semibold" style={styles.averagesTitle}>
+        Average per round ({trend.length} {trend.length === 1 ? "round" : "rounds"})
+      </Typography>
+      {averages.map(average => (
+        <View key={average.key} style={styles.averageRow}>
+          <Typography variant="caption" style={styles.averageLabel}>
+            {average.key}
+          </Typography>
+          <View style={styles.barTrack}>
+            <View
+              style={[
+                styles.bar,
+                {
+                  width: `${Math.min(100, (Math.abs(average.value) / barScale) * 100)}%`,
+                  backgroundColor: average.value > 0 ? theme.colors.error : theme.colors.success,
+                },
+              ]}
+            />
+          </View>
+          <Typography variant="caption" weight="semibold" style={styles.averageValue}>
+            {formatStrokes(average.value)}
+          </Typography>
+        </View>
+      ))}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: theme.spacing.medium,
+    width: "100%",
+  },
+  subtitle: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+  chips: {
+    marginTop: theme.spacing.medium,
+    flexGrow: 0,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  chart: {
+    marginTop: theme.spacing.medium,
+    marginLeft: -16,
+  },
+  chartPlaceholder: {
+    marginVertical: theme.spacing.medium,
+    color: theme.colors.secondary,
+  },
+  averagesTitle: {
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  averageRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  averageLabel: {
+    width: 80,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 4,
+    overflow: "hidden",
+  },
+  bar: {
+    height: 8,
+    borderRadius: 4,
+  },
+  averageValue: {
+    width: 44,
+    textAlign: "right",
+  },
+});
+
+export default StrokesLostTrend;
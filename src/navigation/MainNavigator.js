@@ -10,15 +10,18 @@ import HomeStack from "./HomeStack";
 import RoundsScreen from "../screens/RoundScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
 import InsightsScreen from "../screens/InsightsScreen";
+import StatsScreen from "../screens/StatsScreen";
 import ProfileScreen from "../screens/ProfileScreen";
 import AccountLegalScreen from "../screens/AccountLegalScreen";
 
 // Import authentication context
 import { AuthContext } from "../context/AuthContext";
+import { startRoundSync } from "../services/roundSyncService";
 
 // Create stack navigators for each tab section
 const RoundsStack = createStackNavigator();
 const InsightsStack = createStackNavigator();
+const StatsStack = createStackNavigator();
 const ProfileStack = createStackNavigator();
 
 /**
@@ -61,6 +64,23 @@ function InsightsStackScreen() {
   );
 }
 
+/**
+ * StatsStackScreen Component
+ * 
+ * Creates a stack navigator for the Stats tab with consistent headers
+ */
+function StatsStackScreen() {
+  return (
+    <StatsStack.Navigator>
+      <StatsStack.Screen 
+        name="StatsScreen" 
+        component={StatsScreen}
+        options={{ title: "Stats" }}
+      />
+    </StatsStack.Navigator>
+  );
+}
+
 /**
  * ProfileStackScreen Component
  * 
@@ -89,9 +109,10 @@ const Tab = createBottomTabNavigator();
 /**
  * MainNavigator Component
  * 
- * Creates the bottom tab navigation for the app with four tabs:
+ * Creates the bottom tab navigation for the app with five tabs:
  * - Home: For starting new rounds and seeing recent activity
  * - Rounds: For viewing completed rounds and scorecards
+ * - Stats: For fairways, greens, putting and other standard stats
  * - Insights: For viewing AI-powered game analysis and improvement tips
  * - Profile: For user account settings
  * 
@@ -101,6 +122,14 @@ export default function MainNavigator() {
   // Get the authenticated user from context
   const { user } = useContext(AuthContext);
   
+  // Keep replaying the offline round queue while the user is signed in
+  useEffect(() => {
+    if (!user) return;
+    
+    const stopRoundSync = startRoundSync();
+    return stopRoundSync;
+  }, [user]);
+  
   /**
    * Determines tab bar visibility based on focused route
    * Hides tab bar for focused round experiences and scorecard reviews
@@ -115,6 +144,7 @@ export default function MainNavigator() {
     const hiddenRoutes = [
       // Home stack screens
       'CourseSelector',    // Course selection flow
+      'CourseEditor',     // Custom courses and corrections
       'Tracker',          // Active round tracking
       'Scorecard',        // Scorecard after completing round
       // Rounds stack screens
@@ -138,6 +168,9 @@ export default function MainNavigator() {
             case 'Rounds':
               iconName = focused ? 'golf' : 'golf-outline';
               break;
+            case 'Stats':
+              iconName = focused ? 'stats-chart' : 'stats-chart-outline';
+              break;
             case 'Insights':
               iconName = focused ? 'analytics' : 'analytics-outline';
               break;
@@ -171,6 +204,7 @@ export default function MainNavigator() {
           },
         })}
       />
+      <Tab.Screen name="Stats" component={StatsStackScreen} />
       <Tab.Screen name="Insights" component={InsightsStackScreen} />
       <Tab.Screen name="Profile" component={ProfileStackScreen} />
     </Tab.Navigator>
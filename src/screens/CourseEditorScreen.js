@@ -0,0 +1,543 @@
+// src/screens/CourseEditorScreen.js
+//
+// Build a custom course, edit one, or suggest corrections to a shared course.
+// Each hole's par, stroke index and tee distances can be changed, and its
+// green pinned from the player's GPS position while standing on it.
+
+import React, { useState, useEffect, useContext } from "react";
+import {
+  View,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  Alert,
+  Platform
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Location from "expo-location";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import { getCourseById } from "../services/courseService";
+import {
+  COURSE_EDITOR_MODES,
+  MIN_PAR,
+  MAX_PAR,
+  createCourseDraft,
+  courseToDraft,
+  validateCourseDraft,
+  saveCustomCourse,
+  deleteCustomCourse,
+  getCourseChanges,
+  submitCourseCorrection
+} from "../services/customCourseService";
+
+/**
+ * CourseEditorScreen Component
+ *
+ * Route params: { mode, courseId } - courseId for every mode but CREATE.
+ * Saving a custom course returns to the course selector with it selected.
+ */
+export default function CourseEditorScreen({ navigation, route }) {
+  const { user } = useContext(AuthContext);
+  const { mode = COURSE_EDITOR_MODES.CREATE, courseId = null } = route.params || {};
+  const isCorrection = mode === COURSE_EDITOR_MODES.CORRECT;
+
+  const [draft, setDraft] = useState(mode === COURSE_EDITOR_MODES.CREATE ? createCourseDraft() : null);
+  const [originalDraft, setOriginalDraft] = useState(null);   // The course before any corrections
+  const [selectedHole, setSelectedHole] = useState(1);
+  const [note, setNote] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPinning, setIsPinning] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({
+      title: {
+        [COURSE_EDITOR_MODES.CREATE]: "New Course",
+        [COURSE_EDITOR_MODES.COPY]: "Copy Course",
+        [COURSE_EDITOR_MODES.EDIT]: "Edit Course",
+        [COURSE_EDITOR_MODES.CORRECT]: "Suggest a Correction",
+      }[mode]
+    });
+  }, [navigation, mode]);
+
+  // Load the course being copied, edited or corrected
+  useEffect(() => {
+    if (!courseId) return;
+
+    const loadCourse = async () => {
+      const course = await getCourseById(courseId);
+      if (!course) {
+        Alert.alert("Course Unavailable", "The course couldn't be loaded. Please try again.");
+        navigation.goBack();
+        return;
+      }
+
+      setDraft(courseToDraft(course, { asCopy: mode === COURSE_EDITOR_MODES.COPY }));
+      setOriginalDraft(courseToDraft(course));
+    };
+
+    loadCourse();
+  }, [courseId, mode, navigation]);
+
+  if (!draft) {
+    return (
+      <Layout style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </Layout>
+    );
+  }
+
+  const hole = draft.holes.find(h => h.number === selectedHole) || draft.holes[0];
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const updateHole = (changes) => setDraft(current => ({
+    ...current,
+    holes: current.holes.map(h => h.number === hole.number ? { ...h, ...changes } : h)
+  }));
+
+  const updateTee = (teeId, changes) => setDraft(current => ({
+    ...current,
+    tees: current.tees.map(tee => tee.id === teeId ? { ...tee, ...changes } : tee)
+  }));
+
+  /**
+   * Rename a tee, moving its hole distances to the new name
+   */
+  const renameTee = (tee, name) => {
+    const key = name.trim().toLowerCase();
+    setDraft(current => ({
+      ...current,
+      tees: current.tees.map(t => t.id === tee.id ? { ...t, name, key } : t),
+      holes: current.holes.map(h => {
+        const { [tee.key]: yards, ...distances } = h.distances;
+        return { ...h, distances: yards === undefined ? distances : { ...distances, [key]: yards } };
+      })
+    }));
+  };
+
+  const addTee = () => {
+    updateDraft({
+      tees: [...draft.tees, { id: `custom-${Date.now()}`, name: "", key: "", color: "#FFFFFF", course_rating_men: null, slope_men: null }]
+    });
+  };
+
+  const removeTee = (tee) => {
+    updateDraft({ tees: draft.tees.filter(t => t.id !== tee.id) });
+  };
+
+  /**
+   * Number inputs - blank clears the value
+   */
+  const parseNumber = (text, { decimals = false } = {}) => {
+    const value = decimals ? parseFloat(text) : parseInt(text, 10);
+    return Number.isFinite(value) ? value : null;
+  };
+
+  /**
+   * Pin the selected hole's green where the player is standing
+   */
+  const pinGreen = async () => {
+    try {
+      setIsPinning(true);
+
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== "granted") {
+        Alert.alert("Location Needed", "Allow location access to pin the green where you're standing.");
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.BestForNavigation });
+      updateHole({
+        green: { latitude: position.coords.latitude, longitude: position.coords.longitude },
+        greenEdited: true
+      });
+    } catch (error) {
+      console.error("Error pinning green:", error);
+      Alert.alert("Location Unavailable", "Your location couldn't be found. Please try again.");
+    } finally {
+      setIsPinning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const errors = validateCourseDraft(draft);
+    if (errors.length > 0) {
+      Alert.alert("Check the Course", errors.join("\n"));
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+
+      if (isCorrection) {
+        const changes = getCourseChanges(originalDraft, draft);
+        if (changes.length === 0) {
+          Alert.alert("Nothing Changed", "Edit the details that are wrong, then submit.");
+          return;
+        }
+
+        await submitCourseCorrection(user.id, courseId, changes, note);
+        Alert.alert("Thanks!", "Your correction has been sent for review.", [
+          { text: "OK", onPress: () => navigation.goBack() }
+        ]);
+        return;
+      }
+
+      const savedCourse = await saveCustomCourse(user.id, draft);
+      navigation.navigate("CourseSelector", { customCourseId: savedCourse.id });
+    } catch (error) {
+      console.error("Error saving course:", error.message);
+      Alert.alert("Couldn't Save", "Please check your connection and try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      "Delete Course?",
+      `${draft.name} will be removed from your courses.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteCustomCourse(draft.id);
+              navigation.navigate("CourseSelector");
+            } catch (error) {
+              console.error("Error deleting course:", error.message);
+              Alert.alert("Couldn't Delete", "Rounds played on this course must be deleted first.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Plus/minus control for par and stroke index
+   */
+  const renderStepper = (label, value, min, max, onChange) => (
+    <View style={styles.stepperRow}>
+      <Typography variant="body" style={styles.fieldLabel}>
+        {label}
+      </Typography>
+      <TouchableOpacity
+        style={styles.stepperButton}
+        onPress={() => onChange(Math.max(min, value - 1))}
+        disabled={value <= min}
+      >
+        <Ionicons name="remove" size={18} color={theme.colors.primary} />
+      </TouchableOpacity>
+      <Typography variant="body" weight="semibold" style={styles.stepperValue}>
+        {value}
+      </Typography>
+      <TouchableOpacity
+        style={styles.stepperButton}
+        onPress={() => onChange(Math.min(max, value + 1))}
+        disabled={value >= max}
+      >
+        <Ionicons name="add" size={18} color={theme.colors.primary} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Course details */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>
+            Course
+          </Typography>
+
+          <TextInput
+            style={styles.input}
+            value={draft.name}
+            onChangeText={name => updateDraft({ name })}
+            placeholder="Course name"
+          />
+          <TextInput
+            style={styles.input}
+            value={draft.club_name}
+            onChangeText={club_name => updateDraft({ club_name })}
+            placeholder="Club name (optional)"
+          />
+          <TextInput
+            style={styles.input}
+            value={draft.location}
+            onChangeText={location => updateDraft({ location })}
+            placeholder="Town or city (optional)"
+          />
+
+          {/* Hole count can only be chosen for a new course */}
+          {mode === COURSE_EDITOR_MODES.CREATE && (
+            <View style={styles.chipRow}>
+              {[9, 18].map(count => (
+                <TouchableOpacity
+                  key={count}
+                  style={[styles.chip, draft.num_holes === count && styles.chipActive]}
+                  onPress={() => {
+                    setDraft({ ...createCourseDraft(count), name: draft.name, club_name: draft.club_name, location: draft.location, tees: draft.tees });
+                    setSelectedHole(1);
+                  }}
+                >
+                  <Typography variant="caption" weight="semibold" color={draft.num_holes === count ? "#FFFFFF" : theme.colors.primary}>
+                    {count} Holes
+                  </Typography>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </Card>
+
+        {/* Tees, with rating and slope for course handicaps */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>
+            Tees
+          </Typography>
+
+          {draft.tees.map(tee => (
+            <View key={tee.id} style={styles.teeRow}>
+              <TextInput
+                style={[styles.input, styles.teeNameInput]}
+                value={tee.name}
+                onChangeText={name => renameTee(tee, name)}
+                placeholder="Tee name"
+                editable={!isCorrection}
+              />
+              <TextInput
+                style={[styles.input, styles.numberInput]}
+                value={tee.course_rating_men != null ? String(tee.course_rating_men) : ""}
+                onChangeText={text => updateTee(tee.id, { course_rating_men: parseNumber(text, { decimals: true }) })}
+                placeholder="Rating"
+                keyboardType="decimal-pad"
+              />
+              <TextInput
+                style={[styles.input, styles.numberInput]}
+                value={tee.slope_men != null ? String(tee.slope_men) : ""}
+                onChangeText={text => updateTee(tee.id, { slope_men: parseNumber(text) })}
+                placeholder="Slope"
+                keyboardType="number-pad"
+              />
+              {!isCorrection && draft.tees.length > 1 && (
+                <TouchableOpacity onPress={() => removeTee(tee)} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+                  <Ionicons name="close-circle-outline" size={22} color={theme.colors.secondary} />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          {!isCorrection && (
+            <Button variant="text" size="small" onPress={addTee}>
+              + Add Tee
+            </Button>
+          )}
+        </Card>
+
+        {/* Holes */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>
+            Holes
+          </Typography>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.holeChips}>
+            {draft.holes.map(h => (
+              <TouchableOpacity
+                key={h.number}
+                style={[styles.holeChip, h.number === hole.number && styles.chipActive]}
+                onPress={() => setSelectedHole(h.number)}
+              >
+                <Typography variant="caption" weight="semibold" color={h.number === hole.number ? "#FFFFFF" : theme.colors.primary}>
+                  {h.number}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {renderStepper("Par", hole.par_men, MIN_PAR, MAX_PAR, par_men => updateHole({ par_men }))}
+          {renderStepper("Stroke index", hole.index_men, 1, draft.holes.length, index_men => updateHole({ index_men }))}
+
+          {draft.tees.map(tee => (
+            <View key={tee.id} style={styles.distanceRow}>
+              <Typography variant="body" style={styles.fieldLabel}>
+                {tee.name || "Tee"} (yd)
+              </Typography>
+              <TextInput
+                style={[styles.input, styles.numberInput]}
+                value={hole.distances[tee.key] != null ? String(hole.distances[tee.key]) : ""}
+                onChangeText={text => updateHole({ distances: { ...hole.distances, [tee.key]: parseNumber(text) } })}
+                placeholder="Yards"
+                keyboardType="number-pad"
+                editable={!!tee.key}
+              />
+            </View>
+          ))}
+
+          {/* Green location */}
+          <View style={styles.greenRow}>
+            <View style={styles.greenInfo}>
+              <Typography variant="body" style={styles.fieldLabel}>
+                Green
+              </Typography>
+              <Typography variant="caption" style={styles.greenStatus}>
+                {hole.green
+                  ? `${hole.greenEdited ? "Pinned" : "Mapped"} at ${hole.green.latitude.toFixed(5)}, ${hole.green.longitude.toFixed(5)}`
+                  : "Not located - stand on the green and pin it"}
+              </Typography>
+            </View>
+            <Button variant="outline" size="small" onPress={pinGreen} disabled={isPinning}>
+              {isPinning ? "Locating..." : "Pin Here"}
+            </Button>
+          </View>
+        </Card>
+
+        {isCorrection && (
+          <Card style={styles.card}>
+            <Typography variant="subtitle" style={styles.cardTitle}>
+              Note for the reviewer
+            </Typography>
+            <TextInput
+              style={[styles.input, styles.noteInput]}
+              value={note}
+              onChangeText={setNote}
+              placeholder="e.g. Scorecard from the pro shop, updated 2026"
+              multiline
+              maxLength={500}
+            />
+          </Card>
+        )}
+
+        <Button variant="primary" size="large" fullWidth onPress={handleSave} disabled={isSaving}>
+          {isSaving ? "Saving..." : isCorrection ? "Submit Correction" : "Save Course"}
+        </Button>
+
+        {mode === COURSE_EDITOR_MODES.EDIT && (
+          <Button variant="text" size="medium" onPress={handleDelete} style={styles.deleteButton}>
+            Delete Course
+          </Button>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  content: {
+    paddingBottom: theme.spacing.large,
+  },
+  card: {
+    width: "100%",
+    marginBottom: theme.spacing.medium,
+  },
+  cardTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  input: {
+    fontSize: 16,
+    paddingVertical: Platform.OS === "ios" ? 6 : 2,
+    paddingHorizontal: 4,
+    marginBottom: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  chipRow: {
+    flexDirection: "row",
+    marginTop: theme.spacing.small,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  teeRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  teeNameInput: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  numberInput: {
+    width: 72,
+    marginRight: theme.spacing.small,
+    textAlign: "center",
+  },
+  holeChips: {
+    marginBottom: theme.spacing.medium,
+  },
+  holeChip: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+    marginRight: 8,
+  },
+  stepperRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  fieldLabel: {
+    flex: 1,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  stepperValue: {
+    width: 40,
+    textAlign: "center",
+  },
+  distanceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  greenRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  greenInfo: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  greenStatus: {
+    color: theme.colors.secondary,
+    marginTop: 2,
+  },
+  noteInput: {
+    minHeight: 60,
+    textAlignVertical: "top",
+  },
+  deleteButton: {
+    marginTop: theme.spacing.small,
+  },
+});
@@ -9,7 +9,7 @@
 // ARCHITECTURAL ENHANCEMENT: Added zero-distance tee filtering to prevent
 // invalid data from propagating through the application pipeline.
 
-import React, { useState, useEffect, useCallback, useContext } from "react";
+import React, { useState, useEffect, useCallback, useContext, useRef } from "react";
 import { 
   View, 
   FlatList, 
@@ -17,16 +17,43 @@ import {
   ActivityIndicator, 
   StyleSheet,
   TextInput,
+  Text,
   Alert
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Location from "expo-location";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { getAllCourses, searchCourses, getRecentCourses, getCourseById, ensureCourseHasPoiData } from "../services/courseService";
+import {
+  getAllCourses,
+  searchCourses,
+  getRecentCourses,
+  getNearbyCourses,
+  getCourseById,
+  ensureCourseHasPoiData,
+  downloadCoursePack,
+  removeCoursePack,
+  getCoursePackStatus
+} from "../services/courseService";
 import Typography from "../ui/components/Typography";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
+import { ROUND_FORMATS, ROUND_FORMAT_LABELS, buildRoundSetup } from "../services/roundFormatService";
+import { calculateCourseHandicap } from "../services/handicapService";
+import { DEFAULT_TEE_RATINGS, getTeeRatings, getHolePar } from "../services/teeRatingsService";
+import { supabase } from "../services/supabase";
+import { COURSE_EDITOR_MODES, getMyCourses } from "../services/customCourseService";
+
+// Course lists shown when not searching
+const COURSE_LISTS = {
+  RECENT: "recent",
+  NEARBY: "nearby",
+  MINE: "mine",
+};
+
+// The nearest course is this close - the player is probably already there
+const AT_COURSE_DISTANCE_KM = 2;
 
 /**
  * CourseSelectorScreen Component
@@ -37,8 +64,20 @@ import { AuthContext } from "../context/AuthContext";
  * 
  * ENHANCED: Now includes validation to filter out tees with zero distances
  * to prevent downstream crashes and invalid data propagation.
+ * 
+ * Also lets the user choose which holes to play: the full course, the front
+ * or back nine, or a custom starting hole (shotgun starts wrap past the last hole).
+ * 
+ * Courses near the player's current location are listed nearest first, and
+ * shown straight away when the player is already at a course.
+ * 
+ * Players can also build their own custom courses, edit a copy of a course,
+ * or suggest corrections to one (see CourseEditorScreen).
+ * 
+ * Courses can be downloaded for offline play; downloaded courses are marked
+ * in the list, along with any that have been updated since.
  */
-export default function CourseSelectorScreen({ navigation }) {
+export default function CourseSelectorScreen({ navigation, route }) {
   // Get the current user from context
   const { user } = useContext(AuthContext);
   
@@ -48,6 +87,17 @@ export default function CourseSelectorScreen({ navigation }) {
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
   
+  // Which holes to play
+  const [roundFormat, setRoundFormat] = useState(ROUND_FORMATS.FULL);
+  const [customStartHole, setCustomStartHole] = useState(1);
+  const [customHoleCount, setCustomHoleCount] = useState(18);
+  
+  // Calculated handicap index, for showing the course handicap of each tee
+  const [handicapIndex, setHandicapIndex] = useState(null);
+  
+  // Men's or women's par, index and tee ratings
+  const [teeRatings, setTeeRatings] = useState(DEFAULT_TEE_RATINGS);
+  
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
   const [isLoadingRecent, setIsLoadingRecent] = useState(true);
@@ -59,6 +109,21 @@ export default function CourseSelectorScreen({ navigation }) {
   const [searchResults, setSearchResults] = useState([]);
   const [showSkeletons, setShowSkeletons] = useState(false);
   
+  // Courses near the player, and which list to show when not searching
+  const [nearbyCourses, setNearbyCourses] = useState([]);
+  const [isLoadingNearby, setIsLoadingNearby] = useState(true);
+  const [locationDenied, setLocationDenied] = useState(false);
+  const [listMode, setListMode] = useState(COURSE_LISTS.RECENT);
+  const positionRef = useRef(null);                             // Device location, to rank nearby courses higher in search
+  
+  // The player's custom courses
+  const [myCourses, setMyCourses] = useState([]);
+  
+  // Courses downloaded for offline play
+  const [coursePacks, setCoursePacks] = useState({});
+  const [stalePackIds, setStalePackIds] = useState([]);
+  const [downloadingCourseId, setDownloadingCourseId] = useState(null);
+  
   // Debounced search function to avoid too many API calls
   const debouncedSearch = useCallback(
     debounce(async (query) => {
@@ -67,7 +132,7 @@ export default function CourseSelectorScreen({ navigation }) {
         setShowSkeletons(true);
         
         try {
-          const results = await searchCourses(query);
+          const results = await searchCourses(query, positionRef.current || {});
           setSearchResults(results);
         } catch (error) {
           console.error("Error searching courses:", error);
@@ -102,6 +167,105 @@ export default function CourseSelectorScreen({ navigation }) {
     loadRecentCourses();
   }, [user]);
   
+  // Load the player's custom courses, and select one just saved in the editor
+  const customCourseId = route?.params?.customCourseId;
+  useEffect(() => {
+    if (!user) return;
+    
+    const loadMyCourses = async () => {
+      const myCoursesData = await getMyCourses(user.id);
+      setMyCourses(myCoursesData);
+      
+      if (customCourseId) {
+        setListMode(COURSE_LISTS.MINE);
+        const savedCourse = await getCourseById(customCourseId);
+        if (savedCourse) {
+          handleCourseSelect(savedCourse);
+        }
+      }
+    };
+    
+    loadMyCourses();
+  }, [user, customCourseId]);
+  
+  // Load courses near the player's current location
+  useEffect(() => {
+    const loadNearbyCourses = async () => {
+      try {
+        setIsLoadingNearby(true);
+        
+        const { status } = await Location.requestForegroundPermissionsAsync();
+        if (status !== "granted") {
+          setLocationDenied(true);
+          return;
+        }
+        
+        // A recent fix is close enough to find courses, and much quicker
+        const position = await Location.getLastKnownPositionAsync({ maxAge: 5 * 60 * 1000 }) ||
+          await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+        
+        positionRef.current = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+        const nearbyCoursesData = await getNearbyCourses(position.coords.latitude, position.coords.longitude);
+        console.log("Loaded nearby courses:", nearbyCoursesData.length);
+        setNearbyCourses(nearbyCoursesData);
+        
+        // Already at a course - show it first
+        if (nearbyCoursesData[0]?.distance_km <= AT_COURSE_DISTANCE_KM) {
+          setListMode(COURSE_LISTS.NEARBY);
+        }
+      } catch (error) {
+        console.error("Error loading nearby courses:", error);
+      } finally {
+        setIsLoadingNearby(false);
+      }
+    };
+    
+    loadNearbyCourses();
+  }, []);
+  
+  // Load the player's handicap index
+  useEffect(() => {
+    const loadHandicapIndex = async () => {
+      if (!user) return;
+      
+      try {
+        const { data, error } = await supabase
+          .from("profiles")
+          .select("handicap_index")
+          .eq("id", user.id)
+          .single();
+          
+        if (error) throw error;
+        setHandicapIndex(data?.handicap_index ?? null);
+      } catch (error) {
+        console.error("Error loading handicap index:", error);
+      }
+    };
+    
+    loadHandicapIndex();
+  }, [user]);
+  
+  // Load which ratings the player plays off
+  useEffect(() => {
+    if (!user) return;
+    getTeeRatings(user.id).then(setTeeRatings);
+  }, [user]);
+  
+  // Load which courses are downloaded, and whether they've changed since
+  const loadCoursePacks = useCallback(async () => {
+    try {
+      const { packs, staleIds } = await getCoursePackStatus();
+      setCoursePacks(packs);
+      setStalePackIds(staleIds);
+    } catch (error) {
+      console.error("Error loading offline courses:", error);
+    }
+  }, []);
+  
+  useEffect(() => {
+    loadCoursePacks();
+  }, [loadCoursePacks]);
+  
   // Load all courses as a fallback when component mounts
   useEffect(() => {
     const loadAllCourses = async () => {
@@ -192,6 +356,11 @@ export default function CourseSelectorScreen({ navigation }) {
       setSelectedCourse(courseWithValidTees);
       setSelectedTeeId(null); // Reset tee selection
       
+      // Reset hole selection - the new course may have a different number of holes
+      setRoundFormat(ROUND_FORMATS.FULL);
+      setCustomStartHole(1);
+      setCustomHoleCount(course.num_holes || 18);
+      
       // If there's only one valid tee, select it automatically
       if (validTees.length === 1) {
         setSelectedTeeId(validTees[0].id);
@@ -268,6 +437,13 @@ export default function CourseSelectorScreen({ navigation }) {
     setSelectedTeeId(teeId);
   };
   
+  /**
+   * Move the custom starting hole, wrapping around the course
+   */
+  const handleChangeStartHole = (step) => {
+    setCustomStartHole(current => ((current - 1 + step + courseHoles) % courseHoles) + 1);
+  };
+  
   /**
    * Start a round with the selected course and tee
    * Enhanced to ensure proper data flow and direct navigation to tracker
@@ -309,6 +485,7 @@ export default function CourseSelectorScreen({ navigation }) {
         teeId: selectedTeeId,
         teeName: selectedTee.name,
         teeDistance: selectedTee.total_distance,
+        holes: roundSetup.holes.join(","),
         hasPoi: selectedCourse.poi ? "Yes" : "No"
       });
       
@@ -335,6 +512,10 @@ export default function CourseSelectorScreen({ navigation }) {
         teeName: selectedTee.name,
         teeColor: selectedTee.color,
         teeDistance: selectedTee.total_distance, // Store verified distance
+        num_holes: courseHoles,
+        roundSetup, // Holes to play, in order
+        teeRatings, // Men's or women's par, index and ratings for the round
+        courseHandicap: calculateCourseHandicap(handicapIndex, selectedTee, getRoundPar(), roundSetup.holeCount, teeRatings),
         poi: courseWithPoi.poi || [] // Include POI data if available
       }));
       
@@ -347,6 +528,78 @@ export default function CourseSelectorScreen({ navigation }) {
     }
   };
   
+  /**
+   * Download a course (or fetch the latest version of one) for offline play
+   */
+  const handleDownloadCourse = async (course) => {
+    try {
+      setDownloadingCourseId(course.id);
+      await downloadCoursePack(course.id);
+      await loadCoursePacks();
+    } catch (error) {
+      console.error("Error downloading course:", error);
+      Alert.alert(
+        "Download Failed",
+        "The course couldn't be downloaded. Please check your connection and try again.",
+        [{ text: "OK" }]
+      );
+    } finally {
+      setDownloadingCourseId(null);
+    }
+  };
+  
+  /**
+   * Offer to update or remove a downloaded course
+   */
+  const handleCoursePackOptions = (course) => {
+    const isStale = stalePackIds.includes(course.id);
+    
+    Alert.alert(
+      course.name,
+      isStale
+        ? "This course has been updated since you downloaded it."
+        : "This course is available offline.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove Download",
+          style: "destructive",
+          onPress: async () => {
+            await removeCoursePack(course.id);
+            await loadCoursePacks();
+          }
+        },
+        { text: isStale ? "Update" : "Download Again", onPress: () => handleDownloadCourse(course) }
+      ]
+    );
+  };
+  
+  /**
+   * Offline status and download button for a course in the list
+   */
+  const renderCoursePackButton = (course) => {
+    if (downloadingCourseId === course.id) {
+      return <ActivityIndicator size="small" color={theme.colors.primary} style={styles.packButton} />;
+    }
+    
+    const isDownloaded = !!coursePacks[course.id];
+    const isStale = stalePackIds.includes(course.id);
+    
+    return (
+      <TouchableOpacity
+        style={styles.packButton}
+        onPress={() => isDownloaded ? handleCoursePackOptions(course) : handleDownloadCourse(course)}
+        hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+      >
+        <Ionicons
+          name={isDownloaded ? (isStale ? "cloud-download" : "cloud-done") : "cloud-download-outline"}
+          size={22}
+          color={isDownloaded && !isStale ? theme.colors.success : theme.colors.primary}
+        />
+      </TouchableOpacity>
+    );
+  };
+  
   /**
    * Render a course item in the list
    */
@@ -360,53 +613,132 @@ export default function CourseSelectorScreen({ navigation }) {
     >
       <View style={styles.courseItemContent}>
         <Typography variant="body" weight="semibold" style={styles.courseName}>
-          {item.name}
+          {renderHighlighted(item.name, item.matches?.name)}
         </Typography>
         
         {item.club_name && item.club_name !== item.name && (
           <Typography variant="body" style={styles.clubName}>
-            {item.club_name}
+            {renderHighlighted(item.club_name, item.matches?.club_name)}
           </Typography>
         )}
         
         <Typography variant="caption" style={styles.location}>
-          {item.location}
+          {renderHighlighted(item.location, item.matches?.location)}
+          {typeof item.distance_km === "number" ? ` • ${formatCourseDistance(item.distance_km)}` : ""}
         </Typography>
+        
+        {coursePacks[item.id] && (
+          <Typography variant="caption" style={styles.offlineStatus}>
+            {stalePackIds.includes(item.id) ? "Update available" : "Available offline"}
+          </Typography>
+        )}
       </View>
+      
+      {renderCoursePackButton(item)}
     </TouchableOpacity>
   );
   
+  /**
+   * Par for the holes being played, from the course's hole data when available
+   */
+  const getRoundPar = () => {
+    if (!selectedCourse) return null;
+    
+    const holePars = roundSetup.holes.map(number =>
+      getHolePar(selectedCourse.holes?.find(hole => hole.number === number), teeRatings)
+    );
+    
+    if (holePars.every(Boolean)) {
+      return holePars.reduce((total, par) => total + par, 0);
+    }
+    
+    // Otherwise scale the course par to the number of holes
+    return selectedCourse.par
+      ? Math.round(selectedCourse.par * roundSetup.holeCount / courseHoles)
+      : null;
+  };
+  
   /**
    * Render a tee option
    * Enhanced to only show validated tees with valid distances
+   * Shows the player's course handicap when they have a handicap index
    */
-  const renderTeeOption = (tee) => (
+  const renderTeeOption = (tee) => {
+    const courseHandicap = calculateCourseHandicap(handicapIndex, tee, getRoundPar(), roundSetup.holeCount, teeRatings);
+    
+    return (
+      <TouchableOpacity
+        key={tee.id}
+        style={[
+          styles.teeOption,
+          selectedTeeId === tee.id && styles.selectedTeeOption
+        ]}
+        onPress={() => handleTeeSelect(tee.id)}
+      >
+        <View 
+          style={[
+            styles.teeColor,
+            { backgroundColor: tee.color || "#CCCCCC" }
+          ]} 
+        />
+        <View style={styles.teeInfo}>
+          <Typography variant="body" weight="medium" style={styles.teeName}>
+            {tee.name}
+          </Typography>
+          {/* Display distance with validation - this should always be valid now */}
+          <Typography variant="caption">
+            {tee.total_distance.toLocaleString()} yards
+          </Typography>
+        </View>
+      
+        {courseHandicap !== null && (
+          <View style={styles.courseHandicap}>
+            <Typography variant="caption" style={styles.courseHandicapLabel}>
+              Course HCP
+            </Typography>
+            <Typography variant="body" weight="semibold">
+              {courseHandicap}
+            </Typography>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render a hole format option (18 holes, front 9, back 9, custom)
+   */
+  const renderFormatOption = (format) => (
     <TouchableOpacity
-      key={tee.id}
+      key={format}
       style={[
-        styles.teeOption,
-        selectedTeeId === tee.id && styles.selectedTeeOption
+        styles.formatOption,
+        roundFormat === format && styles.selectedFormatOption
       ]}
-      onPress={() => handleTeeSelect(tee.id)}
+      onPress={() => setRoundFormat(format)}
     >
-      <View 
-        style={[
-          styles.teeColor,
-          { backgroundColor: tee.color || "#CCCCCC" }
-        ]} 
-      />
-      <View style={styles.teeInfo}>
-        <Typography variant="body" weight="medium" style={styles.teeName}>
-          {tee.name}
-        </Typography>
-        {/* Display distance with validation - this should always be valid now */}
-        <Typography variant="caption">
-          {tee.total_distance.toLocaleString()} yards
-        </Typography>
-      </View>
+      <Typography
+        variant="caption"
+        weight="semibold"
+        color={roundFormat === format ? "#FFFFFF" : theme.colors.text}
+      >
+        {format === ROUND_FORMATS.FULL ? `${courseHoles} Holes` : ROUND_FORMAT_LABELS[format]}
+      </Typography>
     </TouchableOpacity>
   );
   
+  // Hole selection for the chosen course
+  const courseHoles = selectedCourse?.num_holes || 18;
+  const availableFormats = Object.values(ROUND_FORMATS).filter(format =>
+    // Nine-hole courses only have one nine
+    courseHoles > 9 || (format !== ROUND_FORMATS.FRONT_NINE && format !== ROUND_FORMATS.BACK_NINE)
+  );
+  const roundSetup = buildRoundSetup(roundFormat, {
+    courseHoles,
+    startHole: customStartHole,
+    holeCount: customHoleCount
+  });
+  
   // Determine which courses to display based on search and recent courses
   let displayCourses = [];
   let isLoading = false;
@@ -416,6 +748,11 @@ export default function CourseSelectorScreen({ navigation }) {
     // If searching, show search results
     displayCourses = searchResults;
     isLoading = isSearching;
+  } else if (listMode === COURSE_LISTS.NEARBY) {
+    displayCourses = nearbyCourses;
+    isLoading = isLoadingNearby;
+  } else if (listMode === COURSE_LISTS.MINE) {
+    displayCourses = myCourses;
   } else if (recentCourses.length > 0) {
     // If not searching and has recent courses, show those
     displayCourses = recentCourses;
@@ -427,6 +764,11 @@ export default function CourseSelectorScreen({ navigation }) {
     isLoading = isLoadingAll;
   }
   
+  // Custom courses are edited directly; shared ones are copied or corrected
+  const isMyCourse = !!selectedCourse && (
+    selectedCourse.owner_id === user?.id || myCourses.some(course => course.id === selectedCourse.id)
+  );
+  
   // Determine if start button should be disabled
   const isStartDisabled = !selectedCourse || 
                          !selectedTeeId || 
@@ -459,15 +801,43 @@ export default function CourseSelectorScreen({ navigation }) {
         )}
       </View>
 
-      {/* Recent courses header */}
-      {!searchQuery.trim() && recentCourses.length > 0 && (
-        <View style={styles.sectionHeader}>
-          <Typography variant="subtitle" style={styles.sectionTitle}>
-            Recently Played
-          </Typography>
+      {/* Recent / nearby / custom courses toggle */}
+      {!searchQuery.trim() && (
+        <View style={[styles.sectionHeader, styles.formatOptions]}>
+          {[COURSE_LISTS.RECENT, COURSE_LISTS.NEARBY, COURSE_LISTS.MINE].map(mode => (
+            <TouchableOpacity
+              key={mode}
+              style={[styles.formatOption, listMode === mode && styles.selectedFormatOption]}
+              onPress={() => setListMode(mode)}
+            >
+              <Typography
+                variant="caption"
+                weight="semibold"
+                color={listMode === mode ? "#FFFFFF" : theme.colors.text}
+              >
+                {mode === COURSE_LISTS.NEARBY
+                  ? "Courses Near Me"
+                  : mode === COURSE_LISTS.MINE
+                    ? "My Courses"
+                    : recentCourses.length > 0 ? "Recently Played" : "All Courses"}
+              </Typography>
+            </TouchableOpacity>
+          ))}
         </View>
       )}
       
+      {!searchQuery.trim() && listMode === COURSE_LISTS.MINE && (
+        <TouchableOpacity
+          style={styles.courseAction}
+          onPress={() => navigation.navigate("CourseEditor", { mode: COURSE_EDITOR_MODES.CREATE })}
+        >
+          <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+          <Typography variant="body" weight="semibold" color={theme.colors.primary} style={styles.courseActionText}>
+            New Custom Course
+          </Typography>
+        </TouchableOpacity>
+      )}
+      
       {/* Course List */}
       <View style={styles.courseListContainer}>
         {isLoading ? (
@@ -493,6 +863,17 @@ export default function CourseSelectorScreen({ navigation }) {
           <Typography variant="body" style={styles.noCoursesText}>
             No courses found for "{searchQuery}". Try a different search term.
           </Typography>
+        ) : listMode === COURSE_LISTS.MINE ? (
+          <Typography variant="body" style={styles.noCoursesText}>
+            Build your own course, or copy one and fix anything that's wrong.
+          </Typography>
+        ) : listMode === COURSE_LISTS.NEARBY ? (
+          <Typography variant="body" style={styles.noCoursesText}>
+            {locationDenied ?
+              "Allow location access to see courses near you." :
+              "No courses found near you. Try searching instead."
+            }
+          </Typography>
         ) : (
           <Typography variant="body" style={styles.noCoursesText}>
             {showRecent ? 
@@ -506,9 +887,40 @@ export default function CourseSelectorScreen({ navigation }) {
       {/* Tee Selection with Loading Indicator and Validation Feedback */}
       {selectedCourse && (
         <View style={styles.teeSelectionContainer}>
-          <Typography variant="subtitle" style={styles.teeSelectionTitle}>
-            Select Tee
-          </Typography>
+          <View style={styles.teeSelectionHeader}>
+            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+              Select Tee
+            </Typography>
+            
+            {/* Fix wrong course details */}
+            {isMyCourse ? (
+              <TouchableOpacity
+                onPress={() => navigation.navigate("CourseEditor", { mode: COURSE_EDITOR_MODES.EDIT, courseId: selectedCourse.id })}
+              >
+                <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                  Edit Course
+                </Typography>
+              </TouchableOpacity>
+            ) : (
+              <View style={styles.courseActions}>
+                <TouchableOpacity
+                  onPress={() => navigation.navigate("CourseEditor", { mode: COURSE_EDITOR_MODES.COPY, courseId: selectedCourse.id })}
+                >
+                  <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                    Edit a Copy
+                  </Typography>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.courseActionSpacer}
+                  onPress={() => navigation.navigate("CourseEditor", { mode: COURSE_EDITOR_MODES.CORRECT, courseId: selectedCourse.id })}
+                >
+                  <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                    Suggest a Correction
+                  </Typography>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
           
           {isLoadingCourseDetails ? (
             <View style={styles.teeLoadingContainer}>
@@ -532,6 +944,71 @@ export default function CourseSelectorScreen({ navigation }) {
         </View>
       )}
       
+      {/* Hole Selection - shown once a tee is chosen */}
+      {selectedCourse && selectedTeeId && !isLoadingCourseDetails && (
+        <View style={styles.holeSelectionContainer}>
+          <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+            Holes
+          </Typography>
+          
+          <View style={styles.formatOptions}>
+            {availableFormats.map(format => renderFormatOption(format))}
+          </View>
+          
+          {roundFormat === ROUND_FORMATS.CUSTOM && (
+            <View style={styles.customHolesRow}>
+              {/* Starting hole stepper */}
+              <View style={styles.startHoleStepper}>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => handleChangeStartHole(-1)}
+                >
+                  <Ionicons name="remove" size={18} color={theme.colors.primary} />
+                </TouchableOpacity>
+                <Typography variant="body" weight="semibold" style={styles.startHoleText}>
+                  Start on {customStartHole}
+                </Typography>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => handleChangeStartHole(1)}
+                >
+                  <Ionicons name="add" size={18} color={theme.colors.primary} />
+                </TouchableOpacity>
+              </View>
+              
+              {/* Number of holes */}
+              {courseHoles > 9 && (
+                <View style={styles.formatOptions}>
+                  {[9, courseHoles].map(count => (
+                    <TouchableOpacity
+                      key={`count-${count}`}
+                      style={[
+                        styles.formatOption,
+                        customHoleCount === count && styles.selectedFormatOption
+                      ]}
+                      onPress={() => setCustomHoleCount(count)}
+                    >
+                      <Typography
+                        variant="caption"
+                        weight="semibold"
+                        color={customHoleCount === count ? "#FFFFFF" : theme.colors.text}
+                      >
+                        {count}
+                      </Typography>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          )}
+          
+          <Typography variant="caption" style={styles.holeSummary}>
+            Holes {roundSetup.holes[0]}–{roundSetup.holes[roundSetup.holes.length - 1]}
+            {roundSetup.holes[0] > roundSetup.holes[roundSetup.holes.length - 1] ? " (wraps after " + courseHoles + ")" : ""}
+          </Typography>
+        </View>
+      )}
+      
       {/* Start Round Button with Enhanced Validation */}
       <TouchableOpacity
         style={[
@@ -553,6 +1030,40 @@ export default function CourseSelectorScreen({ navigation }) {
   );
 }
 
+/**
+ * Split text into plain and highlighted pieces from search match ranges
+ */
+function renderHighlighted(text, ranges) {
+  if (!text || !ranges || ranges.length === 0) {
+    return text;
+  }
+  
+  const pieces = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      pieces.push(text.slice(position, start));
+    }
+    pieces.push(
+      <Text key={start} style={styles.searchMatch}>
+        {text.slice(start, end)}
+      </Text>
+    );
+    position = end;
+  });
+  pieces.push(text.slice(position));
+  
+  return pieces;
+}
+
+/**
+ * Show how far away a course is, in miles
+ */
+function formatCourseDistance(distanceKm) {
+  const miles = distanceKm * 0.621371;
+  return miles < 10 ? `${miles.toFixed(1)} mi away` : `${Math.round(miles)} mi away`;
+}
+
 /**
  * Debounce helper function to limit search frequency
  */
@@ -593,10 +1104,6 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     paddingHorizontal: 4,
   },
-  sectionTitle: {
-    fontSize: 16,
-    color: '#555',
-  },
   skeletonContainer: {
     paddingHorizontal: 4,
   },
@@ -607,6 +1114,8 @@ const styles = StyleSheet.create({
     paddingBottom: 16,
   },
   courseItem: {
+    flexDirection: "row",
+    alignItems: "center",
     backgroundColor: "#fff",
     borderRadius: 8,
     padding: 16,
@@ -633,6 +1142,17 @@ const styles = StyleSheet.create({
   location: {
     color: "#666",
   },
+  searchMatch: {
+    color: theme.colors.primary,
+    fontWeight: "bold",
+  },
+  offlineStatus: {
+    color: theme.colors.primary,
+    marginTop: 4,
+  },
+  packButton: {
+    marginLeft: 12,
+  },
   noCoursesText: {
     fontStyle: "italic",
     color: "#666",
@@ -646,6 +1166,26 @@ const styles = StyleSheet.create({
   teeSelectionTitle: {
     marginBottom: 8,
   },
+  teeSelectionHeader: {
+    flexDirection: "row",
+    alignItems: "baseline",
+    justifyContent: "space-between",
+  },
+  courseActions: {
+    flexDirection: "row",
+  },
+  courseActionSpacer: {
+    marginLeft: 12,
+  },
+  courseAction: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+    paddingHorizontal: 4,
+  },
+  courseActionText: {
+    marginLeft: 6,
+  },
   teesList: {
     marginBottom: 8,
   },
@@ -680,6 +1220,13 @@ const styles = StyleSheet.create({
   teeName: {
     marginBottom: 2,
   },
+  courseHandicap: {
+    alignItems: "center",
+    marginLeft: 12,
+  },
+  courseHandicapLabel: {
+    color: "#666",
+  },
   noTeesText: {
     fontStyle: "italic",
     color: "#666",
@@ -696,6 +1243,52 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     color: '#666',
   },
+  holeSelectionContainer: {
+    marginBottom: 16,
+  },
+  formatOptions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  formatOption: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    backgroundColor: "#fff",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedFormatOption: {
+    backgroundColor: theme.colors.primary,
+  },
+  customHolesRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+  },
+  startHoleStepper: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  startHoleText: {
+    marginHorizontal: 12,
+  },
+  holeSummary: {
+    color: "#666",
+  },
   startButton: {
     backgroundColor: theme.colors.primary,
     paddingVertical: 12,
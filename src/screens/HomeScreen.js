@@ -1,6 +1,6 @@
 // src/screens/HomeScreen.js
 import React, { useState, useEffect, useContext } from "react";
-import { View, ActivityIndicator, StyleSheet, ScrollView, RefreshControl } from "react-native";
+import { View, ActivityIndicator, StyleSheet, ScrollView, RefreshControl, Alert } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
@@ -9,6 +9,7 @@ import { AuthContext } from "../context/AuthContext";
 import InsightCard from "../components/InsightCard"; // New component
 import RoundSummaryCard from "../components/RoundSummaryCard";
 import { getLatestInsights } from "../services/insightsService";
+import { getPendingRounds, subscribeToRoundQueue, syncRound } from "../services/roundSyncService";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import Card from "../ui/components/Card";
@@ -18,6 +19,7 @@ import Card from "../ui/components/Card";
  * 
  * This screen shows the insights summary card, "Start New Round" button 
  * and displays cards for recent completed rounds.
+ * Rounds finished offline are shown as "pending sync" until the queue submits them.
  * Enhanced with design system components for visual consistency.
  */
 export default function HomeScreen({ navigation }) {
@@ -38,6 +40,10 @@ export default function HomeScreen({ navigation }) {
     if (!user) return;
     
     try {
+      // Rounds finished offline that haven't reached the server yet
+      const pendingRounds = await getPendingRounds(user.id);
+      const pendingIds = pendingRounds.map(round => round.id);
+      
       // Fetch recent rounds
       const { data, error } = await supabase
         .from("rounds")
@@ -48,15 +54,20 @@ export default function HomeScreen({ navigation }) {
           created_at,
           score,
           gross_shots,
-          is_complete
+          is_complete,
+          partner_status
         `)
         .eq("profile_id", user.id)
         .eq("is_complete", true) // Only get completed rounds
+        .is("archived_at", null)
+        .neq("partner_status", "declined")
         .order("created_at", { ascending: false })
         .limit(5);
         
       if (error) {
         console.error("Error fetching rounds:", error);
+        // Still show rounds waiting to sync when the server can't be reached
+        setRecentRounds(pendingRounds);
         throw error;
       }
       
@@ -87,12 +98,17 @@ export default function HomeScreen({ navigation }) {
           courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
           score: round.score,
           grossShots: round.gross_shots,
-          isComplete: round.is_complete
+          isComplete: round.is_complete,
+          isPendingAcceptance: round.partner_status === "pending"
         }));
         
-        setRecentRounds(formattedRounds);
+        // Pending rounds first - a round can briefly be in both while it syncs
+        setRecentRounds([
+          ...pendingRounds,
+          ...formattedRounds.filter(round => !pendingIds.includes(round.id))
+        ]);
       } else {
-        setRecentRounds([]);
+        setRecentRounds(pendingRounds);
       }
       
       // Fetch insights summary
@@ -119,6 +135,16 @@ export default function HomeScreen({ navigation }) {
     fetchHomeData();
   }, [user]);
   
+  // Refresh when the offline round queue changes (round finished or synced)
+  useEffect(() => {
+    if (!user) return;
+    
+    const unsubscribe = subscribeToRoundQueue(() => {
+      fetchHomeData();
+    });
+    return unsubscribe;
+  }, [user]);
+  
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
@@ -141,9 +167,23 @@ export default function HomeScreen({ navigation }) {
   };
 
   // Handle navigation to scorecard
-  const handleRoundPress = (roundId) => {
-    console.log("Round pressed:", roundId);
-    navigation.navigate("ScorecardScreen", { roundId });
+  const handleRoundPress = (round) => {
+    console.log("Round pressed:", round.id);
+    
+    // Scorecards are loaded from the server, so pending rounds offer a sync instead
+    if (round.isPendingSync) {
+      Alert.alert(
+        "Waiting to Sync",
+        "This round is saved on your device and will upload automatically when you're back online.",
+        [
+          { text: "OK", style: "cancel" },
+          { text: "Sync Now", onPress: () => syncRound(round.id) }
+        ]
+      );
+      return;
+    }
+    
+    navigation.navigate("ScorecardScreen", { roundId: round.id });
   };
 
   return (
@@ -201,7 +241,7 @@ export default function HomeScreen({ navigation }) {
                   <RoundSummaryCard 
                     key={round.id}
                     round={round} 
-                    onPress={() => handleRoundPress(round.id)}
+                    onPress={() => handleRoundPress(round)}
                   />
                 ))}
               </View>
@@ -6,6 +6,10 @@ import theme from "../ui/theme";
 import { AuthContext } from "../context/AuthContext";
 import { getLatestInsights } from "../services/insightsService";
 import InsightCard from "../components/InsightCard"; 
+import StrokesLostTrend from "../components/StrokesLostTrend";
+import { getStrokesLostTrend } from "../services/strokesGainedService";
+import DispersionPatterns from "../components/DispersionPatterns";
+import { getDispersionPatterns } from "../services/dispersionService";
 import Typography from "../ui/components/Typography";
 
 /**
@@ -24,6 +28,8 @@ export default function InsightsScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [strokesLostTrend, setStrokesLostTrend] = useState([]);
+  const [dispersionPatterns, setDispersionPatterns] = useState([]);
 
   /**
    * Fetch insights data from the database
@@ -38,8 +44,14 @@ export default function InsightsScreen({ navigation }) {
     try {
       setError(null);
       
-      // Get the full insights object from our service
-      const insightsData = await getLatestInsights(user.id);
+      // Get the full insights object and the strokes lost trend and miss patterns behind it
+      const [insightsData, trend, patterns] = await Promise.all([
+        getLatestInsights(user.id),
+        getStrokesLostTrend(user.id),
+        getDispersionPatterns(user.id)
+      ]);
+      setStrokesLostTrend(trend);
+      setDispersionPatterns(patterns);
       
       if (insightsData) {
         console.log("Insights data loaded:", Object.keys(insightsData));
@@ -242,6 +254,12 @@ export default function InsightsScreen({ navigation }) {
           </>
         )}
         
+        {/* Strokes lost by category - the numbers the coaching is based on */}
+        <StrokesLostTrend trend={strokesLostTrend} />
+        
+        {/* Miss direction and lie patterns by shot type */}
+        <DispersionPatterns patterns={dispersionPatterns} />
+        
         {/* Analytics metrics for generation date */}
         {insights.generatedAt && (
           <View style={styles.footerContainer}>
@@ -10,10 +10,16 @@ import {
   Platform,
   Alert,
   Linking,
-  RefreshControl
+  RefreshControl,
+  TouchableOpacity
 } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
+import { refreshHandicapIndex } from "../services/handicapService";
+import { getBag, saveBag, sortBag, getClubDistances, STANDARD_CLUBS, MAX_BAG_SIZE } from "../services/clubService";
+import { AUTO_ADVANCE_MODES, getAutoAdvanceMode, saveAutoAdvanceMode } from "../services/holeDetectionService";
+import { TEE_RATINGS, DEFAULT_TEE_RATINGS, getTeeRatings, saveTeeRatings } from "../services/teeRatingsService";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import Button from "../ui/components/Button";
@@ -201,6 +207,228 @@ const SubscriptionManagementSection = () => {
   );
 };
 
+/**
+ * My Bag Component
+ * 
+ * Lets the player choose the clubs offered when recording shots, and shows
+ * how far they hit each one from their GPS-measured shots.
+ */
+const MyBagSection = ({ refreshKey }) => {
+  const { user } = useContext(AuthContext);
+  const [bag, setBag] = useState([]);
+  const [clubDistances, setClubDistances] = useState({});
+  const [customClub, setCustomClub] = useState("");
+  
+  useEffect(() => {
+    if (!user) return;
+    
+    getBag(user.id).then(setBag);
+    getClubDistances(user.id).then(setClubDistances);
+  }, [user, refreshKey]);
+  
+  // Save the new bag, putting the old one back if the save fails
+  const updateBag = async (newBag) => {
+    const previousBag = bag;
+    setBag(newBag);
+    
+    try {
+      await saveBag(user.id, newBag);
+    } catch (error) {
+      console.error("Error saving bag:", error.message);
+      setBag(previousBag);
+      Alert.alert("Couldn't Save Bag", "Please check your connection and try again.");
+    }
+  };
+  
+  const addClub = (club) => {
+    const name = club.trim();
+    if (!name || bag.includes(name)) return;
+    
+    if (bag.length >= MAX_BAG_SIZE) {
+      Alert.alert("Bag Full", `You can carry up to ${MAX_BAG_SIZE} clubs. Remove one to add another.`);
+      return;
+    }
+    
+    updateBag(sortBag([...bag, name]));
+    setCustomClub("");
+  };
+  
+  const removeClub = (club) => {
+    updateBag(bag.filter(c => c !== club));
+  };
+  
+  // Describe a club's measured distances
+  const getDistanceDetail = (club) => {
+    const stats = clubDistances[club];
+    if (!stats) return "No measured shots yet";
+    
+    return `Avg ${stats.average} • Median ${stats.median} • ±${stats.dispersion} yd (${stats.shots} ${stats.shots === 1 ? "shot" : "shots"})`;
+  };
+  
+  return (
+    <Card style={styles.bagCard}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        My Bag
+      </Typography>
+      
+      {bag.length === 0 ? (
+        <Typography variant="body" style={styles.bagDescription}>
+          Add the clubs you carry to pick one when you record a shot. Shots measured with GPS build up your distance for each club.
+        </Typography>
+      ) : (
+        bag.map(club => (
+          <View key={club} style={styles.clubRow}>
+            <View style={styles.clubInfo}>
+              <Typography variant="body" weight="semibold">
+                {club}
+              </Typography>
+              <Typography variant="caption" style={styles.clubDetail}>
+                {getDistanceDetail(club)}
+              </Typography>
+            </View>
+            <TouchableOpacity onPress={() => removeClub(club)} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+              <Ionicons name="close-circle-outline" size={22} color={theme.colors.secondary} />
+            </TouchableOpacity>
+          </View>
+        ))
+      )}
+      
+      {/* Standard clubs not yet in the bag */}
+      <View style={styles.clubChips}>
+        {STANDARD_CLUBS.filter(club => !bag.includes(club)).map(club => (
+          <TouchableOpacity key={club} style={styles.clubChip} onPress={() => addClub(club)}>
+            <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+              + {club}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      {/* Custom club, e.g. "52° Wedge" */}
+      <View style={styles.customClubRow}>
+        <TextInput
+          style={styles.customClubInput}
+          value={customClub}
+          onChangeText={setCustomClub}
+          onSubmitEditing={() => addClub(customClub)}
+          placeholder="Other club"
+          returnKeyType="done"
+          maxLength={20}
+        />
+        <Button
+          variant="outline"
+          size="small"
+          onPress={() => addClub(customClub)}
+          disabled={!customClub.trim()}
+        >
+          Add
+        </Button>
+      </View>
+    </Card>
+  );
+};
+
+/**
+ * Round Settings Component
+ * 
+ * Chooses whether the tracker moves to the next hole when GPS puts the
+ * player on its tee. Stored on this device only.
+ */
+const RoundSettingsSection = () => {
+  const { user } = useContext(AuthContext);
+  const [autoAdvanceMode, setAutoAdvanceMode] = useState(AUTO_ADVANCE_MODES.ASK.key);
+  const [teeRatings, setTeeRatings] = useState(DEFAULT_TEE_RATINGS);
+  
+  useEffect(() => {
+    getAutoAdvanceMode().then(setAutoAdvanceMode);
+  }, []);
+  
+  useEffect(() => {
+    if (!user) return;
+    getTeeRatings(user.id).then(setTeeRatings);
+  }, [user]);
+  
+  const handleSelectMode = async (mode) => {
+    setAutoAdvanceMode(mode);
+    
+    try {
+      await saveAutoAdvanceMode(mode);
+    } catch (error) {
+      console.error("Error saving auto-advance setting:", error);
+    }
+  };
+  
+  // Save the new setting, putting the old one back if the save fails
+  const handleSelectTeeRatings = async (ratings) => {
+    const previousRatings = teeRatings;
+    setTeeRatings(ratings);
+    
+    try {
+      await saveTeeRatings(user.id, ratings);
+    } catch (error) {
+      console.error("Error saving tee ratings:", error.message);
+      setTeeRatings(previousRatings);
+      Alert.alert("Couldn't Save Setting", "Please check your connection and try again.");
+    }
+  };
+  
+  const selectedMode = Object.values(AUTO_ADVANCE_MODES).find(mode => mode.key === autoAdvanceMode);
+  
+  return (
+    <Card style={styles.roundSettingsCard}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        Round Settings
+      </Typography>
+      
+      <Typography variant="body" weight="semibold">
+        Next hole on the tee
+      </Typography>
+      <View style={styles.modeChips}>
+        {Object.values(AUTO_ADVANCE_MODES).map(mode => {
+          const isActive = mode.key === autoAdvanceMode;
+          return (
+            <TouchableOpacity
+              key={mode.key}
+              style={[styles.modeChip, isActive && styles.modeChipActive]}
+              onPress={() => handleSelectMode(mode.key)}
+            >
+              <Typography variant="caption" weight="semibold" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+                {mode.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Typography variant="caption" style={styles.helpText}>
+        {selectedMode?.description}. Uses your GPS position and the tee locations for the course.
+      </Typography>
+      
+      <Typography variant="body" weight="semibold" style={styles.settingTitle}>
+        Par, stroke index and course ratings
+      </Typography>
+      <View style={styles.modeChips}>
+        {Object.values(TEE_RATINGS).map(ratings => {
+          const isActive = ratings.key === teeRatings;
+          return (
+            <TouchableOpacity
+              key={ratings.key}
+              style={[styles.modeChip, isActive && styles.modeChipActive]}
+              onPress={() => handleSelectTeeRatings(ratings.key)}
+            >
+              <Typography variant="caption" weight="semibold" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+                {ratings.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Typography variant="caption" style={styles.helpText}>
+        Used for new rounds and your handicap. Rounds you've already played keep the ratings they were scored with.
+      </Typography>
+    </Card>
+  );
+};
+
 /**
  * Account & Legal Navigation Component
  * 
@@ -239,6 +467,9 @@ const AccountLegalNavigationSection = ({ navigation }) => {
  * 
  * Enhanced with target handicap functionality for personalized improvement tracking.
  * Features handicap tracking with real-time database synchronization and validation.
+ * Shows the World Handicap System index calculated from completed rounds
+ * alongside the self-reported handicap.
+ * My Bag sets the clubs offered when recording shots, with each club's measured distances.
  * Includes navigation to Account & Legal screen for legal information and account management.
  */
 export default function ProfileScreen({ navigation }) {
@@ -252,6 +483,18 @@ export default function ProfileScreen({ navigation }) {
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error', or null
   const [validationErrors, setValidationErrors] = useState({});
   const [refreshing, setRefreshing] = useState(false);
+  const [handicapSummary, setHandicapSummary] = useState(null);
+  const [bagRefreshKey, setBagRefreshKey] = useState(0);
+  
+  // Recalculate the handicap index from completed rounds
+  const loadHandicapIndex = async () => {
+    if (!user) return;
+    
+    const summary = await refreshHandicapIndex(user.id);
+    if (summary) {
+      setHandicapSummary(summary);
+    }
+  };
   
   // Load user profile data
   const loadUserProfile = async () => {
@@ -285,12 +528,29 @@ export default function ProfileScreen({ navigation }) {
   // Load user profile data on mount
   useEffect(() => {
     loadUserProfile();
+    loadHandicapIndex();
   }, [user]);
 
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadUserProfile();
+    setBagRefreshKey(key => key + 1);
+    await Promise.all([loadUserProfile(), loadHandicapIndex()]);
+  };
+  
+  // Describe how the calculated index was reached
+  const getHandicapIndexDetail = () => {
+    if (!handicapSummary) return "Calculating...";
+    
+    if (handicapSummary.handicapIndex === null) {
+      return `Complete ${3 - handicapSummary.scoresCounted} more rated round${3 - handicapSummary.scoresCounted === 1 ? "" : "s"} to get an index`;
+    }
+    
+    let detail = `Best ${handicapSummary.scoresUsed} of ${handicapSummary.scoresCounted} differentials`;
+    if (handicapSummary.cap) {
+      detail += ` • ${handicapSummary.cap === "hard" ? "Hard" : "Soft"} cap applied`;
+    }
+    return detail;
   };
   
   // Validation function for target handicap
@@ -454,6 +714,22 @@ export default function ProfileScreen({ navigation }) {
               Golf Profile
             </Typography>
             
+            {/* Calculated Handicap Index */}
+            <View style={styles.handicapContainer}>
+              <View style={styles.handicapIndexLabel}>
+                <Typography variant="body" style={styles.handicapLabel}>
+                  Handicap Index (WHS)
+                </Typography>
+                <Typography variant="caption" style={styles.handicapIndexDetail}>
+                  {getHandicapIndexDetail()}
+                </Typography>
+              </View>
+              
+              <Typography variant="body" weight="semibold" style={styles.handicapIndexValue}>
+                {handicapSummary?.handicapIndex ?? "-"}
+              </Typography>
+            </View>
+            
             {/* Current Handicap */}
             <View style={styles.handicapContainer}>
               <Typography variant="body" style={styles.handicapLabel}>
@@ -517,6 +793,12 @@ export default function ProfileScreen({ navigation }) {
             </Typography>
           </View>
           
+          {/* Clubs and distances */}
+          <MyBagSection refreshKey={bagRefreshKey} />
+          
+          {/* Tracker preferences */}
+          <RoundSettingsSection />
+          
           {/* Subscription Management Section */}
           <SubscriptionManagementSection />
           
@@ -587,6 +869,20 @@ const styles = StyleSheet.create({
   handicapLabel: {
     color: theme.colors.secondary,
   },
+  handicapIndexLabel: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  handicapIndexDetail: {
+    color: theme.colors.secondary,
+    marginTop: 2,
+  },
+  handicapIndexValue: {
+    fontSize: 18,
+    color: theme.colors.primary,
+    minWidth: 60,
+    textAlign: "right",
+  },
   inputContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -704,6 +1000,82 @@ const styles = StyleSheet.create({
     marginTop: theme.spacing.small,
   },
   
+  // My Bag styles
+  bagCard: {
+    width: "100%", 
+    marginTop: theme.spacing.medium,
+  },
+  bagDescription: {
+    color: theme.colors.secondary,
+  },
+  clubRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  clubInfo: {
+    flex: 1,
+  },
+  clubDetail: {
+    color: theme.colors.secondary,
+    marginTop: 2,
+  },
+  clubChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.medium,
+  },
+  clubChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  customClubRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  customClubInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: Platform.OS === 'ios' ? 4 : 0,
+    paddingHorizontal: 4,
+    marginRight: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  
+  // Round Settings styles
+  roundSettingsCard: {
+    width: "100%", 
+    marginTop: theme.spacing.medium,
+  },
+  modeChips: {
+    flexDirection: "row",
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  modeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+  },
+  modeChipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  settingTitle: {
+    marginTop: theme.spacing.medium,
+  },
+  
   // Account & Legal Navigation styles
   accountLegalCard: {
     width: "100%", 
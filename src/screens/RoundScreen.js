@@ -1,13 +1,17 @@
 // src/screens/RoundScreen.js
 
 import React, { useState, useEffect, useContext } from "react";
-import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import { View, StyleSheet, FlatList, ActivityIndicator, Alert, TouchableOpacity } from "react-native";
 import { useNavigation } from "@react-navigation/native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
+import { getPendingRounds, subscribeToRoundQueue, syncRound } from "../services/roundSyncService";
+import { deleteRound, setRoundArchived, setRoundStatsExclusion, respondToGroupRound } from "../services/roundservice";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import RoundTrends from "../components/RoundTrends";
+import RoundOptionsModal from "../components/RoundOptionsModal";
 import Typography from "../ui/components/Typography";
 
 /**
@@ -15,12 +19,30 @@ import Typography from "../ui/components/Typography";
  * 
  * Displays a list of all completed rounds with detailed information.
  * Each round card is touchable and navigates to the ScorecardScreen.
+ * Rounds finished offline are listed first as "pending sync".
+ * The Trends view charts the same rounds over time.
+ * Each round's "..." options archive it, leave it out of the handicap and
+ * stats, or delete it. Archived rounds are hidden until "Show archived".
+ * Rounds a partner scored for the player wait for them to accept or decline.
  */
 export default function RoundsScreen() {
   const navigation = useNavigation();
   const { user } = useContext(AuthContext);
   const [rounds, setRounds] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [queueVersion, setQueueVersion] = useState(0);
+  const [view, setView] = useState("list");
+  const [showArchived, setShowArchived] = useState(false);
+  const [optionsRound, setOptionsRound] = useState(null); // Round whose options are open
+  const [savingOptions, setSavingOptions] = useState(false);
+
+  // Refetch when the offline round queue changes (round finished or synced)
+  useEffect(() => {
+    const unsubscribe = subscribeToRoundQueue(() => {
+      setQueueVersion(version => version + 1);
+    });
+    return unsubscribe;
+  }, []);
 
   useEffect(() => {
     async function fetchRounds() {
@@ -29,6 +51,10 @@ export default function RoundsScreen() {
       try {
         setLoading(true);
         
+        // Rounds finished offline that haven't reached the server yet
+        const pendingRounds = await getPendingRounds(user.id);
+        const pendingIds = pendingRounds.map(round => round.id);
+        
         // Fetch all COMPLETED rounds with scores and shots data
         // IMPORTANT CHANGE: Added filter for is_complete = true
         const { data, error } = await supabase
@@ -40,14 +66,20 @@ export default function RoundsScreen() {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            archived_at,
+            stats_exclusion,
+            partner_status
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
+          .neq("partner_status", "declined")
           .order("created_at", { ascending: false });
           
         if (error) {
           console.error("Error fetching rounds:", error);
+          // Still show rounds waiting to sync when the server can't be reached
+          setRounds(pendingRounds);
           throw error;
         }
         
@@ -78,12 +110,19 @@ export default function RoundsScreen() {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            isArchived: !!round.archived_at,
+            statsExclusion: round.stats_exclusion,
+            isPendingAcceptance: round.partner_status === "pending"
           }));
           
-          setRounds(formattedRounds);
+          // Pending rounds first - a round can briefly be in both while it syncs
+          setRounds([
+            ...pendingRounds,
+            ...formattedRounds.filter(round => !pendingIds.includes(round.id))
+          ]);
         } else {
-          setRounds([]);
+          setRounds(pendingRounds);
         }
       } catch (error) {
         console.error("Error in fetchRounds:", error);
@@ -93,32 +132,161 @@ export default function RoundsScreen() {
     }
     
     fetchRounds();
-  }, [user]);
+  }, [user, queueVersion]);
 
   // Navigate to the scorecard
-  const handleRoundPress = (roundId) => {
-    console.log("Navigating to scorecard for round:", roundId);
+  const handleRoundPress = (round) => {
+    // Scorecards are loaded from the server, so pending rounds offer a sync instead
+    if (round.isPendingSync) {
+      Alert.alert(
+        "Waiting to Sync",
+        "This round is saved on your device and will upload automatically when you're back online.",
+        [
+          { text: "OK", style: "cancel" },
+          { text: "Sync Now", onPress: () => syncRound(round.id) }
+        ]
+      );
+      return;
+    }
+    
+    if (round.isPendingAcceptance) {
+      handleRespondToRound(round);
+      return;
+    }
+    
+    console.log("Navigating to scorecard for round:", round.id);
     // Explicitly navigate to the ScorecardScreen with the roundId parameter
-    navigation.navigate("ScorecardScreen", { roundId });
+    navigation.navigate("ScorecardScreen", { roundId: round.id });
+  };
+  
+  // A partner scored this round - it only counts once the player accepts it
+  const handleRespondToRound = (round) => {
+    const respond = async (accept) => {
+      try {
+        await respondToGroupRound(round.id, user.id, accept);
+        setRounds(current => accept
+          ? current.map(r => r.id === round.id ? { ...r, isPendingAcceptance: false } : r)
+          : current.filter(r => r.id !== round.id));
+      } catch (error) {
+        console.error("Error responding to group round:", error.message);
+        Alert.alert("Couldn't Update Round", "Please check your connection and try again.");
+      }
+    };
+    
+    Alert.alert(
+      "Round From a Partner",
+      `A playing partner scored your round at ${round.courseName}. Add it to your rounds to count it towards your handicap and stats.`,
+      [
+        { text: "View Scorecard", onPress: () => navigation.navigate("ScorecardScreen", { roundId: round.id }) },
+        { text: "Decline", style: "destructive", onPress: () => respond(false) },
+        { text: "Add to My Rounds", onPress: () => respond(true) }
+      ]
+    );
+  };
+  
+  // Save a change to the round with its options open, then show it in the list
+  const updateRound = async (save, changes) => {
+    try {
+      setSavingOptions(true);
+      await save();
+      setRounds(current => current.map(round => round.id === optionsRound.id ? { ...round, ...changes } : round));
+      setOptionsRound(current => ({ ...current, ...changes }));
+    } catch (error) {
+      console.error("Error updating round:", error.message);
+      Alert.alert("Couldn't Update Round", "Please check your connection and try again.");
+    } finally {
+      setSavingOptions(false);
+    }
   };
+  
+  const handleToggleArchived = () => {
+    const isArchived = !optionsRound.isArchived;
+    updateRound(() => setRoundArchived(optionsRound.id, isArchived), { isArchived });
+  };
+  
+  const handleSetStatsExclusion = (statsExclusion) => {
+    updateRound(() => setRoundStatsExclusion(optionsRound.id, user.id, statsExclusion), { statsExclusion });
+  };
+  
+  const handleDeleteRound = () => {
+    const round = optionsRound;
+    
+    Alert.alert(
+      "Delete Round?",
+      `This permanently deletes your round at ${round.courseName}, its shots and its insights. To keep it out of the way instead, archive it.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setSavingOptions(true);
+              await deleteRound(round.id, user.id);
+              setRounds(current => current.filter(r => r.id !== round.id));
+              setOptionsRound(null);
+            } catch (error) {
+              console.error("Error deleting round:", error.message);
+              Alert.alert("Couldn't Delete Round", error.message.replace("Failed to delete round: ", ""));
+            } finally {
+              setSavingOptions(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const visibleRounds = rounds.filter(round => showArchived || !round.isArchived);
+  const archivedCount = rounds.filter(round => round.isArchived).length;
 
   return (
     <Layout>
       <View style={styles.container}>
-        {loading ? (
+        {/* List / Trends toggle */}
+        <View style={styles.viewToggle}>
+          {[{ key: "list", label: "List" }, { key: "trends", label: "Trends" }].map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.toggleButton, view === option.key && styles.toggleButtonActive]}
+              onPress={() => setView(option.key)}
+            >
+              <Typography
+                variant="caption"
+                weight="semibold"
+                align="center"
+                color={view === option.key ? "#FFFFFF" : theme.colors.primary}
+              >
+                {option.label}
+              </Typography>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {view === "trends" ? (
+          <RoundTrends onRoundPress={roundId => navigation.navigate("ScorecardScreen", { roundId })} />
+        ) : loading ? (
           <ActivityIndicator size="large" color={theme.colors.primary} />
         ) : rounds.length > 0 ? (
           <FlatList
-            data={rounds}
+            data={visibleRounds}
             renderItem={({ item }) => (
               <RoundSummaryCard 
                 round={item} 
-                onPress={() => handleRoundPress(item.id)}
+                onPress={() => handleRoundPress(item)}
+                onOptionsPress={item.isPendingSync || item.isPendingAcceptance ? null : () => setOptionsRound(item)}
               />
             )}
             keyExtractor={item => item.id}
             contentContainerStyle={styles.listContainer}
             showsVerticalScrollIndicator={true}
+            ListFooterComponent={archivedCount > 0 ? (
+              <TouchableOpacity style={styles.archivedToggle} onPress={() => setShowArchived(!showArchived)}>
+                <Typography variant="caption" weight="semibold" align="center" color={theme.colors.primary}>
+                  {showArchived ? "Hide archived rounds" : `Show archived rounds (${archivedCount})`}
+                </Typography>
+              </TouchableOpacity>
+            ) : null}
           />
         ) : (
           <View style={styles.emptyContainer}>
@@ -131,6 +299,16 @@ export default function RoundsScreen() {
             </Typography>
           </View>
         )}
+        
+        <RoundOptionsModal
+          visible={!!optionsRound}
+          round={optionsRound}
+          busy={savingOptions}
+          onToggleArchived={handleToggleArchived}
+          onSetStatsExclusion={handleSetStatsExclusion}
+          onDelete={handleDeleteRound}
+          onClose={() => setOptionsRound(null)}
+        />
       </View>
     </Layout>
   );
@@ -141,9 +319,27 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: theme.spacing.medium,
   },
+  viewToggle: {
+    flexDirection: "row",
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    borderRadius: 8,
+    overflow: "hidden",
+    marginBottom: theme.spacing.medium,
+  },
+  toggleButton: {
+    flex: 1,
+    paddingVertical: 6,
+  },
+  toggleButtonActive: {
+    backgroundColor: theme.colors.primary,
+  },
   listContainer: {
     paddingBottom: 20,
   },
+  archivedToggle: {
+    paddingVertical: theme.spacing.small,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: "center",
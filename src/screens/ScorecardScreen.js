@@ -1,12 +1,24 @@
 // src/screens/ScorecardScreen.js
 
-import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import React, { useContext, useEffect, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
+import { getRoundHoleSequence } from "../services/roundFormatService";
+import { calculateCourseHandicap, calculateNetScores } from "../services/handicapService";
+import { getRoundPlayers, editRoundHole, getRoundEdits, refreshRoundAnalysis } from "../services/roundservice";
+import { getBag } from "../services/clubService";
+import { AuthContext } from "../context/AuthContext";
+import GroupScorecard from "../components/GroupScorecard";
+import HoleEditModal from "../components/HoleEditModal";
+import SideGamesSummary from "../components/SideGamesSummary";
+import { calculateSideGames } from "../services/sideGameService";
+import { hasMeasuredDistances } from "../services/shotDistanceService";
+import { formatShotDetail, hasShotDetail } from "../services/dispersionService";
+import { TEE_RATINGS, getHolePar, getHoleIndex, getTeeRating } from "../services/teeRatingsService";
 
 /**
  * ScorecardScreen Component
@@ -15,8 +27,20 @@ import theme from "../ui/theme";
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
  * Enhanced navigation to provide cleaner flow back to home screen.
+ * Only the holes in the round are listed (9-hole rounds, back nine, shotgun
+ * starts), and par totals cover just the holes that were played.
+ * A Net view shows strokes received, net score and Stableford points per hole
+ * from the player's course handicap for the tee they played.
+ * Par, stroke index and the tee's rating and slope are the men's or women's,
+ * whichever the round was played off.
+ * Holes with GPS-measured shots, or shots with a miss direction or lie, can
+ * be tapped to show each shot's distance and where it finished.
+ * The player can edit their completed round: any hole re-opens in the shot
+ * table, the score is recalculated when it's saved, and every change is
+ * kept in the round's edit history.
  */
 export default function ScorecardScreen() {
+  const { user } = useContext(AuthContext);
   const navigation = useNavigation();
   const route = useRoute();
   // Get roundId from navigation params
@@ -27,6 +51,18 @@ export default function ScorecardScreen() {
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [handicapIndex, setHandicapIndex] = useState(null);
+  const [showNet, setShowNet] = useState(false); // Shots breakdown or net/Stableford columns
+  const [groupPlayers, setGroupPlayers] = useState([]);
+  const [expandedHole, setExpandedHole] = useState(null); // Hole showing its shot distances
+  
+  // Editing the completed round
+  const [isEditing, setIsEditing] = useState(false);
+  const [editingHole, setEditingHole] = useState(null); // { number, data, defaults }
+  const [savingHole, setSavingHole] = useState(false);
+  const [holesEdited, setHolesEdited] = useState(0); // Saves since edit mode was turned on
+  const [roundEdits, setRoundEdits] = useState([]);
+  const [clubs, setClubs] = useState([]);
 
   // Define the outcome categories - used throughout the component
   const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
@@ -54,7 +90,14 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_id,
+            selected_tee_name,
+            start_hole,
+            hole_count,
+            tee_ratings,
+            stats_exclusion,
+            group_round_id,
+            side_games
           `)
           .eq("id", roundId)
           .single();
@@ -70,7 +113,7 @@ export default function ScorecardScreen() {
         // 2. Fetch the course data
         const { data: course, error: courseError } = await supabase
           .from("courses")
-          .select("id, name, par, holes")
+          .select("id, name, par, holes, num_holes, tees")
           .eq("id", round.course_id)
           .single();
           
@@ -100,6 +143,27 @@ export default function ScorecardScreen() {
         const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
         setHolesData(processedHoles);
         
+        // 4. Fetch the player's handicap for net scoring (calculated index first)
+        const { data: profile, error: profileError } = await supabase
+          .from("profiles")
+          .select("handicap, handicap_index")
+          .eq("id", round.profile_id)
+          .single();
+          
+        if (profileError) {
+          // Net scores are optional - show the gross card without them
+          console.error("Error fetching handicap:", profileError);
+        } else {
+          setHandicapIndex(profile?.handicap_index ?? profile?.handicap ?? null);
+        }
+        
+        // 5. Fetch the group card - partners' copies point back at the organizer's round
+        const players = await getRoundPlayers(round.group_round_id || round.id);
+        setGroupPlayers(players);
+        
+        // 6. Changes made since the round was completed
+        setRoundEdits(await getRoundEdits(round.id));
+        
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
       } finally {
@@ -159,13 +223,16 @@ export default function ScorecardScreen() {
         number: holeNum,
         score: hole.total_score || holeData.shots.length,
         par: holeData.par,
+        index: holeData.index,
         distance: holeData.distance,
-        outcomes: outcomes
+        shots: holeData.shots,
+        outcomes: outcomes,
+        data: holeData // Everything saved for the hole, for editing
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return only valid holes
+    return processed.filter(Boolean);
   };
 
   // Calculate front nine, back nine, and total scores with outcome breakdowns
@@ -230,6 +297,93 @@ export default function ScorecardScreen() {
     // This creates a clean navigation state
     navigation.dispatch(StackActions.popToTop());
   };
+  
+  // Only the player's own completed round can be edited - partners' copies
+  // of a group round are changed by the organizer re-saving the group card
+  const canEdit = !!user && roundData?.profile_id === user.id && roundData?.is_complete && !roundData?.group_round_id;
+  
+  /**
+   * Turn edit mode on or off. Leaving it after changing holes offers to
+   * update the round's insights - the score, handicap and strokes lost are
+   * already updated with each save.
+   */
+  const handleToggleEditing = () => {
+    if (!isEditing) {
+      setIsEditing(true);
+      setHolesEdited(0);
+      setExpandedHole(null);
+      if (clubs.length === 0) {
+        getBag(user.id).then(setClubs);
+      }
+      return;
+    }
+    
+    setIsEditing(false);
+    if (holesEdited === 0) return;
+    
+    Alert.alert(
+      "Round Updated",
+      "Your score and handicap have been updated. Update the insights for this round too?",
+      [
+        { text: "Not Now", style: "cancel" },
+        { text: "Update Insights", onPress: () => refreshRoundAnalysis(roundData.profile_id, roundData.id) }
+      ]
+    );
+  };
+  
+  /**
+   * Open a hole in the shot editor, with the course's par, index and length
+   * for holes that have no shots yet
+   */
+  const openHoleEditor = (holeNum) => {
+    const hole = holesData.find(h => h.number === holeNum);
+    const courseHole = courseData?.holes?.find(h => h.number === holeNum);
+    const teeKey = roundData?.selected_tee_name?.toLowerCase();
+    
+    setEditingHole({
+      number: holeNum,
+      data: hole?.data || null,
+      defaults: {
+        par: getHolePar(courseHole, roundData?.tee_ratings),
+        index: getHoleIndex(courseHole, roundData?.tee_ratings),
+        distance: courseHole?.distances?.[teeKey] || null
+      }
+    });
+  };
+  
+  /**
+   * Save an edited hole, then reload what the save changed
+   */
+  const handleSaveHole = async (holeData) => {
+    try {
+      setSavingHole(true);
+      const updatedRound = await editRoundHole(roundData.id, editingHole.number, holeData);
+      setRoundData(prev => ({ ...prev, ...updatedRound }));
+      setHolesEdited(count => count + 1);
+      setEditingHole(null);
+    } catch (error) {
+      console.error("Error saving hole:", error.message);
+      Alert.alert("Couldn't Save Hole", "Please check your connection and try again.");
+      return;
+    } finally {
+      setSavingHole(false);
+    }
+    
+    try {
+      const { data: holes, error } = await supabase
+        .from("shots")
+        .select("hole_number, hole_data, total_score")
+        .eq("round_id", roundData.id)
+        .order("hole_number");
+        
+      if (error) throw error;
+      setHolesData(processHolesData(holes, roundData.selected_tee_name?.toLowerCase()));
+      setGroupPlayers(await getRoundPlayers(roundData.id));
+      setRoundEdits(await getRoundEdits(roundData.id));
+    } catch (error) {
+      console.error("Error reloading scorecard:", error);
+    }
+  };
 
   // If still loading, show loading indicator
   if (loading) {
@@ -245,18 +399,223 @@ export default function ScorecardScreen() {
 
   // Calculate totals for display
   const totals = calculateTotals();
+  
+  // Holes in this round, split into the front and back nine for display
+  const playedHoles = getRoundHoleSequence(roundData, courseData?.num_holes || 18);
+  const frontHoles = playedHoles.filter(n => n <= 9).sort((a, b) => a - b);
+  const backHoles = playedHoles.filter(n => n > 9).sort((a, b) => a - b);
+  
+  // Partial rounds are compared against the par of the holes actually played
+  const scoredHoles = playedHoles.filter(n => holesData.some(h => h.number === n && h.score > 0));
+  const countedHoles = scoredHoles.length > 0 ? scoredHoles : playedHoles;
+  
+  // Net scoring off the course handicap for the tee played
+  const tee = courseData?.tees?.find(t => t.id === roundData?.selected_tee_id) ||
+              courseData?.tees?.find(t => t.name === roundData?.selected_tee_name);
+  const teeRatings = roundData?.tee_ratings;
+  const teeRating = getTeeRating(tee, teeRatings);
+  const ratingsLabel = Object.values(TEE_RATINGS).find(ratings => ratings.key === teeRatings)?.label || TEE_RATINGS.MEN.label;
+  const scoringHoles = playedHoles.map(number => {
+    const holeData = holesData.find(h => h.number === number);
+    const courseHole = courseData?.holes?.find(h => h.number === number);
+    
+    return {
+      number,
+      par: holeData?.par || getHolePar(courseHole, teeRatings),
+      index: holeData?.index || getHoleIndex(courseHole, teeRatings),
+      score: holeData?.score || null
+    };
+  });
+  const roundPar = scoringHoles.reduce((total, hole) => total + (hole.par || 0), 0);
+  const courseHandicap = calculateCourseHandicap(handicapIndex, tee, roundPar, playedHoles.length, teeRatings);
+  const netScores = calculateNetScores(scoringHoles, courseHandicap);
+  
+  // Side games played by the group, from the group card
+  const sideGamePlayers = groupPlayers.map(player => ({
+    position: player.position,
+    displayName: player.display_name,
+    scores: player.scores
+  }));
+  const sideGameResults = calculateSideGames(sideGamePlayers, scoringHoles, roundData?.side_games);
+  
+  /**
+   * Sum gross, net and Stableford points over a set of holes
+   */
+  const calculateNetTotals = (holeNumbers) => {
+    return holeNumbers.reduce((totals, number) => {
+      const result = netScores[number];
+      if (result?.net === null || result?.net === undefined) {
+        return totals;
+      }
+      
+      return {
+        net: totals.net + result.net,
+        points: totals.points + result.points
+      };
+    }, { net: 0, points: 0 });
+  };
+  
+  const frontNetTotals = calculateNetTotals(frontHoles);
+  const backNetTotals = calculateNetTotals(backHoles);
+  const roundNetTotals = calculateNetTotals(playedHoles);
+  const countedPar = calculateCoursePar(courseData, countedHoles, teeRatings);
+  
+  /**
+   * Render a single hole row
+   */
+  const renderHoleRow = (holeNum) => {
+    // Find this hole's data
+    const holeData = holesData.find(h => h.number === holeNum) || {
+      number: holeNum,
+      score: 0,
+      outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+    };
+    
+    const measured = hasMeasuredDistances(holeData.shots);
+    const expandable = measured || hasShotDetail(holeData.shots);
+    
+    return (
+      <View key={`hole-${holeNum}`}>
+        <TouchableOpacity
+          style={styles.holeRow}
+          disabled={!expandable && !isEditing}
+          onPress={() => isEditing
+            ? openHoleEditor(holeNum)
+            : setExpandedHole(expandedHole === holeNum ? null : holeNum)}
+        >
+          <Text style={styles.holeColumn}>
+            {holeNum}
+            {isEditing ? (
+              <Ionicons name="create-outline" size={10} color={theme.colors.primary} />
+            ) : expandable && (
+              <Ionicons
+                name={expandedHole === holeNum ? "chevron-up" : measured ? "locate" : "list-outline"}
+                size={10}
+                color={theme.colors.primary}
+              />
+            )}
+          </Text>
+          <Text style={styles.parColumn}>{holeData.par || getCourseHolePar(courseData, holeNum, teeRatings) || "-"}</Text>
+          <Text style={styles.scoreColumn}>{holeData.score || "-"}</Text>
+          {showNet ? (
+            <>
+              {/* Strokes received, net score and Stableford points */}
+              <Text style={styles.outcomeColumn}>{formatStrokes(netScores[holeNum]?.strokes)}</Text>
+              <Text style={styles.outcomeColumn}>{netScores[holeNum]?.net ?? "-"}</Text>
+              <Text style={styles.outcomeColumn}>{netScores[holeNum]?.points ?? "-"}</Text>
+            </>
+          ) : (
+            <>
+              {/* Outcome values */}
+              <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
+              <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
+              <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      
+        {/* Each shot's GPS-measured distances and where it finished */}
+        {expandable && expandedHole === holeNum && (
+          <View style={styles.shotDistances}>
+            {holeData.shots.map((shot, i) => (
+              <View key={i} style={styles.shotDistanceRow}>
+                <Text style={styles.shotDistanceType}>
+                  {i + 1}. {shot.type}{shot.club ? ` • ${shot.club}` : ""}
+                  {formatShotDetail(shot) !== "" && (
+                    <Text style={styles.shotDetailText}>{`\n${formatShotDetail(shot)}`}</Text>
+                  )}
+                </Text>
+                {measured && (
+                  <>
+                    <Text style={styles.shotDistanceValue}>
+                      {shot.carry !== undefined ? `${shot.carry} yd` : "-"}
+                    </Text>
+                    <Text style={styles.shotDistanceValue}>
+                      {shot.remaining !== undefined ? `${shot.remaining} to green` : ""}
+                    </Text>
+                  </>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  /**
+   * Render the trailing columns of a subtotal row (Out / In)
+   */
+  const renderSubtotalColumns = (netTotals) => (
+    showNet ? (
+      <>
+        <Text style={styles.outcomeColumn}></Text>
+        <Text style={[styles.outcomeColumn, styles.totalText]}>{netTotals.net || "-"}</Text>
+        <Text style={[styles.outcomeColumn, styles.totalText]}>{netTotals.points}</Text>
+      </>
+    ) : (
+      <>
+        <Text style={styles.outcomeColumn}></Text>
+        <Text style={styles.outcomeColumn}></Text>
+        <Text style={styles.outcomeColumn}></Text>
+      </>
+    )
+  );
 
   return (
     <Layout>
       <View style={styles.container}>
         {/* Course info */}
         <View style={styles.courseInfo}>
-          <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+          <View style={styles.courseHeader}>
+            <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+            {canEdit && (
+              <TouchableOpacity style={styles.editButton} onPress={handleToggleEditing}>
+                <Ionicons name={isEditing ? "checkmark" : "create-outline"} size={16} color={theme.colors.primary} />
+                <Text style={styles.editButtonText}>{isEditing ? "Done" : "Edit"}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
           <Text style={styles.roundDate}>
             {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            {roundEdits.length > 0 ? ` • Edited ${new Date(roundEdits[0].created_at).toLocaleDateString()}` : ""}
+          </Text>
+          <Text style={styles.handicapText}>
+            {courseHandicap !== null
+              ? `Course handicap ${courseHandicap} (index ${handicapIndex}) • ${tee?.name || roundData?.selected_tee_name || ""}`
+              : "No handicap set - net scores are off scratch"}
           </Text>
+          {roundData?.stats_exclusion && (
+            <Text style={styles.handicapText}>Not counted in your handicap, stats or insights</Text>
+          )}
+          {teeRating.courseRating && teeRating.slope ? (
+            <Text style={styles.handicapText}>
+              {`${ratingsLabel} rating ${teeRating.courseRating} / slope ${teeRating.slope}`}
+            </Text>
+          ) : null}
+        </View>
+        
+        {/* Gross breakdown or net scoring */}
+        <View style={styles.viewToggle}>
+          {[false, true].map(net => (
+            <TouchableOpacity
+              key={net ? "net" : "shots"}
+              style={[styles.toggleOption, showNet === net && styles.toggleOptionActive]}
+              onPress={() => setShowNet(net)}
+            >
+              <Text style={[styles.toggleText, showNet === net && styles.toggleTextActive]}>
+                {net ? "Net & Stableford" : "Shots"}
+              </Text>
+            </TouchableOpacity>
+          ))}
         </View>
         
+        {isEditing && (
+          <View style={styles.editBanner}>
+            <Text style={styles.editBannerText}>Tap a hole to change its shots.</Text>
+          </View>
+        )}
+        
         {/* Scorecard */}
         <ScrollView style={styles.scorecard}>
           {/* Header row - updated with new outcome categories */}
@@ -264,93 +623,108 @@ export default function ScorecardScreen() {
             <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
             <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
             <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
-            {/* Outcome columns with new categories */}
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
-              On Target
-            </Text>
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Slightly Off")}]}>
-              Slightly Off
-            </Text>
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Recovery Needed")}]}>
-              Recovery
-            </Text>
+            {showNet ? (
+              <>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Strokes</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Net</Text>
+                <Text style={[styles.outcomeColumn, styles.headerText]}>Points</Text>
+              </>
+            ) : (
+              <>
+                {/* Outcome columns with new categories */}
+                <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
+                  On Target
+                </Text>
+                <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Slightly Off")}]}>
+                  Slightly Off
+                </Text>
+                <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Recovery Needed")}]}>
+                  Recovery
+                </Text>
+              </>
+            )}
           </View>
           
           {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
+          {frontHoles.map(holeNum => renderHoleRow(holeNum))}
           
           {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+          {frontHoles.length > 0 && (
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
+              <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, countedHoles.filter(n => n <= 9), teeRatings) || "-"}</Text>
+              <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
+              {renderSubtotalColumns(frontNetTotals)}
+            </View>
+          )}
           
           {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
+          {backHoles.map(holeNum => renderHoleRow(holeNum))}
           
           {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+          {backHoles.length > 0 && (
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
+              <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, countedHoles.filter(n => n > 9), teeRatings) || "-"}</Text>
+              <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
+              {renderSubtotalColumns(backNetTotals)}
+            </View>
+          )}
           
           {/* Total row - updated with new outcome totals */}
           <View style={[styles.holeRow, styles.totalRow]}>
             <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
+            <Text style={[styles.parColumn, styles.totalText]}>{countedPar || courseData?.par || "-"}</Text>
             <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
+            {showNet ? (
+              <>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{courseHandicap ?? 0}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{roundNetTotals.net || "-"}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{roundNetTotals.points}</Text>
+              </>
+            ) : (
+              <>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
+                <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
+              </>
+            )}
           </View>
+          
+          {/* Everyone in the group, when the round was played with partners */}
+          {groupPlayers.length > 1 && (
+            <GroupScorecard
+              players={groupPlayers}
+              frontHoles={frontHoles}
+              backHoles={backHoles}
+              getPar={holeNum => scoringHoles.find(h => h.number === holeNum)?.par}
+              currentProfileId={roundData?.profile_id}
+            />
+          )}
+          
+          {sideGameResults && (
+            <SideGamesSummary
+              results={sideGameResults}
+              players={sideGamePlayers}
+              settings={roundData.side_games}
+              style={styles.sideGames}
+            />
+          )}
+          
+          {/* Every change made since the round was completed */}
+          {isEditing && roundEdits.length > 0 && (
+            <View style={styles.editHistory}>
+              <Text style={styles.editHistoryTitle}>Edit History</Text>
+              {roundEdits.map(edit => (
+                <View key={edit.id} style={styles.shotDistanceRow}>
+                  <Text style={styles.shotDistanceType}>
+                    Hole {edit.hole_number}: {edit.previous_total_score ?? "-"} → {edit.total_score ?? "-"} shots
+                  </Text>
+                  <Text style={styles.editHistoryDate}>{new Date(edit.created_at).toLocaleString()}</Text>
+                </View>
+              ))}
+            </View>
+          )}
         </ScrollView>
         
         {/* Round summary - updated label to match new categories */}
@@ -365,13 +739,37 @@ export default function ScorecardScreen() {
               {roundData?.score !== null ? (roundData.score > 0 ? `+${roundData.score}` : roundData.score) : "N/A"}
             </Text>
           </View>
-          {/* Updated to show "On Target" instead of "Good Shots" */}
-          <View style={styles.summaryItem}>
-            <Text style={styles.summaryLabel}>On Target Shots</Text>
-            <Text style={styles.summaryValue}>{totals.outcomes["On Target"]}</Text>
-          </View>
+          {showNet ? (
+            <>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Net Score</Text>
+                <Text style={styles.summaryValue}>{roundNetTotals.net || "-"}</Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Stableford</Text>
+                <Text style={styles.summaryValue}>{roundNetTotals.points}</Text>
+              </View>
+            </>
+          ) : (
+            /* Updated to show "On Target" instead of "Good Shots" */
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>On Target Shots</Text>
+              <Text style={styles.summaryValue}>{totals.outcomes["On Target"]}</Text>
+            </View>
+          )}
         </View>
         
+        <HoleEditModal
+          visible={!!editingHole}
+          holeNumber={editingHole?.number}
+          holeData={editingHole?.data}
+          defaults={editingHole?.defaults}
+          clubs={clubs}
+          saving={savingHole}
+          onSave={handleSaveHole}
+          onClose={() => setEditingHole(null)}
+        />
+        
         {/* Return to Home button - only shown when coming from tracker */}
         {fromTracker && (
           <TouchableOpacity 
@@ -389,26 +787,37 @@ export default function ScorecardScreen() {
 /**
  * Helper function to get par for a specific hole from course data
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, teeRatings) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
+  return holeData ? getHolePar(holeData, teeRatings) : null;
+}
+
+/**
+ * Helper function to show strokes received on a hole (plus handicaps give strokes back)
+ */
+function formatStrokes(strokes) {
+  if (!strokes) {
+    return "-";
+  }
+  
+  return strokes > 0 ? "•".repeat(strokes) : `+${Math.abs(strokes)}`;
 }
 
 /**
- * Helper function to calculate par for a range of holes
+ * Helper function to calculate par for a set of holes
  */
-function calculateCoursePar(courseData, startHole, endHole) {
+function calculateCoursePar(courseData, holeNumbers, teeRatings) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
+  for (const holeNumber of holeNumbers) {
+    const holePar = getCourseHolePar(courseData, holeNumber, teeRatings);
     if (holePar) {
       totalPar += holePar;
     }
@@ -438,10 +847,56 @@ const styles = StyleSheet.create({
     padding: 16,
     marginBottom: 8,
   },
+  courseHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
   courseName: {
+    flex: 1,
     fontSize: 18,
     fontWeight: "bold",
   },
+  editButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginLeft: 8,
+  },
+  editButtonText: {
+    marginLeft: 4,
+    fontSize: 14,
+    color: theme.colors.primary,
+    fontWeight: "500",
+  },
+  editBanner: {
+    backgroundColor: "#fff9e6",
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  editBannerText: {
+    fontSize: 13,
+    color: "#333",
+  },
+  editHistory: {
+    marginTop: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  editHistoryTitle: {
+    fontSize: 14,
+    fontWeight: "bold",
+    marginBottom: 4,
+  },
+  editHistoryDate: {
+    fontSize: 12,
+    color: "#666",
+  },
   roundDate: {
     fontSize: 14,
     color: "#666",
@@ -452,6 +907,10 @@ const styles = StyleSheet.create({
     flex: 1,
     marginBottom: 8,
   },
+  sideGames: {
+    marginTop: 8,
+    marginHorizontal: 16,
+  },
   headerRow: {
     flexDirection: "row",
     backgroundColor: "#f5f5f5",
@@ -468,6 +927,32 @@ const styles = StyleSheet.create({
   totalRow: {
     backgroundColor: "#f5f5f5",
   },
+  shotDistances: {
+    backgroundColor: "#fafafa",
+    paddingVertical: 4,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  shotDistanceRow: {
+    flexDirection: "row",
+    paddingVertical: 3,
+  },
+  shotDistanceType: {
+    flex: 1,
+    fontSize: 13,
+    color: "#333",
+  },
+  shotDetailText: {
+    fontSize: 12,
+    color: "#666",
+  },
+  shotDistanceValue: {
+    width: 80,
+    fontSize: 13,
+    textAlign: "right",
+    color: "#666",
+  },
   holeColumn: {
     width: 50,
     textAlign: "center",
@@ -493,6 +978,35 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  handicapText: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 4,
+  },
+  viewToggle: {
+    flexDirection: "row",
+    backgroundColor: "#fff",
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: "center",
+    borderBottomWidth: 2,
+    borderBottomColor: "transparent",
+  },
+  toggleOptionActive: {
+    borderBottomColor: theme.colors.primary,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  toggleTextActive: {
+    color: theme.colors.primary,
+    fontWeight: "bold",
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
@@ -0,0 +1,269 @@
+// src/screens/StatsScreen.js
+
+import React, { useState, useEffect, useContext } from "react";
+import { View, ScrollView, TouchableOpacity, RefreshControl, ActivityIndicator, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import PremiumButton from "../components/PremiumButton";
+import { AuthContext } from "../context/AuthContext";
+import { getPlayerStats, DATE_RANGES, FREE_STATS } from "../services/statsService";
+
+// Dashboard tiles, in display order
+const STAT_TILES = [
+  { key: "fairwaysHit", label: "Fairways Hit", type: "percent" },
+  { key: "greensInRegulation", label: "Greens in Regulation", type: "percent" },
+  { key: "puttsPerRound", label: "Putts per Round", type: "number", caption: "per 18 holes" },
+  { key: "puttsPerHole", label: "Putts per Hole", type: "number" },
+  { key: "scrambling", label: "Scrambling", type: "percent" },
+  { key: "sandSaves", label: "Sand Saves", type: "percent" },
+  { key: "threePuttRate", label: "3-Putt Rate", type: "percent" },
+  { key: "penaltiesPerRound", label: "Penalty Strokes", type: "number", caption: "per 18 holes" },
+];
+
+/**
+ * StatsScreen Component
+ *
+ * Standard golf stats calculated from the player's tracked rounds,
+ * filterable by date range, course and tee. Free users see a basic subset.
+ */
+export default function StatsScreen() {
+  const { user, hasPermission } = useContext(AuthContext);
+  const hasPremiumAccess = hasPermission("product_a");
+
+  const [filters, setFilters] = useState({ dateRange: DATE_RANGES.LAST_90_DAYS.key, courseId: null, teeName: null });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  /**
+   * Load stats for the current filters
+   */
+  const fetchStats = async () => {
+    if (!user) return;
+
+    const data = await getPlayerStats(user.id, filters);
+    setResult(data);
+    setLoading(false);
+    setRefreshing(false);
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    fetchStats();
+  }, [user, filters]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchStats();
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value,
+      // Tees belong to a course, so a new course starts with all tees
+      ...(key === "courseId" ? { teeName: null } : {}),
+    }));
+  };
+
+  /**
+   * Render a row of filter chips
+   */
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value ?? "all"}
+          style={[styles.chip, selected === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Typography
+            variant="caption"
+            weight="semibold"
+            color={selected === option.value ? "#FFFFFF" : theme.colors.primary}
+          >
+            {option.label}
+          </Typography>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  /**
+   * Render one stat tile - locked for free users if it's a premium stat
+   */
+  const renderTile = (tile) => {
+    const locked = !hasPremiumAccess && !FREE_STATS.includes(tile.key);
+    const stat = result?.stats?.[tile.key];
+
+    let value = "-";
+    let detail = tile.caption || null;
+    if (tile.type === "percent" && stat?.percent !== null && stat?.percent !== undefined) {
+      value = `${stat.percent}%`;
+      detail = `${stat.made} of ${stat.chances}`;
+    } else if (tile.type === "number" && stat !== null && stat !== undefined) {
+      value = `${stat}`;
+    }
+
+    return (
+      <Card key={tile.key} style={styles.tile}>
+        <Typography variant="caption" style={styles.tileLabel}>
+          {tile.label}
+        </Typography>
+        {locked ? (
+          <Ionicons name="lock-closed-outline" size={24} color={theme.colors.secondary} style={styles.lockIcon} />
+        ) : (
+          <>
+            <Typography variant="title" weight="bold" color={theme.colors.primary}>
+              {value}
+            </Typography>
+            {detail && (
+              <Typography variant="caption" style={styles.tileDetail}>
+                {detail}
+              </Typography>
+            )}
+          </>
+        )}
+      </Card>
+    );
+  };
+
+  const courseOptions = [
+    { value: null, label: "All Courses" },
+    ...(result?.courses || []).map(course => ({ value: course.id, label: course.name })),
+  ];
+  const teeOptions = [
+    { value: null, label: "All Tees" },
+    ...(result?.tees || []).map(tee => ({ value: tee, label: tee })),
+  ];
+
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={[theme.colors.primary]}
+          />
+        }
+      >
+        {/* Filters */}
+        {renderChips(
+          Object.values(DATE_RANGES).map(range => ({ value: range.key, label: range.label })),
+          filters.dateRange,
+          value => updateFilter("dateRange", value)
+        )}
+        {courseOptions.length > 2 && renderChips(courseOptions, filters.courseId, value => updateFilter("courseId", value))}
+        {teeOptions.length > 2 && renderChips(teeOptions, filters.teeName, value => updateFilter("teeName", value))}
+
+        {loading ? (
+          <View style={styles.centerContainer}>
+            <ActivityIndicator size="large" color={theme.colors.primary} />
+          </View>
+        ) : !result ? (
+          <View style={styles.centerContainer}>
+            <Typography variant="body" align="center">
+              Couldn't load your stats. Pull down to try again.
+            </Typography>
+          </View>
+        ) : result.stats.holesPlayed === 0 ? (
+          <View style={styles.centerContainer}>
+            <Typography variant="body" align="center">
+              No tracked rounds for these filters yet. Complete a round with shot tracking to see your stats.
+            </Typography>
+          </View>
+        ) : (
+          <>
+            <Typography variant="caption" style={styles.sampleText}>
+              {result.stats.roundsPlayed} {result.stats.roundsPlayed === 1 ? "round" : "rounds"} • {result.stats.holesPlayed} holes
+            </Typography>
+
+            <View style={styles.tileGrid}>
+              {STAT_TILES.map(renderTile)}
+            </View>
+
+            {/* Upgrade for the full set */}
+            {!hasPremiumAccess && (
+              <Card style={styles.upgradeCard}>
+                <Typography variant="body" weight="semibold">
+                  See your whole game
+                </Typography>
+                <Typography variant="caption" style={styles.upgradeText}>
+                  Premium adds scrambling, sand saves, 3-putt rate, putts per hole and penalty strokes.
+                </Typography>
+                <PremiumButton label="Unlock All Stats" />
+              </Card>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    flexGrow: 1,
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: theme.spacing.small,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 40,
+  },
+  sampleText: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  tileGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+  },
+  tile: {
+    width: "48%",
+    marginBottom: theme.spacing.medium,
+    alignItems: "flex-start",
+  },
+  tileLabel: {
+    color: theme.colors.secondary,
+    marginBottom: 4,
+  },
+  tileDetail: {
+    color: theme.colors.secondary,
+  },
+  lockIcon: {
+    marginTop: 4,
+  },
+  upgradeCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  upgradeText: {
+    marginTop: 4,
+    marginBottom: theme.spacing.medium,
+    color: theme.colors.secondary,
+  },
+});
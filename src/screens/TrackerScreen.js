@@ -1,6 +1,6 @@
 // src/screens/TrackerScreen.js
 
-import React, { useState, useEffect, useContext, useCallback } from "react";
+import React, { useState, useEffect, useContext, useCallback, useRef } from "react";
 import { 
   View, 
   StyleSheet, 
@@ -12,16 +12,89 @@ import {
   TouchableOpacity
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { useFocusEffect } from '@react-navigation/native';
+import { useFocusEffect, StackActions } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { createRound, completeRound, deleteAbandonedRound } from "../services/roundservice";
+import { deleteAbandonedRound } from "../services/roundservice";
+import {
+  generateRoundId,
+  enqueueRound,
+  ensureRoundQueued,
+  markRoundFinished,
+  removeQueuedRound,
+  syncRound
+} from "../services/roundSyncService";
 import ShotTable from "../components/ShotTable";
 import HoleNavigator from "../components/HoleNavigator";
 import { AuthContext } from "../context/AuthContext";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import DistanceIndicator from '../components/DistanceIndicator';
+import HoleMap from '../components/HoleMap';
+import GroupScoreEntry from '../components/GroupScoreEntry';
+import AddPlayerModal from '../components/AddPlayerModal';
+import SideGamesSummary from '../components/SideGamesSummary';
+import SideGamesSetupModal from '../components/SideGamesSetupModal';
+import { calculateSideGames } from "../services/sideGameService";
+import { getHoleSequence, getRoundHoleSequence } from "../services/roundFormatService";
+import { applyShotDistances, getGreenCoordinates, toShotLocation } from "../services/shotDistanceService";
+import { getBag, getClubDistances } from "../services/clubService";
+import { getCourseById } from "../services/courseService";
+import { AUTO_ADVANCE_MODES, getAutoAdvanceMode, updateTeeArrival } from "../services/holeDetectionService";
+import { DEFAULT_TEE_RATINGS, getHolePar, getHoleIndex } from "../services/teeRatingsService";
+import QuickScoreCard from "../components/QuickScoreCard";
+import ShotTimeline from "../components/ShotTimeline";
+import { updateShot } from "../services/shotTimelineService";
+import {
+  TRACKING_MODES,
+  DEFAULT_TRACKING_MODE,
+  buildQuickScoreShots,
+  getLastTrackingMode,
+  getQuickScore,
+  saveLastTrackingMode
+} from "../services/quickScoreService";
+
+/**
+ * Create the empty tracking state for a single hole
+ */
+const createEmptyHole = () => ({
+  // Hole characteristics (will be filled from course data)
+  par: null,
+  distance: null,
+  index: null,
+  features: [],
+  
+  // Shot data
+  shots: [], // Array of { type, result, timestamp, club?, location?, carry?, remaining? }
+  
+  // Shot counts for ShotTable compatibility
+  shotCounts: {
+    "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+  },
+  
+  // POI data for this hole
+  poi: null
+});
+
+/**
+ * Shot counts for ShotTable from a hole's shots
+ */
+const countShots = (shots) => {
+  const counts = createEmptyHole().shotCounts;
+  shots.forEach(shot => {
+    if (counts[shot.type]?.[shot.result] !== undefined) {
+      counts[shot.type][shot.result] += 1;
+    }
+  });
+  return counts;
+};
 
 /**
  * TrackerScreen Component
@@ -32,6 +105,13 @@ import DistanceIndicator from '../components/DistanceIndicator';
  * 
  * Enhanced with proper iOS and Android exit handling that deletes abandoned rounds.
  * Enhanced with retry mechanism for failed round submissions.
+ * Rounds are tracked through the offline round queue, so a round can be
+ * started, played and finished without signal and synced later.
+ * Plays the holes chosen in the course selector in order - 9 holes, the back
+ * nine or a shotgun start - and rounds can be ended early after any hole.
+ * Playing partners can be added to keep a group score from one phone.
+ * Each round can switch between tracking every shot and a quick score per hole.
+ * The shot timeline shows the hole's shots in order for fixing the sequence.
  */
 export default function TrackerScreen({ navigation }) {
   // Get the authenticated user from context
@@ -39,35 +119,17 @@ export default function TrackerScreen({ navigation }) {
   
   // Local state for tracking current hole and shots
   const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18); // Standard golf round is 18 holes
+  
+  // Holes in this round, in playing order (9-hole rounds, back nine, shotgun starts)
+  const [holeSequence, setHoleSequence] = useState(() => getHoleSequence(1, 18, 18));
+  const totalHoles = holeSequence.length;
+  const holeIndex = Math.max(0, holeSequence.indexOf(currentHole));
+  const isLastHole = holeIndex === totalHoles - 1;
   
   // Initialize hole data structure for all holes
   const initialHoleState = {};
   for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      // Hole characteristics (will be filled from course data)
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      
-      // Shot data
-      shots: [], // Array of { type, result, timestamp }
-      
-      // Shot counts for ShotTable compatibility
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      },
-      
-      // POI data for this hole
-      poi: null
-    };
+    initialHoleState[i] = createEmptyHole();
   }
   
   // Main state variables for the component
@@ -78,6 +140,26 @@ export default function TrackerScreen({ navigation }) {
   const [course, setCourse] = useState(null);                   // Current course data
   const [courseDetails, setCourseDetails] = useState(null);     // Detailed course data from database
   const [isCompleting, setIsCompleting] = useState(false);     // New state variable for completion tracking
+  const [partners, setPartners] = useState([]);                 // Playing partners' strokes for group rounds
+  const [showAddPlayer, setShowAddPlayer] = useState(false);    // Add player modal visibility
+  const [sideGames, setSideGames] = useState(null);             // Side game settings for the group
+  const [showSideGames, setShowSideGames] = useState(false);    // Side game setup modal visibility
+  const lastLocationRef = useRef(null);                         // Latest GPS reading, for locating shots
+  const [bag, setBag] = useState([]);                           // Clubs offered when recording a shot
+  const [clubDistances, setClubDistances] = useState(null);     // Player's per-club distances
+  const [suggestedClub, setSuggestedClub] = useState(null);     // Club for the current distance to the green
+  const [showMap, setShowMap] = useState(false);                // Hole map visibility
+  const [playerPosition, setPlayerPosition] = useState(null);   // Live position, only tracked while the map is open
+  const [showTimeline, setShowTimeline] = useState(false);      // Shot timeline visibility
+  const showMapRef = useRef(false);
+  const [autoAdvanceMode, setAutoAdvanceMode] = useState(AUTO_ADVANCE_MODES.OFF.key);
+  const teeArrivalRef = useRef(null);                           // Progress onto the next hole's tee
+  const promptedHoleRef = useRef(null);                         // Next hole already offered, so we only ask once
+  const autoAdvanceRef = useRef(null);                          // Latest hole and settings for the GPS callback
+  
+  // Rounds started before quick scoring existed track every shot
+  const trackingMode = round?.tracking_mode || DEFAULT_TRACKING_MODE;
+  const isQuickScoring = trackingMode === TRACKING_MODES.QUICK.key;
 
   // iOS Navigation Interception - Enhanced with delete logic
   useFocusEffect(
@@ -102,8 +184,11 @@ export default function TrackerScreen({ navigation }) {
                 onPress: async () => {
                   try {
                     setLoading(true);
+                    await removeQueuedRound(round.id);
                     await deleteAbandonedRound(round.id);
                     await AsyncStorage.removeItem(`round_${round.id}_holes`);
+                    await AsyncStorage.removeItem(`round_${round.id}_players`);
+                    await AsyncStorage.removeItem(`round_${round.id}_side_games`);
                     await AsyncStorage.removeItem("currentRound");
                     navigation.dispatch(e.data.action);
                   } catch (error) {
@@ -144,8 +229,11 @@ export default function TrackerScreen({ navigation }) {
                 onPress: async () => {
                   try {
                     setLoading(true);
+                    await removeQueuedRound(round.id);
                     await deleteAbandonedRound(round.id);
                     await AsyncStorage.removeItem(`round_${round.id}_holes`);
+                    await AsyncStorage.removeItem(`round_${round.id}_players`);
+                    await AsyncStorage.removeItem(`round_${round.id}_side_games`);
                     await AsyncStorage.removeItem("currentRound");
                     navigation.goBack();
                   } catch (error) {
@@ -226,12 +314,12 @@ export default function TrackerScreen({ navigation }) {
    * Saves current hole data before moving
    */
   const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
+    if (!isLastHole) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the next hole
-      setCurrentHole(prev => prev + 1);
+      // Move to the next hole in the round (wraps after the course's last hole)
+      setCurrentHole(holeSequence[holeIndex + 1]);
     } else {
       // If on the last hole, prompt to finish the round
       Alert.alert(
@@ -247,21 +335,21 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage]);
+  }, [isLastHole, holeIndex, holeSequence, saveCurrentHoleToStorage]);
 
   /**
    * Function to navigate to the previous hole
    * Saves current hole data before moving
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
+    if (holeIndex > 0) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the previous hole
-      setCurrentHole(prev => prev - 1);
+      // Move to the previous hole in the round
+      setCurrentHole(holeSequence[holeIndex - 1]);
     }
-  }, [currentHole, saveCurrentHoleToStorage]);
+  }, [holeIndex, holeSequence, saveCurrentHoleToStorage]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
@@ -279,6 +367,9 @@ export default function TrackerScreen({ navigation }) {
         // Get selected tee information
         const selectedTeeName = round?.selected_tee_name?.toLowerCase() || course?.teeName?.toLowerCase();
         
+        // Men's or women's par and index, as chosen when the round started
+        const teeRatings = round?.tee_ratings || course?.teeRatings;
+        
         // Get distance for selected tee
         let distance = null;
         if (currentHoleInfo.distances && selectedTeeName && currentHoleInfo.distances[selectedTeeName]) {
@@ -314,9 +405,9 @@ export default function TrackerScreen({ navigation }) {
           if (!newData[currentHole].par) {
             newData[currentHole] = {
               ...newData[currentHole],
-              par: currentHoleInfo.par_men || null,
+              par: getHolePar(currentHoleInfo, teeRatings),
               distance: distance || null,
-              index: currentHoleInfo.index_men || null,
+              index: getHoleIndex(currentHoleInfo, teeRatings),
               features: currentHoleInfo.features || [],
               poi: holePoi // Add POI data to hole
             };
@@ -362,45 +453,76 @@ export default function TrackerScreen({ navigation }) {
         
         // Check if there's an in-progress round in AsyncStorage
         const existingRoundStr = await AsyncStorage.getItem("currentRound");
+        const courseHoles = courseData.num_holes || 18;
         let roundData;
+        let roundHoles;
         
         if (existingRoundStr) {
           // Use existing round
           roundData = JSON.parse(existingRoundStr);
           console.log("Resuming existing round:", roundData);
           setRound(roundData);
+          
+          // Rounds saved before hole ranges existed are 18 holes from the first tee
+          roundHoles = getRoundHoleSequence(roundData, courseHoles);
+          
+          // Rounds started before the offline queue existed need tracking too
+          await ensureRoundQueued(roundData, { courseName: courseData.name });
         } else {
-          // Create a new round
-          roundData = await createRound(
-            user.id,
-            courseData.id,
-            courseData.teeId,
-            courseData.teeName
-          );
+          // Holes chosen in the course selector (full course if none)
+          roundHoles = courseData.roundSetup?.holes?.length
+            ? courseData.roundSetup.holes
+            : getHoleSequence(1, courseHoles, courseHoles);
+          
+          // Create the round locally - no network needed to start playing
+          roundData = {
+            id: generateRoundId(),
+            profile_id: user.id,
+            course_id: courseData.id,
+            is_complete: false,
+            selected_tee_id: courseData.teeId,
+            selected_tee_name: courseData.teeName,
+            start_hole: roundHoles[0],
+            hole_count: roundHoles.length,
+            tee_ratings: courseData.teeRatings || DEFAULT_TEE_RATINGS,
+            tracking_mode: await getLastTrackingMode(),
+            created_at: new Date().toISOString()
+          };
+          
+          await enqueueRound(roundData, { courseName: courseData.name });
           
           console.log("New round created:", roundData);
           setRound(roundData);
           
           // Store the round in AsyncStorage
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
+          
+          // Create the server record in the background when there is signal
+          syncRound(roundData.id);
         }
         
-        // Get supabase from the service
-        const { supabase } = require("../services/supabase");
+        // Start on the round's first hole and make sure every hole in it has state
+        setHoleSequence(roundHoles);
+        setCurrentHole(roundHoles[0]);
+        setHoleData(prevData => {
+          const newData = { ...prevData };
+          roundHoles.forEach(holeNum => {
+            if (!newData[holeNum]) {
+              newData[holeNum] = createEmptyHole();
+            }
+          });
+          return newData;
+        });
         
-        // Get full course details from database
+        // Get full course details - the downloaded copy is used without signal
         try {
-          const { data: fullCourseData, error } = await supabase
-            .from("courses")
-            .select("*")
-            .eq("id", courseData.id)
-            .single();
+          const fullCourseData = await getCourseById(courseData.id);
             
-          if (error) {
-            console.error("Error fetching course details:", error);
-          } else if (fullCourseData) {
+          if (fullCourseData) {
             console.log("Found full course details:", fullCourseData.name);
             setCourseDetails(fullCourseData);
+          } else {
+            console.error("Course details not available for:", courseData.id);
           }
         } catch (error) {
           console.error("Error fetching course details:", error);
@@ -426,6 +548,17 @@ export default function TrackerScreen({ navigation }) {
             
             console.log("Loaded hole data from storage");
           }
+          
+          // Restore playing partners for a resumed group round
+          const storedPlayersStr = await AsyncStorage.getItem(`round_${roundData.id}_players`);
+          if (storedPlayersStr) {
+            setPartners(JSON.parse(storedPlayersStr));
+          }
+          
+          const storedSideGamesStr = await AsyncStorage.getItem(`round_${roundData.id}_side_games`);
+          if (storedSideGamesStr) {
+            setSideGames(JSON.parse(storedSideGamesStr));
+          }
         }
       } catch (error) {
         console.error("Error initializing round:", error);
@@ -439,26 +572,111 @@ export default function TrackerScreen({ navigation }) {
     initializeRound();
   }, [user, navigation]);
 
+  // Load the player's bag and club distances for the club picker and suggestions
+  useEffect(() => {
+    if (!user) return;
+    
+    getBag(user.id).then(setBag);
+    getClubDistances(user.id).then(setClubDistances);
+  }, [user]);
+  
+  useEffect(() => {
+    getAutoAdvanceMode().then(setAutoAdvanceMode);
+  }, []);
+  
+  // Each hole starts looking for the player on the following tee afresh
+  useEffect(() => {
+    teeArrivalRef.current = null;
+  }, [currentHole]);
+  
+  /**
+   * Check whether the player has walked onto the next hole's tee and offer
+   * (or make) the hole change, depending on the auto-advance setting
+   */
+  const checkTeeArrival = (location) => {
+    const { mode, nextHole, nextTees, advance } = autoAdvanceRef.current || {};
+    if (mode === AUTO_ADVANCE_MODES.OFF.key || !nextHole || promptedHoleRef.current === nextHole) {
+      return;
+    }
+    
+    teeArrivalRef.current = updateTeeArrival(teeArrivalRef.current, location, nextTees);
+    if (!teeArrivalRef.current.arrived) {
+      return;
+    }
+    
+    promptedHoleRef.current = nextHole;
+    console.log(`Player is on the tee of hole ${nextHole}`);
+    
+    if (mode === AUTO_ADVANCE_MODES.AUTO.key) {
+      advance();
+    } else {
+      Alert.alert(
+        `On the ${nextHole} Tee?`,
+        `It looks like you've reached the tee of hole ${nextHole}. Move on to it?`,
+        [
+          { text: "Not Yet", style: "cancel" },
+          { text: `Go to Hole ${nextHole}`, onPress: advance }
+        ]
+      );
+    }
+  };
+
+  /**
+   * Keep the latest GPS reading from the DistanceIndicator
+   */
+  const handleLocationUpdate = useCallback((location) => {
+    lastLocationRef.current = location;
+    checkTeeArrival(location);
+    
+    // Re-rendering on every reading is only worth it when the map shows it
+    if (showMapRef.current && location?.coords) {
+      setPlayerPosition({ lat: location.coords.latitude, lng: location.coords.longitude });
+    }
+  }, []);
+  
+  const toggleMap = () => {
+    const visible = !showMap;
+    showMapRef.current = visible;
+    setShowMap(visible);
+    
+    const coords = lastLocationRef.current?.coords;
+    if (visible && coords) {
+      setPlayerPosition({ lat: coords.latitude, lng: coords.longitude });
+    }
+  };
+
   /**
-   * Function to add a shot of a specific type and outcome
+   * Function to add a shot of a specific type and outcome, and the club used if picked
+   * Shots are pinned to the player's position when there's a recent GPS fix
    */
-  const addShot = useCallback((type, outcome) => {
+  const addShot = useCallback((type, outcome, club = null) => {
     console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
     
+    const location = toShotLocation(lastLocationRef.current);
+    
     setHoleData(prevData => {
       const newData = { ...prevData };
       const currentHoleInfo = { ...newData[currentHole] };
       
-      // Add to shots array
-      currentHoleInfo.shots.push({
-        type,
-        result: outcome,
-        timestamp: new Date().toISOString()
-      });
+      // Add to shots array and re-measure the hole's shot distances
+      const shots = [
+        ...currentHoleInfo.shots,
+        {
+          type,
+          result: outcome,
+          timestamp: new Date().toISOString(),
+          ...(club ? { club } : {}),
+          ...(location ? { location } : {})
+        }
+      ];
+      currentHoleInfo.shots = applyShotDistances(shots, getGreenCoordinates(currentHoleInfo.poi).center);
       
       // Update shot counts for ShotTable compatibility
       currentHoleInfo.shotCounts[type][outcome] += 1;
       
+      // Tracked shots replace a quick score entered earlier
+      delete currentHoleInfo.quickScore;
+      
       // Update hole data
       newData[currentHole] = currentHoleInfo;
       
@@ -490,11 +708,13 @@ export default function TrackerScreen({ navigation }) {
         // Convert the reversed index to the actual index
         const actualIndex = currentHoleInfo.shots.length - 1 - shotIndex;
         
-        // Remove the shot from the shots array
-        currentHoleInfo.shots.splice(actualIndex, 1);
+        // Remove the shot from the shots array - the previous shot's carry changes with it
+        const shots = currentHoleInfo.shots.filter((shot, index) => index !== actualIndex);
+        currentHoleInfo.shots = applyShotDistances(shots, getGreenCoordinates(currentHoleInfo.poi).center);
         
         // Update the shot counts for ShotTable compatibility
         currentHoleInfo.shotCounts[type][outcome] -= 1;
+        delete currentHoleInfo.quickScore;
         
         // Update the hole data
         newData[currentHole] = currentHoleInfo;
@@ -504,6 +724,91 @@ export default function TrackerScreen({ navigation }) {
     });
   }, [currentHole]);
 
+  /**
+   * Record where the hole's latest shot finished (miss direction and lie)
+   */
+  const updateLastShot = useCallback((changes) => {
+    setHoleData(prevData => {
+      const currentHoleInfo = { ...prevData[currentHole] };
+      const lastIndex = currentHoleInfo.shots.length - 1;
+      if (lastIndex < 0) return prevData;
+      
+      currentHoleInfo.shots = updateShot(currentHoleInfo.shots, lastIndex, changes);
+      
+      return { ...prevData, [currentHole]: currentHoleInfo };
+    });
+  }, [currentHole]);
+
+  /**
+   * Replace the current hole's shots with the sequence edited in the timeline
+   */
+  const handleTimelineChange = useCallback((shots) => {
+    setHoleData(prevData => {
+      const currentHoleInfo = { ...prevData[currentHole] };
+      
+      currentHoleInfo.shots = applyShotDistances(shots, getGreenCoordinates(currentHoleInfo.poi).center);
+      currentHoleInfo.shotCounts = countShots(currentHoleInfo.shots);
+      delete currentHoleInfo.quickScore;
+      
+      return { ...prevData, [currentHole]: currentHoleInfo };
+    });
+  }, [currentHole]);
+
+  /**
+   * Save a quick score for the current hole as stand-in shots
+   */
+  const applyQuickScore = useCallback((score) => {
+    setHoleData(prevData => {
+      const currentHoleInfo = { ...prevData[currentHole] };
+      const shots = buildQuickScoreShots(score, currentHoleInfo.par || 4);
+      
+      currentHoleInfo.shots = shots;
+      currentHoleInfo.shotCounts = countShots(shots);
+      currentHoleInfo.quickScore = score;
+      
+      return { ...prevData, [currentHole]: currentHoleInfo };
+    });
+  }, [currentHole]);
+
+  /**
+   * Change the quick score, checking first when it would replace tracked shots
+   */
+  const handleQuickScoreChange = (score) => {
+    const currentHoleInfo = holeData[currentHole];
+    
+    if (currentHoleInfo?.shots?.length > 0 && !currentHoleInfo.quickScore) {
+      Alert.alert(
+        "Replace Tracked Shots?",
+        `Hole ${currentHole} has ${currentHoleInfo.shots.length} tracked shots. A quick score replaces them.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Replace", style: "destructive", onPress: () => applyQuickScore(score) }
+        ]
+      );
+      return;
+    }
+    
+    applyQuickScore(score);
+  };
+
+  /**
+   * Switch the round between tracking shots and quick scores
+   */
+  const handleChangeTrackingMode = async (mode) => {
+    if (!round || mode === trackingMode) return;
+    
+    const updatedRound = { ...round, tracking_mode: mode };
+    setRound(updatedRound);
+    
+    try {
+      await AsyncStorage.setItem("currentRound", JSON.stringify(updatedRound));
+    } catch (error) {
+      console.error("Error saving tracking mode:", error);
+    }
+    
+    saveLastTrackingMode(mode);
+  };
+
   /**
    * Complete a hole and save data to AsyncStorage
    */
@@ -515,8 +820,8 @@ export default function TrackerScreen({ navigation }) {
       await saveCurrentHoleToStorage();
       
       // Move to next hole if not on last hole
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
+      if (!isLastHole) {
+        setCurrentHole(holeSequence[holeIndex + 1]);
       }
       
       setLoading(false);
@@ -527,10 +832,126 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  /**
+   * Update the playing partners and keep them with the round on the device
+   */
+  const updatePartners = useCallback(async (updater) => {
+    if (!round) return;
+    
+    const updatedPartners = updater(partners);
+    setPartners(updatedPartners);
+    
+    try {
+      await AsyncStorage.setItem(`round_${round.id}_players`, JSON.stringify(updatedPartners));
+    } catch (error) {
+      console.error("Error saving playing partners to AsyncStorage:", error);
+    }
+  }, [round, partners]);
+  
+  /**
+   * Add a playing partner in the first free seat (the organizer is seat 0)
+   */
+  const handleAddPartner = useCallback((player) => {
+    updatePartners(prev => {
+      const takenSeats = prev.map(partner => partner.position);
+      const position = [1, 2, 3].find(seat => !takenSeats.includes(seat));
+      if (!position) return prev;
+      
+      return [...prev, { ...player, position, scores: {} }];
+    });
+  }, [updatePartners]);
+  
+  /**
+   * Remove a playing partner
+   */
+  const handleRemovePartner = useCallback((position) => {
+    updatePartners(prev => prev.filter(partner => partner.position !== position));
+  }, [updatePartners]);
+  
+  /**
+   * Set a partner's strokes for the current hole
+   */
+  const handleChangePartnerStrokes = useCallback((position, strokes) => {
+    updatePartners(prev => prev.map(partner => {
+      if (partner.position !== position) return partner;
+      
+      const scores = { ...partner.scores };
+      if (strokes > 0) {
+        scores[currentHole] = strokes;
+      } else {
+        delete scores[currentHole];
+      }
+      
+      return { ...partner, scores };
+    }));
+  }, [updatePartners, currentHole]);
+  
+  /**
+   * Save the group's side game settings with the round on the device
+   */
+  const handleSaveSideGames = useCallback(async (settings) => {
+    setSideGames(settings);
+    setShowSideGames(false);
+    
+    if (!round) return;
+    
+    try {
+      await AsyncStorage.setItem(`round_${round.id}_side_games`, JSON.stringify(settings));
+    } catch (error) {
+      console.error("Error saving side games to AsyncStorage:", error);
+    }
+  }, [round]);
+  
+  /**
+   * Build the group card for submission - the organizer's strokes come
+   * from their tracked shots, partners' from the strokes entered
+   */
+  const buildGroupPlayers = (storedHoleData) => {
+    if (partners.length === 0) {
+      return [];
+    }
+    
+    const organizerScores = {};
+    holeSequence.forEach(holeNum => {
+      const strokes = storedHoleData[holeNum]?.shots?.length || 0;
+      if (strokes > 0) {
+        organizerScores[holeNum] = strokes;
+      }
+    });
+    
+    const organizer = {
+      position: 0,
+      guestName: null,
+      displayName: user.user_metadata?.first_name || user.email?.split("@")[0] || "Player 1",
+      scores: organizerScores
+    };
+    
+    return [organizer, ...partners];
+  };
+
+  /**
+   * Confirm ending a partial round before the last hole.
+   * Only holes with shots are submitted, so the score is against their par.
+   */
+  const confirmFinishEarly = () => {
+    Alert.alert(
+      "End Round Early?",
+      "Your round will be saved with the holes you've played so far.",
+      [
+        { text: "Keep Playing", style: "cancel" },
+        {
+          text: "End Round",
+          onPress: () => finishRound(),
+        }
+      ]
+    );
+  };
+
   /**
    * Complete the round - save all hole data to database
    * Enhanced with retry mechanism and granular error handling
-   * MODIFIED: Removed database writing loop, now passes hole data to completeRound
+   * MODIFIED: Hands the round to the offline queue, which submits it now
+   * if possible and otherwise keeps retrying in the background
    */
   const finishRound = async () => {
     try {
@@ -549,18 +970,32 @@ export default function TrackerScreen({ navigation }) {
       
       const storedHoleData = JSON.parse(storedDataStr);
       
-      // Call completeRound with hole data - it will handle all database operations
-      await completeRound(round.id, storedHoleData, totalHoles);
-      
-      console.log("Round completed successfully");
-      
-      // Clear AsyncStorage data for this round
-      await AsyncStorage.removeItem(`round_${round.id}_holes`);
+      // Queue the finished round - from here on it is safe on the device
+      const queuedRound = await markRoundFinished(
+        round.id,
+        storedHoleData,
+        holeSequence,
+        buildGroupPlayers(storedHoleData),
+        partners.length > 0 ? sideGames : null
+      );
+      if (!queuedRound) {
+        throw new Error("Round could not be queued for submission");
+      }
       await AsyncStorage.removeItem("currentRound");
       
+      // Try to submit straight away
+      const synced = await syncRound(round.id);
+      
       // Set loading to false BEFORE navigation
       setLoading(false);
       
+      if (!synced) {
+        showPendingSyncAlert();
+        return;
+      }
+      
+      console.log("Round completed successfully");
+      
       // Navigate to scorecard with replace to prevent back navigation to the tracker
       navigation.replace("Scorecard", { 
         roundId: round.id,
@@ -576,6 +1011,45 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  /**
+   * Tell the user their finished round is queued for sync
+   * Offers an immediate retry, otherwise returns home while the
+   * queue keeps retrying in the background
+   */
+  const showPendingSyncAlert = () => {
+    Alert.alert(
+      "Round Saved Offline",
+      "Your round is saved on this device and will sync automatically when you're back online.",
+      [
+        { 
+          text: "Sync Later", 
+          style: "cancel",
+          onPress: () => {
+            navigation.dispatch(StackActions.popToTop());
+          }
+        },
+        { 
+          text: "Retry Now", 
+          style: "default",
+          onPress: async () => {
+            setLoading(true);
+            const synced = await syncRound(round.id);
+            setLoading(false);
+            
+            if (synced) {
+              navigation.replace("Scorecard", { 
+                roundId: round.id,
+                fromTracker: true
+              });
+            } else {
+              showPendingSyncAlert();
+            }
+          }
+        }
+      ]
+    );
+  };
+
   /**
    * Show retry alert with specific error message
    * Enhanced to provide granular error feedback and retry capability
@@ -618,6 +1092,23 @@ export default function TrackerScreen({ navigation }) {
     return theme.colors.text;  // At par (neutral)
   };
 
+  // Next hole in the round and its tee markers, for GPS hole detection
+  const nextHole = isLastHole ? null : holeSequence[holeIndex + 1];
+  autoAdvanceRef.current = {
+    mode: autoAdvanceMode,
+    nextHole,
+    nextTees: course?.poi?.find?.(poi => poi.hole === nextHole)?.tees || [],
+    advance: handleNextHole
+  };
+  
+  // Side game standings from the live group card
+  const groupPlayers = buildGroupPlayers(holeData);
+  const sideGameResults = calculateSideGames(
+    groupPlayers,
+    holeSequence.map(number => ({ number, par: holeData[number]?.par, index: holeData[number]?.index })),
+    sideGames
+  );
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <ScrollView contentContainerStyle={styles.container}>
@@ -628,6 +1119,7 @@ export default function TrackerScreen({ navigation }) {
             onPreviousHole={handlePreviousHole}
             onNextHole={handleNextHole}
             totalHoles={totalHoles}
+            holeSequence={holeSequence}
           />
         </View>
 
@@ -638,6 +1130,15 @@ export default function TrackerScreen({ navigation }) {
               Hole {currentHole} • Par {holeData[currentHole]?.par || "?"} • {holeData[currentHole]?.distance || "?"} yds
             </Typography>
             
+            {/* Hole map toggle */}
+            <TouchableOpacity
+              onPress={toggleMap}
+              style={styles.mapToggle}
+              hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            >
+              <Ionicons name={showMap ? "map" : "map-outline"} size={20} color={theme.colors.primary} />
+            </TouchableOpacity>
+            
             <View style={styles.scoreIndicator}>
               <Typography 
                 variant="body" 
@@ -665,34 +1166,146 @@ export default function TrackerScreen({ navigation }) {
             <DistanceIndicator 
               holeData={holeData[currentHole]} 
               active={true} // Always keep GPS active regardless of loading state
+              onLocationUpdate={handleLocationUpdate}
+              clubDistances={clubDistances}
+              bag={bag}
+              onSuggestedClubChange={setSuggestedClub}
             />
             
+            {/* Hole map with tap-to-measure */}
+            {showMap && (
+              <HoleMap
+                poi={holeData[currentHole]?.poi}
+                playerPosition={playerPosition}
+              />
+            )}
+            
+            {/* Tracking mode for the round */}
+            <View style={styles.modeSwitch}>
+              {Object.values(TRACKING_MODES).map(mode => {
+                const isActive = mode.key === trackingMode;
+                return (
+                  <TouchableOpacity
+                    key={mode.key}
+                    style={[styles.modeChip, isActive && styles.modeChipActive]}
+                    onPress={() => handleChangeTrackingMode(mode.key)}
+                  >
+                    <Typography variant="caption" weight="semibold" color={isActive ? "#FFFFFF" : theme.colors.primary}>
+                      {mode.label}
+                    </Typography>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            
             {/* 4. Shot Table - MAINTAINED POSITION BUT EXPANDED HEIGHT */}
             <View style={styles.tableContainer}>
-              <ShotTable
-                shotCounts={holeData[currentHole].shotCounts}
-                activeColumn={activeColumn}
-                setActiveColumn={setActiveColumn}
-                addShot={addShot}
-                removeShot={removeShot}
-              />
+              {isQuickScoring ? (
+                <QuickScoreCard
+                  score={getQuickScore(holeData[currentHole])}
+                  par={holeData[currentHole]?.par}
+                  onChange={handleQuickScoreChange}
+                />
+              ) : (
+                <ShotTable
+                  shotCounts={holeData[currentHole].shotCounts}
+                  activeColumn={activeColumn}
+                  setActiveColumn={setActiveColumn}
+                  addShot={addShot}
+                  removeShot={removeShot}
+                  clubs={bag}
+                  suggestedClub={suggestedClub}
+                  lastShot={holeData[currentHole]?.shots?.[holeData[currentHole].shots.length - 1] || null}
+                  onUpdateLastShot={updateLastShot}
+                />
+              )}
+              
+              {/* Shots in playing order, for fixing the sequence */}
+              {!isQuickScoring && (
+                <>
+                  <TouchableOpacity
+                    style={styles.timelineToggle}
+                    onPress={() => setShowTimeline(!showTimeline)}
+                  >
+                    <Ionicons name={showTimeline ? "chevron-up" : "list-outline"} size={16} color={theme.colors.primary} />
+                    <Typography variant="caption" weight="semibold" color={theme.colors.primary} style={styles.timelineToggleText}>
+                      {showTimeline ? "Hide Shot Order" : `Shot Order (${holeData[currentHole]?.shots?.length || 0})`}
+                    </Typography>
+                  </TouchableOpacity>
+                  {showTimeline && (
+                    <ShotTimeline
+                      key={`timeline-${currentHole}`}
+                      shots={holeData[currentHole]?.shots || []}
+                      onChange={handleTimelineChange}
+                    />
+                  )}
+                </>
+              )}
             </View>
             
+            {/* Playing partners - strokes for the current hole */}
+            <GroupScoreEntry
+              players={partners}
+              currentHole={currentHole}
+              par={holeData[currentHole]?.par}
+              onChangeStrokes={handleChangePartnerStrokes}
+              onAddPlayer={() => setShowAddPlayer(true)}
+              onRemovePlayer={handleRemovePartner}
+            />
+            
+            {/* Side games - live standings for the group */}
+            {partners.length > 0 && (
+              <SideGamesSummary
+                results={sideGameResults}
+                players={groupPlayers}
+                settings={sideGames}
+                onEdit={() => setShowSideGames(true)}
+              />
+            )}
+            
             {/* 5. Action Button - MAINTAINED POSITION */}
             <View style={styles.buttonContainer}>
               <Button
                 variant="primary"
                 size="large"
                 fullWidth
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                onPress={isLastHole ? finishRound : completeHole}
                 loading={loading}
               >
-                {currentHole === totalHoles ? "Complete Round" : "Complete Hole"}
+                {isLastHole ? "Complete Round" : "Complete Hole"}
               </Button>
+              
+              {/* Partial rounds - finish before the last hole */}
+              {!isLastHole && holeIndex > 0 && (
+                <Button
+                  variant="text"
+                  size="small"
+                  onPress={confirmFinishEarly}
+                  style={styles.finishEarlyButton}
+                >
+                  End Round Early
+                </Button>
+              )}
             </View>
           </View>
         )}
       </ScrollView>
+      
+      <AddPlayerModal
+        visible={showAddPlayer}
+        onClose={() => setShowAddPlayer(false)}
+        onAdd={handleAddPartner}
+        existingEmails={[user?.email?.toLowerCase(), ...partners.map(partner => partner.inviteEmail)].filter(Boolean)}
+      />
+      
+      <SideGamesSetupModal
+        visible={showSideGames}
+        onClose={() => setShowSideGames(false)}
+        onSave={handleSaveSideGames}
+        players={groupPlayers}
+        settings={sideGames}
+        defaultHandicaps={course?.courseHandicap != null ? { 0: course.courseHandicap } : {}}
+      />
     </SafeAreaView>
   );
 }
@@ -727,6 +1340,9 @@ const styles = StyleSheet.create({
     color: '#444',
     flex: 1,
   },
+  mapToggle: {
+    marginLeft: 8,
+  },
   scoreIndicator: {
     marginLeft: 12,
     minWidth: 30,
@@ -750,12 +1366,41 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: "space-between",
   },
+  modeSwitch: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  modeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    marginHorizontal: 4,
+  },
+  modeChipActive: {
+    backgroundColor: theme.colors.primary,
+  },
   tableContainer: {
     width: '100%',
     marginBottom: 12,
   },
+  timelineToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+  },
+  timelineToggleText: {
+    marginLeft: 6,
+  },
   buttonContainer: {
     marginBottom: theme.spacing.medium,
     paddingHorizontal: theme.spacing.medium,
+  },
+  finishEarlyButton: {
+    marginTop: theme.spacing.small,
+    alignSelf: 'center',
   }
 });
\ No newline at end of file
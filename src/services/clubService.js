@@ -0,0 +1,215 @@
+// src/services/clubService.js
+//
+// The player's bag and how far they hit each club. Shots are tagged with
+// the club name when they're recorded, and GPS-located shots carry a
+// measured distance (see shotDistanceService), so each club's distances come
+// straight from the rounds the player has tracked.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+// Clubs offered when building a bag, longest first
+export const STANDARD_CLUBS = [
+  "Driver",
+  "3 Wood",
+  "5 Wood",
+  "Hybrid",
+  "3 Iron",
+  "4 Iron",
+  "5 Iron",
+  "6 Iron",
+  "7 Iron",
+  "8 Iron",
+  "9 Iron",
+  "Pitching Wedge",
+  "Gap Wedge",
+  "Sand Wedge",
+  "Lob Wedge",
+  "Putter",
+];
+
+export const MAX_BAG_SIZE = 14;
+
+// Clubs that aren't suggested for a distance to the green
+const NON_DISTANCE_CLUBS = ["Putter"];
+
+const ROUND_HISTORY_LIMIT = 50;
+
+// The bag is kept on the device too so the tracker works offline
+const getBagStorageKey = (userId) => `bag_${userId}`;
+
+/**
+ * Median of a list of numbers
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+    : sorted[middle];
+};
+
+/**
+ * Order a bag longest club first - custom clubs go after the standard
+ * clubs, before the putter
+ *
+ * @param {Array<string>} bag - Club names
+ * @returns {Array<string>} New sorted array
+ */
+export const sortBag = (bag) => {
+  const rank = (club) => {
+    if (club === "Putter") return STANDARD_CLUBS.length + 1;
+    const index = STANDARD_CLUBS.indexOf(club);
+    return index >= 0 ? index : STANDARD_CLUBS.length;
+  };
+
+  return [...bag].sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Load the player's bag, falling back to the copy on the device
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<string>>} Club names, longest first
+ */
+export const getBag = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("bag")
+      .eq("id", userId)
+      .single();
+
+    if (error) throw error;
+
+    const bag = Array.isArray(data?.bag) ? data.bag : [];
+    await AsyncStorage.setItem(getBagStorageKey(userId), JSON.stringify(bag));
+    return bag;
+  } catch (error) {
+    console.error("[clubService] Error loading bag, using device copy:", error);
+
+    try {
+      const stored = await AsyncStorage.getItem(getBagStorageKey(userId));
+      return stored ? JSON.parse(stored) : [];
+    } catch (storageError) {
+      console.error("[clubService] Error reading stored bag:", storageError);
+      return [];
+    }
+  }
+};
+
+/**
+ * Save the player's bag
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Array<string>} bag - Club names, longest first
+ * @returns {Promise<Array<string>>} The saved bag
+ */
+export const saveBag = async (userId, bag) => {
+  const { error } = await supabase
+    .from("profiles")
+    .update({ bag, updated_at: new Date().toISOString() })
+    .eq("id", userId);
+
+  if (error) {
+    throw new Error(`Failed to save bag: ${error.message}`);
+  }
+
+  await AsyncStorage.setItem(getBagStorageKey(userId), JSON.stringify(bag));
+  return bag;
+};
+
+/**
+ * Build each club's distances from measured shots
+ *
+ * @param {Array} shots - Shots from any number of holes, each { club?, carry? }
+ * @returns {object} { [club]: { shots, average, median, dispersion, shortest, longest } } - dispersion is the standard deviation in yards
+ */
+export const calculateClubDistances = (shots) => {
+  const carries = {};
+  shots.forEach(shot => {
+    if (shot.club && typeof shot.carry === "number" && shot.carry > 0) {
+      (carries[shot.club] = carries[shot.club] || []).push(shot.carry);
+    }
+  });
+
+  const distances = {};
+  Object.entries(carries).forEach(([club, values]) => {
+    const average = values.reduce((total, value) => total + value, 0) / values.length;
+    const variance = values.reduce((total, value) => total + (value - average) ** 2, 0) / values.length;
+
+    distances[club] = {
+      shots: values.length,
+      average: Math.round(average),
+      median: median(values),
+      dispersion: Math.round(Math.sqrt(variance)),
+      shortest: Math.min(...values),
+      longest: Math.max(...values),
+    };
+  });
+
+  return distances;
+};
+
+/**
+ * Load the player's per-club distances from their recent tracked rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} Club distances (see calculateClubDistances), empty on error
+ */
+export const getClubDistances = async (userId) => {
+  try {
+    const { data: rounds, error: roundsError } = await supabase
+      .from("rounds")
+      .select("id")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("group_round_id", null)
+      .is("stats_exclusion", null)
+      .order("created_at", { ascending: false })
+      .limit(ROUND_HISTORY_LIMIT);
+
+    if (roundsError) throw roundsError;
+    if (!rounds || rounds.length === 0) return {};
+
+    const { data: holeRows, error: holesError } = await supabase
+      .from("shots")
+      .select("hole_data")
+      .in("round_id", rounds.map(round => round.id));
+
+    if (holesError) throw holesError;
+
+    return calculateClubDistances(
+      (holeRows || []).flatMap(row => row.hole_data?.shots || [])
+    );
+  } catch (error) {
+    console.error("[clubService] Error loading club distances:", error);
+    return {};
+  }
+};
+
+/**
+ * Suggest the club for a distance - the shortest club that usually gets there
+ *
+ * @param {number} distance - Yards to the target
+ * @param {object} clubDistances - Club distances (see calculateClubDistances)
+ * @param {Array<string>} bag - Clubs in the bag; clubs no longer in it aren't suggested
+ * @returns {object|null} { club, average } or null if no club has a measured distance
+ */
+export const suggestClub = (distance, clubDistances, bag = []) => {
+  if (!distance || !clubDistances) {
+    return null;
+  }
+
+  const candidates = Object.entries(clubDistances)
+    .filter(([club]) => !NON_DISTANCE_CLUBS.includes(club) && (bag.length === 0 || bag.includes(club)))
+    .map(([club, stats]) => ({ club, average: stats.average }))
+    .sort((a, b) => a.average - b.average);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Longest club when nothing reaches
+  return candidates.find(candidate => candidate.average >= distance) || candidates[candidates.length - 1];
+};
@@ -0,0 +1,162 @@
+// src/services/courseCacheService.js
+//
+// On-device copies of course details (holes, tees and POI), keyed by course
+// id, so a course can be played without signal. Courses are cached as
+// they're viewed, and a course "pack" is one the player downloaded ahead of
+// time - packs are kept until removed, while other cached courses are
+// dropped oldest first. Entries record the course's `updated_at` so they can
+// be checked against the server and refreshed when the course changes.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+// Bump when the shape of a cached course changes - older entries are ignored
+export const COURSE_CACHE_VERSION = 1;
+
+// Cached courses kept besides downloaded packs
+const MAX_CACHED_COURSES = 20;
+
+const INDEX_STORAGE_KEY = `course_cache_index_v${COURSE_CACHE_VERSION}`;
+const getCourseStorageKey = (courseId) => `course_cache_v${COURSE_CACHE_VERSION}_${courseId}`;
+
+/**
+ * Load the list of cached courses
+ *
+ * @returns {Promise<Array>} Summaries, each { id, name, club_name, location, num_holes, updatedAt, cachedAt, isPack }
+ */
+export const getCachedCourseIndex = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(INDEX_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("[courseCacheService] Error reading course cache index:", error);
+    return [];
+  }
+};
+
+/**
+ * Load a cached course
+ *
+ * @param {string} courseId - The course ID
+ * @returns {Promise<object|null>} { version, course, updatedAt, cachedAt, isPack } or null if not cached
+ */
+export const getCachedCourse = async (courseId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getCourseStorageKey(courseId));
+    if (!stored) return null;
+
+    const entry = JSON.parse(stored);
+    return entry.version === COURSE_CACHE_VERSION ? entry : null;
+  } catch (error) {
+    console.error("[courseCacheService] Error reading cached course:", error);
+    return null;
+  }
+};
+
+/**
+ * Save a course to the device
+ *
+ * @param {object} course - Full course details, as returned by getCourseById
+ * @param {object} options - { isPack } - true for a course downloaded for offline play
+ * @returns {Promise<object|null>} The index entry, or null if the course couldn't be saved
+ */
+export const cacheCourse = async (course, { isPack = false } = {}) => {
+  if (!course?.id) return null;
+
+  try {
+    const cachedAt = new Date().toISOString();
+    await AsyncStorage.setItem(getCourseStorageKey(course.id), JSON.stringify({
+      version: COURSE_CACHE_VERSION,
+      course,
+      updatedAt: course.updated_at || null,
+      cachedAt,
+      isPack,
+    }));
+
+    const summary = {
+      id: course.id,
+      name: course.name,
+      club_name: course.club_name || "",
+      location: course.location || "",
+      num_holes: course.num_holes,
+      updatedAt: course.updated_at || null,
+      cachedAt,
+      isPack,
+    };
+
+    // Newest first, then drop the oldest courses that aren't packs
+    const index = [summary, ...(await getCachedCourseIndex()).filter(entry => entry.id !== course.id)];
+    const evicted = index.filter(entry => !entry.isPack).slice(MAX_CACHED_COURSES);
+    if (evicted.length > 0) {
+      await AsyncStorage.multiRemove(evicted.map(entry => getCourseStorageKey(entry.id)));
+    }
+
+    await AsyncStorage.setItem(
+      INDEX_STORAGE_KEY,
+      JSON.stringify(index.filter(entry => !evicted.includes(entry)))
+    );
+    return summary;
+  } catch (error) {
+    console.error("[courseCacheService] Error caching course:", error);
+    return null;
+  }
+};
+
+/**
+ * Remove a course from the device
+ *
+ * @param {string} courseId - The course ID
+ */
+export const removeCachedCourse = async (courseId) => {
+  const index = await getCachedCourseIndex();
+  await AsyncStorage.removeItem(getCourseStorageKey(courseId));
+  await AsyncStorage.setItem(
+    INDEX_STORAGE_KEY,
+    JSON.stringify(index.filter(entry => entry.id !== courseId))
+  );
+};
+
+/**
+ * Whether the server has a newer version of a cached course
+ *
+ * @param {object} entry - Cached course or index entry ({ updatedAt })
+ * @param {string|null} serverUpdatedAt - The course's `updated_at` on the server
+ * @returns {boolean}
+ */
+export const isCachedCourseStale = (entry, serverUpdatedAt) => {
+  if (!entry) return true;
+  if (!serverUpdatedAt) return false;
+  if (!entry.updatedAt) return true;
+  return new Date(serverUpdatedAt).getTime() > new Date(entry.updatedAt).getTime();
+};
+
+/**
+ * Check cached courses against the server
+ *
+ * @param {Array} entries - Cached course or index entries ({ id, updatedAt })
+ * @returns {Promise<Array<string>|null>} IDs of the courses that have changed, or null if the server couldn't be reached
+ */
+export const getStaleCourseIds = async (entries) => {
+  if (!entries || entries.length === 0) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from("courses")
+      .select("id, updated_at")
+      .in("id", entries.map(entry => entry.id));
+
+    if (error) throw error;
+
+    const serverUpdates = {};
+    (data || []).forEach(course => {
+      serverUpdates[course.id] = course.updated_at;
+    });
+
+    return entries
+      .filter(entry => isCachedCourseStale(entry, serverUpdates[entry.id]))
+      .map(entry => entry.id);
+  } catch (error) {
+    console.error("[courseCacheService] Error checking cached courses for updates:", error);
+    return null;
+  }
+};
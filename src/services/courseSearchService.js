@@ -0,0 +1,133 @@
+// src/services/courseSearchService.js
+//
+// Matching search terms against course names on the device: highlighting
+// the words that matched, and fuzzy matching of the courses saved for
+// offline play. Mirrors the ranked search in get-courses - the same
+// abbreviations are spelled out (St/Saint, GC/Golf Club, ...) and a typo or
+// two is allowed in longer words.
+
+// Keep in step with normalize_course_text in the database
+const ABBREVIATIONS = {
+  st: "saint",
+  mt: "mount",
+  ft: "fort",
+  gc: "golf club",
+  cc: "country club",
+};
+
+const MATCH_FIELDS = ["name", "club_name", "location"];
+
+/**
+ * Lowercase a word, drop punctuation and spell out abbreviations
+ */
+const normalizeWord = (word) => {
+  const lower = word.toLowerCase().replace(/[^a-z0-9]/g, "");
+  return ABBREVIATIONS[lower] || lower;
+};
+
+/**
+ * Number of single-letter edits between two words
+ */
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+/**
+ * Whether a word matches a search token - exactly, as a prefix, or with a
+ * typo or two for longer tokens
+ */
+const wordMatchesToken = (word, token) => {
+  if (!word || !token) return false;
+  if (word === token || (token.length >= 2 && word.startsWith(token))) return true;
+
+  const allowedEdits = token.length >= 6 ? 2 : token.length >= 4 ? 1 : 0;
+  return allowedEdits > 0 && editDistance(word, token) <= allowedEdits;
+};
+
+/**
+ * Split a search into normalized tokens
+ *
+ * @param {string} query - The search as typed
+ * @returns {Array<string>} Tokens, with abbreviations spelled out
+ */
+export const getSearchTokens = (query) =>
+  (query || "")
+    .split(/\s+/)
+    .map(normalizeWord)
+    .join(" ")
+    .split(" ")
+    .filter(Boolean);
+
+/**
+ * Find the words in a piece of text that match the search
+ *
+ * @param {string} text - Text to search, e.g. a course name
+ * @param {Array<string>} tokens - Search tokens from getSearchTokens
+ * @returns {Array<Array<number>>} [start, end] character ranges of the matching words
+ */
+export const getMatchRanges = (text, tokens) => {
+  const ranges = [];
+  if (!text) return ranges;
+
+  for (const match of text.matchAll(/[A-Za-z0-9'.]+/g)) {
+    // Multi-word expansions ("golf club") match if any of their words do
+    const words = normalizeWord(match[0]).split(" ");
+    if (tokens.some(token => words.some(word => wordMatchesToken(word, token)))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Add the matching words of each course's name, club name and location,
+ * in the same shape get-courses returns them
+ *
+ * @param {Array} courses - Courses from a search
+ * @param {string} query - The search
+ * @returns {Array} Courses with `matches: { name, club_name, location }`
+ */
+export const addMatchHighlights = (courses, query) => {
+  const tokens = getSearchTokens(query);
+
+  return courses.map(course => ({
+    ...course,
+    matches: course.matches || MATCH_FIELDS.reduce((matches, field) => ({
+      ...matches,
+      [field]: getMatchRanges(course[field], tokens),
+    }), {}),
+  }));
+};
+
+/**
+ * Whether a course matches every word of a search, allowing for typos and
+ * abbreviations
+ *
+ * @param {object} course - Course with name, club_name and location
+ * @param {string} query - The search
+ * @returns {boolean}
+ */
+export const courseMatchesSearch = (course, query) => {
+  const tokens = getSearchTokens(query);
+  const words = MATCH_FIELDS
+    .flatMap(field => (course[field] || "").split(/\s+/))
+    .flatMap(word => normalizeWord(word).split(" "))
+    .filter(Boolean);
+
+  return tokens.length > 0 && tokens.every(token => words.some(word => wordMatchesToken(word, token)));
+};
@@ -2,6 +2,14 @@
 
 import { supabase } from './supabase';
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  cacheCourse,
+  getCachedCourse,
+  getCachedCourseIndex,
+  getStaleCourseIds,
+  removeCachedCourse
+} from "./courseCacheService";
+import { addMatchHighlights, courseMatchesSearch } from "./courseSearchService";
 
 // Base URL for edge functions
 const EDGE_FUNCTION_BASE_URL = "https://mxqhgktcdmymmwbsbfws.supabase.co/functions/v1";
@@ -19,6 +27,35 @@ const getAuthToken = async () => {
   }
 };
 
+/**
+ * Gets the signed-in user's ID, for ranking courses they've played
+ */
+const getCurrentUserId = async () => {
+  try {
+    const session = await supabase.auth.getSession();
+    return session?.data?.session?.user?.id || null;
+  } catch (error) {
+    console.error('[courseService] Error getting current user:', error);
+    return null;
+  }
+};
+
+/**
+ * Courses saved on the device, for when the course lists can't be loaded
+ * 
+ * @param {string} searchTerm - Optional term to match against name, club or location
+ * @return {Promise<Array>} - Cached course summaries, flagged as available offline
+ */
+const getOfflineCourses = async (searchTerm = "") => {
+  const term = searchTerm.trim();
+  const index = await getCachedCourseIndex();
+  const courses = index
+    .filter(course => !term || courseMatchesSearch(course, term))
+    .map(course => ({ ...course, is_offline: true }));
+  
+  return term ? addMatchHighlights(courses, term) : courses;
+};
+
 /**
  * =========================================================================
  * SEARCH PREPROCESSING ENGINE - EASILY MODIFIABLE FOR TESTING
@@ -73,10 +110,16 @@ export function preprocessSearchQuery(originalQuery) {
 /**
  * Search for courses by name or location
  * 
+ * Results are ranked by how well they match, allowing for typos and
+ * abbreviations, with courses the user has played and courses near them
+ * first. Each course has `matches` - the character ranges of its name,
+ * club name and location that matched, for highlighting.
+ * 
  * @param {string} searchTerm - The search term to filter courses
+ * @param {Object} options - { latitude, longitude } of the device, when known
  * @return {Promise<Array>} - Array of course objects matching the search
  */
-export const searchCourses = async (searchTerm) => {
+export const searchCourses = async (searchTerm, { latitude = null, longitude = null } = {}) => {
   try {
     // Validate search term
     if (!searchTerm || searchTerm.trim().length < 3) {
@@ -95,7 +138,10 @@ export const searchCourses = async (searchTerm) => {
     const token = await getAuthToken();
     
     // Call edge function for course search
-    const response = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-courses?query=${encodeURIComponent(processedTerm)}`, {
+    const locationParams = latitude !== null && longitude !== null
+      ? `&latitude=${latitude}&longitude=${longitude}`
+      : '';
+    const response = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-courses?query=${encodeURIComponent(processedTerm)}&noRecent=true${locationParams}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -104,15 +150,28 @@ export const searchCourses = async (searchTerm) => {
     });
     
     if (!response.ok) {
-      // If edge function fails, fall back to direct database query as backup
+      // If edge function fails, fall back to the ranked search in the database
       console.warn('[courseService] Edge function failed, falling back to direct query');
       
-      const { data, error } = await supabase
-        .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
-        .or(`name.ilike.%${processedTerm}%,location.ilike.%${processedTerm}%,club_name.ilike.%${processedTerm}%`)
-        .order('name')
-        .limit(15);
+      let { data, error } = await supabase.rpc('search_courses', {
+        p_query: processedTerm,
+        p_user_id: await getCurrentUserId(),
+        p_latitude: latitude,
+        p_longitude: longitude,
+        p_limit: 15
+      });
+      
+      if (error) {
+        // Last resort - plain name/location matching
+        console.warn('[courseService] Ranked search failed, falling back to name matching:', error);
+        
+        ({ data, error } = await supabase
+          .from('courses')
+          .select('id, name, club_name, location, tees, poi, par, num_holes')  // Now also requesting POI data
+          .or(`name.ilike.%${processedTerm}%,location.ilike.%${processedTerm}%,club_name.ilike.%${processedTerm}%`)
+          .order('name')
+          .limit(15));
+      }
       
       if (error) {
         console.error('[courseService] Error searching courses:', error);
@@ -120,11 +179,11 @@ export const searchCourses = async (searchTerm) => {
       }
       
       // Format response to match expected structure
-      return data?.map(course => ({
+      return addMatchHighlights(data?.map(course => ({
         ...course,
         has_tee_data: course.tees !== null && Array.isArray(course.tees) && course.tees.length > 0,
         has_poi_data: course.poi !== null && Array.isArray(course.poi) && course.poi.length > 0
-      })) || [];
+      })) || [], processedTerm);
     }
     
     // Process successful edge function response
@@ -133,8 +192,8 @@ export const searchCourses = async (searchTerm) => {
     
   } catch (error) {
     console.error('[courseService] Exception in searchCourses:', error);
-    // Return empty array on error to avoid breaking the UI
-    return [];
+    // Search the courses saved on the device instead, to avoid breaking the UI
+    return getOfflineCourses(searchTerm);
   }
 };
 
@@ -198,7 +257,7 @@ export const getRecentCourses = async (userId, limit = 5) => {
       // Get course details for unique IDs
       const { data: courses, error: coursesError } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
+        .select('id, name, club_name, location, tees, poi, par, num_holes')  // Now also requesting POI data
         .in('id', uniqueCourseIds);
       
       if (coursesError) {
@@ -232,6 +291,63 @@ export const getRecentCourses = async (userId, limit = 5) => {
   }
 };
 
+/**
+ * Get courses near a location, nearest first
+ * 
+ * @param {number} latitude - Latitude of the device
+ * @param {number} longitude - Longitude of the device
+ * @param {Object} options - { radiusKm, limit }
+ * @return {Promise<Array>} - Array of course objects, each with distance_km
+ */
+export const getNearbyCourses = async (latitude, longitude, { radiusKm = 50, limit = 20 } = {}) => {
+  try {
+    console.log('[courseService] Getting courses near:', latitude, longitude);
+    
+    // Get auth token for request
+    const token = await getAuthToken();
+    
+    const params = `latitude=${latitude}&longitude=${longitude}&radiusKm=${radiusKm}&limit=${limit}&noRecent=true`;
+    const response = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-courses?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : '',
+      }
+    });
+    
+    if (!response.ok) {
+      // If edge function fails, fall back to calling the database function directly
+      console.warn('[courseService] Edge function failed, falling back to direct query');
+      
+      const { data, error } = await supabase.rpc('nearby_courses', {
+        p_latitude: latitude,
+        p_longitude: longitude,
+        p_radius_km: radiusKm,
+        p_limit: limit
+      });
+      
+      if (error) {
+        console.error('[courseService] Error getting nearby courses:', error);
+        throw error;
+      }
+      
+      return data?.map(course => ({
+        ...course,
+        has_tee_data: course.tees !== null && Array.isArray(course.tees) && course.tees.length > 0,
+        has_poi_data: course.poi !== null && Array.isArray(course.poi) && course.poi.length > 0
+      })) || [];
+    }
+    
+    // Process successful edge function response
+    const result = await response.json();
+    return result.nearbyCourses || [];
+    
+  } catch (error) {
+    console.error('[courseService] Exception in getNearbyCourses:', error);
+    return [];
+  }
+};
+
 /**
  * Get all courses from the database
  * 
@@ -259,7 +375,7 @@ export const getAllCourses = async () => {
       
       const { data, error } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi') // Now also requesting POI data
+        .select('id, name, club_name, location, tees, poi, par, num_holes') // Now also requesting POI data
         .order('name');
       
       if (error) {
@@ -281,31 +397,59 @@ export const getAllCourses = async () => {
     
   } catch (error) {
     console.error('[courseService] Exception in getAllCourses:', error);
-    return [];
+    return getOfflineCourses();
   }
 };
 
 /**
- * Get full course details by ID, with enhanced POI data
+ * Fetch full course details from the server, with enhanced POI data
  * 
  * @param {string} courseId - The course ID to fetch
  * @param {boolean} forcePOIRefresh - Force refresh of POI data even if already present
  * @return {Promise<Object|null>} - The course object or null if not found
  */
-export const getCourseById = async (courseId, forcePOIRefresh = false) => {
-  try {
-    if (!courseId) {
-      console.error('[courseService] No course ID provided');
-      return null;
+const fetchCourseDetails = async (courseId, forcePOIRefresh) => {
+  // Get auth token for request
+  const token = await getAuthToken();
+  
+  // First, get basic course details
+  const response = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-course-details/${courseId}`, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': token ? `Bearer ${token}` : '',
     }
+  });
+  
+  let courseData = null;
+  
+  if (!response.ok) {
+    // If edge function fails, fall back to direct database query
+    console.warn('[courseService] Edge function failed, falling back to direct query');
     
-    console.log('[courseService] Getting course details for ID:', courseId);
+    const { data, error } = await supabase
+      .from('courses')
+      .select('*')
+      .eq('id', courseId)
+      .single();
     
-    // Get auth token for request
-    const token = await getAuthToken();
+    if (error) {
+      console.error('[courseService] Error getting course details:', error);
+      throw error;
+    }
+    
+    courseData = data;
+  } else {
+    // Process successful edge function response
+    courseData = await response.json();
+  }
+  
+  // If course has no POI data or a refresh is forced, try to get detailed POI information
+  if (courseData && (forcePOIRefresh || !courseData.poi || !Array.isArray(courseData.poi) || courseData.poi.length === 0)) {
+    console.log('[courseService] Fetching detailed POI data for course');
     
-    // First, get basic course details
-    const response = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-course-details/${courseId}`, {
+    // Call the detailed info edge function to get POI data
+    const detailResponse = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-course-detailed-info/${courseId}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -313,72 +457,80 @@ export const getCourseById = async (courseId, forcePOIRefresh = false) => {
       }
     });
     
-    let courseData = null;
-    
-    if (!response.ok) {
-      // If edge function fails, fall back to direct database query
-      console.warn('[courseService] Edge function failed, falling back to direct query');
-      
-      const { data, error } = await supabase
-        .from('courses')
-        .select('*')
-        .eq('id', courseId)
-        .single();
+    if (detailResponse.ok) {
+      const detailData = await detailResponse.json();
       
-      if (error) {
-        console.error('[courseService] Error getting course details:', error);
-        throw error;
+      // If detailed data has POI information, merge it with our course data
+      if (detailData && detailData.poi && Array.isArray(detailData.poi) && detailData.poi.length > 0) {
+        console.log('[courseService] Merging POI data from detailed info');
+        courseData.poi = detailData.poi;
+        courseData.has_poi_data = true;
       }
-      
-      courseData = data;
     } else {
-      // Process successful edge function response
-      courseData = await response.json();
+      console.warn('[courseService] Could not fetch detailed POI data');
+    }
+  }
+  
+  // Add flags for data presence
+  if (courseData) {
+    courseData.has_tee_data = courseData.tees !== null && 
+                            Array.isArray(courseData.tees) && 
+                            courseData.tees.length > 0;
+                            
+    courseData.has_poi_data = courseData.poi !== null && 
+                           Array.isArray(courseData.poi) && 
+                           courseData.poi.length > 0;
+  }
+  
+  return courseData;
+};
+
+/**
+ * Get full course details by ID, with enhanced POI data
+ * 
+ * Uses the copy saved on the device when the course hasn't changed on the
+ * server since (or the server can't be reached), and saves fresh details
+ * for next time.
+ * 
+ * @param {string} courseId - The course ID to fetch
+ * @param {boolean} forcePOIRefresh - Force refresh of POI data even if already present
+ * @return {Promise<Object|null>} - The course object or null if not found
+ */
+export const getCourseById = async (courseId, forcePOIRefresh = false) => {
+  let cached = null;
+  
+  try {
+    if (!courseId) {
+      console.error('[courseService] No course ID provided');
+      return null;
     }
     
-    // If course has no POI data or a refresh is forced, try to get detailed POI information
-    if (courseData && (forcePOIRefresh || !courseData.poi || !Array.isArray(courseData.poi) || courseData.poi.length === 0)) {
-      console.log('[courseService] Fetching detailed POI data for course');
-      
-      // Call the detailed info edge function to get POI data
-      const detailResponse = await fetch(`${EDGE_FUNCTION_BASE_URL}/get-course-detailed-info/${courseId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': token ? `Bearer ${token}` : '',
-        }
-      });
-      
-      if (detailResponse.ok) {
-        const detailData = await detailResponse.json();
-        
-        // If detailed data has POI information, merge it with our course data
-        if (detailData && detailData.poi && Array.isArray(detailData.poi) && detailData.poi.length > 0) {
-          console.log('[courseService] Merging POI data from detailed info');
-          courseData.poi = detailData.poi;
-          courseData.has_poi_data = true;
-        }
-      } else {
-        console.warn('[courseService] Could not fetch detailed POI data');
+    console.log('[courseService] Getting course details for ID:', courseId);
+    
+    cached = await getCachedCourse(courseId);
+    if (cached && !forcePOIRefresh) {
+      // null means the server couldn't be reached - use what we have
+      const staleIds = await getStaleCourseIds([{ id: courseId, updatedAt: cached.updatedAt }]);
+      if (!staleIds || staleIds.length === 0) {
+        console.log('[courseService] Using cached course details');
+        return cached.course;
       }
+      
+      console.log('[courseService] Cached course details are out of date, refreshing');
     }
     
-    // Add flags for data presence
+    const courseData = await fetchCourseDetails(courseId, forcePOIRefresh);
+    
     if (courseData) {
-      courseData.has_tee_data = courseData.tees !== null && 
-                              Array.isArray(courseData.tees) && 
-                              courseData.tees.length > 0;
-                              
-      courseData.has_poi_data = courseData.poi !== null && 
-                             Array.isArray(courseData.poi) && 
-                             courseData.poi.length > 0;
+      await cacheCourse(courseData, { isPack: cached?.isPack || false });
     }
     
     return courseData;
     
   } catch (error) {
     console.error('[courseService] Exception in getCourseById:', error);
-    return null;
+    // Fall back to the copy on the device, e.g. when there's no signal
+    return cached?.course || null;
   }
 };
 
@@ -392,6 +544,16 @@ export const getCourseById = async (courseId, forcePOIRefresh = false) => {
  */
 export const ensureCourseHasPoiData = async (courseId) => {
   try {
+    // A saved copy with POI data is enough as long as the course hasn't changed
+    const cached = await getCachedCourse(courseId);
+    if (cached?.course?.has_poi_data) {
+      const staleIds = await getStaleCourseIds([{ id: courseId, updatedAt: cached.updatedAt }]);
+      if (!staleIds || staleIds.length === 0) {
+        console.log('[courseService] Using cached POI data:', cached.course.poi.length, 'elements');
+        return cached.course;
+      }
+    }
+    
     // Get the course with a forced POI refresh
     const course = await getCourseById(courseId, true);
     
@@ -406,4 +568,61 @@ export const ensureCourseHasPoiData = async (courseId) => {
     console.error('[courseService] Error ensuring course has POI data:', error);
     return null;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Download a course pack - the course's holes, tees and POI - so the course
+ * can be played offline
+ * 
+ * @param {string} courseId - The course ID to download
+ * @return {Promise<Object>} - The cached course summary
+ */
+export const downloadCoursePack = async (courseId) => {
+  let course = null;
+  
+  try {
+    course = await fetchCourseDetails(courseId, true);
+  } catch (error) {
+    throw new Error(`Failed to download course: ${error.message}`);
+  }
+  
+  if (!course) {
+    throw new Error('Failed to download course: course not found');
+  }
+  
+  const summary = await cacheCourse(course, { isPack: true });
+  if (!summary) {
+    throw new Error('Failed to download course: could not save it to the device');
+  }
+  
+  return summary;
+};
+
+/**
+ * Remove a downloaded course pack from the device
+ * 
+ * @param {string} courseId - The course ID to remove
+ */
+export const removeCoursePack = async (courseId) => {
+  await removeCachedCourse(courseId);
+};
+
+/**
+ * Which courses are downloaded for offline play, and which of those have
+ * been updated on the server since
+ * 
+ * @return {Promise<Object>} - { packs: { [courseId]: summary }, staleIds: Array<string> }
+ */
+export const getCoursePackStatus = async () => {
+  const packs = {};
+  (await getCachedCourseIndex())
+    .filter(course => course.isPack)
+    .forEach(course => {
+      packs[course.id] = course;
+    });
+  
+  // Can't tell while offline - treat the packs as current
+  const staleIds = await getStaleCourseIds(Object.values(packs));
+  
+  return { packs, staleIds: staleIds || [] };
+};
@@ -0,0 +1,355 @@
+// src/services/customCourseService.js
+//
+// Players' own courses and their corrections to shared courses. A custom
+// course is a private row in `courses` (owner_id set) that the player builds
+// from scratch or copies from a shared course and edits - par, stroke index
+// and tee distances per hole, plus green locations pinned from GPS. A
+// correction records the same kind of edits against a shared course in
+// `course_corrections` for review; the shared course itself is left alone.
+//
+// Courses are edited as a "draft" - a flat shape that's easy to bind to
+// inputs - and turned back into the `courses` row shape when saved:
+//   { id, sourceCourseId, name, club_name, location, num_holes, poi,
+//     tees: [{ id, name, color, key, course_rating_men, slope_men, ... }],
+//     holes: [{ number, par_men, index_men, par_women, index_women,
+//               distances: { [tee key]: yards }, green: { latitude, longitude } | null, greenEdited }] }
+
+import { supabase } from "./supabase";
+import { cacheCourse, removeCachedCourse } from "./courseCacheService";
+
+// What the editor is being used for
+export const COURSE_EDITOR_MODES = {
+  CREATE: "create",     // A new custom course from scratch
+  COPY: "copy",         // A new custom course copied from a shared one
+  EDIT: "edit",         // Changes to one of the player's custom courses
+  CORRECT: "correct",   // Corrections to a shared course, for review
+};
+
+export const MIN_PAR = 3;
+export const MAX_PAR = 6;
+
+const DEFAULT_TEE_COLOR = "#FFFFFF";
+
+/**
+ * The key a tee's distances are stored under in each hole's `distances`
+ */
+const getTeeKey = (tee) => (tee.name || "").trim().toLowerCase();
+
+/**
+ * Where a hole's green is, from the hole's features or the course POI
+ */
+const findGreenLocation = (hole, poi) => {
+  const greens = (hole.features || []).filter(feature => feature.type === "green");
+  const center = greens.find(green => green.location === "center");
+  if (center) {
+    return { latitude: center.latitude, longitude: center.longitude };
+  }
+  if (greens.length > 0) {
+    return {
+      latitude: greens.reduce((total, green) => total + green.latitude, 0) / greens.length,
+      longitude: greens.reduce((total, green) => total + green.longitude, 0) / greens.length,
+    };
+  }
+
+  const poiGreens = (poi || []).find(entry => entry.hole === hole.number)?.greens || [];
+  const poiGreen = poiGreens.find(green => green.location === "center") || poiGreens[0];
+  return poiGreen ? { latitude: poiGreen.lat, longitude: poiGreen.lng } : null;
+};
+
+/**
+ * A blank course to fill in
+ *
+ * @param {number} numHoles - 9 or 18
+ * @returns {object} Course draft
+ */
+export const createCourseDraft = (numHoles = 18) => ({
+  id: null,
+  sourceCourseId: null,
+  name: "",
+  club_name: "",
+  location: "",
+  num_holes: numHoles,
+  poi: [],
+  tees: [{ id: `custom-${Date.now()}`, name: "White", key: "white", color: DEFAULT_TEE_COLOR, course_rating_men: null, slope_men: null }],
+  holes: Array.from({ length: numHoles }, (_, i) => ({
+    number: i + 1,
+    par_men: 4,
+    index_men: i + 1,
+    par_women: null,
+    index_women: null,
+    distances: {},
+    green: null,
+    greenEdited: false,
+  })),
+});
+
+/**
+ * A draft of an existing course, for editing or correcting
+ *
+ * @param {object} course - Full course details (see getCourseById)
+ * @param {object} options - { asCopy } - true to start a new custom course from it
+ * @returns {object} Course draft
+ */
+export const courseToDraft = (course, { asCopy = false } = {}) => {
+  const holes = Array.isArray(course.holes) ? course.holes : [];
+  const numHoles = course.num_holes || holes.length || 18;
+
+  return {
+    id: asCopy ? null : course.id,
+    sourceCourseId: asCopy ? course.id : course.source_course_id || null,
+    name: asCopy ? `${course.name} (My Copy)` : course.name || "",
+    club_name: course.club_name || "",
+    location: course.location || "",
+    num_holes: numHoles,
+    poi: Array.isArray(course.poi) ? course.poi : [],
+    tees: (course.tees || []).map(tee => ({ ...tee, key: getTeeKey(tee) })),
+    holes: Array.from({ length: numHoles }, (_, i) => {
+      const hole = holes.find(h => h.number === i + 1) || { number: i + 1 };
+      return {
+        number: i + 1,
+        par_men: hole.par_men ?? 4,
+        index_men: hole.index_men ?? i + 1,
+        par_women: hole.par_women ?? null,
+        index_women: hole.index_women ?? null,
+        distances: { ...(hole.distances || {}) },
+        green: findGreenLocation(hole, course.poi),
+        greenEdited: false,
+      };
+    }),
+  };
+};
+
+/**
+ * Problems that stop a draft from being saved
+ *
+ * @param {object} draft - Course draft
+ * @returns {Array<string>} Messages, empty when the draft is fine
+ */
+export const validateCourseDraft = (draft) => {
+  const errors = [];
+
+  if (!draft.name.trim()) {
+    errors.push("Give the course a name.");
+  }
+
+  const teeKeys = draft.tees.map(tee => tee.key);
+  if (draft.tees.length === 0) {
+    errors.push("Add at least one tee.");
+  } else if (teeKeys.some(key => !key) || new Set(teeKeys).size !== teeKeys.length) {
+    errors.push("Each tee needs its own name.");
+  }
+
+  const teeWithoutDistances = draft.tees.find(tee =>
+    tee.key && !draft.holes.some(hole => Number(hole.distances[tee.key]) > 0)
+  );
+  if (teeWithoutDistances) {
+    errors.push(`Add hole distances for the ${teeWithoutDistances.name} tee.`);
+  }
+
+  const badPar = draft.holes.find(hole => !(hole.par_men >= MIN_PAR && hole.par_men <= MAX_PAR));
+  if (badPar) {
+    errors.push(`Hole ${badPar.number} needs a par between ${MIN_PAR} and ${MAX_PAR}.`);
+  }
+
+  // Stroke indexes must use each number once
+  const indexes = draft.holes.map(hole => hole.index_men).sort((a, b) => a - b);
+  if (indexes.some((index, i) => index !== i + 1)) {
+    errors.push(`Stroke indexes must use each number from 1 to ${draft.holes.length} once.`);
+  }
+
+  return errors;
+};
+
+/**
+ * Turn a draft back into `courses` columns
+ *
+ * @param {object} draft - Course draft
+ * @returns {object} Course fields (name, club_name, location, num_holes, par, holes, tees, poi, latitude, longitude)
+ */
+export const draftToCourse = (draft) => {
+  const holes = draft.holes.map(hole => ({
+    number: hole.number,
+    par_men: hole.par_men,
+    index_men: hole.index_men,
+    par_women: hole.par_women ?? hole.par_men,
+    index_women: hole.index_women ?? hole.index_men,
+    distances: hole.distances,
+    features: hole.green
+      ? [{ type: "green", location: "center", latitude: hole.green.latitude, longitude: hole.green.longitude }]
+      : [],
+  }));
+
+  const tees = draft.tees.map(({ key, ...tee }) => ({
+    ...tee,
+    name: tee.name.trim(),
+    color: tee.color || DEFAULT_TEE_COLOR,
+    total_distance: holes.reduce((total, hole) => total + (Number(hole.distances[key]) || 0), 0),
+  }));
+
+  // Keep the mapped bunkers and hazards; re-pinned greens replace the mapped ones
+  const poi = draft.holes
+    .map(hole => {
+      const existing = draft.poi.find(entry => entry.hole === hole.number) ||
+        { hole: hole.number, greens: [], bunkers: [], hazards: [], tees: [] };
+
+      if (!hole.greenEdited) return existing;
+      return {
+        ...existing,
+        greens: hole.green ? [{ lat: hole.green.latitude, lng: hole.green.longitude, location: "center" }] : [],
+      };
+    })
+    .filter(entry => ["greens", "bunkers", "hazards", "tees"].some(kind => entry[kind]?.length > 0));
+
+  const firstGreen = draft.holes.find(hole => hole.green)?.green;
+
+  return {
+    name: draft.name.trim(),
+    club_name: draft.club_name.trim() || null,
+    location: draft.location.trim() || null,
+    num_holes: draft.num_holes,
+    par: holes.reduce((total, hole) => total + hole.par_men, 0),
+    holes,
+    tees,
+    poi,
+    ...(firstGreen ? { latitude: firstGreen.latitude, longitude: firstGreen.longitude } : {}),
+  };
+};
+
+/**
+ * Load the player's custom courses
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array>} Courses, newest first
+ */
+export const getMyCourses = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("courses")
+      .select("id, name, club_name, location, tees, poi, par, num_holes, owner_id, source_course_id")
+      .eq("owner_id", userId)
+      .order("updated_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("[customCourseService] Error loading custom courses:", error);
+    return [];
+  }
+};
+
+/**
+ * Save a custom course - a new one, or changes to one the player owns
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} draft - Course draft (see validateCourseDraft)
+ * @returns {Promise<object>} The saved course
+ */
+export const saveCustomCourse = async (userId, draft) => {
+  const fields = {
+    ...draftToCourse(draft),
+    owner_id: userId,
+    source_course_id: draft.sourceCourseId,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = draft.id
+    ? await supabase.from("courses").update(fields).eq("id", draft.id).eq("owner_id", userId).select().single()
+    : await supabase.from("courses").insert({ ...fields, created_at: fields.updated_at }).select().single();
+
+  if (error) {
+    throw new Error(`Failed to save course: ${error.message}`);
+  }
+
+  // Ready to play straight away, signal or not
+  await cacheCourse({ ...data, has_tee_data: data.tees.length > 0, has_poi_data: data.poi.length > 0 });
+  return data;
+};
+
+/**
+ * Delete one of the player's custom courses
+ *
+ * @param {string} courseId - The course ID
+ */
+export const deleteCustomCourse = async (courseId) => {
+  const { error } = await supabase
+    .from("courses")
+    .delete()
+    .eq("id", courseId);
+
+  if (error) {
+    throw new Error(`Failed to delete course: ${error.message}`);
+  }
+
+  await removeCachedCourse(courseId);
+};
+
+/**
+ * What a draft changes about a course, for a correction
+ *
+ * @param {object} original - Draft of the course as it is (see courseToDraft)
+ * @param {object} edited - The edited draft
+ * @returns {Array} Changes, each { hole, field, tee, current, proposed }
+ */
+export const getCourseChanges = (original, edited) => {
+  const changes = [];
+  const addChange = (hole, field, current, proposed, tee = null) => {
+    if (JSON.stringify(current ?? null) !== JSON.stringify(proposed ?? null)) {
+      changes.push({ hole, field, tee, current: current ?? null, proposed: proposed ?? null });
+    }
+  };
+
+  ["name", "club_name", "location"].forEach(field => {
+    addChange(null, field, original[field], edited[field].trim());
+  });
+
+  edited.tees.forEach(tee => {
+    const originalTee = original.tees.find(t => t.id === tee.id);
+    addChange(null, "course_rating_men", originalTee?.course_rating_men, tee.course_rating_men, tee.name);
+    addChange(null, "slope_men", originalTee?.slope_men, tee.slope_men, tee.name);
+  });
+
+  edited.holes.forEach(hole => {
+    const originalHole = original.holes.find(h => h.number === hole.number) || {};
+    ["par_men", "index_men", "par_women", "index_women"].forEach(field => {
+      addChange(hole.number, field, originalHole[field], hole[field]);
+    });
+
+    edited.tees.forEach(tee => {
+      addChange(hole.number, "distance", originalHole.distances?.[tee.key], hole.distances[tee.key], tee.name);
+    });
+
+    if (hole.greenEdited) {
+      addChange(hole.number, "green", originalHole.green, hole.green);
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Submit corrections to a shared course for review
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} courseId - The course being corrected
+ * @param {Array} changes - Changes from getCourseChanges
+ * @param {string} note - Anything the reviewer should know
+ * @returns {Promise<object>} The saved correction
+ */
+export const submitCourseCorrection = async (userId, courseId, changes, note = "") => {
+  const { data, error } = await supabase
+    .from("course_corrections")
+    .insert({
+      course_id: courseId,
+      profile_id: userId,
+      changes,
+      note: note.trim() || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to submit correction: ${error.message}`);
+  }
+
+  return data;
+};
@@ -0,0 +1,157 @@
+// src/services/dispersionService.js
+//
+// Where shots finish. Alongside its outcome a shot can record which way it
+// missed (missDirection) and the lie it finished in (lie). Both are
+// optional. Over recent rounds they add up to dispersion patterns such as
+// "Tee shots miss right 70%".
+
+import { supabase } from "./supabase";
+
+export const MISS_DIRECTIONS = {
+  LEFT: { key: "left", label: "Left" },
+  RIGHT: { key: "right", label: "Right" },
+  SHORT: { key: "short", label: "Short" },
+  LONG: { key: "long", label: "Long" },
+};
+
+export const SHOT_LIES = {
+  FAIRWAY: { key: "fairway", label: "Fairway" },
+  ROUGH: { key: "rough", label: "Rough" },
+  BUNKER: { key: "bunker", label: "Bunker" },
+  HAZARD: { key: "hazard", label: "Hazard" },
+  GREEN: { key: "green", label: "Green" },
+  OB: { key: "ob", label: "OB" },
+};
+
+// Penalty strokes don't travel; a putt's lie is always the green
+export const NO_DETAIL_TYPES = ["Penalties"];
+export const NO_LIE_TYPES = ["Putts"];
+
+// Fewer shots than this with a recorded miss don't make a pattern
+export const MIN_PATTERN_SHOTS = 5;
+
+// Rounds looked at for patterns
+const PATTERN_ROUND_LIMIT = 20;
+
+// How each shot type reads in a sentence
+const TYPE_PHRASES = {
+  "Tee Shot": "Tee shots",
+  "Long Shot": "Long shots",
+  "Approach": "Approaches",
+  "Chip": "Chips",
+  "Putts": "Putts",
+  "Sand": "Bunker shots",
+};
+
+const findLabel = (options, key) => Object.values(options).find(option => option.key === key)?.label || null;
+
+/**
+ * Short description of where a shot finished, e.g. "Missed right • Rough"
+ *
+ * @param {object} shot - Shot with optional missDirection and lie
+ * @returns {string} Empty when neither was recorded
+ */
+export const formatShotDetail = (shot) => {
+  const direction = findLabel(MISS_DIRECTIONS, shot?.missDirection);
+  const lie = findLabel(SHOT_LIES, shot?.lie);
+
+  return [direction && `Missed ${direction.toLowerCase()}`, lie].filter(Boolean).join(" • ");
+};
+
+/**
+ * Whether any shot in a list has a miss direction or lie recorded
+ *
+ * @param {Array} shots - Shots
+ * @returns {boolean}
+ */
+export const hasShotDetail = (shots) =>
+  Array.isArray(shots) && shots.some(shot => shot.missDirection || shot.lie);
+
+/**
+ * Percentages of each option among the recorded values
+ */
+const toShares = (options, values) => {
+  const total = values.length;
+  return Object.values(options)
+    .map(option => {
+      const count = values.filter(value => value === option.key).length;
+      return { ...option, count, percent: total > 0 ? Math.round((count / total) * 100) : 0 };
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Miss direction and lie patterns per shot type
+ *
+ * @param {Array} shots - Shots from any number of holes, each { type, missDirection?, lie? }
+ * @returns {Array} Per shot type with enough recorded misses, most misses first:
+ *                  { type, misses, directions, lies, liesRecorded, summary }
+ */
+export const calculateDispersion = (shots) => {
+  return Object.keys(TYPE_PHRASES)
+    .map(type => {
+      const ofType = shots.filter(shot => shot.type === type);
+      const directions = ofType.map(shot => shot.missDirection).filter(Boolean);
+      const lies = ofType.map(shot => shot.lie).filter(Boolean);
+
+      const directionShares = toShares(MISS_DIRECTIONS, directions);
+      const top = directionShares[0];
+
+      return {
+        type,
+        misses: directions.length,
+        directions: directionShares,
+        lies: toShares(SHOT_LIES, lies).filter(share => share.count > 0),
+        liesRecorded: lies.length,
+        summary: top?.count > 0 ? `${TYPE_PHRASES[type]} miss ${top.label.toLowerCase()} ${top.percent}%` : null,
+      };
+    })
+    .filter(pattern => pattern.misses >= MIN_PATTERN_SHOTS)
+    .sort((a, b) => b.misses - a.misses);
+};
+
+/**
+ * Dispersion patterns over the player's recent counted rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} limit - Most recent rounds to include
+ * @returns {Promise<Array>} Patterns (see calculateDispersion), or [] on error
+ */
+export const getDispersionPatterns = async (userId, limit = PATTERN_ROUND_LIMIT) => {
+  try {
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, group_round_id")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    // Rounds scored for the player by a group organizer have no shot detail
+    const roundIds = (rounds || []).filter(round => !round.group_round_id).map(round => round.id);
+    if (roundIds.length === 0) {
+      return [];
+    }
+
+    const { data: holeRows, error: holesError } = await supabase
+      .from("shots")
+      .select("hole_data")
+      .in("round_id", roundIds);
+
+    if (holesError) throw holesError;
+
+    // Quick scores only have stand-in shots
+    const shots = (holeRows || [])
+      .filter(row => Array.isArray(row.hole_data?.shots) && !row.hole_data.quickScore)
+      .flatMap(row => row.hole_data.shots);
+
+    return calculateDispersion(shots);
+  } catch (error) {
+    console.error("[dispersionService] Error loading dispersion patterns:", error);
+    return [];
+  }
+};
@@ -0,0 +1,475 @@
+// src/services/handicapService.js
+//
+// World Handicap System calculations.
+// Score differentials use net double bogey as the maximum hole score,
+// the index averages the best 8 of the last 20 differentials, and the
+// soft/hard caps limit how fast the index can rise above the player's
+// low handicap index from the past year.
+
+import { supabase } from "./supabase";
+import { getHolePar, getHoleIndex, getTeeRating } from "./teeRatingsService";
+
+// WHS constants
+const STANDARD_SLOPE = 113;
+const MAX_HANDICAP_INDEX = 54.0;
+const SCORES_IN_RECORD = 20;
+const MIN_SCORES_FOR_INDEX = 3;
+const SOFT_CAP_THRESHOLD = 3.0;
+const HARD_CAP_THRESHOLD = 5.0;
+const LOW_INDEX_WINDOW_DAYS = 365;
+
+// Holes needed for an 18-hole score to count (missing holes are scored at net par)
+const MIN_HOLES_FOR_18_HOLE_SCORE = 14;
+
+// Number of differentials used and the adjustment applied, by number of scores
+const DIFFERENTIALS_USED = [
+  { maxScores: 3, count: 1, adjustment: -2.0 },
+  { maxScores: 4, count: 1, adjustment: -1.0 },
+  { maxScores: 5, count: 1, adjustment: 0 },
+  { maxScores: 6, count: 2, adjustment: -1.0 },
+  { maxScores: 8, count: 2, adjustment: 0 },
+  { maxScores: 11, count: 3, adjustment: 0 },
+  { maxScores: 14, count: 4, adjustment: 0 },
+  { maxScores: 16, count: 5, adjustment: 0 },
+  { maxScores: 18, count: 6, adjustment: 0 },
+  { maxScores: 19, count: 7, adjustment: 0 },
+  { maxScores: 20, count: 8, adjustment: 0 },
+];
+
+// How many completed rounds to load for the calculation - enough for 20
+// scores (nine-hole rounds pair up) plus a year of history for the caps
+const ROUND_HISTORY_LIMIT = 100;
+
+/**
+ * Round to one decimal place, as handicap values are displayed
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Calculate the course handicap for a tee
+ *
+ * @param {number} handicapIndex - The player's handicap index
+ * @param {object} tee - Tee with slope and course rating for the player's ratings
+ * @param {number} par - Par for the holes being played
+ * @param {number} holeCount - Holes being played (9 uses half the index and rating)
+ * @param {string} ratings - Men's or women's ratings (see TEE_RATINGS)
+ * @returns {number|null} Course handicap, or null if the tee isn't rated
+ */
+export const calculateCourseHandicap = (handicapIndex, tee, par, holeCount = 18, ratings) => {
+  if (handicapIndex === null || handicapIndex === undefined || !tee || !par) {
+    return null;
+  }
+
+  const { slope, courseRating } = getTeeRating(tee, ratings);
+  if (!slope || !courseRating) {
+    return null;
+  }
+
+  const isNineHoles = holeCount <= 9;
+  const index = isNineHoles ? handicapIndex / 2 : handicapIndex;
+  const rating = isNineHoles ? courseRating / 2 : courseRating;
+
+  return Math.round(index * (slope / STANDARD_SLOPE) + (rating - par));
+};
+
+/**
+ * Distribute handicap strokes across the holes played by stroke index.
+ * Plus handicaps give strokes back, starting from the easiest hole.
+ *
+ * @param {Array} holes - Holes with number and index
+ * @param {number} courseHandicap - Strokes to distribute
+ * @returns {Object} Strokes received keyed by hole number
+ */
+export const allocateStrokes = (holes, courseHandicap) => {
+  const strokes = {};
+  const holeCount = holes.length;
+
+  if (holeCount === 0) {
+    return strokes;
+  }
+
+  // Rank the holes by difficulty - holes without an index go last
+  const ranked = [...holes].sort((a, b) => (a.index || 99) - (b.index || 99));
+  const handicap = Math.round(courseHandicap || 0);
+  const base = Math.trunc(handicap / holeCount) || 0;
+  const remainder = Math.abs(handicap % holeCount);
+
+  ranked.forEach((hole, rank) => {
+    let received = base;
+
+    if (handicap > 0 && rank < remainder) {
+      received += 1;
+    } else if (handicap < 0 && rank >= holeCount - remainder) {
+      received -= 1;
+    }
+
+    strokes[hole.number] = received;
+  });
+
+  return strokes;
+};
+
+/**
+ * Calculate strokes received, net score and Stableford points for each hole
+ *
+ * @param {Array} holes - Holes with number, par, index and gross score (null if not played)
+ * @param {number|null} courseHandicap - Course handicap for the holes played (null plays off scratch)
+ * @returns {Object} { strokes, net, points } keyed by hole number; net and points are null for unplayed holes
+ */
+export const calculateNetScores = (holes, courseHandicap) => {
+  const strokes = allocateStrokes(holes, courseHandicap || 0);
+  const results = {};
+
+  holes.forEach(hole => {
+    const received = strokes[hole.number] || 0;
+
+    if (!hole.score || !hole.par) {
+      results[hole.number] = { strokes: received, net: null, points: null };
+      return;
+    }
+
+    const net = hole.score - received;
+    results[hole.number] = {
+      strokes: received,
+      net,
+      // 2 points for a net par, one more or less per stroke, never below zero
+      points: Math.max(0, 2 + hole.par - net),
+    };
+  });
+
+  return results;
+};
+
+/**
+ * Calculate the score differential for one round
+ *
+ * @param {object} round - Round prepared by prepareHandicapRound
+ * @param {number|null} handicapIndex - Index before this round (null if not established)
+ * @returns {object|null} { differential, adjustedGross, isNineHole } or null if the round doesn't count
+ */
+export const calculateScoreDifferential = (round, handicapIndex) => {
+  const { holes, slope, courseRating, isNineHole } = round;
+
+  if (!slope || !courseRating || !holes || holes.length === 0) {
+    return null;
+  }
+
+  const rating = isNineHole ? courseRating / 2 : courseRating;
+  const par = holes.reduce((total, hole) => total + (hole.par || 0), 0);
+  const courseHandicap = handicapIndex === null
+    ? null
+    : calculateCourseHandicap(handicapIndex, { slope_men: slope, course_rating_men: courseRating }, par, holes.length);
+  const strokes = courseHandicap === null ? {} : allocateStrokes(holes, courseHandicap);
+
+  let adjustedGross = 0;
+
+  holes.forEach(hole => {
+    const received = strokes[hole.number] || 0;
+
+    // Holes not played are scored at net par
+    if (!hole.score) {
+      adjustedGross += hole.par + received;
+      return;
+    }
+
+    // Net double bogey, or par + 5 until an index is established
+    const maxScore = courseHandicap === null
+      ? hole.par + 5
+      : hole.par + 2 + received;
+
+    adjustedGross += Math.min(hole.score, maxScore);
+  });
+
+  return {
+    differential: roundToTenth((STANDARD_SLOPE / slope) * (adjustedGross - rating)),
+    adjustedGross,
+    isNineHole,
+  };
+};
+
+/**
+ * Calculate the handicap index from a set of differentials
+ *
+ * @param {Array<number>} differentials - Most recent differentials (up to 20)
+ * @returns {number|null} Index before caps, or null if there are too few scores
+ */
+const indexFromDifferentials = (differentials) => {
+  if (differentials.length < MIN_SCORES_FOR_INDEX) {
+    return null;
+  }
+
+  const rule = DIFFERENTIALS_USED.find(entry => differentials.length <= entry.maxScores);
+  const best = [...differentials].sort((a, b) => a - b).slice(0, rule.count);
+  const average = best.reduce((total, value) => total + value, 0) / best.length;
+
+  return Math.min(roundToTenth(average + rule.adjustment), MAX_HANDICAP_INDEX);
+};
+
+/**
+ * Apply the soft and hard caps against the low handicap index
+ *
+ * @param {number} index - Calculated index
+ * @param {number|null} lowIndex - Lowest index in the past 365 days
+ * @returns {{index: number, cap: string|null}} Capped index and which cap applied
+ */
+const applyCaps = (index, lowIndex) => {
+  if (lowIndex === null || index - lowIndex <= SOFT_CAP_THRESHOLD) {
+    return { index, cap: null };
+  }
+
+  // Increase above 3.0 strokes is halved...
+  let capped = lowIndex + SOFT_CAP_THRESHOLD + (index - lowIndex - SOFT_CAP_THRESHOLD) / 2;
+  let cap = "soft";
+
+  // ...and can never exceed 5.0 strokes
+  if (capped - lowIndex > HARD_CAP_THRESHOLD) {
+    capped = lowIndex + HARD_CAP_THRESHOLD;
+    cap = "hard";
+  }
+
+  return { index: roundToTenth(capped), cap };
+};
+
+/**
+ * Turn a round with its course and hole rows into the calculation input
+ *
+ * @param {object} round - Round with courses (par, holes, tees, num_holes) joined
+ * @param {Array} holeRows - Shots rows for the round (hole_number, total_score, par, index)
+ * @returns {object|null} Prepared round, or null if it can't count towards a handicap
+ */
+export const prepareHandicapRound = (round, holeRows) => {
+  const course = round.courses;
+  const tee = course?.tees?.find(t => t.id === round.selected_tee_id) ||
+              course?.tees?.find(t => t.name === round.selected_tee_name);
+
+  // Rated for the set of ratings the round was played off
+  const { slope, courseRating } = getTeeRating(tee, round.tee_ratings);
+  if (!tee || !slope || !courseRating) {
+    return null;
+  }
+
+  const courseHoles = course.num_holes || 18;
+  const holeCount = round.hole_count || courseHoles;
+
+  // Nine-hole scores on an 18-hole course pair up; anything else must be a full round
+  const isNineHole = holeCount === 9 && courseHoles === 18;
+  if (!isNineHole && holeCount !== 18) {
+    return null;
+  }
+
+  const playedRows = (holeRows || []).filter(row => row.total_score > 0);
+  const minimumHoles = isNineHole ? 9 : MIN_HOLES_FOR_18_HOLE_SCORE;
+  if (playedRows.length < minimumHoles) {
+    return null;
+  }
+
+  // Every hole of the round, with the score where it was played
+  const startHole = round.start_hole || 1;
+  const holeNumbers = Array.from({ length: holeCount }, (_, i) => ((startHole - 1 + i) % courseHoles) + 1);
+
+  const holes = holeNumbers.map(number => {
+    const row = playedRows.find(r => r.hole_number === number);
+    const courseHole = course.holes?.find(h => h.number === number);
+
+    return {
+      number,
+      par: Number(row?.par) || getHolePar(courseHole, round.tee_ratings) || 4,
+      index: Number(row?.index) || getHoleIndex(courseHole, round.tee_ratings),
+      score: row?.total_score || null,
+    };
+  });
+
+  return {
+    roundId: round.id,
+    date: round.created_at,
+    slope,
+    courseRating,
+    isNineHole,
+    holes,
+  };
+};
+
+/**
+ * Calculate the handicap index from a player's rounds.
+ *
+ * Rounds are replayed oldest first so each round's net double bogey uses
+ * the index the player had when it was played, and the low handicap index
+ * for the caps comes from the indexes of the preceding year.
+ *
+ * @param {Array} rounds - Prepared rounds (see prepareHandicapRound)
+ * @returns {object} { handicapIndex, lowHandicapIndex, cap, scoresCounted, differentials }
+ */
+export const calculateHandicapIndex = (rounds) => {
+  const chronological = [...rounds].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const scores = [];          // 18-hole score differentials, oldest first
+  const indexHistory = [];    // { date, index } after each score
+  let pendingNine = null;     // Nine-hole score waiting for its pair
+  let currentIndex = null;
+  let currentCap = null;
+
+  chronological.forEach(round => {
+    const result = calculateScoreDifferential(round, currentIndex);
+    if (!result) return;
+
+    let score = {
+      roundIds: [round.roundId],
+      date: round.date,
+      differential: result.differential,
+      adjustedGross: result.adjustedGross,
+    };
+
+    // Two nine-hole scores combine into one 18-hole differential
+    if (result.isNineHole) {
+      if (!pendingNine) {
+        pendingNine = score;
+        return;
+      }
+
+      score = {
+        roundIds: [...pendingNine.roundIds, round.roundId],
+        date: round.date,
+        differential: roundToTenth(pendingNine.differential + result.differential),
+        adjustedGross: pendingNine.adjustedGross + result.adjustedGross,
+      };
+      pendingNine = null;
+    }
+
+    scores.push(score);
+
+    const recent = scores.slice(-SCORES_IN_RECORD);
+    const calculated = indexFromDifferentials(recent.map(s => s.differential));
+    if (calculated === null) return;
+
+    // The low index only exists once the record has 20 scores
+    const windowStart = new Date(score.date);
+    windowStart.setDate(windowStart.getDate() - LOW_INDEX_WINDOW_DAYS);
+    const yearOfIndexes = indexHistory
+      .filter(entry => entry.established && new Date(entry.date) >= windowStart)
+      .map(entry => entry.index);
+    const lowIndex = yearOfIndexes.length > 0 ? Math.min(...yearOfIndexes) : null;
+
+    const { index, cap } = applyCaps(calculated, lowIndex);
+    currentIndex = index;
+    currentCap = cap;
+
+    indexHistory.push({
+      date: score.date,
+      index,
+      lowIndex,
+      established: scores.length >= SCORES_IN_RECORD,
+    });
+  });
+
+  // Mark which differentials in the current record count
+  const record = scores.slice(-SCORES_IN_RECORD);
+  const rule = DIFFERENTIALS_USED.find(entry => record.length <= entry.maxScores);
+  const usedScores = record.length >= MIN_SCORES_FOR_INDEX
+    ? [...record].sort((a, b) => a.differential - b.differential).slice(0, rule.count)
+    : [];
+
+  const latest = indexHistory[indexHistory.length - 1];
+
+  return {
+    handicapIndex: currentIndex,
+    lowHandicapIndex: latest?.lowIndex ?? null,
+    cap: currentCap,
+    scoresCounted: record.length,
+    scoresUsed: usedScores.length,
+    differentials: record
+      .map(score => ({ ...score, used: usedScores.includes(score) }))
+      .reverse(),
+  };
+};
+
+/**
+ * Load a player's completed rounds and calculate their handicap index
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object|null>} Handicap summary (see calculateHandicapIndex), or null on error
+ */
+export const getHandicapSummary = async (userId) => {
+  try {
+    const { data: rounds, error: roundsError } = await supabase
+      .from("rounds")
+      .select(`
+        id,
+        created_at,
+        selected_tee_id,
+        selected_tee_name,
+        start_hole,
+        hole_count,
+        tee_ratings,
+        courses:course_id (
+          par,
+          holes,
+          tees,
+          num_holes
+        )
+      `)
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
+      .order("created_at", { ascending: false })
+      .limit(ROUND_HISTORY_LIMIT);
+
+    if (roundsError) throw roundsError;
+
+    if (!rounds || rounds.length === 0) {
+      return calculateHandicapIndex([]);
+    }
+
+    // Only the per-hole totals are needed, not the full shot lists
+    const { data: holeRows, error: holesError } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, total_score, par:hole_data->par, index:hole_data->index")
+      .in("round_id", rounds.map(round => round.id));
+
+    if (holesError) throw holesError;
+
+    const prepared = rounds
+      .map(round => prepareHandicapRound(
+        round,
+        (holeRows || []).filter(row => row.round_id === round.id)
+      ))
+      .filter(Boolean);
+
+    const summary = calculateHandicapIndex(prepared);
+    console.log("[handicapService] Calculated handicap index:", summary.handicapIndex, "from", summary.scoresCounted, "scores");
+    return summary;
+  } catch (error) {
+    console.error("[handicapService] Error calculating handicap index:", error);
+    return null;
+  }
+};
+
+/**
+ * Recalculate the handicap index and store it on the player's profile,
+ * where the insights function reads it
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object|null>} Handicap summary, or null on error
+ */
+export const refreshHandicapIndex = async (userId) => {
+  const summary = await getHandicapSummary(userId);
+  if (!summary) {
+    return null;
+  }
+
+  try {
+    const { error } = await supabase
+      .from("profiles")
+      .update({
+        handicap_index: summary.handicapIndex,
+        handicap_index_updated_at: new Date().toISOString(),
+      })
+      .eq("id", userId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("[handicapService] Error saving handicap index:", error);
+  }
+
+  return summary;
+};
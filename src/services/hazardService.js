@@ -0,0 +1,164 @@
+// src/services/hazardService.js
+//
+// Distances to the bunkers, hazards and yardage markers on a hole, from
+// the per-hole POI data built by get-course-detailed-info. Each POI is a
+// single point, and a bunker or water hazard can have several (front and
+// back edges), so nearby points of the same kind are grouped into one
+// feature: the nearest point is the distance to reach it and the farthest
+// is the distance to carry it.
+
+import { calculateDistance, getGreenCoordinates } from "./shotDistanceService";
+
+// Points of the same kind this close together are treated as one feature
+const FEATURE_RADIUS_YARDS = 40;
+
+// Features this far behind the player (measured towards the green) are left off
+const BEHIND_TOLERANCE_YARDS = 10;
+
+// Hazards off the line to the green by less than this are "center"
+const CENTER_LINE_YARDS = 10;
+
+const HAZARD_LABELS = {
+  water: "Water",
+  trees: "Trees",
+  road: "Road",
+};
+
+/**
+ * Which side of the line from the player to the green a point is on
+ *
+ * @returns {string} "left", "right" or "center"
+ */
+const getSide = (position, greenCenter, point) => {
+  // Flat x/y in yards around the player - fine over the length of a hole
+  const toYards = (target) => ({
+    x: calculateDistance(position.lat, position.lng, position.lat, target.lng) * Math.sign(target.lng - position.lng),
+    y: calculateDistance(position.lat, position.lng, target.lat, position.lng) * Math.sign(target.lat - position.lat),
+  });
+
+  const line = toYards(greenCenter);
+  const offset = toYards(point);
+  const length = Math.hypot(line.x, line.y);
+  if (length === 0) return "center";
+
+  // Positive cross product means the point is to the left of the line
+  const lateral = (line.x * offset.y - line.y * offset.x) / length;
+  if (Math.abs(lateral) < CENTER_LINE_YARDS) return "center";
+  return lateral > 0 ? "left" : "right";
+};
+
+/**
+ * Group points of the same kind that are close together
+ */
+const clusterPoints = (points) => {
+  const clusters = [];
+  points.forEach(point => {
+    const cluster = clusters.find(existing =>
+      existing.key === point.key &&
+      existing.points.some(other => calculateDistance(other.lat, other.lng, point.lat, point.lng) <= FEATURE_RADIUS_YARDS)
+    );
+
+    if (cluster) {
+      cluster.points.push(point);
+    } else {
+      clusters.push({ key: point.key, points: [point] });
+    }
+  });
+  return clusters;
+};
+
+/**
+ * Describe a bunker or hazard for display
+ */
+const getFeatureLabel = (point, side) => {
+  const sideLabel = side === "center" ? "" : `${side.charAt(0).toUpperCase()}${side.slice(1)} `;
+
+  if (point.kind === "bunker") {
+    return point.type === "green"
+      ? `Greenside bunker${side === "center" ? "" : ` (${side})`}`
+      : `${sideLabel}${sideLabel ? "fairway" : "Fairway"} bunker`;
+  }
+
+  const hazard = HAZARD_LABELS[point.type] || "Hazard";
+  return side === "center" ? hazard : `${hazard} (${side})`;
+};
+
+/**
+ * Where to measure from when there's no GPS position - the back tee, else the front
+ *
+ * @param {object} poi - Hole POI data
+ * @returns {object|null} { lat, lng } or null
+ */
+export const getTeePosition = (poi) => {
+  const tees = poi?.tees || [];
+  const tee = tees.find(t => t.location === "back") || tees[0];
+  return tee ? { lat: tee.lat, lng: tee.lng } : null;
+};
+
+/**
+ * Distances from the player to every bunker, hazard and yardage marker ahead
+ *
+ * @param {object} poi - Hole POI data ({ greens, bunkers, hazards, tees })
+ * @param {object} position - Player's { lat, lng }
+ * @returns {object} { hazards: [{ key, label, kind, type, side, reach, carry }], markers: [{ distance, yards }] } - nearest first
+ */
+export const getHoleFeatureDistances = (poi, position) => {
+  if (!poi || !position) {
+    return { hazards: [], markers: [] };
+  }
+
+  const { center: greenCenter } = getGreenCoordinates(poi);
+  const toGreen = (point) =>
+    greenCenter ? calculateDistance(point.lat, point.lng, greenCenter.lat, greenCenter.lng) : 0;
+  const playerToGreen = greenCenter ? toGreen(position) : Infinity;
+  const isAhead = (point) => toGreen(point) < playerToGreen + BEHIND_TOLERANCE_YARDS;
+  const fromPlayer = (point) => calculateDistance(position.lat, position.lng, point.lat, point.lng);
+
+  // Bunkers come with a side; other hazards get one from the line to the green
+  const points = [
+    ...(poi.bunkers || []).map(bunker => ({
+      ...bunker,
+      kind: "bunker",
+      key: `bunker-${bunker.type}-${bunker.side}`,
+    })),
+    ...(poi.hazards || [])
+      .filter(hazard => HAZARD_LABELS[hazard.type])
+      .map(hazard => ({ ...hazard, kind: "hazard", key: `hazard-${hazard.type}` })),
+  ];
+
+  const hazards = clusterPoints(points)
+    .filter(cluster => cluster.points.some(isAhead))
+    .map((cluster, i) => {
+      const first = cluster.points[0];
+      const side = first.kind === "bunker" && first.side
+        ? first.side
+        : greenCenter ? getSide(position, greenCenter, first) : "center";
+      const distances = cluster.points.map(fromPlayer);
+
+      // A single point is the front or back edge when the data says so, else where it starts
+      let reach = Math.min(...distances);
+      let carry = cluster.points.length > 1 ? Math.max(...distances) : null;
+      if (cluster.points.length === 1 && first.location === "back") {
+        carry = reach;
+        reach = null;
+      }
+
+      return {
+        key: `${cluster.key}-${i}`,
+        label: getFeatureLabel(first, side),
+        kind: first.kind,
+        type: first.type,
+        side,
+        reach,
+        carry,
+      };
+    })
+    .sort((a, b) => (a.reach ?? a.carry) - (b.reach ?? b.carry));
+
+  const markers = (poi.hazards || [])
+    .filter(hazard => hazard.type === "distance_marker" && isAhead(hazard))
+    .map(marker => ({ distance: marker.distance, yards: fromPlayer(marker) }))
+    .sort((a, b) => a.yards - b.yards);
+
+  return { hazards, markers };
+};
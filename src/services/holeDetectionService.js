@@ -0,0 +1,87 @@
+// src/services/holeDetectionService.js
+//
+// Works out from GPS when the player has walked onto the next tee, so the
+// tracker can move on to the next hole before shots are filed on the
+// previous one. To avoid jumping holes while walking across the course,
+// only the next hole in the round is ever detected, and the player has to
+// stay on its tee for a while with a decent GPS fix.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { calculateDistance } from "./shotDistanceService";
+
+export const AUTO_ADVANCE_MODES = {
+  OFF: { key: "off", label: "Off", description: "Change holes yourself" },
+  ASK: { key: "ask", label: "Ask", description: "Ask before moving to the next hole" },
+  AUTO: { key: "auto", label: "Automatic", description: "Move to the next hole on its tee" },
+};
+
+const DEFAULT_MODE = AUTO_ADVANCE_MODES.ASK.key;
+const SETTING_STORAGE_KEY = "auto_advance_mode";
+
+// How close to a tee marker counts as being on the tee
+export const TEE_RADIUS_YARDS = 30;
+
+// How long the player has to stay on the tee
+export const TEE_DWELL_MS = 20 * 1000;
+
+// Readings less accurate than this (meters) are ignored
+const MAX_ACCURACY_METERS = 25;
+
+/**
+ * Load the auto-advance setting for this device
+ *
+ * @returns {Promise<string>} AUTO_ADVANCE_MODES key
+ */
+export const getAutoAdvanceMode = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTING_STORAGE_KEY);
+    return Object.values(AUTO_ADVANCE_MODES).some(mode => mode.key === stored) ? stored : DEFAULT_MODE;
+  } catch (error) {
+    console.error("[holeDetectionService] Error loading auto-advance setting:", error);
+    return DEFAULT_MODE;
+  }
+};
+
+/**
+ * Save the auto-advance setting for this device
+ *
+ * @param {string} mode - AUTO_ADVANCE_MODES key
+ */
+export const saveAutoAdvanceMode = async (mode) => {
+  await AsyncStorage.setItem(SETTING_STORAGE_KEY, mode);
+};
+
+/**
+ * Track whether the player has arrived on a tee
+ *
+ * Call with each GPS reading. The player has arrived once every reading for
+ * TEE_DWELL_MS has been within TEE_RADIUS_YARDS of one of the tee markers.
+ *
+ * @param {object|null} previous - The state returned for the last reading (null to start)
+ * @param {object} location - expo-location reading ({ coords, timestamp })
+ * @param {Array} tees - Tee markers for the hole, each { lat, lng }
+ * @returns {object} { nearSince, distance, arrived } - nearSince is when the player reached the tee, or null
+ */
+export const updateTeeArrival = (previous, location, tees) => {
+  const coords = location?.coords;
+  if (!coords || !Array.isArray(tees) || tees.length === 0) {
+    return { nearSince: null, distance: null, arrived: false };
+  }
+
+  // A poor fix can't place the player on a tee either way - keep what we had
+  if (coords.accuracy && coords.accuracy > MAX_ACCURACY_METERS) {
+    return previous || { nearSince: null, distance: null, arrived: false };
+  }
+
+  const now = location.timestamp || Date.now();
+  const distance = Math.min(
+    ...tees.map(tee => calculateDistance(coords.latitude, coords.longitude, tee.lat, tee.lng))
+  );
+
+  if (distance > TEE_RADIUS_YARDS) {
+    return { nearSince: null, distance, arrived: false };
+  }
+
+  const nearSince = previous?.nearSince ?? now;
+  return { nearSince, distance, arrived: now - nearSince >= TEE_DWELL_MS };
+};
@@ -0,0 +1,191 @@
+// src/services/quickScoreService.js
+//
+// Quick scoring: strokes, putts, penalties and fairway/green toggles for a
+// hole instead of every shot. The tracker still saves hole_data.shots, so a
+// quick score is turned into a stand-in shot sequence for the scorecard. The
+// numbers the player entered are kept alongside as hole_data.quickScore, and
+// stats read those rather than the stand-in shots, which can't show every
+// combination (a green missed but putted from the fringe, say).
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { analyzeHole } from "./statsService";
+
+export const TRACKING_MODES = {
+  DETAILED: { key: "detailed", label: "Shots" },
+  QUICK: { key: "quick", label: "Quick Score" },
+};
+
+export const DEFAULT_TRACKING_MODE = TRACKING_MODES.DETAILED.key;
+
+// New rounds start in the mode the player used last
+const TRACKING_MODE_KEY = "tracking_mode";
+
+const isTrackingMode = (value) => Object.values(TRACKING_MODES).some(mode => mode.key === value);
+
+/**
+ * Load the tracking mode the player last used
+ *
+ * @returns {Promise<string>} TRACKING_MODES key
+ */
+export const getLastTrackingMode = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(TRACKING_MODE_KEY);
+    return isTrackingMode(stored) ? stored : DEFAULT_TRACKING_MODE;
+  } catch (error) {
+    console.error("[quickScoreService] Error reading tracking mode:", error);
+    return DEFAULT_TRACKING_MODE;
+  }
+};
+
+/**
+ * Remember the tracking mode for the next round
+ *
+ * @param {string} mode - TRACKING_MODES key
+ */
+export const saveLastTrackingMode = async (mode) => {
+  try {
+    await AsyncStorage.setItem(TRACKING_MODE_KEY, mode);
+  } catch (error) {
+    console.error("[quickScoreService] Error saving tracking mode:", error);
+  }
+};
+
+/**
+ * Whether the strokes and putts leave room for a green in regulation
+ */
+const canHitGreen = (score, par) => score.strokes - score.putts <= par - 2;
+
+/**
+ * Whether the green toggle can be changed. Counts that miss the green can't
+ * be marked as hitting it; counts that hit it can be marked as a miss when
+ * the first putt was from off the green.
+ *
+ * @param {object} score - Quick score
+ * @param {number} par - Hole par
+ * @returns {boolean}
+ */
+export const canToggleGreen = (score, par) => canHitGreen(score, par) && score.putts > 0;
+
+/**
+ * Starting quick score for an empty hole - par with two putts
+ *
+ * @param {number} par - Hole par
+ * @returns {object} { strokes, putts, penalties, fairwayHit, greenInRegulation }
+ */
+export const createQuickScore = (par) => {
+  const holePar = par || 4;
+  return {
+    strokes: holePar,
+    putts: Math.min(2, holePar - 1),
+    penalties: 0,
+    fairwayHit: holePar >= 4,
+    greenInRegulation: true,
+  };
+};
+
+/**
+ * Step one of the counts. Every putt and penalty is a stroke, so adding one
+ * when the strokes are already used up adds a stroke too; strokes can't go
+ * below the putts and penalties plus one shot to start the hole. The green
+ * follows the counts: missed when they can't reach it, hit again when they
+ * can, and always hit when the hole was holed without a putt.
+ *
+ * @param {object} score - Quick score
+ * @param {string} field - "strokes", "putts" or "penalties"
+ * @param {number} step - +1 or -1
+ * @param {number} par - Hole par
+ * @returns {object} The updated quick score
+ */
+export const stepQuickScore = (score, field, step, par) => {
+  const next = { ...score, [field]: Math.max(0, score[field] + step) };
+  const minimumStrokes = next.putts + next.penalties + 1;
+
+  if (field === "strokes") {
+    next.strokes = Math.max(next.strokes, minimumStrokes);
+  } else if (next.strokes < minimumStrokes) {
+    next.strokes = minimumStrokes;
+  }
+
+  if (!canHitGreen(next, par)) {
+    next.greenInRegulation = false;
+  } else if (!canHitGreen(score, par) || next.putts === 0) {
+    next.greenInRegulation = true;
+  }
+
+  return next;
+};
+
+/**
+ * Stand-in shots for a quick score, in playing order: tee shot, any penalty
+ * off the tee, the shots to the green (a chip on to it when the green was
+ * missed), then the putts. They always add up to the strokes entered;
+ * analyzeHole takes the rest from the quick score itself.
+ *
+ * @param {object} score - Quick score
+ * @param {number} par - Hole par
+ * @returns {Array} Shots, each { type, result, timestamp }
+ */
+export const buildQuickScoreShots = (score, par) => {
+  const timestamp = new Date().toISOString();
+  const shot = (type, result = "On Target") => ({ type, result, timestamp });
+
+  const hitGreen = canHitGreen(score, par);
+  const puttFromOffGreen = hitGreen && !score.greenInRegulation;
+  const teeShotOnTarget = par >= 4 ? score.fairwayHit : hitGreen && !puttFromOffGreen;
+
+  const penalties = Array.from({ length: score.penalties }, () => shot("Penalties"));
+  const swings = Math.max(1, score.strokes - score.putts - score.penalties);
+  const chips = !hitGreen && swings > 1 ? 1 : 0;
+  const fullShots = swings - 1 - chips;
+
+  const shots = [shot("Tee Shot", teeShotOnTarget ? "On Target" : "Slightly Off")];
+
+  if (!teeShotOnTarget) {
+    shots.push(...penalties);
+  }
+
+  for (let i = 0; i < fullShots; i++) {
+    const isLast = i === fullShots - 1;
+    shots.push(shot(isLast ? "Approach" : "Long Shot", isLast && !hitGreen ? "Slightly Off" : "On Target"));
+  }
+
+  if (teeShotOnTarget) {
+    shots.push(...penalties);
+  }
+
+  if (chips) {
+    shots.push(shot("Chip"));
+  }
+
+  for (let i = 0; i < score.putts; i++) {
+    shots.push(shot("Putts"));
+  }
+
+  return shots;
+};
+
+/**
+ * Quick score for a hole - what the player entered, or worked out from
+ * tracked shots when the hole was played in detail
+ *
+ * @param {object} hole - Hole data ({ par, shots, quickScore })
+ * @returns {object|null} Quick score, or null for a hole with no shots
+ */
+export const getQuickScore = (hole) => {
+  if (hole?.quickScore) {
+    return hole.quickScore;
+  }
+
+  const stats = analyzeHole(hole?.shots, hole?.par || 4);
+  if (!stats) {
+    return null;
+  }
+
+  return {
+    strokes: stats.strokes,
+    putts: stats.putts,
+    penalties: stats.penalties,
+    fairwayHit: stats.fairwayHit,
+    greenInRegulation: stats.greenInRegulation,
+  };
+};
@@ -0,0 +1,101 @@
+// src/services/roundFormatService.js
+//
+// Round formats (18 holes, front/back nine, custom start) and the
+// order holes are played in. Hole numbers always refer to the course's
+// real numbering; a shotgun start simply wraps from the last hole to 1.
+
+// Supported round formats
+export const ROUND_FORMATS = {
+  FULL: "full",
+  FRONT_NINE: "front_nine",
+  BACK_NINE: "back_nine",
+  CUSTOM: "custom",
+};
+
+// Display labels for the format picker
+export const ROUND_FORMAT_LABELS = {
+  [ROUND_FORMATS.FULL]: "18 Holes",
+  [ROUND_FORMATS.FRONT_NINE]: "Front 9",
+  [ROUND_FORMATS.BACK_NINE]: "Back 9",
+  [ROUND_FORMATS.CUSTOM]: "Custom",
+};
+
+/**
+ * Build the ordered list of holes for a round
+ *
+ * @param {number} startHole - First hole played
+ * @param {number} holeCount - Number of holes in the round
+ * @param {number} courseHoles - Number of holes on the course
+ * @returns {Array<number>} Hole numbers in the order they are played
+ */
+export const getHoleSequence = (startHole = 1, holeCount = 18, courseHoles = 18) => {
+  const total = Math.max(1, courseHoles);
+  const count = Math.min(Math.max(1, holeCount), total);
+  const start = Math.min(Math.max(1, startHole), total);
+
+  const sequence = [];
+  for (let i = 0; i < count; i++) {
+    // Wrap past the last hole back to hole 1 (shotgun starts)
+    sequence.push(((start - 1 + i) % total) + 1);
+  }
+
+  return sequence;
+};
+
+/**
+ * Resolve a format choice into a round setup
+ *
+ * @param {string} format - One of ROUND_FORMATS
+ * @param {object} options
+ * @param {number} options.courseHoles - Number of holes on the course (9 or 18)
+ * @param {number} options.startHole - Starting hole for custom rounds
+ * @param {number} options.holeCount - Number of holes for custom rounds
+ * @returns {object} { format, startHole, holeCount, holes }
+ */
+export const buildRoundSetup = (format = ROUND_FORMATS.FULL, { courseHoles = 18, startHole = 1, holeCount = 18 } = {}) => {
+  let start = 1;
+  let count = courseHoles;
+
+  switch (format) {
+    case ROUND_FORMATS.FRONT_NINE:
+      count = Math.min(9, courseHoles);
+      break;
+    case ROUND_FORMATS.BACK_NINE:
+      // A nine-hole course has no back nine - play it from the top
+      start = courseHoles > 9 ? 10 : 1;
+      count = Math.min(9, courseHoles);
+      break;
+    case ROUND_FORMATS.CUSTOM:
+      start = startHole;
+      count = holeCount;
+      break;
+    default:
+      break;
+  }
+
+  const holes = getHoleSequence(start, count, courseHoles);
+
+  return {
+    format,
+    startHole: holes[0],
+    holeCount: holes.length,
+    courseHoles,
+    holes,
+  };
+};
+
+/**
+ * Get the hole sequence for a round record.
+ * Rounds from before formats existed were always 18 holes from the first tee.
+ *
+ * @param {object} round - Round record with start_hole and hole_count
+ * @param {number} courseHoles - Number of holes on the course
+ * @returns {Array<number>} Hole numbers in the order they were played
+ */
+export const getRoundHoleSequence = (round, courseHoles = 18) => {
+  return getHoleSequence(
+    round?.start_hole || 1,
+    round?.hole_count || courseHoles,
+    courseHoles
+  );
+};
@@ -0,0 +1,403 @@
+// src/services/roundSyncService.js
+//
+// Durable outbox for rounds played without signal.
+// Every round lives in this queue from the moment it is started until the
+// server has the round row, all hole rows and the completed totals. Each
+// step is idempotent, so the queue can be replayed as often as needed.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState } from "react-native";
+import { createRound, completeRound, completeGroupRound, saveSideGames } from "./roundservice";
+
+// AsyncStorage key holding the queue, keyed by round ID
+const QUEUE_STORAGE_KEY = "roundSyncQueue";
+
+// How often to retry pending rounds while the app is in the foreground
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// Queue entry states
+export const ROUND_SYNC_STATUS = {
+  IN_PROGRESS: "in_progress",   // Being played, only the round row needs syncing
+  PENDING_SYNC: "pending_sync", // Finished locally, waiting to be submitted
+};
+
+// Internal state tracking
+let activeSync = null;
+let queueUpdate = Promise.resolve(); // Last queued change - changes run one at a time
+const listeners = new Set();
+
+/**
+ * Generate a v4 UUID for a new round.
+ * The ID is created on the device so the round can be referenced
+ * (and its holes stored) before the server has ever seen it.
+ *
+ * @returns {string} A random UUID
+ */
+export const generateRoundId = () => {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === "x" ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+};
+
+/**
+ * Read the whole queue from AsyncStorage
+ *
+ * @returns {Promise<Object>} Queue entries keyed by round ID
+ */
+const readQueue = async () => {
+  try {
+    const queueStr = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+    return queueStr ? JSON.parse(queueStr) : {};
+  } catch (error) {
+    console.error("[roundSyncService] Error reading queue:", error);
+    return {};
+  }
+};
+
+/**
+ * Persist the queue and notify subscribers
+ *
+ * @param {Object} queue - Queue entries keyed by round ID
+ */
+const writeQueue = async (queue) => {
+  await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error("[roundSyncService] Queue listener error:", error);
+    }
+  });
+};
+
+/**
+ * Read, change and write the queue for one entry - use updateEntry
+ */
+const applyUpdate = async (roundId, updater) => {
+  const queue = await readQueue();
+  const updated = updater(queue[roundId] || null);
+
+  if (updated) {
+    queue[roundId] = { ...updated, updatedAt: new Date().toISOString() };
+  } else {
+    delete queue[roundId];
+  }
+
+  await writeQueue(queue);
+  return updated ? queue[roundId] : null;
+};
+
+/**
+ * Apply a change to a single queue entry. Changes are chained so each one
+ * reads the queue after the last one was written - a background sync
+ * removing an entry can't overwrite a round being queued or finished.
+ *
+ * @param {string} roundId - The round to update
+ * @param {Function} updater - Receives the current entry, returns the new one (or null to remove it)
+ * @returns {Promise<Object|null>} The updated entry
+ */
+const updateEntry = (roundId, updater) => {
+  const update = queueUpdate.then(() => applyUpdate(roundId, updater));
+  // A failed change mustn't block the ones after it
+  queueUpdate = update.catch(() => {});
+  return update;
+};
+
+/**
+ * Subscribe to queue changes (entries added, finished, synced or removed)
+ *
+ * @param {Function} listener - Called with no arguments after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRoundQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Add a newly started round to the queue.
+ * No network is required - the round row is created on the next sync.
+ *
+ * @param {object} round - Local round record (id, profile_id, course_id, selected_tee_id, selected_tee_name,
+ *                         start_hole, hole_count, tee_ratings, created_at)
+ * @param {object} meta - Display data for pending round cards (courseName), and
+ *                        createdOnServer for rounds that already have a server row
+ * @returns {Promise<object>} The queue entry
+ */
+export const enqueueRound = async (round, meta = {}) => {
+  console.log("[roundSyncService] Queueing round:", round.id);
+
+  return updateEntry(round.id, () => ({
+    roundId: round.id,
+    round,
+    courseName: meta.courseName || null,
+    status: ROUND_SYNC_STATUS.IN_PROGRESS,
+    createdOnServer: !!meta.createdOnServer,
+    holes: null,
+    playedHoles: null,
+    players: null,
+    sideGames: null,
+    completedOnServer: false,
+    attempts: 0,
+    lastError: null,
+    queuedAt: new Date().toISOString(),
+  }));
+};
+
+/**
+ * Mark a queued round as finished and store the hole data to submit
+ *
+ * @param {string} roundId - The round that was finished
+ * @param {object} storedHoleData - All hole data from AsyncStorage
+ * @param {Array<number>} playedHoles - Hole numbers that belong to the round
+ * @param {Array} players - Group players with their strokes (see completeGroupRound), empty for solo rounds
+ * @param {object|null} sideGames - The group's side game settings, if any were played
+ * @returns {Promise<object|null>} The queue entry, or null if the round is not queued
+ */
+export const markRoundFinished = async (roundId, storedHoleData, playedHoles, players = [], sideGames = null) => {
+  console.log("[roundSyncService] Marking round as finished:", roundId);
+
+  return updateEntry(roundId, (entry) => {
+    if (!entry) {
+      console.warn("[roundSyncService] Finished round is not in the queue:", roundId);
+      return null;
+    }
+
+    return {
+      ...entry,
+      status: ROUND_SYNC_STATUS.PENDING_SYNC,
+      holes: storedHoleData,
+      playedHoles,
+      players,
+      sideGames,
+      finishedAt: new Date().toISOString(),
+    };
+  });
+};
+
+/**
+ * Ensure a round started before this queue existed is tracked by it
+ *
+ * @param {object} round - Round record already created on the server
+ * @param {object} meta - Display data for pending round cards (courseName)
+ * @returns {Promise<object>} The queue entry
+ */
+export const ensureRoundQueued = async (round, meta = {}) => {
+  const queue = await readQueue();
+  if (queue[round.id]) {
+    return queue[round.id];
+  }
+
+  // Rounds from before the queue were always created online
+  return enqueueRound(round, { ...meta, createdOnServer: true });
+};
+
+/**
+ * Remove a round from the queue (abandoned rounds)
+ *
+ * @param {string} roundId - The round to remove
+ */
+export const removeQueuedRound = async (roundId) => {
+  console.log("[roundSyncService] Removing round from queue:", roundId);
+  await updateEntry(roundId, () => null);
+};
+
+/**
+ * Get finished rounds that have not reached the server yet
+ *
+ * Entries are formatted like the round objects used by RoundSummaryCard.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array>} Pending rounds, most recent first
+ */
+export const getPendingRounds = async (userId) => {
+  const queue = await readQueue();
+
+  return Object.values(queue)
+    .filter(entry =>
+      entry.status === ROUND_SYNC_STATUS.PENDING_SYNC &&
+      (!userId || entry.round?.profile_id === userId)
+    )
+    .map(entry => {
+      const grossShots = Object.values(entry.holes || {}).reduce(
+        (total, hole) => total + (hole?.shots?.length || 0),
+        0
+      );
+
+      return {
+        id: entry.roundId,
+        date: entry.round?.created_at || entry.queuedAt,
+        courseName: entry.courseName || "Unknown Course",
+        score: null,
+        grossShots,
+        isComplete: true,
+        isPendingSync: true,
+        lastError: entry.lastError,
+      };
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Replay the outstanding steps for one queued round.
+ *
+ * 1. Create the round row (skipped once the server has it)
+ * 2. For finished rounds, submit the hole data and totals via completeRound
+ * 3. For group rounds, save the group card and partners' rounds
+ *
+ * Every step is idempotent, so a partially synced round simply resumes.
+ *
+ * @param {string} roundId - The round to sync
+ * @returns {Promise<boolean>} True if nothing is left to sync for this round
+ */
+export const syncRound = async (roundId) => {
+  const queue = await readQueue();
+  let entry = queue[roundId];
+
+  if (!entry) {
+    return true;
+  }
+
+  try {
+    // Step 1: Create the round on the server
+    if (!entry.createdOnServer) {
+      const { round } = entry;
+      await createRound(
+        round.profile_id,
+        round.course_id,
+        round.selected_tee_id,
+        round.selected_tee_name,
+        {
+          id: round.id,
+          created_at: round.created_at,
+          start_hole: round.start_hole,
+          hole_count: round.hole_count,
+          tee_ratings: round.tee_ratings
+        }
+      );
+
+      entry = await updateEntry(roundId, (current) =>
+        current ? { ...current, createdOnServer: true, lastError: null } : null
+      );
+      if (!entry) return true;
+    }
+
+    // Step 2: Submit finished rounds
+    if (entry.status === ROUND_SYNC_STATUS.PENDING_SYNC && !entry.completedOnServer) {
+      // Entries queued before hole ranges existed only stored a hole count
+      await completeRound(roundId, entry.holes || {}, entry.playedHoles || entry.totalHoles || 18);
+
+      entry = await updateEntry(roundId, (current) =>
+        current ? { ...current, completedOnServer: true, lastError: null } : null
+      );
+      if (!entry) return true;
+    }
+
+    // Step 3: Save the group card and its side games
+    if (entry.status === ROUND_SYNC_STATUS.PENDING_SYNC) {
+      if (entry.players?.length > 1) {
+        await completeGroupRound(roundId, entry.players);
+
+        if (entry.sideGames) {
+          await saveSideGames(roundId, entry.sideGames);
+        }
+      }
+
+      await updateEntry(roundId, () => null);
+      await AsyncStorage.removeItem(`round_${roundId}_holes`);
+      await AsyncStorage.removeItem(`round_${roundId}_players`);
+      await AsyncStorage.removeItem(`round_${roundId}_side_games`);
+      console.log("[roundSyncService] Round synced successfully:", roundId);
+    }
+
+    return true;
+  } catch (error) {
+    console.warn("[roundSyncService] Round sync failed, will retry later:", roundId, error.message);
+
+    await updateEntry(roundId, (current) =>
+      current ? {
+        ...current,
+        attempts: (current.attempts || 0) + 1,
+        lastError: error.message || "Unknown error",
+      } : null
+    );
+
+    return false;
+  }
+};
+
+/**
+ * Sync every queued round.
+ * Concurrent calls share the same run so entries are never submitted twice.
+ *
+ * @returns {Promise<{synced: number, failed: number}>} Summary of the run
+ */
+export const processRoundQueue = async () => {
+  if (activeSync) {
+    return activeSync;
+  }
+
+  activeSync = (async () => {
+    const queue = await readQueue();
+    const roundIds = Object.keys(queue);
+    let synced = 0;
+    let failed = 0;
+
+    for (const roundId of roundIds) {
+      const success = await syncRound(roundId);
+      if (success) {
+        synced++;
+      } else {
+        failed++;
+      }
+    }
+
+    if (roundIds.length > 0) {
+      console.log(`[roundSyncService] Queue processed: ${synced} ok, ${failed} pending`);
+    }
+
+    return { synced, failed };
+  })();
+
+  try {
+    return await activeSync;
+  } finally {
+    activeSync = null;
+  }
+};
+
+/**
+ * Start background syncing of the queue.
+ * Runs immediately, whenever the app returns to the foreground,
+ * and on a fixed interval while it stays there.
+ *
+ * @returns {Function} Stop function
+ */
+export const startRoundSync = () => {
+  const run = () => {
+    processRoundQueue().catch(error => {
+      console.error("[roundSyncService] Exception processing queue:", error);
+    });
+  };
+
+  run();
+
+  const interval = setInterval(() => {
+    if (AppState.currentState === "active") {
+      run();
+    }
+  }, SYNC_INTERVAL_MS);
+
+  const appStateSubscription = AppState.addEventListener("change", (nextState) => {
+    if (nextState === "active") {
+      run();
+    }
+  });
+
+  return () => {
+    clearInterval(interval);
+    appStateSubscription.remove();
+  };
+};
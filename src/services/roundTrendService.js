@@ -0,0 +1,214 @@
+// src/services/roundTrendService.js
+//
+// Round-by-round trends for the Rounds tab charts: score to par, gross
+// score and the share of each shot category's outcomes, with rolling
+// averages and best/worst rounds.
+
+import { supabase } from "./supabase";
+
+export const TREND_METRICS = {
+  SCORE_TO_PAR: { key: "scoreToPar", label: "Score to Par" },
+  GROSS: { key: "gross", label: "Gross Score" },
+  OUTCOMES: { key: "outcomes", label: "Shot Outcomes" },
+};
+
+export const OUTCOME_CATEGORIES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand"];
+
+export const OUTCOME_RESULTS = [
+  { key: "On Target", lowerIsBetter: false },
+  { key: "Slightly Off", lowerIsBetter: true },
+  { key: "Recovery Needed", lowerIsBetter: true },
+];
+
+export const ROLLING_WINDOW = 5;
+
+const ROUND_HISTORY_LIMIT = 100;
+
+/**
+ * Trailing average over the last `window` values (fewer at the start)
+ *
+ * @param {Array<number>} values - Values in date order
+ * @param {number} window - Number of values to average
+ * @returns {Array<number>} Rolling averages, one per value
+ */
+export const rollingAverage = (values, window = ROLLING_WINDOW) =>
+  values.map((value, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+    return Math.round((slice.reduce((total, v) => total + v, 0) / slice.length) * 10) / 10;
+  });
+
+/**
+ * Index of the best and worst values
+ *
+ * @param {Array<number>} values - Values in date order
+ * @param {boolean} lowerIsBetter - True for scores, false for percentages
+ * @returns {{best: number, worst: number}} Indexes, -1 when there are no values
+ */
+export const findBestAndWorst = (values, lowerIsBetter = true) => {
+  if (values.length === 0) {
+    return { best: -1, worst: -1 };
+  }
+
+  const min = values.indexOf(Math.min(...values));
+  const max = values.indexOf(Math.max(...values));
+  return lowerIsBetter ? { best: min, worst: max } : { best: max, worst: min };
+};
+
+/**
+ * Outcome percentages per shot category for one round
+ *
+ * @param {Array} holeRows - shots rows for the round (hole_data.shots, hole_data.quickScore)
+ * @returns {object} { [category]: { "On Target": %, "Slightly Off": %, "Recovery Needed": %, total } }
+ */
+export const calculateOutcomeShares = (holeRows) => {
+  const counts = {};
+  OUTCOME_CATEGORIES.forEach(category => {
+    counts[category] = { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0, total: 0 };
+  });
+
+  holeRows.forEach(row => {
+    // Quick score holes only have stand-in shots, with no real outcomes
+    const shots = row.hole_data?.quickScore ? [] : row.hole_data?.shots || [];
+    shots.forEach(shot => {
+      const category = counts[shot.type];
+      if (category && category[shot.result] !== undefined) {
+        category[shot.result]++;
+        category.total++;
+      }
+    });
+  });
+
+  const shares = {};
+  OUTCOME_CATEGORIES.forEach(category => {
+    const { total } = counts[category];
+    shares[category] = { total };
+    OUTCOME_RESULTS.forEach(({ key }) => {
+      shares[category][key] = total > 0 ? Math.round((counts[category][key] / total) * 100) : null;
+    });
+  });
+
+  return shares;
+};
+
+/**
+ * Chart series for one metric: the rounds that have a value, their rolling
+ * average and the best and worst rounds
+ *
+ * @param {Array} rounds - Rounds oldest first (see getRoundTrends)
+ * @param {string} metric - TREND_METRICS key
+ * @param {object} options - { category, result } for the outcomes metric
+ * @returns {object} { points: [{ round, value }], rolling, best, worst } - best and worst are point indexes
+ */
+export const getTrendSeries = (rounds, metric, { category, result } = {}) => {
+  const valueFor = (round) => {
+    if (metric === TREND_METRICS.OUTCOMES.key) {
+      return round.outcomes?.[category]?.[result] ?? null;
+    }
+    return round[metric] ?? null;
+  };
+
+  const points = rounds
+    .map(round => ({ round, value: valueFor(round) }))
+    .filter(point => point.value !== null);
+  const values = points.map(point => point.value);
+
+  const lowerIsBetter = metric === TREND_METRICS.OUTCOMES.key
+    ? OUTCOME_RESULTS.find(option => option.key === result)?.lowerIsBetter ?? true
+    : true;
+
+  return {
+    points,
+    rolling: rollingAverage(values),
+    ...findBestAndWorst(values, lowerIsBetter),
+  };
+};
+
+/**
+ * Load the player's completed rounds for the trend charts, oldest first
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} filters - { courseId, teeName, holeCount (9 or 18, null for all) }
+ * @returns {Promise<object|null>} { rounds, courses, tees } - courses and tees played, for the filter pickers - or null on error
+ */
+export const getRoundTrends = async (userId, filters = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from("rounds")
+      .select(`
+        id,
+        created_at,
+        score,
+        gross_shots,
+        course_id,
+        selected_tee_name,
+        hole_count,
+        group_round_id,
+        courses:course_id (
+          name
+        )
+      `)
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
+      .not("gross_shots", "is", null)
+      .order("created_at", { ascending: false })
+      .limit(ROUND_HISTORY_LIMIT);
+
+    if (error) throw error;
+
+    const allRounds = data || [];
+
+    const courses = [];
+    allRounds.forEach(round => {
+      if (!courses.some(course => course.id === round.course_id)) {
+        courses.push({ id: round.course_id, name: round.courses?.name || "Unknown Course" });
+      }
+    });
+    const tees = [...new Set(
+      allRounds
+        .filter(round => !filters.courseId || round.course_id === filters.courseId)
+        .map(round => round.selected_tee_name)
+        .filter(Boolean)
+    )];
+
+    const selected = allRounds
+      .filter(round =>
+        (!filters.courseId || round.course_id === filters.courseId) &&
+        (!filters.teeName || round.selected_tee_name === filters.teeName) &&
+        (!filters.holeCount || (round.hole_count || 18) === filters.holeCount)
+      )
+      .reverse();
+
+    // Outcome shares need the shot lists; rounds scored by a group organizer have none
+    const trackedIds = selected.filter(round => !round.group_round_id).map(round => round.id);
+    let holeRows = [];
+    if (trackedIds.length > 0) {
+      const { data: rows, error: holesError } = await supabase
+        .from("shots")
+        .select("round_id, hole_data")
+        .in("round_id", trackedIds);
+
+      if (holesError) throw holesError;
+      holeRows = rows || [];
+    }
+
+    const rounds = selected.map(round => ({
+      id: round.id,
+      date: round.created_at,
+      courseName: round.courses?.name || "Unknown Course",
+      teeName: round.selected_tee_name,
+      holeCount: round.hole_count || 18,
+      scoreToPar: round.score,
+      gross: round.gross_shots,
+      outcomes: round.group_round_id
+        ? null
+        : calculateOutcomeShares(holeRows.filter(row => row.round_id === round.id)),
+    }));
+
+    return { rounds, courses, tees };
+  } catch (error) {
+    console.error("[roundTrendService] Error loading round trends:", error);
+    return null;
+  }
+};
@@ -1,6 +1,8 @@
 // src/services/roundservice.js
 
 import { supabase } from "./supabase";
+import { refreshHandicapIndex } from "./handicapService";
+import { refreshRoundStrokesLost } from "./strokesGainedService";
 
 // Track events for analytics (assuming this exists in your app)
 // If you have a different analytics service, adjust accordingly
@@ -14,32 +16,77 @@ const EVENTS = {
   ROUND_ABANDONED: 'round_abandoned',
 };
 
+// Why a round is left out of the handicap, stats and insights
+export const STATS_EXCLUSIONS = {
+  PRACTICE: { key: "practice", label: "Practice round" },
+  SCRAMBLE: { key: "scramble", label: "Scramble" },
+  INJURED: { key: "injured", label: "Injured" },
+  OTHER: { key: "other", label: "Other" },
+};
+
 /**
  * Create a new round record in Supabase.
  * 
+ * Rounds started offline are created with an ID generated on the device,
+ * so this is safe to replay: an existing row with the same ID is left untouched.
+ * 
  * @param {string} profile_id - The current user's profile ID.
  * @param {string} course_id - The ID of the course.
  * @param {string} tee_id - The ID of the selected tee.
  * @param {string} tee_name - The name of the selected tee.
+ * @param {object} options - Optional client-side values for the record
+ * @param {string} options.id - Round ID generated on the device
+ * @param {string} options.created_at - When the round was actually started
+ * @param {number} options.start_hole - First hole played (defaults to 1)
+ * @param {number} options.hole_count - Number of holes in the round (defaults to 18)
+ * @param {string} options.tee_ratings - Men's or women's par, index and ratings (defaults to men's)
  * @returns {object} The newly created round record.
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, options = {}) => {
   console.log("[createRound] Attempting to create a new round", { 
     profile_id, 
     course_id,
     tee_id,
-    tee_name
+    tee_name,
+    id: options.id
   });
   
+  const roundRecord = {
+    profile_id,
+    course_id,
+    is_complete: false, // New round is not complete
+    selected_tee_id: tee_id,
+    selected_tee_name: tee_name
+  };
+  
+  if (options.id) {
+    roundRecord.id = options.id;
+  }
+  
+  if (options.created_at) {
+    roundRecord.created_at = options.created_at;
+  }
+  
+  // 9-hole, back nine and shotgun rounds
+  if (options.start_hole) {
+    roundRecord.start_hole = options.start_hole;
+  }
+  
+  if (options.hole_count) {
+    roundRecord.hole_count = options.hole_count;
+  }
+  
+  if (options.tee_ratings) {
+    roundRecord.tee_ratings = options.tee_ratings;
+  }
+  
   // Insert a new round record into the rounds table
+  // Upsert on ID so a replayed creation doesn't fail or reset a synced round
   const { data, error } = await supabase
     .from("rounds")
-    .insert({
-      profile_id,
-      course_id,
-      is_complete: false, // New round is not complete
-      selected_tee_id: tee_id,
-      selected_tee_name: tee_name
+    .upsert(roundRecord, {
+      onConflict: "id",
+      ignoreDuplicates: true
     })
     .select(); // Returns the inserted record(s)
 
@@ -48,8 +95,10 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
     throw error;
   }
 
-  console.log("[createRound] Round created successfully:", data[0]);
-  return data[0]; // Return the newly created round record
+  // An ignored duplicate returns no rows - the round already exists
+  const createdRound = data?.[0] || roundRecord;
+  console.log("[createRound] Round created successfully:", createdRound);
+  return createdRound; // Return the newly created round record
 };
 
 /**
@@ -176,169 +225,61 @@ export const getRoundHoleData = async (round_id) => {
 /**
  * Complete a round by updating its is_complete flag and calculating final statistics.
  * ENHANCED: Now accepts hole data parameter and handles all database operations
- * Enhanced with granular error handling and retry support
+ * 
+ * All hole rows, the totals and the is_complete flag are written by the
+ * complete_round database function in one transaction, so a failure leaves
+ * the round untouched and the call can simply be retried.
  * 
  * @param {string} round_id - The ID of the round to complete.
  * @param {object} storedHoleData - All hole data from AsyncStorage
- * @param {number} totalHoles - Total number of holes in the round
+ * @param {Array<number>|number} playedHoles - Hole numbers in the round, or a hole count for rounds played from hole 1
  * @returns {object} The updated round record.
  */
-export const completeRound = async (round_id, storedHoleData, totalHoles = 18) => {
+export const completeRound = async (round_id, storedHoleData, playedHoles = 18) => {
   try {
     console.log("[completeRound] Starting round completion process for round:", round_id);
     console.log("[completeRound] Processing", Object.keys(storedHoleData).length, "holes of data");
     
-    // 1. Get the course_id from the round
-    let roundData, courseData;
-    try {
-      const { data: roundResult, error: roundError } = await supabase
-        .from("rounds")
-        .select("course_id, profile_id, selected_tee_name") 
-        .eq("id", round_id)
-        .single();
-        
-      if (roundError) {
-        throw new Error(`Failed to fetch round data: ${roundError.message}`);
-      }
-      
-      roundData = roundResult;
-      console.log("[completeRound] Round data retrieved successfully");
-    } catch (error) {
-      console.error("[completeRound] Error fetching round data:", error);
-      throw new Error(`Failed to fetch round information: ${error.message}`);
-    }
-    
-    // 2. Get the par value for that course
-    try {
-      const { data: courseResult, error: courseError } = await supabase
-        .from("courses")
-        .select("par")
-        .eq("id", roundData.course_id)
-        .single();
-        
-      if (courseError) {
-        throw new Error(`Failed to fetch course data: ${courseError.message}`);
-      }
-      
-      courseData = courseResult;
-      console.log("[completeRound] Course data retrieved successfully");
-    } catch (error) {
-      console.error("[completeRound] Error fetching course data:", error);
-      throw new Error(`Failed to fetch course information: ${error.message}`);
-    }
-    
-    const coursePar = courseData.par || 72; // Default to 72 if par is not set
+    // 1. Only submit holes that belong to this round
+    const roundHoles = Array.isArray(playedHoles)
+      ? playedHoles
+      : Array.from({ length: playedHoles }, (_, i) => i + 1);
     
-    // 3. Save each hole to the database with granular error handling
-    let grossShots = 0;
-    let holesProcessed = 0;
-    
-    for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
-      // Skip holes with no data
-      if (!storedHoleData[holeNum] || !storedHoleData[holeNum].shots || storedHoleData[holeNum].shots.length === 0) {
-        console.log(`[completeRound] Skipping hole ${holeNum} - no shot data`);
-        continue;
-      }
-      
-      const holeInfo = storedHoleData[holeNum];
-      const totalScore = holeInfo.shots.length;
-      
-      // Create hole data object including POI data
-      const holeDataForDb = {
-        par: holeInfo.par,
-        distance: holeInfo.distance,
-        index: holeInfo.index,
-        features: holeInfo.features,
-        shots: holeInfo.shots,
-        poi: holeInfo.poi // Include POI data in database record
-      };
-      
-      // Save hole data to database with specific error handling
-      try {
-        const { data, error } = await supabase
-          .from("shots")
-          .upsert({
-            round_id,
-            hole_number: holeNum,
-            hole_data: holeDataForDb,
-            total_score: totalScore
-          }, {
-            onConflict: 'round_id,hole_number',
-            returning: 'representation'
-          });
-        
-        if (error) {
-          throw new Error(`Failed to save hole ${holeNum} data: ${error.message}`);
-        }
-        
-        grossShots += totalScore;
-        holesProcessed++;
-        console.log(`[completeRound] Hole ${holeNum} data saved to database (${totalScore} shots)`);
-      } catch (error) {
-        console.error(`[completeRound] Error saving hole ${holeNum}:`, error);
-        throw new Error(`Failed to save data for hole ${holeNum}: ${error.message}`);
+    const holesToSubmit = {};
+    Object.keys(storedHoleData).forEach(holeNum => {
+      const holeNumber = parseInt(holeNum, 10);
+      if (roundHoles.includes(holeNumber)) {
+        holesToSubmit[holeNumber] = storedHoleData[holeNum];
       }
-    }
-    
-    console.log(`[completeRound] Successfully processed ${holesProcessed} holes with ${grossShots} total shots`);
-    
-    // 4. Calculate score relative to par
-    const score = grossShots - coursePar;
-    
-    console.log("[completeRound] Statistics calculated:", {
-      coursePar,
-      grossShots,
-      score,
-      holesProcessed
     });
     
-    // 5. Update the round record with calculated values and mark as complete
+    // 2. Save all holes, compute the score and mark the round complete in one call
     let finalRoundData;
     try {
-      const { data, error } = await supabase
-        .from("rounds")
-        .update({ 
-          is_complete: true,
-          gross_shots: grossShots,
-          score: score
-        })
-        .eq("id", round_id)
-        .select();
+      const { data, error } = await supabase.rpc("complete_round", {
+        p_round_id: round_id,
+        p_holes: holesToSubmit
+      });
 
       if (error) {
         throw new Error(`Failed to complete round: ${error.message}`);
       }
       
       finalRoundData = data;
-      console.log("[completeRound] Round marked as complete successfully");
+      console.log("[completeRound] Round marked as complete successfully:", {
+        grossShots: data?.[0]?.gross_shots,
+        score: data?.[0]?.score
+      });
     } catch (error) {
       console.error("[completeRound] Error completing round:", error);
       throw new Error(`Failed to finalize round: ${error.message}`);
     }
     
-    // 6. Trigger insights generation (non-blocking)
-    try {
-      console.log("[completeRound] Triggering insights generation Edge Function");
-      
-      supabase.functions.invoke('analyze-golf-performance', {
-        body: { 
-          userId: roundData.profile_id,
-          roundId: round_id
-        }
-      }).then(({ data: insightsData, error: insightsError }) => {
-        if (insightsError) {
-          console.error("[completeRound] Error from insights Edge Function:", insightsError);
-        } else {
-          console.log("[completeRound] Insights generated successfully:", insightsData);
-        }
-      }).catch(err => {
-        console.error("[completeRound] Exception calling insights Edge Function:", err);
-      });
-      
-    } catch (insightsError) {
-      console.error("[completeRound] Failed to trigger insights generation:", insightsError);
-      // Don't throw here - insights generation is non-critical
-    }
+    // 3. Update the handicap index and strokes lost, then trigger insights generation (non-blocking)
+    //    Insights generation is non-critical, so failures are only logged
+    const profileId = finalRoundData?.[0]?.profile_id;
+    console.log("[completeRound] Updating handicap index and analytics, then triggering insights generation");
+    refreshRoundAnalysis(profileId, round_id);
 
     console.log("[completeRound] Round completion process finished successfully");
     return finalRoundData;
@@ -346,4 +287,287 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
     console.error("[completeRound] Error in complete round process:", error);
     throw error; // Re-throw with original error message for user display
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Update everything calculated from a player's completed rounds after a
+ * round is completed or changed: the handicap index, the round's strokes
+ * lost and, optionally, the round's insights. Insights read the stored index
+ * and strokes lost, so they wait for both. Never throws - failures are logged.
+ * 
+ * @param {string} profile_id - The round's player
+ * @param {string} round_id - The round that was completed or changed
+ * @param {object} options - { insights } - false to skip regenerating insights
+ * @returns {Promise<void>}
+ */
+export const refreshRoundAnalysis = async (profile_id, round_id, { insights = true } = {}) => {
+  try {
+    await refreshHandicapIndex(profile_id);
+  } catch (error) {
+    console.error("[refreshRoundAnalysis] Exception updating handicap index:", error);
+  }
+  
+  await refreshRoundStrokesLost(round_id);
+  
+  if (!insights) {
+    return;
+  }
+  
+  try {
+    const { data: insightsData, error: insightsError } = await supabase.functions.invoke('analyze-golf-performance', {
+      body: { 
+        userId: profile_id,
+        roundId: round_id
+      }
+    });
+    
+    if (insightsError) {
+      console.error("[refreshRoundAnalysis] Error from insights Edge Function:", insightsError);
+    } else {
+      console.log("[refreshRoundAnalysis] Insights generated successfully:", insightsData);
+    }
+  } catch (error) {
+    console.error("[refreshRoundAnalysis] Exception calling insights Edge Function:", error);
+  }
+};
+
+/**
+ * Replace one hole's shots on a completed round, or clear the hole.
+ * 
+ * The edit_round_hole database function saves the hole, recalculates the
+ * round's gross shots and score, and records the change in round_edits in
+ * one transaction. The handicap index and strokes lost are then refreshed in
+ * the background; insights are left alone unless the player asks for them
+ * (see refreshRoundAnalysis).
+ * 
+ * @param {string} round_id - The completed round
+ * @param {number} hole_number - The hole to change
+ * @param {object|null} hole_data - The hole's new data (par, index, distance, shots, ...), null to clear it
+ * @returns {Promise<object>} The updated round record
+ */
+export const editRoundHole = async (round_id, hole_number, hole_data) => {
+  console.log("[editRoundHole] Saving hole", hole_number, "of round:", round_id);
+  
+  const { data, error } = await supabase.rpc("edit_round_hole", {
+    p_round_id: round_id,
+    p_hole_number: hole_number,
+    p_hole_data: hole_data
+  });
+  
+  if (error) {
+    console.error("[editRoundHole] Error saving hole:", error);
+    throw new Error(`Failed to save hole: ${error.message}`);
+  }
+  
+  const updatedRound = data?.[0];
+  refreshRoundAnalysis(updatedRound?.profile_id, round_id, { insights: false });
+  
+  return updatedRound;
+};
+
+/**
+ * Get the changes made to a round after it was completed, newest first
+ * 
+ * @param {string} round_id - The round
+ * @returns {Promise<Array>} round_edits rows, empty if the round was never edited
+ */
+export const getRoundEdits = async (round_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("round_edits")
+      .select("id, hole_number, previous_total_score, total_score, created_at")
+      .eq("round_id", round_id)
+      .order("created_at", { ascending: false });
+    
+    if (error) {
+      console.error("[getRoundEdits] Error getting round edits:", error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error("[getRoundEdits] Exception in getRoundEdits:", error);
+    return [];
+  }
+};
+
+/**
+ * Delete a completed round with its shots, group card, edit history and
+ * insights, then update the player's handicap index without it.
+ * Rounds that partners' scores were copied from can't be deleted.
+ * 
+ * @param {string} round_id - The round to delete
+ * @param {string} profile_id - The round's player
+ * @returns {Promise<void>}
+ */
+export const deleteRound = async (round_id, profile_id) => {
+  console.log("[deleteRound] Deleting round:", round_id);
+  
+  const { error } = await supabase.rpc("delete_round", {
+    p_round_id: round_id
+  });
+  
+  if (error) {
+    console.error("[deleteRound] Error deleting round:", error);
+    throw new Error(`Failed to delete round: ${error.message}`);
+  }
+  
+  refreshHandicapIndex(profile_id).catch(err => {
+    console.error("[deleteRound] Exception updating handicap index:", err);
+  });
+};
+
+/**
+ * Archive a round to hide it from the round lists, or bring it back.
+ * Archived rounds still count towards the handicap, stats and insights.
+ * 
+ * @param {string} round_id - The round
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<void>}
+ */
+export const setRoundArchived = async (round_id, archived) => {
+  const { error } = await supabase
+    .from("rounds")
+    .update({ archived_at: archived ? new Date().toISOString() : null })
+    .eq("id", round_id);
+  
+  if (error) {
+    console.error("[setRoundArchived] Error updating round:", error);
+    throw new Error(`Failed to ${archived ? "archive" : "restore"} round: ${error.message}`);
+  }
+};
+
+/**
+ * Leave a round out of the handicap, stats and insights, or count it again,
+ * then update the player's handicap index
+ * 
+ * @param {string} round_id - The round
+ * @param {string} profile_id - The round's player
+ * @param {string|null} exclusion - STATS_EXCLUSIONS key, or null to count the round
+ * @returns {Promise<void>}
+ */
+export const setRoundStatsExclusion = async (round_id, profile_id, exclusion) => {
+  const { error } = await supabase
+    .from("rounds")
+    .update({ stats_exclusion: exclusion })
+    .eq("id", round_id);
+  
+  if (error) {
+    console.error("[setRoundStatsExclusion] Error updating round:", error);
+    throw new Error(`Failed to update round: ${error.message}`);
+  }
+  
+  refreshHandicapIndex(profile_id).catch(err => {
+    console.error("[setRoundStatsExclusion] Exception updating handicap index:", err);
+  });
+};
+
+/**
+ * Save the group card for a round. Partners invited by email who have an
+ * account get their own copy of the round to accept or decline. Safe to
+ * retry with the same players.
+ * 
+ * @param {string} round_id - The organizer's round
+ * @param {Array} players - Players in seat order, each
+ *                          { position, inviteEmail, guestName, displayName, scores: { [hole]: strokes } }
+ * @returns {Promise<Array>} The saved round_players rows
+ */
+export const completeGroupRound = async (round_id, players) => {
+  console.log("[completeGroupRound] Saving group of", players.length, "players for round:", round_id);
+  
+  const { data, error } = await supabase.rpc("complete_group_round", {
+    p_round_id: round_id,
+    p_players: players.map(player => ({
+      position: player.position,
+      invite_email: player.inviteEmail || null,
+      guest_name: player.guestName || null,
+      display_name: player.displayName,
+      scores: player.scores || {}
+    }))
+  });
+  
+  if (error) {
+    console.error("[completeGroupRound] Error saving group round:", error);
+    throw new Error(`Failed to save group scores: ${error.message}`);
+  }
+  
+  console.log("[completeGroupRound] Group round saved successfully");
+  return data || [];
+};
+
+/**
+ * Accept or decline a round a partner scored for you. Only accepted rounds
+ * count towards the handicap, stats and insights.
+ * 
+ * @param {string} round_id - The player's copy of the group round
+ * @param {string} profile_id - The player
+ * @param {boolean} accept - True to add it to their history, false to decline
+ * @returns {Promise<void>}
+ */
+export const respondToGroupRound = async (round_id, profile_id, accept) => {
+  console.log("[respondToGroupRound]", accept ? "Accepting" : "Declining", "round:", round_id);
+  
+  const { error } = await supabase.rpc("respond_to_group_round", {
+    p_round_id: round_id,
+    p_accept: accept
+  });
+  
+  if (error) {
+    console.error("[respondToGroupRound] Error responding to group round:", error);
+    throw new Error(`Failed to update round: ${error.message}`);
+  }
+  
+  if (accept) {
+    refreshHandicapIndex(profile_id).catch(err => {
+      console.error("[respondToGroupRound] Exception updating handicap index:", err);
+    });
+  }
+};
+
+/**
+ * Save a group's side game settings to the round and every partner's copy of it.
+ * Results are calculated from the group card, so only the settings are stored.
+ *
+ * @param {string} round_id - The organizer's round
+ * @param {object} sideGames - Side game settings (see sideGameService.createSideGameSettings)
+ * @returns {Promise<void>}
+ */
+export const saveSideGames = async (round_id, sideGames) => {
+  console.log("[saveSideGames] Saving side games for round:", round_id);
+  
+  const { error } = await supabase.rpc("save_side_games", {
+    p_round_id: round_id,
+    p_side_games: sideGames
+  });
+  
+  if (error) {
+    console.error("[saveSideGames] Error saving side games:", error);
+    throw new Error(`Failed to save side games: ${error.message}`);
+  }
+};
+
+/**
+ * Get the players in a group round, in seat order
+ * 
+ * @param {string} round_id - The organizer's round (a partner's copy has it as group_round_id)
+ * @returns {Promise<Array>} round_players rows, empty for solo rounds
+ */
+export const getRoundPlayers = async (round_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("round_players")
+      .select("id, position, profile_id, guest_name, display_name, scores, player_round_id")
+      .eq("round_id", round_id)
+      .order("position", { ascending: true });
+    
+    if (error) {
+      console.error("[getRoundPlayers] Error getting round players:", error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error("[getRoundPlayers] Exception in getRoundPlayers:", error);
+    return [];
+  }
+};
@@ -0,0 +1,150 @@
+// src/services/shotDistanceService.js
+//
+// GPS distances for shot tracking. A shot recorded with the player's
+// position is assumed to be recorded where the ball was played from, so the
+// gap to the next located shot is how far it went and the gap to the green
+// center is how far was left.
+
+// Fixes older than this are too stale to pin a shot to
+export const MAX_LOCATION_AGE_MS = 30 * 1000;
+
+// Shots that don't move the ball from a new spot
+const UNLOCATED_TYPES = ["Penalties"];
+
+// Putts are too short for GPS to measure meaningfully
+const UNMEASURED_TYPES = ["Putts"];
+
+/**
+ * Distance between two coordinate points using the Haversine formula
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in whole yards
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  // Radius of the Earth in yards
+  const R = 6371 * 1093.61; // Earth's radius in km converted to yards
+
+  // Convert degrees to radians
+  const dLat = (lat2 - lat1) * (Math.PI / 180);
+  const dLon = (lon2 - lon1) * (Math.PI / 180);
+
+  // Haversine formula
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return Math.round(R * c); // Round to nearest yard
+};
+
+/**
+ * Find the front, center and back of the green from a hole's POI data
+ *
+ * @param {object} poi - Hole POI data ({ greens: [{ location, lat, lng }] })
+ * @returns {object} { center, front, back } - each { lat, lng } or null
+ */
+export const getGreenCoordinates = (poi) => {
+  let center = null;
+  let front = null;
+  let back = null;
+
+  if (poi?.greens && Array.isArray(poi.greens)) {
+    poi.greens.forEach(greenPoi => {
+      if (greenPoi.location === "center" || greenPoi.location === "middle") {
+        center = { lat: greenPoi.lat, lng: greenPoi.lng };
+      } else if (greenPoi.location === "front") {
+        front = { lat: greenPoi.lat, lng: greenPoi.lng };
+      } else if (greenPoi.location === "back") {
+        back = { lat: greenPoi.lat, lng: greenPoi.lng };
+      }
+    });
+
+    // If we only have one coordinate, use it for all positions
+    if (center && !front && !back) {
+      front = center;
+      back = center;
+    } else if (!center && front && back) {
+      // If we have front and back but no center, estimate center
+      center = {
+        lat: (front.lat + back.lat) / 2,
+        lng: (front.lng + back.lng) / 2
+      };
+    }
+  }
+
+  return { center, front, back };
+};
+
+/**
+ * Turn an expo-location reading into the location stored on a shot
+ *
+ * @param {object} location - expo-location LocationObject
+ * @param {number} now - Current time in ms, for the staleness check
+ * @returns {object|null} { latitude, longitude, accuracy }, or null if there's no recent fix
+ */
+export const toShotLocation = (location, now = Date.now()) => {
+  if (!location?.coords) {
+    return null;
+  }
+
+  if (location.timestamp && now - location.timestamp > MAX_LOCATION_AGE_MS) {
+    return null;
+  }
+
+  return {
+    latitude: location.coords.latitude,
+    longitude: location.coords.longitude,
+    accuracy: location.coords.accuracy ?? null,
+  };
+};
+
+/**
+ * Work out measured distances for a hole's shots from their locations
+ *
+ * Each located shot gets `remaining` (yards to the green center) and, when a
+ * later shot was also located, `carry` (yards to where the next shot was
+ * played from). Penalty strokes are skipped since the ball is played from
+ * the next shot's position. Shots without a location are left as they are.
+ *
+ * @param {Array} shots - Shots in the order played, each { type, result, timestamp, location? }
+ * @param {object} greenCenter - { lat, lng } of the green center, or null
+ * @returns {Array} New shots array with carry and remaining filled in
+ */
+export const applyShotDistances = (shots, greenCenter) => {
+  return shots.map((shot, i) => {
+    const { carry, remaining, ...rest } = shot;
+
+    if (!shot.location || UNLOCATED_TYPES.includes(shot.type)) {
+      return rest;
+    }
+
+    const { latitude, longitude } = shot.location;
+    const measured = { ...rest };
+
+    if (greenCenter) {
+      measured.remaining = calculateDistance(latitude, longitude, greenCenter.lat, greenCenter.lng);
+    }
+
+    // The ball next comes to rest where the next real shot is played from
+    const next = shots.slice(i + 1).find(later => !UNLOCATED_TYPES.includes(later.type));
+    if (next?.location && !UNMEASURED_TYPES.includes(shot.type)) {
+      measured.carry = calculateDistance(latitude, longitude, next.location.latitude, next.location.longitude);
+    }
+
+    return measured;
+  });
+};
+
+/**
+ * Check whether any shot on a hole has a measured distance
+ *
+ * @param {Array} shots - Shots for the hole
+ * @returns {boolean} True if there's something to show
+ */
+export const hasMeasuredDistances = (shots) =>
+  Array.isArray(shots) && shots.some(shot => shot.carry !== undefined || shot.remaining !== undefined);
@@ -0,0 +1,95 @@
+// src/services/shotTimelineService.js
+//
+// Editing one hole's shots as a timeline: moving, inserting, deleting and
+// changing a particular shot. A shot keeps its club and location when it's
+// moved, but the timestamps stay in playing order so the time spent on the
+// hole still reads correctly. Callers re-measure distances afterwards.
+
+import { NO_DETAIL_TYPES, NO_LIE_TYPES } from "./dispersionService";
+
+export const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+export const SHOT_OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+
+// Shots recorded without a club (matches ShotTable)
+const NO_CLUB_TYPES = ["Penalties"];
+
+/**
+ * Put the original timestamps back in order after the shots were rearranged
+ */
+const keepTimestampOrder = (shots, timestamps) =>
+  shots.map((shot, i) => (timestamps[i] ? { ...shot, timestamp: timestamps[i] } : shot));
+
+/**
+ * Move a shot to another place in the sequence
+ *
+ * @param {Array} shots - Shots in the order played
+ * @param {number} from - Index of the shot to move
+ * @param {number} to - Index it should end up at
+ * @returns {Array} The reordered shots
+ */
+export const moveShot = (shots, from, to) => {
+  if (from === to || to < 0 || to >= shots.length) {
+    return shots;
+  }
+
+  const timestamps = shots.map(shot => shot.timestamp);
+  const reordered = [...shots];
+  const [moved] = reordered.splice(from, 1);
+  reordered.splice(to, 0, moved);
+
+  return keepTimestampOrder(reordered, timestamps);
+};
+
+/**
+ * Insert a shot into the sequence. It takes the time of the shot before it
+ * (or after it, at the start of the hole) so the timeline stays in order.
+ *
+ * @param {Array} shots - Shots in the order played
+ * @param {number} index - Where the new shot goes
+ * @param {object} shot - { type, result }
+ * @returns {Array} The shots with the new one in place
+ */
+export const insertShot = (shots, index, shot) => {
+  const timestamp = shots[index - 1]?.timestamp || shots[index]?.timestamp || new Date().toISOString();
+  return [...shots.slice(0, index), { ...shot, timestamp }, ...shots.slice(index)];
+};
+
+/**
+ * Delete one particular shot
+ *
+ * @param {Array} shots - Shots in the order played
+ * @param {number} index - Index of the shot to delete
+ * @returns {Array} The remaining shots
+ */
+export const deleteShot = (shots, index) => shots.filter((_, i) => i !== index);
+
+/**
+ * Change a shot's type, outcome, miss direction or lie. A null value clears
+ * that detail, and details that don't apply to the shot type are dropped.
+ *
+ * @param {Array} shots - Shots in the order played
+ * @param {number} index - Index of the shot to change
+ * @param {object} changes - { type?, result?, missDirection?, lie? }
+ * @returns {Array} The shots with the change made
+ */
+export const updateShot = (shots, index, changes) =>
+  shots.map((shot, i) => {
+    if (i !== index) return shot;
+
+    const updated = { ...shot, ...changes };
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === null) {
+        delete updated[key];
+      }
+    });
+    if (NO_CLUB_TYPES.includes(updated.type)) {
+      delete updated.club;
+    }
+    if (NO_DETAIL_TYPES.includes(updated.type)) {
+      delete updated.missDirection;
+    }
+    if (NO_DETAIL_TYPES.includes(updated.type) || NO_LIE_TYPES.includes(updated.type)) {
+      delete updated.lie;
+    }
+    return updated;
+  });
@@ -0,0 +1,309 @@
+// src/services/sideGameService.js
+//
+// Side games for group rounds: match play, skins and Nassau (with presses),
+// played gross or net. Everything here is calculated from the group card
+// (strokes per hole per player), so it works live in the tracker and from
+// round_players on the scorecard.
+
+import { allocateStrokes } from "./handicapService";
+
+export const SIDE_GAMES = {
+  MATCH_PLAY: "matchPlay",
+  SKINS: "skins",
+  NASSAU: "nassau",
+};
+
+export const SIDE_GAME_LABELS = {
+  [SIDE_GAMES.MATCH_PLAY]: "Match Play",
+  [SIDE_GAMES.SKINS]: "Skins",
+  [SIDE_GAMES.NASSAU]: "Nassau",
+};
+
+/**
+ * Default side game settings for a group.
+ * Match play and Nassau are between the first two players.
+ *
+ * @param {Array} players - Group players (position)
+ * @returns {Object} Side game settings
+ */
+export const createSideGameSettings = (players = []) => ({
+  games: {
+    [SIDE_GAMES.MATCH_PLAY]: false,
+    [SIDE_GAMES.SKINS]: false,
+    [SIDE_GAMES.NASSAU]: false,
+  },
+  net: false,
+  opponents: players.slice(0, 2).map(player => player.position),
+  handicaps: {},
+  pressAfter: 2, // Automatic press when a side goes 2 down; 0 turns presses off
+});
+
+/**
+ * True if any side game is switched on
+ */
+export const hasActiveSideGames = (settings) =>
+  !!settings && Object.values(settings.games || {}).some(Boolean);
+
+/**
+ * Scores used for the games, per player and hole.
+ * Net games give strokes off the lowest handicap in the group.
+ *
+ * @param {Array} players - Players with position and scores keyed by hole number
+ * @param {Array} holes - Holes in play order, with number and index
+ * @param {Object} settings - Side game settings (net, handicaps by position)
+ * @returns {Object} { [position]: { [hole]: score } } - unplayed holes are left out
+ */
+export const getGameScores = (players, holes, settings) => {
+  const handicaps = players.map(player => Number(settings?.handicaps?.[player.position]) || 0);
+  const lowHandicap = Math.min(...handicaps);
+  const gameScores = {};
+
+  players.forEach((player, i) => {
+    const strokes = settings?.net ? allocateStrokes(holes, handicaps[i] - lowHandicap) : {};
+    gameScores[player.position] = {};
+
+    holes.forEach(hole => {
+      const gross = Number(player.scores?.[hole.number]) || 0;
+      if (gross > 0) {
+        gameScores[player.position][hole.number] = gross - (strokes[hole.number] || 0);
+      }
+    });
+  });
+
+  return gameScores;
+};
+
+/**
+ * Play a match between two players over a run of holes.
+ * Holes are counted in order until one either side hasn't finished.
+ *
+ * @param {Object} scoresA - Game scores for the first player, keyed by hole
+ * @param {Object} scoresB - Game scores for the second player, keyed by hole
+ * @param {Array<number>} holeNumbers - Holes in the match, in play order
+ * @returns {Object} { margin (positive when A is up), holesPlayed, holesRemaining,
+ *                     isDormie, isClosed, isFinished, lastHole, results }
+ */
+export const playMatch = (scoresA, scoresB, holeNumbers) => {
+  const results = [];
+  let margin = 0;
+  let holesPlayed = 0;
+  let lastHole = null;
+
+  for (const holeNum of holeNumbers) {
+    const a = scoresA[holeNum];
+    const b = scoresB[holeNum];
+    if (a === undefined || b === undefined) break;
+
+    const holesLeft = holeNumbers.length - holesPlayed;
+    if (Math.abs(margin) > holesLeft) break; // Already closed out
+
+    const winner = a < b ? "A" : b < a ? "B" : null;
+    margin += winner === "A" ? 1 : winner === "B" ? -1 : 0;
+    holesPlayed++;
+    lastHole = holeNum;
+    results.push({ number: holeNum, winner, margin });
+  }
+
+  const holesRemaining = holeNumbers.length - holesPlayed;
+  const isClosed = Math.abs(margin) > holesRemaining;
+
+  return {
+    margin,
+    holesPlayed,
+    holesRemaining,
+    isDormie: margin !== 0 && Math.abs(margin) === holesRemaining,
+    isClosed,
+    isFinished: isClosed || holesRemaining === 0,
+    lastHole,
+    results,
+  };
+};
+
+/**
+ * Describe a match from the leader's point of view ("2 UP", "3&2", "Dormie 1")
+ *
+ * @param {Object} match - Result of playMatch
+ * @returns {string} Match status
+ */
+export const formatMatchStatus = (match) => {
+  const lead = Math.abs(match.margin);
+
+  if (match.holesPlayed === 0) return "Not started";
+  if (lead === 0) return match.isFinished ? "Halved" : "All Square";
+  if (match.isClosed && match.holesRemaining > 0) return `${lead}&${match.holesRemaining}`;
+  if (match.isFinished) return `${lead} UP`;
+  if (match.isDormie) return `Dormie ${lead}`;
+  return `${lead} UP`;
+};
+
+/**
+ * Match play between the two selected opponents over the whole round
+ *
+ * @param {Object} gameScores - Result of getGameScores
+ * @param {Array<number>} holeNumbers - Holes in play order
+ * @param {Array<number>} opponents - Positions of the two players
+ * @returns {Object} playMatch result plus leader (position or null) and status text
+ */
+export const calculateMatchPlay = (gameScores, holeNumbers, opponents) => {
+  const [playerA, playerB] = opponents;
+  const match = playMatch(gameScores[playerA] || {}, gameScores[playerB] || {}, holeNumbers);
+
+  return {
+    ...match,
+    players: opponents,
+    leader: match.margin > 0 ? playerA : match.margin < 0 ? playerB : null,
+    status: formatMatchStatus(match),
+  };
+};
+
+/**
+ * Skins - the outright lowest score on a hole wins it, ties carry the skin over
+ *
+ * @param {Object} gameScores - Result of getGameScores
+ * @param {Array<number>} holeNumbers - Holes in play order
+ * @param {Array<number>} positions - Players in the game
+ * @returns {Object} { holes: [{ number, winner, value }], totals: { [position]: skins }, carryover }
+ */
+export const calculateSkins = (gameScores, holeNumbers, positions) => {
+  const holes = [];
+  const totals = {};
+  let carryover = 0;
+
+  positions.forEach(position => {
+    totals[position] = 0;
+  });
+
+  for (const holeNum of holeNumbers) {
+    const scores = positions.map(position => gameScores[position]?.[holeNum]);
+    if (scores.some(score => score === undefined)) break; // Not everyone has finished the hole
+
+    const best = Math.min(...scores);
+    const winners = positions.filter((position, i) => scores[i] === best);
+    const value = carryover + 1;
+
+    if (winners.length === 1) {
+      totals[winners[0]] += value;
+      holes.push({ number: holeNum, winner: winners[0], value });
+      carryover = 0;
+    } else {
+      holes.push({ number: holeNum, winner: null, value });
+      carryover = value;
+    }
+  }
+
+  return { holes, totals, carryover };
+};
+
+/**
+ * Play one Nassau bet with automatic presses.
+ * When a side goes pressAfter down in the latest bet, a new bet starts on the next hole.
+ */
+const playPressedBet = (scoresA, scoresB, holeNumbers, pressAfter) => {
+  const bets = [{ startIndex: 0 }];
+
+  if (pressAfter > 0) {
+    for (let i = 0; i < bets.length; i++) {
+      const betHoles = holeNumbers.slice(bets[i].startIndex);
+      const match = playMatch(scoresA, scoresB, betHoles);
+      const pressHole = match.results.find(result => Math.abs(result.margin) === pressAfter);
+      if (!pressHole) continue;
+
+      const startIndex = holeNumbers.indexOf(pressHole.number) + 1;
+      if (startIndex < holeNumbers.length) {
+        bets.push({ startIndex });
+      }
+    }
+  }
+
+  return bets.map(({ startIndex }, i) => {
+    const match = playMatch(scoresA, scoresB, holeNumbers.slice(startIndex));
+    return {
+      label: i === 0 ? "Main" : `Press ${i}`,
+      startHole: holeNumbers[startIndex],
+      ...match,
+      status: formatMatchStatus(match),
+    };
+  });
+};
+
+/**
+ * Nassau - separate bets on the front nine, back nine and overall, each worth
+ * one unit, with presses on the nines. Rounds of fewer than 18 holes play a
+ * single match.
+ *
+ * @param {Object} gameScores - Result of getGameScores
+ * @param {Array<number>} holeNumbers - Holes in play order
+ * @param {Array<number>} opponents - Positions of the two players
+ * @param {number} pressAfter - Holes down that trigger a press (0 for no presses)
+ * @returns {Object} { segments: [{ key, label, bets }], units: { [position]: net units } }
+ */
+export const calculateNassau = (gameScores, holeNumbers, opponents, pressAfter = 2) => {
+  const [playerA, playerB] = opponents;
+  const scoresA = gameScores[playerA] || {};
+  const scoresB = gameScores[playerB] || {};
+
+  const segments = holeNumbers.length >= 18
+    ? [
+        { key: "front", label: "Front 9", holes: holeNumbers.slice(0, 9), presses: true },
+        { key: "back", label: "Back 9", holes: holeNumbers.slice(9, 18), presses: true },
+        { key: "overall", label: "Overall", holes: holeNumbers.slice(0, 18), presses: false },
+      ]
+    : [{ key: "overall", label: "Overall", holes: holeNumbers, presses: true }];
+
+  const units = { [playerA]: 0, [playerB]: 0 };
+
+  const results = segments.map(segment => {
+    const bets = playPressedBet(scoresA, scoresB, segment.holes, segment.presses ? pressAfter : 0)
+      .map(bet => ({
+        ...bet,
+        leader: bet.margin > 0 ? playerA : bet.margin < 0 ? playerB : null,
+      }));
+
+    // Settled bets pay out; a tied bet is a push
+    bets.forEach(bet => {
+      if (bet.isFinished && bet.leader !== null) {
+        const loser = bet.leader === playerA ? playerB : playerA;
+        units[bet.leader] += 1;
+        units[loser] -= 1;
+      }
+    });
+
+    return { key: segment.key, label: segment.label, bets };
+  });
+
+  return { players: opponents, segments: results, units };
+};
+
+/**
+ * Calculate every side game switched on for the group
+ *
+ * @param {Array} players - Players with position, displayName and scores keyed by hole number
+ * @param {Array} holes - Holes in play order, with number and index (for net strokes)
+ * @param {Object} settings - Side game settings (see createSideGameSettings)
+ * @returns {Object|null} { matchPlay, skins, nassau } - null for games that are off
+ */
+export const calculateSideGames = (players, holes, settings) => {
+  if (!hasActiveSideGames(settings) || players.length < 2) {
+    return null;
+  }
+
+  const gameScores = getGameScores(players, holes, settings);
+  const holeNumbers = holes.map(hole => hole.number);
+  const positions = players.map(player => player.position);
+
+  // Head-to-head games need two players who are still in the group
+  const opponents = (settings.opponents || []).filter(position => positions.includes(position));
+  const headToHead = opponents.length === 2 && opponents[0] !== opponents[1];
+
+  return {
+    matchPlay: settings.games[SIDE_GAMES.MATCH_PLAY] && headToHead
+      ? calculateMatchPlay(gameScores, holeNumbers, opponents)
+      : null,
+    skins: settings.games[SIDE_GAMES.SKINS]
+      ? calculateSkins(gameScores, holeNumbers, positions)
+      : null,
+    nassau: settings.games[SIDE_GAMES.NASSAU] && headToHead
+      ? calculateNassau(gameScores, holeNumbers, opponents, settings.pressAfter ?? 2)
+      : null,
+  };
+};
@@ -0,0 +1,234 @@
+// src/services/statsService.js
+//
+// Standard golf stats derived from the stored shot sequences and hole par:
+// fairways hit, greens in regulation, scrambling, sand saves, putting and
+// penalties. Shots are recorded in the order played, so the strokes taken to
+// reach the green are the shots before the first putt. Holes scored in
+// quick score mode use the counts the player entered (hole_data.quickScore)
+// instead of their stand-in shots.
+
+import { supabase } from "./supabase";
+import { getHolePar } from "./teeRatingsService";
+
+// Stats free users can see; everything else needs premium
+export const FREE_STATS = ["fairwaysHit", "greensInRegulation", "puttsPerRound"];
+
+export const DATE_RANGES = {
+  LAST_30_DAYS: { key: "30d", label: "30 Days", days: 30 },
+  LAST_90_DAYS: { key: "90d", label: "90 Days", days: 90 },
+  LAST_YEAR: { key: "1y", label: "12 Months", days: 365 },
+  ALL_TIME: { key: "all", label: "All Time", days: null },
+};
+
+const ROUND_HISTORY_LIMIT = 200;
+
+/**
+ * Percentage rounded to a whole number, or null when there were no chances
+ */
+const toPercent = (made, chances) => (chances > 0 ? Math.round((made / chances) * 100) : null);
+
+/**
+ * Round to one decimal place for display
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Stats for a hole scored in quick score mode, from the counts entered.
+ * Sand saves aren't recorded in quick scores.
+ */
+const analyzeQuickScore = (quickScore, par) => {
+  const greenInRegulation = !!quickScore.greenInRegulation;
+
+  return {
+    strokes: quickScore.strokes,
+    putts: quickScore.putts,
+    penalties: quickScore.penalties,
+    fairwayChance: par >= 4,
+    fairwayHit: par >= 4 && !!quickScore.fairwayHit,
+    greenInRegulation,
+    scrambleChance: !greenInRegulation,
+    scrambled: !greenInRegulation && quickScore.strokes <= par,
+    sandSaveChance: false,
+    sandSave: false,
+    threePutt: quickScore.putts >= 3,
+  };
+};
+
+/**
+ * Work out the stats for one hole from its shots, or from its quick score
+ * when it was scored without shot detail
+ *
+ * @param {Array} shots - Shots in the order played, each { type, result }
+ * @param {number} par - Hole par
+ * @param {object} quickScore - hole_data.quickScore, when the hole has one
+ * @returns {object|null} Per-hole stat flags, or null if the hole has no shots or par
+ */
+export const analyzeHole = (shots, par, quickScore = null) => {
+  if (par && quickScore?.strokes > 0) {
+    return analyzeQuickScore(quickScore, par);
+  }
+
+  if (!par || !Array.isArray(shots) || shots.length === 0) {
+    return null;
+  }
+
+  const strokes = shots.length;
+  const firstPutt = shots.findIndex(shot => shot.type === "Putts");
+  const putts = shots.filter(shot => shot.type === "Putts").length;
+
+  // Holed from off the green counts the holing shot as reaching it
+  const strokesToGreen = firstPutt >= 0 ? firstPutt : strokes;
+  const greenInRegulation = strokesToGreen <= par - 2;
+
+  // Fairways only count on par 4s and 5s
+  const teeShotIndex = shots.findIndex(shot => shot.type === "Tee Shot");
+  const fairwayChance = par >= 4 && teeShotIndex >= 0;
+  const fairwayHit = fairwayChance &&
+    shots[teeShotIndex].result === "On Target" &&
+    shots[teeShotIndex + 1]?.type !== "Penalties";
+
+  // A greenside bunker is one played from with only chips and putts after it
+  const lastSand = shots.map(shot => shot.type).lastIndexOf("Sand");
+  const afterSand = lastSand >= 0 ? shots.slice(lastSand + 1) : [];
+  const sandSaveChance = lastSand >= 0 && afterSand.every(shot => ["Putts", "Chip", "Sand"].includes(shot.type));
+  const sandSave = sandSaveChance && afterSand.length <= 1; // Up and down in two
+
+  return {
+    strokes,
+    putts,
+    penalties: shots.filter(shot => shot.type === "Penalties").length,
+    fairwayChance,
+    fairwayHit,
+    greenInRegulation,
+    scrambleChance: !greenInRegulation,
+    scrambled: !greenInRegulation && strokes <= par,
+    sandSaveChance,
+    sandSave,
+    threePutt: putts >= 3,
+  };
+};
+
+/**
+ * Combine hole stats into the dashboard numbers
+ *
+ * @param {Array} holes - Holes played, each { roundId, par, shots, quickScore }
+ * @returns {object} Stats with the counts behind each percentage
+ */
+export const calculateStats = (holes) => {
+  const analyzed = holes
+    .map(hole => analyzeHole(hole.shots, hole.par, hole.quickScore))
+    .filter(Boolean);
+
+  const roundIds = new Set(holes.filter(hole => hole.shots?.length > 0 || hole.quickScore).map(hole => hole.roundId));
+  const count = (key) => analyzed.filter(hole => hole[key]).length;
+  const sum = (key) => analyzed.reduce((total, hole) => total + hole[key], 0);
+  const holesPlayed = analyzed.length;
+
+  // Per-round figures are per 18 holes so 9-hole rounds compare fairly
+  const per18 = (total) => (holesPlayed > 0 ? roundToTenth((total / holesPlayed) * 18) : null);
+
+  return {
+    roundsPlayed: roundIds.size,
+    holesPlayed,
+    fairwaysHit: { percent: toPercent(count("fairwayHit"), count("fairwayChance")), made: count("fairwayHit"), chances: count("fairwayChance") },
+    greensInRegulation: { percent: toPercent(count("greenInRegulation"), holesPlayed), made: count("greenInRegulation"), chances: holesPlayed },
+    scrambling: { percent: toPercent(count("scrambled"), count("scrambleChance")), made: count("scrambled"), chances: count("scrambleChance") },
+    sandSaves: { percent: toPercent(count("sandSave"), count("sandSaveChance")), made: count("sandSave"), chances: count("sandSaveChance") },
+    puttsPerRound: per18(sum("putts")),
+    puttsPerHole: holesPlayed > 0 ? Math.round((sum("putts") / holesPlayed) * 100) / 100 : null,
+    threePuttRate: { percent: toPercent(count("threePutt"), holesPlayed), made: count("threePutt"), chances: holesPlayed },
+    penaltiesPerRound: per18(sum("penalties")),
+  };
+};
+
+/**
+ * Load the player's completed rounds matching the filters and calculate their stats
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} filters - { dateRange (DATE_RANGES key), courseId, teeName }
+ * @returns {Promise<object|null>} { stats, courses, tees } - courses and tees played, for the filter pickers - or null on error
+ */
+export const getPlayerStats = async (userId, filters = {}) => {
+  try {
+    let query = supabase
+      .from("rounds")
+      .select(`
+        id,
+        created_at,
+        course_id,
+        selected_tee_name,
+        tee_ratings,
+        group_round_id,
+        courses:course_id (
+          name,
+          holes
+        )
+      `)
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
+      .order("created_at", { ascending: false })
+      .limit(ROUND_HISTORY_LIMIT);
+
+    const range = Object.values(DATE_RANGES).find(option => option.key === filters.dateRange);
+    if (range?.days) {
+      const since = new Date();
+      since.setDate(since.getDate() - range.days);
+      query = query.gte("created_at", since.toISOString());
+    }
+
+    const { data: rounds, error: roundsError } = await query;
+    if (roundsError) throw roundsError;
+
+    // Rounds scored for the player by a group organizer have no shot detail
+    const trackedRounds = (rounds || []).filter(round => !round.group_round_id);
+
+    // Filter options come from every round in the date range
+    const courses = [];
+    trackedRounds.forEach(round => {
+      if (!courses.some(course => course.id === round.course_id)) {
+        courses.push({ id: round.course_id, name: round.courses?.name || "Unknown Course" });
+      }
+    });
+    const tees = [...new Set(
+      trackedRounds
+        .filter(round => !filters.courseId || round.course_id === filters.courseId)
+        .map(round => round.selected_tee_name)
+        .filter(Boolean)
+    )];
+
+    const selectedRounds = trackedRounds.filter(round =>
+      (!filters.courseId || round.course_id === filters.courseId) &&
+      (!filters.teeName || round.selected_tee_name === filters.teeName)
+    );
+
+    if (selectedRounds.length === 0) {
+      return { stats: calculateStats([]), courses, tees };
+    }
+
+    const { data: holeRows, error: holesError } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, hole_data")
+      .in("round_id", selectedRounds.map(round => round.id));
+
+    if (holesError) throw holesError;
+
+    const holes = (holeRows || []).map(row => {
+      const round = selectedRounds.find(r => r.id === row.round_id);
+      const courseHole = round?.courses?.holes?.find?.(hole => hole.number === row.hole_number);
+
+      return {
+        roundId: row.round_id,
+        par: row.hole_data?.par || getHolePar(courseHole, round?.tee_ratings),
+        shots: row.hole_data?.shots || [],
+        quickScore: row.hole_data?.quickScore || null,
+      };
+    });
+
+    return { stats: calculateStats(holes), courses, tees };
+  } catch (error) {
+    console.error("[statsService] Error calculating stats:", error);
+    return null;
+  }
+};
@@ -0,0 +1,337 @@
+// src/services/strokesGainedService.js
+//
+// Strokes-gained style analytics from the tracked shot categories.
+// Each hole is compared with what a golfer in the player's handicap bracket
+// typically takes on a hole of that par and length, split by shot category.
+// A shot that leaves the player in trouble is charged for part of the shot
+// that follows it, so a bad drive shows up as tee shot loss rather than as an
+// extra approach. Category losses always add up to the score versus baseline.
+//
+// Results are stored per round in rounds.strokes_lost, where the insights
+// function reads them.
+
+import { supabase } from "./supabase";
+import { getHolePar } from "./teeRatingsService";
+
+export const SHOT_CATEGORIES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+
+// Handicap brackets the baselines are defined for
+export const BASELINE_BRACKETS = [
+  { key: "scratch", label: "Scratch", maxIndex: 2 },
+  { key: "low", label: "3-9 handicap", maxIndex: 9 },
+  { key: "mid", label: "10-18 handicap", maxIndex: 18 },
+  { key: "high", label: "19-27 handicap", maxIndex: 27 },
+  { key: "beginner", label: "28+ handicap", maxIndex: Infinity },
+];
+
+// Expected strokes charged to each category per hole, by bracket and par.
+// Order matches SHOT_CATEGORIES. Tee shots include the typical cost of
+// missed drives for the bracket.
+const BASELINES = {
+  scratch: {
+    3: [1.05, 0.00, 0.00, 0.25, 1.75, 0.05, 0.02],
+    4: [1.05, 0.00, 0.95, 0.27, 1.75, 0.05, 0.03],
+    5: [1.05, 0.95, 0.85, 0.30, 1.70, 0.05, 0.03],
+  },
+  low: {
+    3: [1.10, 0.00, 0.00, 0.35, 1.82, 0.08, 0.05],
+    4: [1.10, 0.05, 0.95, 0.35, 1.82, 0.08, 0.08],
+    5: [1.10, 1.00, 0.90, 0.35, 1.82, 0.08, 0.08],
+  },
+  mid: {
+    3: [1.18, 0.00, 0.00, 0.45, 1.92, 0.10, 0.08],
+    4: [1.18, 0.17, 0.95, 0.45, 1.92, 0.10, 0.12],
+    5: [1.18, 1.17, 0.95, 0.45, 1.92, 0.10, 0.12],
+  },
+  high: {
+    3: [1.25, 0.02, 0.00, 0.60, 2.00, 0.15, 0.12],
+    4: [1.25, 0.35, 1.00, 0.55, 2.00, 0.12, 0.20],
+    5: [1.25, 1.35, 1.00, 0.55, 2.00, 0.12, 0.20],
+  },
+  beginner: {
+    3: [1.35, 0.15, 0.00, 0.75, 2.15, 0.20, 0.20],
+    4: [1.35, 0.45, 1.05, 0.70, 2.10, 0.15, 0.25],
+    5: [1.35, 1.55, 1.05, 0.70, 2.10, 0.15, 0.25],
+  },
+};
+
+// Typical hole lengths (yards) the baselines are set for
+const STANDARD_LENGTH = { 3: 165, 4: 390, 5: 510 };
+
+// Extra strokes per 100 yards beyond the standard length, by bracket
+const STROKES_PER_100_YARDS = { scratch: 0.25, low: 0.3, mid: 0.35, high: 0.4, beginner: 0.45 };
+
+// Share of the next shot charged back to a shot by its result
+const RESULT_CARRY_OVER = { "On Target": 0, "Slightly Off": 0.2, "Recovery Needed": 0.5 };
+
+const ROUND_TREND_LIMIT = 20;
+
+/**
+ * Round to one decimal place for display and storage
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10 || 0;
+
+/**
+ * Find the baseline bracket for a handicap index.
+ * Players without an index are compared with the mid bracket.
+ *
+ * @param {number|null} handicapIndex - The player's handicap index
+ * @returns {object} Bracket { key, label, maxIndex }
+ */
+export const getBaselineBracket = (handicapIndex) => {
+  if (handicapIndex === null || handicapIndex === undefined || isNaN(handicapIndex)) {
+    return BASELINE_BRACKETS.find(bracket => bracket.key === "mid");
+  }
+
+  return BASELINE_BRACKETS.find(bracket => handicapIndex <= bracket.maxIndex);
+};
+
+/**
+ * Expected strokes per category for one hole
+ *
+ * @param {string} bracketKey - Baseline bracket key
+ * @param {number} par - Hole par (3-5; others use the nearest)
+ * @param {number|null} distance - Hole length in yards, if known
+ * @returns {object} Expected strokes keyed by category
+ */
+export const getHoleBaseline = (bracketKey, par, distance) => {
+  const holePar = Math.min(5, Math.max(3, par));
+  const row = BASELINES[bracketKey][holePar];
+  const expected = {};
+
+  SHOT_CATEGORIES.forEach((category, i) => {
+    expected[category] = row[i];
+  });
+
+  // Longer (or shorter) holes need more (or fewer) full shots to reach the green
+  if (distance > 0) {
+    const adjustment = ((distance - STANDARD_LENGTH[holePar]) / 100) * STROKES_PER_100_YARDS[bracketKey];
+    const category = holePar === 3 ? "Approach" : "Long Shot";
+    expected[category] = Math.max(0, expected[category] + adjustment);
+  }
+
+  return expected;
+};
+
+/**
+ * Strokes charged to each category for one hole's shots.
+ * A shot that was off target is charged part of the shot after it;
+ * penalty strokes always stay with Penalties.
+ *
+ * @param {Array} shots - Shots in the order played, each { type, result }
+ * @returns {object} Charged strokes keyed by category
+ */
+export const chargeHoleShots = (shots) => {
+  const charged = {};
+  SHOT_CATEGORIES.forEach(category => {
+    charged[category] = 0;
+  });
+
+  shots.forEach((shot, i) => {
+    if (charged[shot.type] === undefined) return;
+
+    charged[shot.type] += 1;
+
+    const next = shots[i + 1];
+    const carryOver = RESULT_CARRY_OVER[shot.result] || 0;
+    if (next && carryOver > 0 && charged[next.type] !== undefined && next.type !== "Penalties" && shot.type !== "Penalties") {
+      charged[shot.type] += carryOver;
+      charged[next.type] -= carryOver;
+    }
+  });
+
+  return charged;
+};
+
+/**
+ * Strokes lost per category for a round against the player's bracket.
+ * Positive values are strokes lost, negative values strokes gained.
+ *
+ * @param {Array} holes - Holes played, each { number, par, distance, shots }
+ * @param {number|null} handicapIndex - The player's handicap index
+ * @returns {object|null} { baseline, baselineLabel, categories, total, holesCounted },
+ *                        or null if no holes have shot detail
+ */
+export const calculateStrokesLost = (holes, handicapIndex) => {
+  const bracket = getBaselineBracket(handicapIndex);
+  const categories = {};
+  SHOT_CATEGORIES.forEach(category => {
+    categories[category] = 0;
+  });
+
+  let holesCounted = 0;
+
+  holes.forEach(hole => {
+    // Holes scored without shot detail (e.g. partners in a group) can't be split by category
+    if (!hole.par || !Array.isArray(hole.shots) || hole.shots.length === 0) return;
+
+    const expected = getHoleBaseline(bracket.key, hole.par, hole.distance);
+    const charged = chargeHoleShots(hole.shots);
+
+    SHOT_CATEGORIES.forEach(category => {
+      categories[category] += charged[category] - expected[category];
+    });
+    holesCounted++;
+  });
+
+  if (holesCounted === 0) {
+    return null;
+  }
+
+  SHOT_CATEGORIES.forEach(category => {
+    categories[category] = roundToTenth(categories[category]);
+  });
+
+  return {
+    baseline: bracket.key,
+    baselineLabel: bracket.label,
+    categories,
+    total: roundToTenth(Object.values(categories).reduce((total, value) => total + value, 0)),
+    holesCounted,
+  };
+};
+
+/**
+ * Par and length for each hole of a round, from the recorded hole data
+ * with the course's hole list as a fallback
+ *
+ * @param {Array} holeRows - shots rows (hole_number, hole_data)
+ * @param {Array} courseHoles - courses.holes ({ number, par_men, par_women, distances })
+ * @param {string|null} teeName - Tee played, for hole lengths
+ * @param {string} ratings - Men's or women's pars (see TEE_RATINGS)
+ * @returns {Array} Holes { number, par, distance, shots }
+ */
+export const buildAnalyticsHoles = (holeRows, courseHoles, teeName, ratings) => {
+  const teeKey = teeName?.toLowerCase();
+
+  return holeRows.map(row => {
+    const holeData = row.hole_data || {};
+    const courseHole = Array.isArray(courseHoles)
+      ? courseHoles.find(hole => hole.number === row.hole_number)
+      : null;
+    const distances = courseHole?.distances || {};
+
+    return {
+      number: row.hole_number,
+      par: holeData.par || getHolePar(courseHole, ratings),
+      distance: holeData.distance || distances[teeKey] || Object.values(distances)[0] || null,
+      // Quick scores only have stand-in shots, so there's nothing to split by category
+      shots: holeData.quickScore ? [] : holeData.shots || [],
+    };
+  });
+};
+
+/**
+ * Calculate and store the strokes lost for a completed round
+ *
+ * @param {string} roundId - The round to analyse
+ * @returns {Promise<object|null>} Strokes lost (see calculateStrokesLost), or null if unavailable
+ */
+export const refreshRoundStrokesLost = async (roundId) => {
+  try {
+    const { data: round, error: roundError } = await supabase
+      .from("rounds")
+      .select(`
+        id,
+        profile_id,
+        selected_tee_name,
+        tee_ratings,
+        courses:course_id (
+          holes
+        )
+      `)
+      .eq("id", roundId)
+      .single();
+
+    if (roundError) throw roundError;
+
+    const [{ data: holeRows, error: holesError }, { data: profile }] = await Promise.all([
+      supabase
+        .from("shots")
+        .select("hole_number, hole_data")
+        .eq("round_id", roundId),
+      supabase
+        .from("profiles")
+        .select("handicap, handicap_index")
+        .eq("id", round.profile_id)
+        .single(),
+    ]);
+
+    if (holesError) throw holesError;
+
+    const strokesLost = calculateStrokesLost(
+      buildAnalyticsHoles(holeRows || [], round.courses?.holes, round.selected_tee_name, round.tee_ratings),
+      profile?.handicap_index ?? profile?.handicap ?? null
+    );
+
+    if (!strokesLost) {
+      return null;
+    }
+
+    const { error: updateError } = await supabase
+      .from("rounds")
+      .update({ strokes_lost: strokesLost })
+      .eq("id", roundId);
+
+    if (updateError) throw updateError;
+
+    console.log("[strokesGainedService] Stored strokes lost for round:", roundId, strokesLost.total);
+    return strokesLost;
+  } catch (error) {
+    console.error("[strokesGainedService] Error calculating strokes lost:", error);
+    return null;
+  }
+};
+
+/**
+ * Strokes lost per category for the player's recent rounds, oldest first.
+ * Rounds completed before the analytics existed are calculated and stored on the way.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} limit - Number of recent rounds
+ * @returns {Promise<Array>} [{ roundId, date, courseName, strokesLost }]
+ */
+export const getStrokesLostTrend = async (userId, limit = ROUND_TREND_LIMIT) => {
+  try {
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select(`
+        id,
+        created_at,
+        strokes_lost,
+        group_round_id,
+        courses:course_id (
+          name
+        )
+      `)
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const trend = [];
+    for (const round of rounds || []) {
+      // Rounds scored for the player by a group organizer have no shot detail
+      if (round.group_round_id) continue;
+
+      const strokesLost = round.strokes_lost || await refreshRoundStrokesLost(round.id);
+      if (strokesLost) {
+        trend.push({
+          roundId: round.id,
+          date: round.created_at,
+          courseName: round.courses?.name || "Unknown Course",
+          strokesLost,
+        });
+      }
+    }
+
+    return trend.reverse();
+  } catch (error) {
+    console.error("[strokesGainedService] Error loading strokes lost trend:", error);
+    return [];
+  }
+};
@@ -0,0 +1,109 @@
+// src/services/teeRatingsService.js
+//
+// Which set of course ratings the player plays off. Courses carry men's and
+// women's par and stroke index for each hole, and a men's and women's
+// course rating and slope for each tee. The player picks one set on the
+// profile screen; each round keeps the set it was started with, so later
+// changes don't rescore old rounds.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+export const TEE_RATINGS = {
+  MEN: { key: "men", label: "Men's" },
+  WOMEN: { key: "women", label: "Women's" },
+};
+
+export const DEFAULT_TEE_RATINGS = TEE_RATINGS.MEN.key;
+
+// Kept on the device too so rounds can be started offline
+const getStorageKey = (userId) => `tee_ratings_${userId}`;
+
+const isTeeRatings = (value) => Object.values(TEE_RATINGS).some(ratings => ratings.key === value);
+
+/**
+ * Load which ratings the player plays off, falling back to the copy on the device
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<string>} TEE_RATINGS key
+ */
+export const getTeeRatings = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("tee_ratings")
+      .eq("id", userId)
+      .single();
+
+    if (error) throw error;
+
+    const ratings = isTeeRatings(data?.tee_ratings) ? data.tee_ratings : DEFAULT_TEE_RATINGS;
+    await AsyncStorage.setItem(getStorageKey(userId), ratings);
+    return ratings;
+  } catch (error) {
+    console.error("[teeRatingsService] Error loading tee ratings, using device copy:", error);
+
+    try {
+      const stored = await AsyncStorage.getItem(getStorageKey(userId));
+      return isTeeRatings(stored) ? stored : DEFAULT_TEE_RATINGS;
+    } catch (storageError) {
+      console.error("[teeRatingsService] Error reading stored tee ratings:", storageError);
+      return DEFAULT_TEE_RATINGS;
+    }
+  }
+};
+
+/**
+ * Save which ratings the player plays off
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} ratings - TEE_RATINGS key
+ * @returns {Promise<string>} The saved setting
+ */
+export const saveTeeRatings = async (userId, ratings) => {
+  const { error } = await supabase
+    .from("profiles")
+    .update({ tee_ratings: ratings, updated_at: new Date().toISOString() })
+    .eq("id", userId);
+
+  if (error) {
+    throw new Error(`Failed to save tee ratings: ${error.message}`);
+  }
+
+  await AsyncStorage.setItem(getStorageKey(userId), ratings);
+  return ratings;
+};
+
+/**
+ * Par of a course hole for a set of ratings. Courses without women's pars
+ * fall back to the men's.
+ *
+ * @param {object} hole - Hole from courses.holes
+ * @param {string} ratings - TEE_RATINGS key (men's when missing)
+ * @returns {number|null}
+ */
+export const getHolePar = (hole, ratings = DEFAULT_TEE_RATINGS) =>
+  hole?.[`par_${ratings}`] || hole?.par_men || null;
+
+/**
+ * Stroke index of a course hole for a set of ratings, falling back to the men's
+ *
+ * @param {object} hole - Hole from courses.holes
+ * @param {string} ratings - TEE_RATINGS key (men's when missing)
+ * @returns {number|null}
+ */
+export const getHoleIndex = (hole, ratings = DEFAULT_TEE_RATINGS) =>
+  hole?.[`index_${ratings}`] || hole?.index_men || null;
+
+/**
+ * Course rating and slope of a tee for a set of ratings. There's no fallback
+ * here - a tee rated for men only has no women's course rating.
+ *
+ * @param {object} tee - Tee from courses.tees
+ * @param {string} ratings - TEE_RATINGS key (men's when missing)
+ * @returns {object} { courseRating, slope } - null where the tee isn't rated
+ */
+export const getTeeRating = (tee, ratings = DEFAULT_TEE_RATINGS) => ({
+  courseRating: Number(tee?.[`course_rating_${ratings}`]) || null,
+  slope: Number(tee?.[`slope_${ratings}`]) || null,
+});
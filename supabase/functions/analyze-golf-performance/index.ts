@@ -97,7 +97,7 @@ serve(async (req) => {
     try {
       const { data: profileData, error: profileError } = await supabase
         .from("profiles")
-        .select("handicap, first_name")
+        .select("handicap, handicap_index, first_name")
         .eq("id", userId)
         .single();
       
@@ -105,8 +105,9 @@ serve(async (req) => {
         console.error("Error fetching user profile:", profileError);
       } else if (profileData) {
         userProfile = profileData;
-        userHandicap = profileData.handicap;
-        console.log("User handicap:", userHandicap);
+        // Prefer the handicap index calculated from their rounds over the self-reported value
+        userHandicap = profileData.handicap_index ?? profileData.handicap;
+        console.log("User handicap:", userHandicap, profileData.handicap_index != null ? "(calculated)" : "(self-reported)");
       }
     } catch (profileError) {
       console.error("Exception fetching user profile:", profileError);
@@ -140,7 +141,8 @@ serve(async (req) => {
     const triggeringRoundId = requestBody.roundId || null;
     console.log("Triggering round ID:", triggeringRoundId);
     
-    // Query for the user's 5 most recent completed rounds
+    // Query for the user's 5 most recent completed rounds, leaving out
+    // rounds they've excluded from stats (practice, scramble, injured)
     const { data: roundsData, error: roundsError } = await supabase
       .from("rounds")
       .select(`
@@ -150,6 +152,9 @@ serve(async (req) => {
         created_at,
         is_complete,
         selected_tee_name,
+        start_hole,
+        hole_count,
+        strokes_lost,
         courses:course_id (
           id,
           name,
@@ -162,6 +167,8 @@ serve(async (req) => {
       `)
       .eq("profile_id", userId)
       .eq("is_complete", true)
+      .is("stats_exclusion", null)
+      .eq("partner_status", "accepted")
       .order("created_at", { ascending: false })
       .limit(5);
     
@@ -249,7 +256,10 @@ serve(async (req) => {
           index: holeData.index || null,
           features: holeData.features || [],
           totalShots: hole.total_score || holeData.shots.length,
-          shots: holeData.shots,
+          // Raw GPS coordinates aren't useful to the model - carry and remaining yards are kept
+          shots: holeData.shots.map(({ location, ...shot }) => shot),
+          // Holes entered as a quick score only have stand-in shots
+          quickScore: holeData.quickScore || null,
           timeInfo: holeTimeInfo,
           // Add POI data if available
           poi: holeData.poi || null
@@ -280,9 +290,15 @@ serve(async (req) => {
         time: roundTime,
         timestamp: roundTimestamp,
         totalScore: round.gross_shots,
-        par: round.courses?.par || 72, // Default to 72 if par not available
+        // Par of the holes actually played (9-hole and partial rounds), else the course par
+        par: round.score !== null && round.gross_shots !== null
+          ? round.gross_shots - round.score
+          : round.courses?.par || 72,
+        holesPlayed: holeDetails.length,
+        startHole: round.start_hole || 1,
         teeName: round.selected_tee_name || "Unknown",
         shots: shotCounts,              // Aggregate counts for backward compatibility
+        strokesLost: round.strokes_lost || null, // Strokes lost per category vs handicap bracket (positive = lost)
         holeDetails: holeDetails,       // Detailed hole-by-hole data
         courseName: round.courses?.name || "Unknown Course",
         courseInfo: {
@@ -295,6 +311,65 @@ serve(async (req) => {
       };
     });
     
+    // Average strokes lost per category across the rounds that have been analysed
+    // (calculated in the app from the shot categories against a handicap-bracket baseline)
+    const summarizeStrokesLost = (rounds) => {
+      const analysed = rounds.filter(round => round.strokesLost?.categories);
+      if (analysed.length === 0) {
+        return null;
+      }
+      
+      const averages: Record<string, number> = {};
+      analysed.forEach(round => {
+        Object.entries(round.strokesLost.categories).forEach(([category, value]) => {
+          averages[category] = (averages[category] || 0) + Number(value) / analysed.length;
+        });
+      });
+      Object.keys(averages).forEach(category => {
+        averages[category] = Math.round(averages[category] * 10) / 10;
+      });
+      
+      const ranked = Object.entries(averages).sort((a, b) => b[1] - a[1]);
+      
+      return {
+        baseline: analysed[0].strokesLost.baselineLabel,
+        roundsAnalysed: analysed.length,
+        averagePerRound: averages,
+        averageTotal: Math.round(analysed.reduce((total, round) => total + Number(round.strokesLost.total || 0), 0) / analysed.length * 10) / 10,
+        biggestLoss: ranked[0]?.[0] || null,
+        biggestGain: ranked[ranked.length - 1]?.[0] || null
+      };
+    };
+    
+    // Average GPS-measured carry per shot type, for rounds where shots were located
+    const summarizeShotDistances = (rounds) => {
+      const carries: Record<string, number[]> = {};
+      rounds.forEach(round => {
+        round.holeDetails.forEach(hole => {
+          hole.shots.forEach(shot => {
+            if (typeof shot.carry === "number") {
+              (carries[shot.type] = carries[shot.type] || []).push(shot.carry);
+            }
+          });
+        });
+      });
+      
+      const types = Object.keys(carries);
+      if (types.length === 0) {
+        return null;
+      }
+      
+      const averageCarry: Record<string, { yards: number, shots: number }> = {};
+      types.forEach(type => {
+        averageCarry[type] = {
+          yards: Math.round(carries[type].reduce((total, value) => total + value, 0) / carries[type].length),
+          shots: carries[type].length
+        };
+      });
+      
+      return { averageCarry };
+    };
+    
     // *** BUSINESS CRITICAL: DATA PREPARATION BASED ON PRODUCT PERMISSION ***
     // Prepare data and prompts based on product_a permission
     let golfData;
@@ -306,6 +381,8 @@ serve(async (req) => {
       golfData = {
         rounds: processedRounds,
         totalRounds: processedRounds.length,
+        strokesLostSummary: summarizeStrokesLost(processedRounds),
+        shotDistanceSummary: summarizeShotDistances(processedRounds),
         userProfile: {
           handicap: userHandicap
         }
@@ -316,6 +393,8 @@ serve(async (req) => {
       golfData = {
         rounds: limitedRounds,
         totalRounds: limitedRounds.length,
+        strokesLostSummary: summarizeStrokesLost(limitedRounds),
+        shotDistanceSummary: summarizeShotDistances(limitedRounds),
         limitedData: true, // Flag for conversion prompts
         userProfile: {
           handicap: userHandicap
@@ -333,7 +412,7 @@ serve(async (req) => {
       // Premium prompt (keeping existing content, optimized for OpenAI)
       promptContent = `You are a PGA Tour-certified golf coach with expertise in statistical analysis and golf course management. Your coaching philosophy centers on personalized improvement through data-driven insights, focusing on the 20% of changes that create 80% of improvement for each unique player. Create personalized, specific, and actionable insights focused on helping them improve. Think beyond basic analysis - create longitudinal, spatial, and sequence-based insights that demonstrate extraordinary value to help players score better, realistically score better.
 
-I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
+I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. Shots may also record which way they missed (missDirection: left/right/short/long) and the lie they finished in (lie: fairway/rough/bunker/hazard/green/ob) - use these for dispersion patterns where present. Holes with a quickScore were scored without shot detail: only their strokes, putts, penalties, fairway and green in regulation are real, so don't read anything into their shot types, outcomes or timestamps. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
 
 As you analyze this data, focus on these high-value dimensions:
 
@@ -364,6 +443,18 @@ As you analyze this data, focus on these high-value dimensions:
    - Identify the root causes of recurring issues
    - Use this causal reasoning to build narratives: explain how issues cascade (e.g., "Missed tee shots led to recovery mode, which led to missed approaches, which led to bogeys or worse"), and then suggest how to break the cycle.
 
+6. STROKES LOST BY CATEGORY:
+   - Each round includes "strokesLost": strokes lost (positive) or gained (negative) per shot category compared with a typical golfer in the player's handicap bracket, and "strokesLostSummary" averages them across rounds
+   - These numbers are calculated deterministically from the shot data - treat them as the source of truth for where strokes are going
+   - Anchor every claim about strengths and weaknesses to these numbers and quote them (e.g. "you're losing 2.4 strokes a round on putts versus a 10-18 handicap")
+   - The Training Plan should target the categories with the largest losses first
+
+7. MEASURED SHOT DISTANCES:
+   - When the player's position was captured, shots include "carry" (GPS-measured yards the ball travelled to the next shot) and "remaining" (yards from where the shot was played to the green center), and "shotDistanceSummary" averages carry by shot type
+   - Use them to judge distance control (e.g. approaches left 30+ yards short, tee shots that leave long approaches) and to make club and strategy advice concrete
+   - Shots may also include "club" (the club the player picked); use it with carry to comment on club selection and gapping
+   - Not every shot is measured - never assume a distance for shots without one
+
 Remember to stay grounded in the data provided. While you should make reasonable inferences, don't invent techniques or specifics that aren't supported by the data. Be specific and concise, focusing on insights that have the greatest potential impact on scoring.
 
 TECHNICAL RENDERING SPECIFICATIONS:
@@ -414,6 +505,8 @@ Generate as many cards as needed to convey valuable insights. The first card sho
 
 I'm providing LIMITED data from just ${golfData.totalRounds} recent golf round. Premium subscribers receive analysis from 5 recent rounds for more comprehensive pattern detection.
 
+The round includes "strokesLost": strokes lost (positive) or gained (negative) per shot category against a typical golfer in the player's handicap bracket. Base the summary on these numbers rather than guessing.
+
 Create a set of insight cards that provide genuine value while strategically demonstrating what the user would gain from premium access:
 
 1. Create one "Summary" card that provides actual useful insights from the limited data available
@@ -85,6 +85,22 @@ serve(async (req) => {
       console.error("Database error fetching course:", dbError);
     }
     
+    // Custom courses are private to the player who created them
+    if (existingCourse?.owner_id) {
+      const authHeader = req.headers.get('Authorization') || '';
+      let requesterId = null;
+      
+      if (authHeader.startsWith('Bearer ')) {
+        const { data: userData } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+        requesterId = userData?.user?.id || null;
+      }
+      
+      if (requesterId !== existingCourse.owner_id) {
+        console.log(`Course ${existingCourse.id} is a custom course belonging to another player`);
+        existingCourse = null;
+      }
+    }
+    
     // Check if we need to fetch POI data from API
     let needsApiRefresh = false;
     let effectiveApiCourseId = apiCourseId;
@@ -103,6 +119,9 @@ serve(async (req) => {
           } 
         }
       );
+    } else if (existingCourse.owner_id) {
+      // Custom courses aren't in the golf API - return them as stored
+      console.log(`Found custom course ${existingCourse.name} in database`);
     } else {
       console.log(`Found course ${existingCourse.name} in database`);
       
@@ -133,7 +152,7 @@ serve(async (req) => {
     }
 
     // After effectiveApiCourseId is defined, add validation
-    if (!effectiveApiCourseId) {
+    if (!effectiveApiCourseId && !existingCourse.owner_id) {
       console.error("Missing API course identifier, cannot fetch detail data");
       throw new Error("Course API identifier is required for detail information");
     }
@@ -96,6 +96,23 @@ serve(async (req) => {
       }
     }
     
+    // Custom courses are private to the player who created them
+    if (courseData?.owner_id) {
+      const authHeader = req.headers.get('Authorization') || '';
+      let requesterId = null;
+      
+      if (authHeader.startsWith('Bearer ')) {
+        const { data: userData } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+        requesterId = userData?.user?.id || null;
+      }
+      
+      if (requesterId !== courseData.owner_id) {
+        console.log(`Course ${courseData.id} is a custom course belonging to another player`);
+        courseData = null;
+        resolutionPath = "unknown";
+      }
+    }
+    
     // RESOLUTION PATH 2: API Course ID lookup (secondary path)
     if (!courseData && (apiCourseId || courseId)) {
       console.log(`Attempting API ID resolution with: ${apiCourseId || courseId}`);
@@ -53,6 +53,132 @@ function preprocessSearchQuery(originalQuery: string): string {
   return processed;
 }
 
+/**
+ * =========================================================================
+ * MATCH HIGHLIGHTING
+ * =========================================================================
+ * Works out which words of a course's name, club name and location matched
+ * the search, so the app can highlight them. Uses the same abbreviations
+ * as normalize_course_text in the database, and allows the same kind of
+ * typos the ranked search does.
+ */
+const ABBREVIATIONS: Record<string, string> = {
+  st: 'saint',
+  mt: 'mount',
+  ft: 'fort',
+  gc: 'golf club',
+  cc: 'country club',
+};
+
+function normalizeWord(word: string): string {
+  const lower = word.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return ABBREVIATIONS[lower] || lower;
+}
+
+function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function wordMatchesToken(word: string, token: string): boolean {
+  if (!word || !token) return false;
+  if (word === token || (token.length >= 2 && word.startsWith(token))) return true;
+  
+  const allowedEdits = token.length >= 6 ? 2 : token.length >= 4 ? 1 : 0;
+  return allowedEdits > 0 && editDistance(word, token) <= allowedEdits;
+}
+
+function getMatchRanges(text: string | null, tokens: string[]): number[][] {
+  const ranges: number[][] = [];
+  if (!text) return ranges;
+  
+  for (const match of text.matchAll(/[A-Za-z0-9'.]+/g)) {
+    // Multi-word expansions ("golf club") match if any of their words do
+    const words = normalizeWord(match[0]).split(' ');
+    if (tokens.some(token => words.some(word => wordMatchesToken(word, token)))) {
+      const start = match.index ?? 0;
+      ranges.push([start, start + match[0].length]);
+    }
+  }
+  
+  return ranges;
+}
+
+function addMatchHighlights(courses: any[], query: string) {
+  const tokens = query.split(/\s+/).map(normalizeWord).join(' ').split(' ').filter(Boolean);
+  
+  return courses.map(course => ({
+    ...course,
+    matches: {
+      name: getMatchRanges(course.name, tokens),
+      club_name: getMatchRanges(course.club_name, tokens),
+      location: getMatchRanges(course.location, tokens),
+    }
+  }));
+}
+
+/**
+ * Ranked, typo-tolerant search using the search_courses database function.
+ * Boosts courses the user has played and courses near them. Custom courses
+ * are only included for ownerId, which must come from a verified token.
+ * Returns null if the ranked search isn't available, so callers can fall back.
+ */
+async function getCoursesWithRankedSearch(
+  supabase: any,
+  query: string,
+  limit: number,
+  userId: string | null,
+  ownerId: string | null,
+  latitude: number,
+  longitude: number
+) {
+  const { data, error } = await supabase.rpc('search_courses', {
+    p_query: query,
+    p_user_id: userId || null,
+    p_latitude: Number.isFinite(latitude) ? latitude : null,
+    p_longitude: Number.isFinite(longitude) ? longitude : null,
+    p_limit: limit,
+    p_owner_id: ownerId || null
+  });
+  
+  if (error) {
+    console.error("Error in ranked course search:", error);
+    return null;
+  }
+  
+  console.log(`Ranked search returned ${data?.length || 0} courses for "${query}"`);
+  return data || [];
+}
+
+/**
+ * Search courses, ranked when possible, with exact/partial matching as a fallback
+ */
+async function searchCourseDatabase(
+  supabase: any,
+  query: string,
+  limit: number,
+  userId: string | null,
+  ownerId: string | null,
+  latitude: number,
+  longitude: number
+) {
+  const rankedCourses = await getCoursesWithRankedSearch(supabase, query, limit, userId, ownerId, latitude, longitude);
+  return rankedCourses ?? await getCoursesWithImprovedSearch(supabase, query, limit);
+}
+
 /**
  * Improved search function that prioritizes exact matches over partial matches
  */
@@ -60,7 +186,8 @@ async function getCoursesWithImprovedSearch(supabase: any, query: string, limit:
   // First try exact matches (prioritized)
   const { data: exactMatches, error: exactError } = await supabase
     .from('courses')
-    .select('id, name, club_name, location, tees, poi, country, num_holes')
+    .select('id, name, club_name, location, tees, poi, country, num_holes, par')
+    .is('owner_id', null) // Custom courses are private to their owners
     .or(`name.ilike.${query},club_name.ilike.${query}`) // No % wildcards = exact match
     .limit(Math.min(5, limit));
   
@@ -77,7 +204,8 @@ async function getCoursesWithImprovedSearch(supabase: any, query: string, limit:
   // Otherwise, get partial matches
   const { data: partialMatches, error: partialError } = await supabase
     .from('courses')
-    .select('id, name, club_name, location, tees, poi, country, num_holes')
+    .select('id, name, club_name, location, tees, poi, country, num_holes, par')
+    .is('owner_id', null)
     .or(`name.ilike.%${query}%,location.ilike.%${query}%,club_name.ilike.%${query}%`)
     .limit(limit);
   
@@ -142,6 +270,9 @@ serve(async (req) => {
     const userId = url.searchParams.get('userId') || '';
     const limit = parseInt(url.searchParams.get('limit') || '20', 10);
     const noRecent = url.searchParams.get('noRecent') === 'true';
+    const latitude = parseFloat(url.searchParams.get('latitude') || '');
+    const longitude = parseFloat(url.searchParams.get('longitude') || '');
+    const radiusKm = parseFloat(url.searchParams.get('radiusKm') || '50');
     
     // Get authorization header for user context
     const authHeader = req.headers.get('Authorization');
@@ -161,10 +292,13 @@ serve(async (req) => {
     
     // Determine effective user ID
     const effectiveUserId = userId || userFromAuth?.id;
+    // Custom courses are private, so only the verified token can unlock them
+    const verifiedUserId = userFromAuth?.id || null;
     
     // Initialize results containers
     let courses = [];
     let recentCourses = [];
+    let nearbyCourses = null;
     let apiSearchPerformed = false;
     let apiSearchError = null;
     
@@ -181,7 +315,8 @@ serve(async (req) => {
             club_name, 
             location, 
             tees,
-            poi
+            poi,
+            owner_id
           )
         `)
         .eq('profile_id', effectiveUserId)
@@ -194,6 +329,11 @@ serve(async (req) => {
         const uniqueRecentCourses = [];
         
         recentData.forEach(round => {
+          // Another player's custom courses stay private
+          if (round.courses?.owner_id && round.courses.owner_id !== verifiedUserId) {
+            return;
+          }
+          
           if (round.courses && !uniqueCourseIds.includes(round.courses.id)) {
             uniqueCourseIds.push(round.courses.id);
             
@@ -215,14 +355,39 @@ serve(async (req) => {
       }
     }
     
+    // CASE 1b: Nearby Courses (if the device's location is provided)
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      const { data: nearbyData, error: nearbyError } = await supabase.rpc('nearby_courses', {
+        p_latitude: latitude,
+        p_longitude: longitude,
+        p_radius_km: Number.isFinite(radiusKm) && radiusKm > 0 ? radiusKm : 50,
+        p_limit: limit
+      });
+      
+      if (nearbyError) {
+        console.error("Error fetching nearby courses:", nearbyError);
+      } else {
+        nearbyCourses = (nearbyData || []).map(course => ({
+          ...course,
+          has_tee_data: course.tees !== null && 
+                      Array.isArray(course.tees) && 
+                      course.tees.length > 0,
+          has_poi_data: course.poi !== null && 
+                      Array.isArray(course.poi) && 
+                      course.poi.length > 0
+        }));
+        console.log(`Found ${nearbyCourses.length} courses within ${radiusKm} km`);
+      }
+    }
+    
     // CASE 2: Search Query (if provided)
     if (searchQuery.length >= 3) {
       // Apply preprocessing to the search query
       const processedQuery = preprocessSearchQuery(searchQuery);
       console.log(`Executing search with processed query: "${processedQuery}"`);
       
-      // Use the improved search function
-      const dbCourses = await getCoursesWithImprovedSearch(supabase, processedQuery, limit);
+      // Use the ranked search function
+      const dbCourses = await searchCourseDatabase(supabase, processedQuery, limit, effectiveUserId, verifiedUserId, latitude, longitude);
       
       if (dbCourses && dbCourses.length > 0) {
         courses = dbCourses.map(course => ({
@@ -359,8 +524,8 @@ serve(async (req) => {
                 const refreshQuery = processedQuery;
                 console.log(`Refreshing results with processed query: ${refreshQuery}`);
                 
-                // Use improved search for consistency
-                const refreshedCourses = await getCoursesWithImprovedSearch(supabase, refreshQuery, limit);
+                // Use the same search for consistency
+                const refreshedCourses = await searchCourseDatabase(supabase, refreshQuery, limit, effectiveUserId, verifiedUserId, latitude, longitude);
                 
                 if (refreshedCourses && refreshedCourses.length > 0) {
                   courses = refreshedCourses.map(course => ({
@@ -409,13 +574,17 @@ serve(async (req) => {
           apiSearchError = "API connection error";
         }
       }
+      
+      // Mark the words that matched, for highlighting in the app
+      courses = addMatchHighlights(courses, processedQuery);
     } else if (searchQuery.length > 0 && searchQuery.length < 3) {
       console.log(`Search query too short (${searchQuery.length} chars): "${searchQuery}"`);
-    } else if (searchQuery.length === 0) {
-      // If no search query, get popular courses
+    } else if (searchQuery.length === 0 && nearbyCourses === null) {
+      // If no search query (and not a nearby lookup), get popular courses
       const { data: popularCourses, error: popularError } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi, country, num_holes')
+        .select('id, name, club_name, location, tees, poi, country, num_holes, par')
+        .is('owner_id', null)
         .order('name')
         .limit(limit);
         
@@ -439,7 +608,9 @@ serve(async (req) => {
       apiSearchPerformed,
       apiSearchError,
       totalResults: courses.length,
-      searchQuery: searchQuery || null
+      searchQuery: searchQuery || null,
+      // Nearby courses when a location was given, even if there are none
+      ...(nearbyCourses !== null && { nearbyCourses })
     };
     
     // Add recent courses if available
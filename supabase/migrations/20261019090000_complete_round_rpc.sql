@@ -0,0 +1,115 @@
+-- supabase/migrations/20261019090000_complete_round_rpc.sql
+--
+-- complete_round: finish a round in a single transaction.
+-- Writes every hole from the device's stored hole map to `shots`, removes
+-- hole rows that are no longer in the map, computes gross_shots and the score
+-- against the par of the holes actually played, and flips is_complete.
+-- Either all of it happens or none of it does, so a failure can never leave
+-- a half-written round. Safe to call repeatedly with the same payload.
+--
+-- Runs as the calling user, so the existing RLS policies on rounds and
+-- shots still decide which rounds can be completed.
+
+create or replace function public.complete_round(
+  p_round_id uuid,
+  p_holes jsonb
+)
+returns setof public.rounds
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_par integer;
+  v_course_holes jsonb;
+  v_hole record;
+  v_hole_data jsonb;
+  v_hole_par integer;
+  v_total_score integer;
+  v_gross_shots integer := 0;
+  v_played_par integer := 0;
+  v_missing_par boolean := false;
+  v_saved_holes integer[] := '{}';
+begin
+  if p_holes is null or jsonb_typeof(p_holes) <> 'object' then
+    raise exception 'Hole data must be an object keyed by hole number';
+  end if;
+
+  -- Lock the round so concurrent submissions are applied one at a time
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select par, holes into v_course_par, v_course_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_hole in
+    select key::integer as hole_number, value as hole_data
+    from jsonb_each(p_holes)
+    where key ~ '^[0-9]+$'
+  loop
+    -- Skip holes with no shot data
+    if jsonb_typeof(v_hole.hole_data -> 'shots') is distinct from 'array'
+       or jsonb_array_length(v_hole.hole_data -> 'shots') = 0 then
+      continue;
+    end if;
+
+    -- shotCounts only exists for the tracker UI
+    v_hole_data := v_hole.hole_data - 'shotCounts';
+    v_total_score := jsonb_array_length(v_hole_data -> 'shots');
+
+    insert into public.shots (round_id, hole_number, hole_data, total_score)
+    values (p_round_id, v_hole.hole_number, v_hole_data, v_total_score)
+    on conflict (round_id, hole_number)
+    do update set
+      hole_data = excluded.hole_data,
+      total_score = excluded.total_score;
+
+    v_saved_holes := v_saved_holes || v_hole.hole_number;
+    v_gross_shots := v_gross_shots + v_total_score;
+
+    -- Par for the hole as played, falling back to the course's hole data
+    v_hole_par := nullif(v_hole_data ->> 'par', '')::integer;
+    if v_hole_par is null and jsonb_typeof(v_course_holes) = 'array' then
+      select (course_hole ->> 'par_men')::integer into v_hole_par
+      from jsonb_array_elements(v_course_holes) as course_hole
+      where (course_hole ->> 'number')::integer = v_hole.hole_number
+      limit 1;
+    end if;
+
+    if v_hole_par is null then
+      v_missing_par := true;
+    else
+      v_played_par := v_played_par + v_hole_par;
+    end if;
+  end loop;
+
+  -- Holes cleared on the device since an earlier submission
+  delete from public.shots
+  where round_id = p_round_id
+    and not (hole_number = any (v_saved_holes));
+
+  -- Without per-hole pars, compare against the course par as before
+  if v_missing_par or array_length(v_saved_holes, 1) is null then
+    v_played_par := coalesce(v_course_par, 72);
+  end if;
+
+  return query
+  update public.rounds
+  set is_complete = true,
+      gross_shots = v_gross_shots,
+      score = v_gross_shots - v_played_par,
+      updated_at = now()
+  where id = p_round_id
+  returning *;
+end;
+$$;
+
+grant execute on function public.complete_round(uuid, jsonb) to authenticated;
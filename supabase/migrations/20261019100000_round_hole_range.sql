@@ -0,0 +1,131 @@
+-- supabase/migrations/20261019100000_round_hole_range.sql
+--
+-- Hole ranges for rounds: 9-hole rounds, the back nine, and shotgun or
+-- custom starts. start_hole is the first hole played and hole_count the
+-- number of holes, wrapping from the course's last hole back to 1.
+-- Existing rounds were all 18 holes from the first tee.
+--
+-- complete_round already scores against the par of the holes submitted;
+-- its course-par fallback is now scaled to the holes played as well.
+
+alter table public.rounds
+  add column if not exists start_hole integer not null default 1,
+  add column if not exists hole_count integer not null default 18;
+
+alter table public.rounds
+  add constraint rounds_start_hole_check check (start_hole >= 1),
+  add constraint rounds_hole_count_check check (hole_count >= 1);
+
+create or replace function public.complete_round(
+  p_round_id uuid,
+  p_holes jsonb
+)
+returns setof public.rounds
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_par integer;
+  v_course_holes jsonb;
+  v_course_num_holes integer;
+  v_hole record;
+  v_hole_data jsonb;
+  v_hole_par integer;
+  v_total_score integer;
+  v_gross_shots integer := 0;
+  v_played_par integer := 0;
+  v_missing_par boolean := false;
+  v_saved_holes integer[] := '{}';
+begin
+  if p_holes is null or jsonb_typeof(p_holes) <> 'object' then
+    raise exception 'Hole data must be an object keyed by hole number';
+  end if;
+
+  -- Lock the round so concurrent submissions are applied one at a time
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select par, holes, num_holes
+  into v_course_par, v_course_holes, v_course_num_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_hole in
+    select key::integer as hole_number, value as hole_data
+    from jsonb_each(p_holes)
+    where key ~ '^[0-9]+$'
+  loop
+    -- Skip holes with no shot data
+    if jsonb_typeof(v_hole.hole_data -> 'shots') is distinct from 'array'
+       or jsonb_array_length(v_hole.hole_data -> 'shots') = 0 then
+      continue;
+    end if;
+
+    -- shotCounts only exists for the tracker UI
+    v_hole_data := v_hole.hole_data - 'shotCounts';
+    v_total_score := jsonb_array_length(v_hole_data -> 'shots');
+
+    insert into public.shots (round_id, hole_number, hole_data, total_score)
+    values (p_round_id, v_hole.hole_number, v_hole_data, v_total_score)
+    on conflict (round_id, hole_number)
+    do update set
+      hole_data = excluded.hole_data,
+      total_score = excluded.total_score;
+
+    v_saved_holes := v_saved_holes || v_hole.hole_number;
+    v_gross_shots := v_gross_shots + v_total_score;
+
+    -- Par for the hole as played, falling back to the course's hole data
+    v_hole_par := nullif(v_hole_data ->> 'par', '')::integer;
+    if v_hole_par is null and jsonb_typeof(v_course_holes) = 'array' then
+      select (course_hole ->> 'par_men')::integer into v_hole_par
+      from jsonb_array_elements(v_course_holes) as course_hole
+      where (course_hole ->> 'number')::integer = v_hole.hole_number
+      limit 1;
+    end if;
+
+    if v_hole_par is null then
+      v_missing_par := true;
+    else
+      v_played_par := v_played_par + v_hole_par;
+    end if;
+  end loop;
+
+  -- Holes cleared on the device since an earlier submission
+  delete from public.shots
+  where round_id = p_round_id
+    and not (hole_number = any (v_saved_holes));
+
+  -- Without per-hole pars, fall back to the course par scaled to the
+  -- number of holes played, so 9-hole and partial rounds aren't scored
+  -- against a full 18
+  if array_length(v_saved_holes, 1) is null then
+    v_played_par := 0;
+  elsif v_missing_par then
+    v_played_par := round(
+      coalesce(v_course_par, 72)::numeric
+      * array_length(v_saved_holes, 1)
+      / greatest(coalesce(v_course_num_holes, 18), 1)
+    );
+  end if;
+
+  return query
+  update public.rounds
+  set is_complete = true,
+      gross_shots = v_gross_shots,
+      score = v_gross_shots - v_played_par,
+      updated_at = now()
+  where id = p_round_id
+  returning *;
+end;
+$$;
+
+grant execute on function public.complete_round(uuid, jsonb) to authenticated;
@@ -0,0 +1,10 @@
+-- supabase/migrations/20261019110000_profile_handicap_index.sql
+--
+-- World Handicap System index calculated from the player's completed rounds.
+-- `handicap` stays as the value the player enters themselves; the app
+-- recalculates handicap_index after every completed round and the insights
+-- function prefers it over the self-reported value.
+
+alter table public.profiles
+  add column if not exists handicap_index numeric(3, 1),
+  add column if not exists handicap_index_updated_at timestamp with time zone;
@@ -0,0 +1,255 @@
+-- supabase/migrations/20261019120000_round_players.sql
+--
+-- Group rounds: one player keeps score for up to four golfers on their phone.
+--
+-- round_players holds every player in the group (the organizer included, at
+-- position 0) with their strokes per hole, so anyone in the group can see the
+-- whole card. Registered partners also get their own completed round in
+-- `rounds` (group_round_id points back at the organizer's round), which
+-- feeds their history, handicap and insights like any other round.
+
+alter table public.rounds
+  add column if not exists group_round_id uuid references public.rounds(id) on delete set null;
+
+create table if not exists public.round_players (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  position integer not null,
+  profile_id uuid references public.profiles(id) on delete set null,
+  guest_name text,
+  display_name text not null,
+  scores jsonb not null default '{}'::jsonb,
+  player_round_id uuid references public.rounds(id) on delete set null,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now(),
+  unique (round_id, position),
+  check (position between 0 and 3)
+);
+
+create index if not exists round_players_profile_id_idx on public.round_players (profile_id);
+
+alter table public.round_players enable row level security;
+
+-- True if the current user organized the round or played in it.
+-- Security definer so the round_players policy can check membership
+-- without recursing into itself.
+create or replace function public.is_round_participant(p_round_id uuid)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.rounds
+    where id = p_round_id and profile_id = auth.uid()
+  ) or exists (
+    select 1 from public.round_players
+    where round_id = p_round_id and profile_id = auth.uid()
+  );
+$$;
+
+create policy "Participants can view their group"
+  on public.round_players for select
+  using (public.is_round_participant(round_id));
+
+-- Writes go through complete_group_round
+
+-- Look up another player by their exact email address to add them to a group.
+-- Only the profile ID and first name are returned.
+create or replace function public.find_player_by_email(p_email text)
+returns table (id uuid, first_name text)
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select p.id, p.first_name
+  from public.profiles p
+  where lower(p.email) = lower(trim(p_email))
+    and p.id <> auth.uid()
+  limit 1;
+$$;
+
+-- complete_group_round: save the group card for a round and create or update
+-- each registered partner's own completed round. The caller must own the
+-- round. Safe to call repeatedly with the same payload.
+--
+-- p_players is an array of
+--   { position, profile_id, guest_name, display_name, scores: { "<hole>": strokes } }
+create or replace function public.complete_group_round(
+  p_round_id uuid,
+  p_players jsonb
+)
+returns setof public.round_players
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_holes jsonb;
+  v_player jsonb;
+  v_position integer;
+  v_profile_id uuid;
+  v_player_round_id uuid;
+  v_hole record;
+  v_hole_par integer;
+  v_hole_index integer;
+  v_gross integer;
+  v_par integer;
+  v_positions integer[] := '{}';
+begin
+  if p_players is null or jsonb_typeof(p_players) <> 'array' then
+    raise exception 'Players must be an array';
+  end if;
+
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select holes into v_course_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_player in select value from jsonb_array_elements(p_players)
+  loop
+    v_position := (v_player ->> 'position')::integer;
+    v_profile_id := nullif(v_player ->> 'profile_id', '')::uuid;
+    v_positions := v_positions || v_position;
+
+    -- The organizer's own round is the one being completed
+    if v_position = 0 then
+      v_profile_id := v_round.profile_id;
+      v_player_round_id := v_round.id;
+    else
+      -- A different player now in this seat - remove the previous player's copy
+      delete from public.rounds
+      where group_round_id = p_round_id
+        and id in (
+          select player_round_id from public.round_players
+          where round_id = p_round_id and position = v_position
+            and profile_id is distinct from v_profile_id
+        );
+
+      select player_round_id into v_player_round_id
+      from public.round_players
+      where round_id = p_round_id and position = v_position
+        and profile_id is not distinct from v_profile_id;
+    end if;
+
+    -- Registered partners get their own copy of the round
+    if v_position > 0 and v_profile_id is not null then
+      if v_player_round_id is null then
+        v_player_round_id := gen_random_uuid();
+
+        insert into public.rounds (
+          id, profile_id, course_id, date, is_complete, created_at,
+          selected_tee_id, selected_tee_name, start_hole, hole_count, group_round_id
+        )
+        values (
+          v_player_round_id, v_profile_id, v_round.course_id, v_round.date, false, v_round.created_at,
+          v_round.selected_tee_id, v_round.selected_tee_name, v_round.start_hole, v_round.hole_count, v_round.id
+        );
+      end if;
+
+      delete from public.shots where round_id = v_player_round_id;
+
+      v_gross := 0;
+      v_par := 0;
+
+      for v_hole in
+        select key::integer as hole_number, (value #>> '{}')::integer as strokes
+        from jsonb_each(coalesce(v_player -> 'scores', '{}'::jsonb))
+        where key ~ '^[0-9]+$'
+      loop
+        continue when v_hole.strokes is null or v_hole.strokes <= 0;
+
+        v_hole_par := null;
+        v_hole_index := null;
+        if jsonb_typeof(v_course_holes) = 'array' then
+          select (course_hole ->> 'par_men')::integer, (course_hole ->> 'index_men')::integer
+          into v_hole_par, v_hole_index
+          from jsonb_array_elements(v_course_holes) as course_hole
+          where (course_hole ->> 'number')::integer = v_hole.hole_number
+          limit 1;
+        end if;
+
+        -- Strokes only - no shot-by-shot detail was recorded for partners
+        insert into public.shots (round_id, hole_number, hole_data, total_score)
+        values (
+          v_player_round_id,
+          v_hole.hole_number,
+          jsonb_build_object(
+            'par', v_hole_par,
+            'index', v_hole_index,
+            'shots', '[]'::jsonb,
+            'strokes', v_hole.strokes,
+            'scored_by', v_round.profile_id
+          ),
+          v_hole.strokes
+        );
+
+        v_gross := v_gross + v_hole.strokes;
+        v_par := v_par + coalesce(v_hole_par, 4);
+      end loop;
+
+      update public.rounds
+      set is_complete = true,
+          gross_shots = v_gross,
+          score = v_gross - v_par,
+          updated_at = now()
+      where id = v_player_round_id;
+    elsif v_position > 0 then
+      -- Guests only appear on the group card
+      v_player_round_id := null;
+    end if;
+
+    insert into public.round_players (
+      round_id, position, profile_id, guest_name, display_name, scores, player_round_id
+    )
+    values (
+      p_round_id,
+      v_position,
+      v_profile_id,
+      case when v_profile_id is null then v_player ->> 'guest_name' end,
+      coalesce(nullif(v_player ->> 'display_name', ''), 'Player ' || (v_position + 1)),
+      coalesce(v_player -> 'scores', '{}'::jsonb),
+      v_player_round_id
+    )
+    on conflict (round_id, position)
+    do update set
+      profile_id = excluded.profile_id,
+      guest_name = excluded.guest_name,
+      display_name = excluded.display_name,
+      scores = excluded.scores,
+      player_round_id = excluded.player_round_id,
+      updated_at = now();
+  end loop;
+
+  -- Players removed from the group since an earlier submission
+  delete from public.rounds
+  where group_round_id = p_round_id
+    and id in (
+      select player_round_id from public.round_players
+      where round_id = p_round_id and not (position = any (v_positions))
+    );
+
+  delete from public.round_players
+  where round_id = p_round_id
+    and not (position = any (v_positions));
+
+  return query
+  select * from public.round_players
+  where round_id = p_round_id
+  order by position;
+end;
+$$;
+
+grant execute on function public.find_player_by_email(text) to authenticated;
+grant execute on function public.complete_group_round(uuid, jsonb) to authenticated;
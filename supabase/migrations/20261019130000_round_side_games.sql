@@ -0,0 +1,39 @@
+-- supabase/migrations/20261019130000_round_side_games.sql
+--
+-- Side games (match play, skins, Nassau) played by a group. Only the settings
+-- are stored - games, gross or net, who plays whom, course handicaps and
+-- presses. Results are calculated in the app from round_players, so they
+-- always match the group card.
+
+alter table public.rounds
+  add column if not exists side_games jsonb;
+
+-- save_side_games: store the group's side game settings on the organizer's
+-- round and every partner's copy of it, so everyone's scorecard shows the
+-- same games. The caller must own the round.
+create or replace function public.save_side_games(
+  p_round_id uuid,
+  p_side_games jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.rounds
+    where id = p_round_id and profile_id = auth.uid()
+  ) then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  update public.rounds
+  set side_games = p_side_games,
+      updated_at = now()
+  where id = p_round_id
+     or group_round_id = p_round_id;
+end;
+$$;
+
+grant execute on function public.save_side_games(uuid, jsonb) to authenticated;
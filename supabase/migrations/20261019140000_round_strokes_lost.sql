@@ -0,0 +1,10 @@
+-- supabase/migrations/20261019140000_round_strokes_lost.sql
+--
+-- Strokes lost per shot category against the player's handicap bracket,
+-- calculated by the app when a round is completed (strokesGainedService).
+-- The insights function passes these numbers to the coaching prompt.
+--
+-- Shape: { baseline, baselineLabel, categories: { "<shot type>": strokes }, total, holesCounted }
+
+alter table public.rounds
+  add column if not exists strokes_lost jsonb;
@@ -0,0 +1,10 @@
+-- supabase/migrations/20261019150000_profile_bag.sql
+--
+-- The clubs in the player's bag, longest first, edited from My Bag on the
+-- profile screen. Shots record the club they were hit with by name, and
+-- clubService builds per-club distances from those shots.
+--
+-- Shape: ["Driver", "3 Wood", "7 Iron", ...]
+
+alter table public.profiles
+  add column if not exists bag jsonb not null default '[]'::jsonb;
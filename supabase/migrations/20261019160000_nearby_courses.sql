@@ -0,0 +1,64 @@
+-- supabase/migrations/20261019160000_nearby_courses.sql
+--
+-- nearby_courses: courses within a radius of a point, nearest first, for the
+-- "Courses near me" list on the course selector (via get-courses). Uses the
+-- courses' latitude/longitude columns - a bounding box narrows the rows using
+-- the index below, then the great-circle distance sorts and trims them, so
+-- PostGIS isn't needed. Courses without coordinates are never returned.
+
+create index if not exists courses_latitude_longitude_idx
+  on public.courses (latitude, longitude)
+  where latitude is not null and longitude is not null;
+
+create or replace function public.nearby_courses(
+  p_latitude double precision,
+  p_longitude double precision,
+  p_radius_km double precision default 50,
+  p_limit integer default 20
+)
+returns table (
+  id uuid,
+  name text,
+  club_name text,
+  location text,
+  country text,
+  num_holes integer,
+  par integer,
+  tees jsonb,
+  poi jsonb,
+  latitude numeric,
+  longitude numeric,
+  distance_km double precision
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with bounds as (
+    select
+      p_radius_km / 111.045 as lat_delta,
+      p_radius_km / (111.045 * greatest(cos(radians(p_latitude)), 0.01)) as lng_delta
+  ),
+  candidates as (
+    select
+      c.*,
+      6371 * 2 * asin(sqrt(
+        power(sin(radians(c.latitude::double precision - p_latitude) / 2), 2) +
+        cos(radians(p_latitude)) * cos(radians(c.latitude::double precision)) *
+        power(sin(radians(c.longitude::double precision - p_longitude) / 2), 2)
+      )) as distance_km
+    from public.courses c, bounds b
+    where c.latitude between p_latitude - b.lat_delta and p_latitude + b.lat_delta
+      and c.longitude between p_longitude - b.lng_delta and p_longitude + b.lng_delta
+  )
+  select
+    id, name, club_name, location, country, num_holes, par, tees, poi,
+    latitude, longitude, distance_km
+  from candidates
+  where distance_km <= p_radius_km
+  order by distance_km
+  limit least(greatest(p_limit, 1), 50);
+$$;
+
+grant execute on function public.nearby_courses(double precision, double precision, double precision, integer) to authenticated;
@@ -0,0 +1,120 @@
+-- supabase/migrations/20261019170000_course_search.sql
+--
+-- search_courses: ranked, typo-tolerant course search for get-courses.
+-- Course names, club names and locations are normalized (lowercase, no
+-- punctuation, abbreviations like St/GC/CC spelled out) and compared with
+-- pg_trgm word similarity, so "Torey Pines" finds Torrey Pines and
+-- "St Andrews Old" finds the Old Course at St Andrews. Courses the player
+-- has played and courses near them are ranked higher.
+--
+-- Returns `score` (higher is better), `played` and `distance_km` (null
+-- without a location) alongside the usual course columns.
+
+create extension if not exists pg_trgm;
+
+-- Spell out the abbreviations used in course names so either form matches
+create or replace function public.normalize_course_text(p_text text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select trim(regexp_replace(
+    regexp_replace(regexp_replace(regexp_replace(regexp_replace(regexp_replace(regexp_replace(
+      regexp_replace(lower(coalesce(p_text, '')), '&', ' and ', 'g'),
+      '[^a-z0-9]+', ' ', 'g'),
+      '\mst\M', 'saint', 'g'),
+      '\mmt\M', 'mount', 'g'),
+      '\mft\M', 'fort', 'g'),
+      '\mgc\M', 'golf club', 'g'),
+      '\mcc\M', 'country club', 'g'),
+    '\s+', ' ', 'g'));
+$$;
+
+-- Everything a search can match, as one normalized string
+create or replace function public.course_search_text(p_name text, p_club_name text, p_location text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select public.normalize_course_text(
+    coalesce(p_name, '') || ' ' || coalesce(p_club_name, '') || ' ' || coalesce(p_location, '')
+  );
+$$;
+
+create index if not exists courses_search_text_trgm_idx
+  on public.courses
+  using gin (public.course_search_text(name, club_name, location) gin_trgm_ops);
+
+create or replace function public.search_courses(
+  p_query text,
+  p_user_id uuid default null,
+  p_latitude double precision default null,
+  p_longitude double precision default null,
+  p_limit integer default 15
+)
+returns table (
+  id uuid,
+  name text,
+  club_name text,
+  location text,
+  country text,
+  num_holes integer,
+  par integer,
+  tees jsonb,
+  poi jsonb,
+  latitude numeric,
+  longitude numeric,
+  score double precision,
+  played boolean,
+  distance_km double precision
+)
+language sql
+stable
+security invoker
+set search_path = public
+-- Low enough to let a typo or two through; the score sorts out the rest
+set pg_trgm.word_similarity_threshold = 0.35
+as $$
+  with query as (
+    select public.normalize_course_text(p_query) as q
+  ),
+  matches as (
+    select
+      c.*,
+      word_similarity(query.q, public.normalize_course_text(c.name)) as name_similarity,
+      word_similarity(query.q, public.course_search_text(c.name, c.club_name, c.location)) as text_similarity,
+      public.normalize_course_text(c.name) like query.q || '%' as name_prefix,
+      exists (
+        select 1 from public.rounds r
+        where r.profile_id = p_user_id and r.course_id = c.id
+      ) as played,
+      case
+        when p_latitude is null or p_longitude is null or c.latitude is null or c.longitude is null then null
+        else 6371 * 2 * asin(sqrt(
+          power(sin(radians(c.latitude::double precision - p_latitude) / 2), 2) +
+          cos(radians(p_latitude)) * cos(radians(c.latitude::double precision)) *
+          power(sin(radians(c.longitude::double precision - p_longitude) / 2), 2)
+        ))
+      end as distance_km
+    from public.courses c, query
+    where query.q <> ''
+      and query.q <% public.course_search_text(c.name, c.club_name, c.location)
+  )
+  select
+    id, name, club_name, location, country, num_holes, par, tees, poi, latitude, longitude,
+    greatest(name_similarity, text_similarity * 0.9)
+      + case when name_prefix then 0.2 else 0 end
+      + case when played then 0.25 else 0 end
+      -- Up to 0.15 for courses within 100 km, most for the closest
+      + case when distance_km < 100 then 0.15 * (1 - distance_km / 100) else 0 end
+      as score,
+    played,
+    distance_km
+  from matches
+  order by score desc, name
+  limit least(greatest(p_limit, 1), 50);
+$$;
+
+grant execute on function public.search_courses(text, uuid, double precision, double precision, integer) to authenticated;
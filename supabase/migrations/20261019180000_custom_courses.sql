@@ -0,0 +1,200 @@
+-- supabase/migrations/20261019180000_custom_courses.sql
+--
+-- Custom courses and course corrections.
+--
+-- A custom course is a private row in `courses` with owner_id set - built
+-- from scratch, or copied from a shared course (source_course_id) and
+-- edited. Rounds reference it like any other course. Shared courses have no
+-- owner and are only changed from the golf API.
+--
+-- course_corrections holds changes players suggest for a shared course.
+-- They're kept for review and never applied to `courses` automatically.
+--
+-- Shape of course_corrections.changes:
+--   [{ "hole": 7 | null, "field": "par_men" | "index_men" | "distance" | "green" | "name" ...,
+--      "tee": "White" | null, "current": <value>, "proposed": <value> }]
+
+alter table public.courses
+  add column if not exists owner_id uuid references public.profiles(id) on delete cascade,
+  add column if not exists source_course_id uuid references public.courses(id) on delete set null;
+
+create index if not exists courses_owner_id_idx
+  on public.courses (owner_id)
+  where owner_id is not null;
+
+alter table public.courses enable row level security;
+
+-- Shared courses are visible to everyone, custom courses only to their owner.
+-- The restrictive policy keeps custom courses private whatever other select
+-- policies exist on the table.
+create policy "Shared and own courses are visible"
+  on public.courses for select
+  using (owner_id is null or owner_id = auth.uid());
+
+create policy "Custom courses are private to their owner"
+  on public.courses as restrictive for select
+  using (owner_id is null or owner_id = auth.uid());
+
+create policy "Players can create custom courses"
+  on public.courses for insert
+  with check (owner_id = auth.uid());
+
+create policy "Players can edit their custom courses"
+  on public.courses for update
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+create policy "Players can delete their custom courses"
+  on public.courses for delete
+  using (owner_id = auth.uid());
+
+create table if not exists public.course_corrections (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  changes jsonb not null,
+  note text,
+  status text not null default 'pending',
+  created_at timestamp with time zone default now(),
+  reviewed_at timestamp with time zone,
+  check (jsonb_typeof(changes) = 'array' and jsonb_array_length(changes) > 0),
+  check (status in ('pending', 'accepted', 'rejected'))
+);
+
+create index if not exists course_corrections_course_id_idx
+  on public.course_corrections (course_id, status);
+
+alter table public.course_corrections enable row level security;
+
+create policy "Players can view their corrections"
+  on public.course_corrections for select
+  using (profile_id = auth.uid());
+
+create policy "Players can submit corrections"
+  on public.course_corrections for insert
+  with check (profile_id = auth.uid() and status = 'pending');
+
+-- Course searches run with the service role from get-courses, so they have
+-- to leave out other players' custom courses themselves
+create or replace function public.nearby_courses(
+  p_latitude double precision,
+  p_longitude double precision,
+  p_radius_km double precision default 50,
+  p_limit integer default 20
+)
+returns table (
+  id uuid,
+  name text,
+  club_name text,
+  location text,
+  country text,
+  num_holes integer,
+  par integer,
+  tees jsonb,
+  poi jsonb,
+  latitude numeric,
+  longitude numeric,
+  distance_km double precision
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with bounds as (
+    select
+      p_radius_km / 111.045 as lat_delta,
+      p_radius_km / (111.045 * greatest(cos(radians(p_latitude)), 0.01)) as lng_delta
+  ),
+  candidates as (
+    select
+      c.*,
+      6371 * 2 * asin(sqrt(
+        power(sin(radians(c.latitude::double precision - p_latitude) / 2), 2) +
+        cos(radians(p_latitude)) * cos(radians(c.latitude::double precision)) *
+        power(sin(radians(c.longitude::double precision - p_longitude) / 2), 2)
+      )) as distance_km
+    from public.courses c, bounds b
+    where c.latitude between p_latitude - b.lat_delta and p_latitude + b.lat_delta
+      and c.longitude between p_longitude - b.lng_delta and p_longitude + b.lng_delta
+      and (c.owner_id is null or c.owner_id = auth.uid())
+  )
+  select
+    id, name, club_name, location, country, num_holes, par, tees, poi,
+    latitude, longitude, distance_km
+  from candidates
+  where distance_km <= p_radius_km
+  order by distance_km
+  limit least(greatest(p_limit, 1), 50);
+$$;
+
+create or replace function public.search_courses(
+  p_query text,
+  p_user_id uuid default null,
+  p_latitude double precision default null,
+  p_longitude double precision default null,
+  p_limit integer default 15
+)
+returns table (
+  id uuid,
+  name text,
+  club_name text,
+  location text,
+  country text,
+  num_holes integer,
+  par integer,
+  tees jsonb,
+  poi jsonb,
+  latitude numeric,
+  longitude numeric,
+  score double precision,
+  played boolean,
+  distance_km double precision
+)
+language sql
+stable
+security invoker
+set search_path = public
+-- Low enough to let a typo or two through; the score sorts out the rest
+set pg_trgm.word_similarity_threshold = 0.35
+as $$
+  with query as (
+    select public.normalize_course_text(p_query) as q
+  ),
+  matches as (
+    select
+      c.*,
+      word_similarity(query.q, public.normalize_course_text(c.name)) as name_similarity,
+      word_similarity(query.q, public.course_search_text(c.name, c.club_name, c.location)) as text_similarity,
+      public.normalize_course_text(c.name) like query.q || '%' as name_prefix,
+      exists (
+        select 1 from public.rounds r
+        where r.profile_id = p_user_id and r.course_id = c.id
+      ) as played,
+      case
+        when p_latitude is null or p_longitude is null or c.latitude is null or c.longitude is null then null
+        else 6371 * 2 * asin(sqrt(
+          power(sin(radians(c.latitude::double precision - p_latitude) / 2), 2) +
+          cos(radians(p_latitude)) * cos(radians(c.latitude::double precision)) *
+          power(sin(radians(c.longitude::double precision - p_longitude) / 2), 2)
+        ))
+      end as distance_km
+    from public.courses c, query
+    where query.q <> ''
+      and query.q <% public.course_search_text(c.name, c.club_name, c.location)
+      and (c.owner_id is null or c.owner_id = coalesce(p_user_id, auth.uid()))
+  )
+  select
+    id, name, club_name, location, country, num_holes, par, tees, poi, latitude, longitude,
+    greatest(name_similarity, text_similarity * 0.9)
+      + case when name_prefix then 0.2 else 0 end
+      + case when played then 0.25 else 0 end
+      -- Up to 0.15 for courses within 100 km, most for the closest
+      + case when distance_km < 100 then 0.15 * (1 - distance_km / 100) else 0 end
+      as score,
+    played,
+    distance_km
+  from matches
+  order by score desc, name
+  limit least(greatest(p_limit, 1), 50);
+$$;
@@ -0,0 +1,342 @@
+-- supabase/migrations/20261019190000_tee_ratings.sql
+--
+-- Men's or women's ratings. courses.holes carries par_men/par_women and
+-- index_men/index_women, and courses.tees carries course_rating_men/women
+-- and slope_men/women. profiles.tee_ratings is the set the player plays
+-- off; each round copies it when it's created, so changing the setting
+-- doesn't rescore rounds already played. Existing rounds used the men's.
+--
+-- complete_round and complete_group_round now fall back to the course's
+-- pars (and stroke indexes) for the round's ratings, using the men's where
+-- a course has no women's values.
+
+alter table public.profiles
+  add column if not exists tee_ratings text not null default 'men';
+
+alter table public.profiles
+  add constraint profiles_tee_ratings_check check (tee_ratings in ('men', 'women'));
+
+alter table public.rounds
+  add column if not exists tee_ratings text not null default 'men';
+
+alter table public.rounds
+  add constraint rounds_tee_ratings_check check (tee_ratings in ('men', 'women'));
+
+create or replace function public.complete_round(
+  p_round_id uuid,
+  p_holes jsonb
+)
+returns setof public.rounds
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_par integer;
+  v_course_holes jsonb;
+  v_course_num_holes integer;
+  v_hole record;
+  v_hole_data jsonb;
+  v_hole_par integer;
+  v_total_score integer;
+  v_gross_shots integer := 0;
+  v_played_par integer := 0;
+  v_missing_par boolean := false;
+  v_saved_holes integer[] := '{}';
+begin
+  if p_holes is null or jsonb_typeof(p_holes) <> 'object' then
+    raise exception 'Hole data must be an object keyed by hole number';
+  end if;
+
+  -- Lock the round so concurrent submissions are applied one at a time
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select par, holes, num_holes
+  into v_course_par, v_course_holes, v_course_num_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_hole in
+    select key::integer as hole_number, value as hole_data
+    from jsonb_each(p_holes)
+    where key ~ '^[0-9]+$'
+  loop
+    -- Skip holes with no shot data
+    if jsonb_typeof(v_hole.hole_data -> 'shots') is distinct from 'array'
+       or jsonb_array_length(v_hole.hole_data -> 'shots') = 0 then
+      continue;
+    end if;
+
+    -- shotCounts only exists for the tracker UI
+    v_hole_data := v_hole.hole_data - 'shotCounts';
+    v_total_score := jsonb_array_length(v_hole_data -> 'shots');
+
+    insert into public.shots (round_id, hole_number, hole_data, total_score)
+    values (p_round_id, v_hole.hole_number, v_hole_data, v_total_score)
+    on conflict (round_id, hole_number)
+    do update set
+      hole_data = excluded.hole_data,
+      total_score = excluded.total_score;
+
+    v_saved_holes := v_saved_holes || v_hole.hole_number;
+    v_gross_shots := v_gross_shots + v_total_score;
+
+    -- Par for the hole as played, falling back to the course's hole data
+    -- for the round's ratings (men's where a course has no women's pars)
+    v_hole_par := nullif(v_hole_data ->> 'par', '')::integer;
+    if v_hole_par is null and jsonb_typeof(v_course_holes) = 'array' then
+      select coalesce(
+        nullif(course_hole ->> ('par_' || v_round.tee_ratings), '')::integer,
+        nullif(course_hole ->> 'par_men', '')::integer
+      ) into v_hole_par
+      from jsonb_array_elements(v_course_holes) as course_hole
+      where (course_hole ->> 'number')::integer = v_hole.hole_number
+      limit 1;
+    end if;
+
+    if v_hole_par is null then
+      v_missing_par := true;
+    else
+      v_played_par := v_played_par + v_hole_par;
+    end if;
+  end loop;
+
+  -- Holes cleared on the device since an earlier submission
+  delete from public.shots
+  where round_id = p_round_id
+    and not (hole_number = any (v_saved_holes));
+
+  -- Without per-hole pars, fall back to the course par scaled to the
+  -- number of holes played, so 9-hole and partial rounds aren't scored
+  -- against a full 18
+  if array_length(v_saved_holes, 1) is null then
+    v_played_par := 0;
+  elsif v_missing_par then
+    v_played_par := round(
+      coalesce(v_course_par, 72)::numeric
+      * array_length(v_saved_holes, 1)
+      / greatest(coalesce(v_course_num_holes, 18), 1)
+    );
+  end if;
+
+  return query
+  update public.rounds
+  set is_complete = true,
+      gross_shots = v_gross_shots,
+      score = v_gross_shots - v_played_par,
+      updated_at = now()
+  where id = p_round_id
+  returning *;
+end;
+$$;
+
+-- complete_group_round: save the group card for a round and create or update
+-- each registered partner's own completed round. The caller must own the
+-- round. Safe to call repeatedly with the same payload. Partners' pars and
+-- stroke indexes follow their own tee ratings setting.
+--
+-- p_players is an array of
+--   { position, profile_id, guest_name, display_name, scores: { "<hole>": strokes } }
+create or replace function public.complete_group_round(
+  p_round_id uuid,
+  p_players jsonb
+)
+returns setof public.round_players
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_holes jsonb;
+  v_player jsonb;
+  v_position integer;
+  v_profile_id uuid;
+  v_player_round_id uuid;
+  v_tee_ratings text;
+  v_hole record;
+  v_hole_par integer;
+  v_hole_index integer;
+  v_gross integer;
+  v_par integer;
+  v_positions integer[] := '{}';
+begin
+  if p_players is null or jsonb_typeof(p_players) <> 'array' then
+    raise exception 'Players must be an array';
+  end if;
+
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select holes into v_course_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_player in select value from jsonb_array_elements(p_players)
+  loop
+    v_position := (v_player ->> 'position')::integer;
+    v_profile_id := nullif(v_player ->> 'profile_id', '')::uuid;
+    v_positions := v_positions || v_position;
+
+    -- The organizer's own round is the one being completed
+    if v_position = 0 then
+      v_profile_id := v_round.profile_id;
+      v_player_round_id := v_round.id;
+    else
+      -- A different player now in this seat - remove the previous player's copy
+      delete from public.rounds
+      where group_round_id = p_round_id
+        and id in (
+          select player_round_id from public.round_players
+          where round_id = p_round_id and position = v_position
+            and profile_id is distinct from v_profile_id
+        );
+
+      select player_round_id into v_player_round_id
+      from public.round_players
+      where round_id = p_round_id and position = v_position
+        and profile_id is not distinct from v_profile_id;
+    end if;
+
+    -- Registered partners get their own copy of the round
+    if v_position > 0 and v_profile_id is not null then
+      select tee_ratings into v_tee_ratings
+      from public.profiles
+      where id = v_profile_id;
+
+      if v_player_round_id is null then
+        v_player_round_id := gen_random_uuid();
+
+        insert into public.rounds (
+          id, profile_id, course_id, date, is_complete, created_at,
+          selected_tee_id, selected_tee_name, start_hole, hole_count, tee_ratings, group_round_id
+        )
+        values (
+          v_player_round_id, v_profile_id, v_round.course_id, v_round.date, false, v_round.created_at,
+          v_round.selected_tee_id, v_round.selected_tee_name, v_round.start_hole, v_round.hole_count,
+          v_tee_ratings, v_round.id
+        );
+      else
+        -- An existing copy keeps the ratings it was first scored with
+        select tee_ratings into v_tee_ratings
+        from public.rounds
+        where id = v_player_round_id;
+      end if;
+
+      delete from public.shots where round_id = v_player_round_id;
+
+      v_gross := 0;
+      v_par := 0;
+
+      for v_hole in
+        select key::integer as hole_number, (value #>> '{}')::integer as strokes
+        from jsonb_each(coalesce(v_player -> 'scores', '{}'::jsonb))
+        where key ~ '^[0-9]+$'
+      loop
+        continue when v_hole.strokes is null or v_hole.strokes <= 0;
+
+        v_hole_par := null;
+        v_hole_index := null;
+        if jsonb_typeof(v_course_holes) = 'array' then
+          select
+            coalesce(
+              nullif(course_hole ->> ('par_' || v_tee_ratings), '')::integer,
+              nullif(course_hole ->> 'par_men', '')::integer
+            ),
+            coalesce(
+              nullif(course_hole ->> ('index_' || v_tee_ratings), '')::integer,
+              nullif(course_hole ->> 'index_men', '')::integer
+            )
+          into v_hole_par, v_hole_index
+          from jsonb_array_elements(v_course_holes) as course_hole
+          where (course_hole ->> 'number')::integer = v_hole.hole_number
+          limit 1;
+        end if;
+
+        -- Strokes only - no shot-by-shot detail was recorded for partners
+        insert into public.shots (round_id, hole_number, hole_data, total_score)
+        values (
+          v_player_round_id,
+          v_hole.hole_number,
+          jsonb_build_object(
+            'par', v_hole_par,
+            'index', v_hole_index,
+            'shots', '[]'::jsonb,
+            'strokes', v_hole.strokes,
+            'scored_by', v_round.profile_id
+          ),
+          v_hole.strokes
+        );
+
+        v_gross := v_gross + v_hole.strokes;
+        v_par := v_par + coalesce(v_hole_par, 4);
+      end loop;
+
+      update public.rounds
+      set is_complete = true,
+          gross_shots = v_gross,
+          score = v_gross - v_par,
+          updated_at = now()
+      where id = v_player_round_id;
+    elsif v_position > 0 then
+      -- Guests only appear on the group card
+      v_player_round_id := null;
+    end if;
+
+    insert into public.round_players (
+      round_id, position, profile_id, guest_name, display_name, scores, player_round_id
+    )
+    values (
+      p_round_id,
+      v_position,
+      v_profile_id,
+      case when v_profile_id is null then v_player ->> 'guest_name' end,
+      coalesce(nullif(v_player ->> 'display_name', ''), 'Player ' || (v_position + 1)),
+      coalesce(v_player -> 'scores', '{}'::jsonb),
+      v_player_round_id
+    )
+    on conflict (round_id, position)
+    do update set
+      profile_id = excluded.profile_id,
+      guest_name = excluded.guest_name,
+      display_name = excluded.display_name,
+      scores = excluded.scores,
+      player_round_id = excluded.player_round_id,
+      updated_at = now();
+  end loop;
+
+  -- Players removed from the group since an earlier submission
+  delete from public.rounds
+  where group_round_id = p_round_id
+    and id in (
+      select player_round_id from public.round_players
+      where round_id = p_round_id and not (position = any (v_positions))
+    );
+
+  delete from public.round_players
+  where round_id = p_round_id
+    and not (position = any (v_positions));
+
+  return query
+  select * from public.round_players
+  where round_id = p_round_id
+  order by position;
+end;
+$$;
+
+grant execute on function public.complete_round(uuid, jsonb) to authenticated;
+grant execute on function public.complete_group_round(uuid, jsonb) to authenticated;
@@ -0,0 +1,189 @@
+-- supabase/migrations/20261019200000_round_edits.sql
+--
+-- Editing completed rounds. edit_round_hole replaces one hole's shots on a
+-- completed round (or clears the hole), recalculates gross_shots and score
+-- the same way complete_round does, and records the change in round_edits.
+--
+-- round_edits is the audit trail: every saved change with the hole data
+-- before and after. Rows are only written by edit_round_hole.
+--
+-- Partners' copies of a group round only hold strokes, so they're changed
+-- by the organizer re-saving the group card rather than edited here.
+
+alter table public.rounds
+  add column if not exists edited_at timestamp with time zone;
+
+create table if not exists public.round_edits (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  hole_number integer not null,
+  previous_hole_data jsonb,
+  hole_data jsonb,
+  previous_total_score integer,
+  total_score integer,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists round_edits_round_id_idx
+  on public.round_edits (round_id, created_at desc);
+
+alter table public.round_edits enable row level security;
+
+create policy "Players can view edits to their rounds"
+  on public.round_edits for select
+  using (profile_id = auth.uid());
+
+-- edit_round_hole: replace the shots for one hole of a completed round.
+-- p_hole_data is the hole's data in the shape the tracker saves; null or no
+-- shots clears the hole. Returns the updated round. Security definer so the
+-- organizer's line on the group card can be kept in step.
+create or replace function public.edit_round_hole(
+  p_round_id uuid,
+  p_hole_number integer,
+  p_hole_data jsonb
+)
+returns setof public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_par integer;
+  v_course_holes jsonb;
+  v_course_num_holes integer;
+  v_previous public.shots%rowtype;
+  v_hole_data jsonb;
+  v_total_score integer;
+  v_hole record;
+  v_hole_par integer;
+  v_gross_shots integer := 0;
+  v_played_par integer := 0;
+  v_missing_par boolean := false;
+  v_hole_count integer := 0;
+begin
+  if p_hole_data is not null and jsonb_typeof(p_hole_data) <> 'object' then
+    raise exception 'Hole data must be an object';
+  end if;
+
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  if not v_round.is_complete then
+    raise exception 'Round % is still in progress', p_round_id;
+  end if;
+
+  if v_round.group_round_id is not null then
+    raise exception 'This round was scored by your group organizer and can only be changed by them';
+  end if;
+
+  select par, holes, num_holes
+  into v_course_par, v_course_holes, v_course_num_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  if p_hole_number < 1 or p_hole_number > coalesce(v_course_num_holes, 18) then
+    raise exception 'Hole % is not on this course', p_hole_number;
+  end if;
+
+  select * into v_previous
+  from public.shots
+  where round_id = p_round_id and hole_number = p_hole_number;
+
+  if p_hole_data is null
+     or jsonb_typeof(p_hole_data -> 'shots') is distinct from 'array'
+     or jsonb_array_length(p_hole_data -> 'shots') = 0 then
+    delete from public.shots
+    where round_id = p_round_id and hole_number = p_hole_number;
+  else
+    -- shotCounts only exists for the tracker UI
+    v_hole_data := p_hole_data - 'shotCounts';
+    v_total_score := jsonb_array_length(v_hole_data -> 'shots');
+
+    insert into public.shots (round_id, hole_number, hole_data, total_score)
+    values (p_round_id, p_hole_number, v_hole_data, v_total_score)
+    on conflict (round_id, hole_number)
+    do update set
+      hole_data = excluded.hole_data,
+      total_score = excluded.total_score;
+  end if;
+
+  -- Saving a hole without changing it leaves no trace
+  if v_previous.hole_data is not distinct from v_hole_data then
+    return query select * from public.rounds where id = p_round_id;
+    return;
+  end if;
+
+  insert into public.round_edits (
+    round_id, profile_id, hole_number, previous_hole_data, hole_data, previous_total_score, total_score
+  )
+  values (
+    p_round_id, v_round.profile_id, p_hole_number, v_previous.hole_data, v_hole_data,
+    v_previous.total_score, v_total_score
+  );
+
+  -- The organizer's line on the group card
+  update public.round_players
+  set scores = case
+        when v_total_score is null then scores - p_hole_number::text
+        else scores || jsonb_build_object(p_hole_number::text, v_total_score)
+      end,
+      updated_at = now()
+  where round_id = p_round_id and position = 0;
+
+  -- Totals over every hole, as complete_round scores them
+  for v_hole in
+    select hole_number, hole_data, total_score
+    from public.shots
+    where round_id = p_round_id
+  loop
+    v_gross_shots := v_gross_shots + v_hole.total_score;
+    v_hole_count := v_hole_count + 1;
+
+    v_hole_par := nullif(v_hole.hole_data ->> 'par', '')::integer;
+    if v_hole_par is null and jsonb_typeof(v_course_holes) = 'array' then
+      select coalesce(
+        nullif(course_hole ->> ('par_' || v_round.tee_ratings), '')::integer,
+        nullif(course_hole ->> 'par_men', '')::integer
+      ) into v_hole_par
+      from jsonb_array_elements(v_course_holes) as course_hole
+      where (course_hole ->> 'number')::integer = v_hole.hole_number
+      limit 1;
+    end if;
+
+    if v_hole_par is null then
+      v_missing_par := true;
+    else
+      v_played_par := v_played_par + v_hole_par;
+    end if;
+  end loop;
+
+  if v_hole_count = 0 then
+    v_played_par := 0;
+  elsif v_missing_par then
+    v_played_par := round(
+      coalesce(v_course_par, 72)::numeric
+      * v_hole_count
+      / greatest(coalesce(v_course_num_holes, 18), 1)
+    );
+  end if;
+
+  return query
+  update public.rounds
+  set gross_shots = v_gross_shots,
+      score = v_gross_shots - v_played_par,
+      edited_at = now(),
+      updated_at = now()
+  where id = p_round_id
+  returning *;
+end;
+$$;
+
+grant execute on function public.edit_round_hole(uuid, integer, jsonb) to authenticated;
@@ -0,0 +1,55 @@
+-- supabase/migrations/20261019210000_round_visibility.sql
+--
+-- Tidying up round history.
+--
+-- archived_at hides a round from the round lists. Archived rounds still
+-- count towards the handicap, stats and insights - they're just out of the way.
+--
+-- stats_exclusion takes a round out of the handicap, stats, trends, club
+-- distances and insights, with the reason the player gave. Null means the
+-- round counts.
+--
+-- delete_round removes a completed round with its shots, group card, edit
+-- history and the insights it triggered.
+
+alter table public.rounds
+  add column if not exists archived_at timestamp with time zone,
+  add column if not exists stats_exclusion text;
+
+alter table public.rounds
+  add constraint rounds_stats_exclusion_check
+  check (stats_exclusion in ('practice', 'scramble', 'injured', 'other'));
+
+create or replace function public.delete_round(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+begin
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  -- Partners' copies of a group round are scored from it
+  if exists (
+    select 1 from public.round_players
+    where round_id = p_round_id and player_round_id is not null
+  ) then
+    raise exception 'This round has partners'' scores in it - archive it or exclude it from stats instead';
+  end if;
+
+  delete from public.insights where round_id = p_round_id;
+  delete from public.shots where round_id = p_round_id;
+  delete from public.rounds where id = p_round_id;
+end;
+$$;
+
+grant execute on function public.delete_round(uuid) to authenticated;
@@ -0,0 +1,375 @@
+-- supabase/migrations/20261019220000_group_round_consent.sql
+--
+-- Partners have to accept a group round before it counts for them.
+--
+-- complete_group_round used to take partners' profile IDs from the
+-- organizer and file a completed round straight into each partner's
+-- history, where it counted towards their handicap, stats and insights.
+-- Partners are now invited by email. The email is matched to a profile
+-- here on the server, and the organizer isn't told whether it belongs to
+-- an account. find_player_by_email is dropped.
+--
+-- rounds.partner_status is 'pending' on a partner's copy until they answer,
+-- then 'accepted' or 'declined'. A player's own rounds are always
+-- 'accepted'. Only accepted rounds count. If the organizer changes a
+-- partner's strokes, the partner is asked again.
+--
+-- rounds.group_position is the partner's seat on the organizer's card.
+-- round_players.profile_id and player_round_id are only filled in for a
+-- partner once they accept.
+
+alter table public.rounds
+  add column if not exists partner_status text not null default 'accepted',
+  add column if not exists group_position integer;
+
+alter table public.rounds
+  add constraint rounds_partner_status_check
+  check (partner_status in ('pending', 'accepted', 'declined'));
+
+-- Copies filed before partners could answer are confirmed like new ones
+update public.rounds r
+set group_position = rp.position
+from public.round_players rp
+where rp.player_round_id = r.id
+  and r.group_round_id is not null;
+
+update public.rounds
+set partner_status = 'pending'
+where group_round_id is not null;
+
+update public.round_players
+set profile_id = null,
+    player_round_id = null
+where position > 0;
+
+create unique index if not exists rounds_group_position_idx
+  on public.rounds (group_round_id, group_position)
+  where group_round_id is not null;
+
+drop function if exists public.find_player_by_email(text);
+
+-- Invited partners can see the card they're being asked to accept
+create or replace function public.is_round_participant(p_round_id uuid)
+returns boolean
+language sql
+security definer
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.rounds
+    where id = p_round_id and profile_id = auth.uid()
+  ) or exists (
+    select 1 from public.round_players
+    where round_id = p_round_id and profile_id = auth.uid()
+  ) or exists (
+    select 1 from public.rounds
+    where group_round_id = p_round_id
+      and profile_id = auth.uid()
+      and partner_status <> 'declined'
+  );
+$$;
+
+-- complete_group_round: save the group card for a round and create or update
+-- a pending copy of the round for each invited partner who has an account.
+-- The caller must own the round. Safe to call repeatedly with the same
+-- payload. Partners' pars and stroke indexes follow their own tee ratings
+-- setting.
+--
+-- p_players is an array of
+--   { position, invite_email, guest_name, display_name, scores: { "<hole>": strokes } }
+create or replace function public.complete_group_round(
+  p_round_id uuid,
+  p_players jsonb
+)
+returns setof public.round_players
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+  v_course_holes jsonb;
+  v_player jsonb;
+  v_position integer;
+  v_scores jsonb;
+  v_previous_scores jsonb;
+  v_invite_email text;
+  v_profile_id uuid;
+  v_copy_id uuid;
+  v_copy_profile_id uuid;
+  v_copy_status text;
+  v_tee_ratings text;
+  v_linked_profile_id uuid;
+  v_linked_round_id uuid;
+  v_hole record;
+  v_hole_par integer;
+  v_hole_index integer;
+  v_gross integer;
+  v_par integer;
+  v_positions integer[] := '{}';
+begin
+  if p_players is null or jsonb_typeof(p_players) <> 'array' then
+    raise exception 'Players must be an array';
+  end if;
+
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  select holes into v_course_holes
+  from public.courses
+  where id = v_round.course_id;
+
+  for v_player in select value from jsonb_array_elements(p_players)
+  loop
+    v_position := (v_player ->> 'position')::integer;
+    v_scores := coalesce(v_player -> 'scores', '{}'::jsonb);
+    v_positions := v_positions || v_position;
+    v_profile_id := null;
+    v_copy_id := null;
+    v_copy_profile_id := null;
+    v_copy_status := null;
+
+    if v_position > 0 then
+      -- Matched here so the organizer never learns who has an account
+      v_invite_email := nullif(lower(trim(v_player ->> 'invite_email')), '');
+      if v_invite_email is not null then
+        select id into v_profile_id
+        from public.profiles
+        where lower(email) = v_invite_email
+          and id <> v_round.profile_id
+        limit 1;
+      end if;
+
+      select id, profile_id, partner_status, tee_ratings
+      into v_copy_id, v_copy_profile_id, v_copy_status, v_tee_ratings
+      from public.rounds
+      where group_round_id = p_round_id and group_position = v_position;
+
+      -- A different player now in this seat - remove the previous player's copy
+      if v_copy_id is not null and v_copy_profile_id is distinct from v_profile_id then
+        delete from public.rounds where id = v_copy_id;
+        v_copy_id := null;
+        v_copy_status := null;
+      end if;
+
+      select scores into v_previous_scores
+      from public.round_players
+      where round_id = p_round_id and position = v_position;
+    end if;
+
+    -- Invited partners with an account get their own copy, pending until they accept
+    if v_position > 0 and v_profile_id is not null then
+      if v_copy_id is null then
+        select tee_ratings into v_tee_ratings
+        from public.profiles
+        where id = v_profile_id;
+
+        v_copy_id := gen_random_uuid();
+        v_copy_status := 'pending';
+
+        insert into public.rounds (
+          id, profile_id, course_id, date, is_complete, created_at,
+          selected_tee_id, selected_tee_name, start_hole, hole_count, tee_ratings,
+          group_round_id, group_position, partner_status
+        )
+        values (
+          v_copy_id, v_profile_id, v_round.course_id, v_round.date, false, v_round.created_at,
+          v_round.selected_tee_id, v_round.selected_tee_name, v_round.start_hole, v_round.hole_count,
+          v_tee_ratings, v_round.id, v_position, v_copy_status
+        );
+      elsif v_previous_scores is distinct from v_scores then
+        -- The partner answered for different strokes, so ask again
+        v_copy_status := 'pending';
+      end if;
+
+      delete from public.shots where round_id = v_copy_id;
+
+      v_gross := 0;
+      v_par := 0;
+
+      for v_hole in
+        select key::integer as hole_number, (value #>> '{}')::integer as strokes
+        from jsonb_each(v_scores)
+        where key ~ '^[0-9]+$'
+      loop
+        continue when v_hole.strokes is null or v_hole.strokes <= 0;
+
+        v_hole_par := null;
+        v_hole_index := null;
+        if jsonb_typeof(v_course_holes) = 'array' then
+          select
+            coalesce(
+              nullif(course_hole ->> ('par_' || v_tee_ratings), '')::integer,
+              nullif(course_hole ->> 'par_men', '')::integer
+            ),
+            coalesce(
+              nullif(course_hole ->> ('index_' || v_tee_ratings), '')::integer,
+              nullif(course_hole ->> 'index_men', '')::integer
+            )
+          into v_hole_par, v_hole_index
+          from jsonb_array_elements(v_course_holes) as course_hole
+          where (course_hole ->> 'number')::integer = v_hole.hole_number
+          limit 1;
+        end if;
+
+        -- Strokes only - no shot-by-shot detail was recorded for partners
+        insert into public.shots (round_id, hole_number, hole_data, total_score)
+        values (
+          v_copy_id,
+          v_hole.hole_number,
+          jsonb_build_object(
+            'par', v_hole_par,
+            'index', v_hole_index,
+            'shots', '[]'::jsonb,
+            'strokes', v_hole.strokes,
+            'scored_by', v_round.profile_id
+          ),
+          v_hole.strokes
+        );
+
+        v_gross := v_gross + v_hole.strokes;
+        v_par := v_par + coalesce(v_hole_par, 4);
+      end loop;
+
+      update public.rounds
+      set is_complete = true,
+          gross_shots = v_gross,
+          score = v_gross - v_par,
+          partner_status = v_copy_status,
+          updated_at = now()
+      where id = v_copy_id;
+    end if;
+
+    -- The card only names a partner's account once they've accepted
+    if v_position = 0 then
+      v_linked_profile_id := v_round.profile_id;
+      v_linked_round_id := v_round.id;
+    elsif v_copy_status = 'accepted' then
+      v_linked_profile_id := v_profile_id;
+      v_linked_round_id := v_copy_id;
+    else
+      v_linked_profile_id := null;
+      v_linked_round_id := null;
+    end if;
+
+    insert into public.round_players (
+      round_id, position, profile_id, guest_name, display_name, scores, player_round_id
+    )
+    values (
+      p_round_id,
+      v_position,
+      v_linked_profile_id,
+      case when v_linked_profile_id is null then v_player ->> 'guest_name' end,
+      coalesce(nullif(v_player ->> 'display_name', ''), 'Player ' || (v_position + 1)),
+      v_scores,
+      v_linked_round_id
+    )
+    on conflict (round_id, position)
+    do update set
+      profile_id = excluded.profile_id,
+      guest_name = excluded.guest_name,
+      display_name = excluded.display_name,
+      scores = excluded.scores,
+      player_round_id = excluded.player_round_id,
+      updated_at = now();
+  end loop;
+
+  -- Players removed from the group since an earlier submission
+  delete from public.rounds
+  where group_round_id = p_round_id
+    and (group_position is null or not (group_position = any (v_positions)));
+
+  delete from public.round_players
+  where round_id = p_round_id
+    and not (position = any (v_positions));
+
+  return query
+  select * from public.round_players
+  where round_id = p_round_id
+  order by position;
+end;
+$$;
+
+-- respond_to_group_round: a partner accepts or declines their copy of a
+-- group round. Accepting counts it for them and puts their name to their
+-- line on the organizer's card.
+create or replace function public.respond_to_group_round(
+  p_round_id uuid,
+  p_accept boolean
+)
+returns setof public.rounds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+begin
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() or v_round.group_round_id is null then
+    raise exception 'Group round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  update public.round_players
+  set profile_id = case when p_accept then v_round.profile_id end,
+      player_round_id = case when p_accept then v_round.id end,
+      updated_at = now()
+  where round_id = v_round.group_round_id
+    and position = v_round.group_position;
+
+  return query
+  update public.rounds
+  set partner_status = case when p_accept then 'accepted' else 'declined' end,
+      updated_at = now()
+  where id = p_round_id
+  returning *;
+end;
+$$;
+
+-- delete_round: partners' copies now exist before they accept, so look for
+-- the copies themselves rather than accepted seats on the card
+create or replace function public.delete_round(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_round public.rounds%rowtype;
+begin
+  select * into v_round
+  from public.rounds
+  where id = p_round_id
+  for update;
+
+  if not found or v_round.profile_id <> auth.uid() then
+    raise exception 'Round % not found', p_round_id using errcode = 'P0002';
+  end if;
+
+  if exists (
+    select 1 from public.rounds
+    where group_round_id = p_round_id and partner_status <> 'declined'
+  ) then
+    raise exception 'This round has partners'' scores in it - archive it or exclude it from stats instead';
+  end if;
+
+  delete from public.insights where round_id = p_round_id;
+  delete from public.shots where round_id = p_round_id;
+  delete from public.rounds where id = p_round_id;
+end;
+$$;
+
+grant execute on function public.complete_group_round(uuid, jsonb) to authenticated;
+grant execute on function public.respond_to_group_round(uuid, boolean) to authenticated;
+grant execute on function public.delete_round(uuid) to authenticated;
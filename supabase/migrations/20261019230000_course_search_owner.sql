@@ -0,0 +1,87 @@
+-- supabase/migrations/20261019230000_course_search_owner.sql
+--
+-- search_courses showed custom courses owned by p_user_id. get-courses
+-- takes that from its userId query parameter and calls search_courses with
+-- the service role, where auth.uid() is null and RLS doesn't apply, so
+-- anyone could list another player's private courses.
+--
+-- p_user_id now only boosts courses that player has played. Custom courses
+-- are shown to p_owner_id, which get-courses only sets from the signed-in
+-- user's verified token, or else to auth.uid(). Direct calls by signed-in
+-- users are still limited to their own courses by RLS.
+
+drop function if exists public.search_courses(text, uuid, double precision, double precision, integer);
+
+create or replace function public.search_courses(
+  p_query text,
+  p_user_id uuid default null,
+  p_latitude double precision default null,
+  p_longitude double precision default null,
+  p_limit integer default 15,
+  p_owner_id uuid default null
+)
+returns table (
+  id uuid,
+  name text,
+  club_name text,
+  location text,
+  country text,
+  num_holes integer,
+  par integer,
+  tees jsonb,
+  poi jsonb,
+  latitude numeric,
+  longitude numeric,
+  score double precision,
+  played boolean,
+  distance_km double precision
+)
+language sql
+stable
+security invoker
+set search_path = public
+-- Low enough to let a typo or two through; the score sorts out the rest
+set pg_trgm.word_similarity_threshold = 0.35
+as $$
+  with query as (
+    select public.normalize_course_text(p_query) as q
+  ),
+  matches as (
+    select
+      c.*,
+      word_similarity(query.q, public.normalize_course_text(c.name)) as name_similarity,
+      word_similarity(query.q, public.course_search_text(c.name, c.club_name, c.location)) as text_similarity,
+      public.normalize_course_text(c.name) like query.q || '%' as name_prefix,
+      exists (
+        select 1 from public.rounds r
+        where r.profile_id = p_user_id and r.course_id = c.id
+      ) as played,
+      case
+        when p_latitude is null or p_longitude is null or c.latitude is null or c.longitude is null then null
+        else 6371 * 2 * asin(sqrt(
+          power(sin(radians(c.latitude::double precision - p_latitude) / 2), 2) +
+          cos(radians(p_latitude)) * cos(radians(c.latitude::double precision)) *
+          power(sin(radians(c.longitude::double precision - p_longitude) / 2), 2)
+        ))
+      end as distance_km
+    from public.courses c, query
+    where query.q <> ''
+      and query.q <% public.course_search_text(c.name, c.club_name, c.location)
+      and (c.owner_id is null or c.owner_id = coalesce(p_owner_id, auth.uid()))
+  )
+  select
+    id, name, club_name, location, country, num_holes, par, tees, poi, latitude, longitude,
+    greatest(name_similarity, text_similarity * 0.9)
+      + case when name_prefix then 0.2 else 0 end
+      + case when played then 0.25 else 0 end
+      -- Up to 0.15 for courses within 100 km, most for the closest
+      + case when distance_km < 100 then 0.15 * (1 - distance_km / 100) else 0 end
+      as score,
+    played,
+    distance_km
+  from matches
+  order by score desc, name
+  limit least(greatest(p_limit, 1), 50);
+$$;
+
+grant execute on function public.search_courses(text, uuid, double precision, double precision, integer, uuid) to authenticated;